@@ -1,6 +1,7 @@
-import { addRoute, setAuthGuard, navigate, initRouter } from './js/router.js';
-import { getSession, getUserProfile, isManager, onAuthStateChange, clearProfileCache } from './js/services/auth-service.js';
+import { addRoute, setAuthGuard, navigate, initRouter, setQuery, reloadRoute } from './js/router.js';
+import { getSession, getUserProfile, getCapabilities, hasCapability, onAuthStateChange, clearProfileCache } from './js/services/auth-service.js';
 import { bootstrapSSOSession } from './js/supabase-client.js';
+import { fetchSites, clearSitesCache, getCurrentSiteId, setCurrentSiteId } from './js/services/site-service.js';
 
 // Configure pdf.js worker
 if (typeof pdfjsLib !== 'undefined') {
@@ -14,9 +15,10 @@ setAuthGuard(async (routeOptions) => {
     navigate('/login');
     return false;
   }
-  if (routeOptions.requiresManager) {
-    const manager = await isManager();
-    if (!manager) {
+  // Routes name the capabilities that open them; any one is enough
+  if (routeOptions.capability) {
+    const allowed = await hasCapability(...[].concat(routeOptions.capability));
+    if (!allowed) {
       navigate('/');
       return false;
     }
@@ -33,15 +35,15 @@ addRoute('/login', async (el) => {
   await render(el);
 }, { public: true });
 
-addRoute('/', async (el) => {
+addRoute('/', async (el, params, query) => {
   const { render } = await import('./js/views/dashboard.js');
-  await render(el);
+  await render(el, query);
 });
 
 addRoute('/new', async (el) => {
   const { render } = await import('./js/views/record-form.js');
   await render(el);
-}, { requiresManager: true });
+}, { capability: 'check_records' });
 
 addRoute('/record/:id', async (el, params) => {
   const { render } = await import('./js/views/record-detail.js');
@@ -51,34 +53,54 @@ addRoute('/record/:id', async (el, params) => {
 addRoute('/record/:id/edit', async (el, params) => {
   const { render } = await import('./js/views/record-form.js');
   await render(el, params.id);
-}, { requiresManager: true });
+}, { capability: 'check_records' });
+
+addRoute('/record/:id/amend', async (el, params) => {
+  const { render } = await import('./js/views/record-form.js');
+  await render(el, params.id, { amend: true });
+}, { capability: 'amend_records' });
+
+addRoute('/record/:id/follow-up', async (el, params) => {
+  const { render } = await import('./js/views/record-form.js');
+  await render(el, null, { followUpOf: params.id });
+}, { capability: 'check_records' });
 
 addRoute('/admin', async (el) => {
   const { render } = await import('./js/views/manager-dashboard.js');
   await render(el);
-}, { requiresManager: true });
+}, { capability: ['view_audit_log', 'manage_checklists', 'view_reports'] });
 
 addRoute('/retention', async (el) => {
   const { render } = await import('./js/views/retention.js');
   await render(el);
-}, { requiresManager: true });
+}, { capability: 'manage_retention' });
+
+addRoute('/settings', async (el, params, query) => {
+  const { render } = await import('./js/views/settings.js');
+  await render(el, query);
+}, { capability: 'manage_settings' });
+
+addRoute('/calendar', async (el) => {
+  const { render } = await import('./js/views/calendar.js');
+  await render(el);
+});
 
 // ---- PDF generation ----
 document.addEventListener('generate-pdf', async (e) => {
   const { recordId } = e.detail;
   const { fetchRecord } = await import('./js/services/records-service.js');
-  const { getDocumentScanUrl } = await import('./js/services/storage-service.js');
-  const { generatePDF, fetchScanAsDataUrl } = await import('./js/utils/pdf-generator.js');
+  const { fetchDocumentScans } = await import('./js/services/storage-service.js');
+  const { generatePDF, fetchScanImages } = await import('./js/utils/pdf-generator.js');
+  const { fetchChecklistForRecord } = await import('./js/services/checklist-service.js');
+  const { fetchSettings } = await import('./js/services/settings-service.js');
 
   const record = await fetchRecord(recordId);
 
-  let scanDataUrl = null;
-  if (record.document_scan_path) {
-    const signedUrl = await getDocumentScanUrl(record.document_scan_path);
-    scanDataUrl = await fetchScanAsDataUrl(signedUrl, record.document_scan_filename);
-  }
+  const scans = await fetchScanImages(await fetchDocumentScans(recordId));
+  const checklist = await fetchChecklistForRecord(record);
+  const settings = await fetchSettings(record.site_id);
 
-  generatePDF(record, scanDataUrl);
+  generatePDF(record, scans, checklist, settings);
 
   // Log PDF export for GDPR audit trail
   const { logAuditEvent } = await import('./js/services/auth-service.js');
@@ -95,20 +117,20 @@ document.addEventListener('rtw-record-created', async (e) => {
 
   try {
     const { fetchRecord } = await import('./js/services/records-service.js');
-    const { getDocumentScanUrl } = await import('./js/services/storage-service.js');
-    const { generatePDFBlob, fetchScanAsDataUrl } = await import('./js/utils/pdf-generator.js');
+    const { fetchDocumentScans } = await import('./js/services/storage-service.js');
+    const { generatePDFBlob, fetchScanImages } = await import('./js/utils/pdf-generator.js');
+    const { fetchChecklistForRecord } = await import('./js/services/checklist-service.js');
+    const { fetchSettings } = await import('./js/services/settings-service.js');
     const { uploadToGoogleDrive } = await import('./js/services/gdrive-service.js');
 
     const record = await fetchRecord(recordId);
 
     // Generate the PDF as a blob
-    let scanDataUrl = null;
-    if (record.document_scan_path) {
-      const signedUrl = await getDocumentScanUrl(record.document_scan_path);
-      scanDataUrl = await fetchScanAsDataUrl(signedUrl, record.document_scan_filename);
-    }
+    const scans = await fetchScanImages(await fetchDocumentScans(recordId));
+    const checklist = await fetchChecklistForRecord(record);
+    const settings = await fetchSettings(record.site_id);
 
-    const pdfBlob = generatePDFBlob(record, scanDataUrl);
+    const pdfBlob = generatePDFBlob(record, scans, checklist, settings);
     if (!pdfBlob) {
       console.error('GDrive upload: PDF library not available');
       return;
@@ -132,7 +154,8 @@ document.addEventListener('rtw-record-created', async (e) => {
       employeeName: personName,
       fileName,
       fileBase64,
-      subfolder: 'Right to Work',
+      subfolder: settings.drive_subfolder,
+      siteId: record.site_id,
     });
 
     // Save Drive IDs back to the RTW record
@@ -156,20 +179,20 @@ document.addEventListener('rtw-record-updated', async (e) => {
 
   try {
     const { fetchRecord, updateRecord } = await import('./js/services/records-service.js');
-    const { getDocumentScanUrl } = await import('./js/services/storage-service.js');
-    const { generatePDFBlob, fetchScanAsDataUrl } = await import('./js/utils/pdf-generator.js');
+    const { fetchDocumentScans } = await import('./js/services/storage-service.js');
+    const { generatePDFBlob, fetchScanImages } = await import('./js/utils/pdf-generator.js');
+    const { fetchChecklistForRecord } = await import('./js/services/checklist-service.js');
+    const { fetchSettings } = await import('./js/services/settings-service.js');
     const { uploadToGoogleDrive, replaceFileInGoogleDrive } = await import('./js/services/gdrive-service.js');
 
     const record = await fetchRecord(recordId);
 
     // Generate the PDF as a blob
-    let scanDataUrl = null;
-    if (record.document_scan_path) {
-      const signedUrl = await getDocumentScanUrl(record.document_scan_path);
-      scanDataUrl = await fetchScanAsDataUrl(signedUrl, record.document_scan_filename);
-    }
+    const scans = await fetchScanImages(await fetchDocumentScans(recordId));
+    const checklist = await fetchChecklistForRecord(record);
+    const settings = await fetchSettings(record.site_id);
 
-    const pdfBlob = generatePDFBlob(record, scanDataUrl);
+    const pdfBlob = generatePDFBlob(record, scans, checklist, settings);
     if (!pdfBlob) {
       console.error('GDrive update: PDF library not available');
       return;
@@ -194,7 +217,8 @@ document.addEventListener('rtw-record-updated', async (e) => {
         employeeName: record.person_name,
         fileName,
         fileBase64,
-        subfolder: 'Right to Work',
+        subfolder: settings.drive_subfolder,
+        siteId: record.site_id,
       });
     } else {
       // First-time upload (record existed before Drive sync)
@@ -202,7 +226,8 @@ document.addEventListener('rtw-record-updated', async (e) => {
         employeeName: record.person_name,
         fileName,
         fileBase64,
-        subfolder: 'Right to Work',
+        subfolder: settings.drive_subfolder,
+        siteId: record.site_id,
       });
     }
 
@@ -223,7 +248,9 @@ async function updateNavAuth(session) {
   const userInfoEl = document.getElementById('user-info');
   const adminLink = document.getElementById('admin-link');
   const retentionLink = document.getElementById('retention-link');
+  const settingsLink = document.getElementById('settings-link');
   const manualRtwLink = document.getElementById('manual-rtw-link');
+  const siteSwitcher = document.getElementById('site-switcher');
 
   if (!userInfoEl) return;
 
@@ -236,16 +263,32 @@ async function updateNavAuth(session) {
       `;
       userInfoEl.style.display = 'flex';
 
-      // Show/hide manager-only links
-      const managerRole = profile?.role === 'manager';
+      // Show/hide links by capability, matching the route options above
+      const can = await getCapabilities();
       if (adminLink) {
-        adminLink.style.display = managerRole ? '' : 'none';
+        adminLink.style.display = can.has('view_audit_log') || can.has('manage_checklists') || can.has('view_reports') ? '' : 'none';
       }
       if (retentionLink) {
-        retentionLink.style.display = managerRole ? '' : 'none';
+        retentionLink.style.display = can.has('manage_retention') ? '' : 'none';
+      }
+      if (settingsLink) {
+        settingsLink.style.display = can.has('manage_settings') ? '' : 'none';
       }
       if (manualRtwLink) {
-        manualRtwLink.style.display = managerRole ? '' : 'none';
+        manualRtwLink.style.display = can.has('check_records') ? '' : 'none';
+      }
+
+      // Site switcher, for users at more than one site
+      if (siteSwitcher) {
+        const sites = await fetchSites();
+        if (sites.length > 1) {
+          const currentSiteId = await getCurrentSiteId();
+          siteSwitcher.innerHTML = `<option value="">All sites</option>`
+            + sites.map(s => `<option value="${escapeHtml(s.id)}" ${s.id === currentSiteId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('');
+          siteSwitcher.style.display = '';
+        } else {
+          siteSwitcher.style.display = 'none';
+        }
       }
 
       // Attach sign-out handler
@@ -265,10 +308,24 @@ async function updateNavAuth(session) {
     userInfoEl.style.display = 'none';
     if (adminLink) adminLink.style.display = 'none';
     if (retentionLink) retentionLink.style.display = 'none';
+    if (settingsLink) settingsLink.style.display = 'none';
     if (manualRtwLink) manualRtwLink.style.display = 'none';
+    if (siteSwitcher) siteSwitcher.style.display = 'none';
   }
 }
 
+// Sites added or renamed on the Settings page
+document.addEventListener('rtw-sites-changed', () => {
+  getSession().then(session => updateNavAuth(session));
+});
+
+// Switching site starts the current page afresh at that site
+document.getElementById('site-switcher')?.addEventListener('change', (e) => {
+  setCurrentSiteId(e.target.value);
+  setQuery({});
+  reloadRoute();
+});
+
 function escapeHtml(str) {
   if (!str) return '';
   const d = document.createElement('div');
@@ -279,6 +336,7 @@ function escapeHtml(str) {
 // Listen for auth state changes
 onAuthStateChange((event, session) => {
   clearProfileCache();
+  clearSitesCache();
   updateNavAuth(session);
 });
 
@@ -4,3 +4,7 @@
 
 export const SUPABASE_URL = 'https://uaclhscpseivkuzajuly.supabase.co';
 export const SUPABASE_ANON_KEY = 'sb_publishable__Hbu8a8ApDjKP26wt-hEnw_8MAXtiX6';
+
+// Online share code checks. Leave null to check share codes by hand on GOV.UK,
+// or set to 'mock' to use the local test service (see js/services/online-check-mock.js).
+export const ONLINE_CHECK_ADAPTER = null;
@@ -29,6 +29,29 @@ export function navigate(path) {
   window.location.hash = '#' + path;
 }
 
+/**
+ * Replace the query string of the current route without re-rendering it, so
+ * view state such as filters survives a reload or a shared link. Empty values
+ * are left out.
+ * @param {Object} query - { name: value }
+ */
+export function setQuery(query) {
+  const path = window.location.hash.slice(1).split('?')[0] || '/';
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== '' && value != null) search.set(key, value);
+  }
+  const qs = search.toString();
+  history.replaceState(null, '', '#' + path + (qs ? '?' + qs : ''));
+}
+
+/**
+ * Render the current route again, e.g. after switching site.
+ */
+export function reloadRoute() {
+  handleRoute();
+}
+
 export function initRouter(mountEl) {
   appEl = mountEl;
   window.addEventListener('hashchange', handleRoute);
@@ -36,7 +59,10 @@ export function initRouter(mountEl) {
 }
 
 async function handleRoute() {
-  const hash = window.location.hash.slice(1) || '/';
+  // Query string (e.g. '/?status=expired&page=2') is passed to the handler
+  const [path, qs] = window.location.hash.slice(1).split('?');
+  const hash = path || '/';
+  const query = Object.fromEntries(new URLSearchParams(qs || ''));
 
   for (const route of routes) {
     const match = hash.match(route.regex);
@@ -54,7 +80,7 @@ async function handleRoute() {
 
       try {
         appEl.innerHTML = '<div class="loading">Loading...</div>';
-        await route.handler(appEl, params);
+        await route.handler(appEl, params, query);
       } catch (err) {
         console.error('Route error:', err);
         appEl.innerHTML = `
@@ -89,6 +115,10 @@ function updateActiveNav(hash) {
       a.classList.add('active');
     } else if (href === '#/retention' && hash.startsWith('/retention')) {
       a.classList.add('active');
+    } else if (href === '#/calendar' && hash.startsWith('/calendar')) {
+      a.classList.add('active');
+    } else if (href === '#/settings' && hash.startsWith('/settings')) {
+      a.classList.add('active');
     } else {
       a.classList.remove('active');
     }
@@ -0,0 +1,55 @@
+import { getSupabase } from '../supabase-client.js';
+import { updateRecord } from './records-service.js';
+
+/** Columns maintained by the database that never count as an amended value. */
+const SYSTEM_FIELDS = [
+  'id', 'created_at', 'updated_at', 'created_by', 'status', 'person_id',
+  'revision_number', 'amendment_reason', 'amended_at', 'amended_by',
+];
+
+/**
+ * Raise an amendment against a locked record. The database trigger checks the
+ * caller is a manager and stores the previous values as an immutable revision.
+ * @param {Object} record - The record as currently stored
+ * @param {Object} changes - New field values
+ * @param {string} reason - Why the record is being amended (required)
+ */
+export async function amendRecord(record, changes, reason) {
+  if (!reason || !reason.trim()) throw new Error('A reason is required to amend a record');
+  return updateRecord(record.id, {
+    ...changes,
+    revision_number: (record.revision_number || 1) + 1,
+    amendment_reason: reason.trim(),
+  });
+}
+
+/**
+ * Fetch the amendment history for a record, oldest first.
+ */
+export async function fetchRevisions(recordId) {
+  const { data, error } = await getSupabase()
+    .from('rtw_record_revisions')
+    .select('*')
+    .eq('record_id', recordId)
+    .order('revision_number', { ascending: true });
+  if (error) throw new Error('Failed to fetch revisions: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Fields whose values differ between two record snapshots.
+ * @returns {Array} [{ field, before, after }]
+ */
+export function diffRevision(previousValues, newValues) {
+  const before = previousValues || {};
+  const after = newValues || {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (SYSTEM_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes.push({ field, before: before[field] ?? null, after: after[field] ?? null });
+    }
+  }
+  return changes;
+}
@@ -2,6 +2,7 @@ import { getSupabase } from '../supabase-client.js';
 import { clearSharedRefreshToken } from '../shared-auth-cookie.js';
 
 let cachedProfile = null;
+let capabilitiesPromise = null;
 
 /**
  * Sign in with email and password.
@@ -12,6 +13,7 @@ export async function signIn(email, password) {
   if (error) throw error;
 
   cachedProfile = null;
+  capabilitiesPromise = null;
 
   // Log login event
   await logAuditEvent('login');
@@ -26,6 +28,7 @@ export async function signOut() {
   const sb = getSupabase();
   await logAuditEvent('logout');
   cachedProfile = null;
+  capabilitiesPromise = null;
   clearSharedRefreshToken();
   const { error } = await sb.auth.signOut();
   if (error) throw error;
@@ -75,14 +78,41 @@ export async function getUserProfile() {
  */
 export function clearProfileCache() {
   cachedProfile = null;
+  capabilitiesPromise = null;
 }
 
 /**
- * Check whether the current user has the 'manager' role.
+ * The capabilities of the current user's role, e.g. 'check_records' or
+ * 'view_audit_log' (see Section 35 of supabase-auth-setup.sql for the list).
+ * Cached until sign-out or explicit clear.
+ * @returns {Promise<Set<string>>}
  */
-export async function isManager() {
-  const profile = await getUserProfile();
-  return profile?.role === 'manager';
+export function getCapabilities() {
+  if (!capabilitiesPromise) {
+    capabilitiesPromise = (async () => {
+      const profile = await getUserProfile();
+      if (!profile) return new Set();
+      const { data, error } = await getSupabase()
+        .from('role_capabilities')
+        .select('capability')
+        .eq('role', profile.role);
+      if (error) throw error;
+      return new Set((data || []).map(row => row.capability));
+    })().catch((err) => {
+      capabilitiesPromise = null;
+      throw err;
+    });
+  }
+  return capabilitiesPromise;
+}
+
+/**
+ * Check whether the current user's role has any of the given capabilities.
+ * @param {...string} capabilities
+ */
+export async function hasCapability(...capabilities) {
+  const held = await getCapabilities();
+  return capabilities.some(cap => held.has(cap));
 }
 
 /**
@@ -95,6 +125,7 @@ export function onAuthStateChange(callback) {
   const { data: { subscription } } = sb.auth.onAuthStateChange((event, session) => {
     if (event === 'SIGNED_OUT') {
       cachedProfile = null;
+      capabilitiesPromise = null;
     }
     callback(event, session);
   });
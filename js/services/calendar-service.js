@@ -0,0 +1,49 @@
+import { getSupabase } from '../supabase-client.js';
+import { SUPABASE_URL } from '../../config.js';
+import { getUser } from './auth-service.js';
+
+/**
+ * Subscribable calendar feed. Calendar apps cannot sign in, so each user has
+ * a secret token that the calendar-feed Edge Function accepts in place of a
+ * session; the feed shows the same records the user can see in the app.
+ */
+
+function feedUrl(token) {
+  return `${SUPABASE_URL}/functions/v1/calendar-feed?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * The user's feed URL, creating their token on first use.
+ */
+export async function getCalendarFeedUrl() {
+  const sb = getSupabase();
+  // RLS returns only the user's own token
+  const { data, error } = await sb
+    .from('calendar_feed_tokens')
+    .select('token')
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch calendar feed: ' + error.message);
+  if (data) return feedUrl(data.token);
+
+  const { data: created, error: insertError } = await sb
+    .from('calendar_feed_tokens')
+    .insert([{}])
+    .select('token')
+    .single();
+  if (insertError) throw new Error('Failed to create calendar feed: ' + insertError.message);
+  return feedUrl(created.token);
+}
+
+/**
+ * Replace the user's token, so calendars subscribed to the old URL stop updating.
+ */
+export async function resetCalendarFeedUrl() {
+  const user = await getUser();
+  if (!user) throw new Error('Not authenticated');
+  const { error } = await getSupabase()
+    .from('calendar_feed_tokens')
+    .delete()
+    .eq('user_id', user.id);
+  if (error) throw new Error('Failed to reset calendar feed: ' + error.message);
+  return getCalendarFeedUrl();
+}
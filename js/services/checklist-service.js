@@ -0,0 +1,59 @@
+import { getSupabase } from '../supabase-client.js';
+import { todayISO } from '../utils/date-utils.js';
+
+/**
+ * Versioned checklist definitions (documents and Step 2 questions). Versions
+ * never change once published, so they are fetched once per page load.
+ * See Section 26 of supabase-auth-setup.sql for the definition shape.
+ */
+
+let checklistsPromise = null;
+
+/**
+ * All checklist versions.
+ * @returns {Promise<Map<number, Object>>} version -> checklist row
+ */
+export function fetchChecklists() {
+  if (!checklistsPromise) {
+    checklistsPromise = (async () => {
+      const { data, error } = await getSupabase()
+        .from('checklist_versions')
+        .select('*')
+        .order('version', { ascending: true });
+      if (error) throw new Error('Failed to fetch checklist: ' + error.message);
+      return new Map((data || []).map(row => [row.version, row]));
+    })().catch((err) => {
+      checklistsPromise = null;
+      throw err;
+    });
+  }
+  return checklistsPromise;
+}
+
+export async function fetchChecklist(version) {
+  const checklists = await fetchChecklists();
+  const checklist = checklists.get(version);
+  if (!checklist) throw new Error(`Failed to fetch checklist: version ${version} not found`);
+  return checklist;
+}
+
+/**
+ * The version in force today: the newest one whose effective date has arrived.
+ */
+export async function fetchCurrentChecklist() {
+  const today = todayISO();
+  const inForce = Array.from((await fetchChecklists()).values())
+    .filter(c => c.effective_from <= today);
+  if (!inForce.length) throw new Error('Failed to fetch checklist: no version is in force');
+  return inForce[inForce.length - 1];
+}
+
+/**
+ * The version a record was completed against (the current one for records
+ * saved before versions were pinned).
+ */
+export function fetchChecklistForRecord(record) {
+  return record && record.checklist_version
+    ? fetchChecklist(record.checklist_version)
+    : fetchCurrentChecklist();
+}
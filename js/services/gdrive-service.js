@@ -3,7 +3,8 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../../config.js';
 
 /**
  * Upload a file to Google Drive via the gdrive-upload Edge Function.
- * Creates an employee folder and optional subfolder automatically.
+ * Creates an employee folder and optional subfolder automatically, inside the
+ * Drive folder of the record's site.
  *
  * @param {Object} params
  * @param {string} params.employeeName - Employee name (used as folder name)
@@ -11,6 +12,7 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../../config.js';
  * @param {string} params.fileBase64 - Base64-encoded file content
  * @param {string} [params.mimeType] - MIME type (default: application/pdf)
  * @param {string} [params.subfolder] - Subfolder inside employee folder (e.g. "Right to Work")
+ * @param {string} [params.siteId] - Site whose Drive folder holds the employee folders
  * @param {string} [params.sourceApp] - Source app identifier (default: rtw-checker)
  * @returns {Promise<Object>} { success, file_id, web_view_link, employee_folder_id }
  */
@@ -34,7 +36,7 @@ async function callEdgeFunction(payload) {
   return body;
 }
 
-export async function uploadToGoogleDrive({ employeeName, fileName, fileBase64, mimeType, subfolder, sourceApp }) {
+export async function uploadToGoogleDrive({ employeeName, fileName, fileBase64, mimeType, subfolder, siteId, sourceApp }) {
   return callEdgeFunction({
     action: 'upload',
     employee_name: employeeName,
@@ -42,11 +44,12 @@ export async function uploadToGoogleDrive({ employeeName, fileName, fileBase64,
     file_base64: fileBase64,
     mime_type: mimeType || 'application/pdf',
     subfolder: subfolder || 'Right to Work',
+    site_id: siteId || null,
     source_app: sourceApp || 'rtw-checker',
   });
 }
 
-export async function replaceFileInGoogleDrive({ oldFileId, employeeName, fileName, fileBase64, mimeType, subfolder, sourceApp }) {
+export async function replaceFileInGoogleDrive({ oldFileId, employeeName, fileName, fileBase64, mimeType, subfolder, siteId, sourceApp }) {
   return callEdgeFunction({
     action: 'replace',
     old_file_id: oldFileId,
@@ -55,6 +58,7 @@ export async function replaceFileInGoogleDrive({ oldFileId, employeeName, fileNa
     file_base64: fileBase64,
     mime_type: mimeType || 'application/pdf',
     subfolder: subfolder || 'Right to Work',
+    site_id: siteId || null,
     source_app: sourceApp || 'rtw-checker',
   });
 }
@@ -0,0 +1,67 @@
+import { getSupabase } from '../supabase-client.js';
+import { todayISO } from '../utils/date-utils.js';
+
+/**
+ * Registry of certified identity service providers (IDSPs). Everyone can read
+ * it; only managers can change it (RLS enforced).
+ */
+
+export async function fetchIdspProviders() {
+  const { data, error } = await getSupabase()
+    .from('idsp_providers')
+    .select('*')
+    .order('name', { ascending: true });
+  if (error) throw new Error('Failed to fetch IDSP providers: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Create a provider, or update it when provider.id is set.
+ */
+export async function saveIdspProvider(provider) {
+  const { id, ...fields } = provider;
+  const query = id
+    ? getSupabase().from('idsp_providers').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', id)
+    : getSupabase().from('idsp_providers').insert([fields]);
+  const { data, error } = await query.select().single();
+  if (error) {
+    if (error.code === '23505') throw new Error('A provider with this name already exists.');
+    throw new Error('Failed to save IDSP provider: ' + error.message);
+  }
+  return data;
+}
+
+export async function deleteIdspProvider(id) {
+  const { error } = await getSupabase()
+    .from('idsp_providers')
+    .delete()
+    .eq('id', id);
+  if (error) {
+    if (error.code === '23503') {
+      throw new Error('This provider is named on existing records and cannot be deleted. Let its certification lapse instead.');
+    }
+    throw new Error('Failed to delete IDSP provider: ' + error.message);
+  }
+}
+
+/**
+ * Whether the provider's certification had lapsed on the given date.
+ * @param {Object} provider
+ * @param {string} [onDate] - ISO date, defaults to today
+ */
+export function isCertificationLapsed(provider, onDate = todayISO()) {
+  return !provider.certified_until || provider.certified_until < onDate;
+}
+
+/**
+ * Find a registered provider by name, ignoring case and punctuation, for
+ * matching the provider named in an imported result.
+ */
+export function findProviderByName(providers, name) {
+  const key = s => (s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const target = key(name);
+  if (!target) return null;
+  return providers.find(p => key(p.name) === target)
+    || providers.find(p => key(p.name).includes(target) || target.includes(key(p.name)))
+    || null;
+}
@@ -9,9 +9,10 @@ import { getSupabase } from '../supabase-client.js';
  * @param {string} [params.severity] - 'info' | 'warning' | 'urgent'
  * @param {string} [params.actionUrl] - Link to action (e.g. record detail page)
  * @param {string} [params.recordId] - Related record ID
+ * @param {string} [params.siteId] - Site of the related record; only its managers see it
  * @param {string} [params.sourceApp] - Source app (default: rtw-checker)
  */
-export async function createNotification({ title, message, severity, actionUrl, recordId, sourceApp }) {
+export async function createNotification({ title, message, severity, actionUrl, recordId, siteId, sourceApp }) {
   const { error } = await getSupabase()
     .from('notifications')
     .insert([{
@@ -20,6 +21,7 @@ export async function createNotification({ title, message, severity, actionUrl,
       severity: severity || 'info',
       action_url: actionUrl || null,
       record_id: recordId || null,
+      site_id: siteId || null,
       source_app: sourceApp || 'rtw-checker',
     }]);
   if (error) {
@@ -56,13 +58,19 @@ export async function dismissNotification(notificationId) {
 
 /**
  * Dismiss all undismissed notifications for a given record.
+ * @param {string} recordId
+ * @param {Object} [options]
+ * @param {boolean} [options.keepReferral] - Leave a referral to a manager,
+ *   which the database raises when the check is saved, in place
  */
-export async function dismissNotificationsForRecord(recordId) {
-  const { error } = await getSupabase()
+export async function dismissNotificationsForRecord(recordId, { keepReferral = false } = {}) {
+  let query = getSupabase()
     .from('notifications')
     .update({ dismissed_at: new Date().toISOString() })
     .eq('record_id', recordId)
     .is('dismissed_at', null);
+  if (keepReferral) query = query.not('title', 'like', 'Referred to manager:%');
+  const { error } = await query;
   if (error) {
     console.error('Failed to dismiss notifications for record:', error);
   }
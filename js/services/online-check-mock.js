@@ -0,0 +1,85 @@
+import { addDays, todayISO } from '../utils/date-utils.js';
+
+/**
+ * Local stand-in for the Home Office online check, for testing and training.
+ * Nothing leaves the browser. The last character of the share code picks the
+ * scenario, so the same code always gives the same result:
+ *
+ *   0   no matching details found
+ *   1   no right to work
+ *   2   student visa, 20 hours a week in term time
+ *   3   skilled worker visa, restricted to the sponsoring employer
+ *   4-6 pre-settled status, expires in 18 months
+ *   other settled status, no time limit
+ */
+
+const MOCK_DELAY_MS = 600;
+
+// Grey silhouette in place of the photo on a real result
+const PLACEHOLDER_PHOTO = 'data:image/svg+xml;base64,' + btoa(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="150" viewBox="0 0 120 150">'
+  + '<rect width="120" height="150" fill="#dee0e2"/>'
+  + '<circle cx="60" cy="55" r="28" fill="#b1b4b6"/>'
+  + '<path d="M16 150c0-30 20-50 44-50s44 20 44 50z" fill="#b1b4b6"/>'
+  + '</svg>'
+);
+
+function scenario(last) {
+  const today = todayISO();
+  switch (last) {
+    case '0':
+      return { outcome: 'not_found' };
+    case '1':
+      return {
+        outcome: 'no_right_to_work',
+        permission_type: 'Visitor',
+        expiry_date: addDays(today, 60),
+        work_restrictions: 'The holder is not permitted to work in the UK.',
+      };
+    case '2':
+      return {
+        outcome: 'right_to_work',
+        permission_type: 'Student visa',
+        expiry_date: addDays(today, 400),
+        work_restrictions: 'Can work up to 20 hours a week during term time and full time during official vacations.',
+      };
+    case '3':
+      return {
+        outcome: 'right_to_work',
+        permission_type: 'Skilled Worker visa',
+        expiry_date: addDays(today, 900),
+        work_restrictions: 'Can only work for the sponsoring employer in the sponsored role.',
+      };
+    case '4':
+    case '5':
+    case '6':
+      return {
+        outcome: 'right_to_work',
+        permission_type: 'Pre-settled status (EU Settlement Scheme)',
+        expiry_date: addDays(today, 548),
+      };
+    default:
+      return {
+        outcome: 'right_to_work',
+        permission_type: 'Settled status (EU Settlement Scheme)',
+        continuous: true,
+      };
+  }
+}
+
+export const mockOnlineCheckAdapter = {
+  id: 'mock',
+  label: 'Test service (mock results)',
+
+  async verify({ shareCode }) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+    const result = scenario(shareCode.slice(-1));
+    if (result.outcome === 'not_found') return result;
+    return {
+      reference: 'MOCK-' + shareCode,
+      name: 'Alex Example',
+      photo: PLACEHOLDER_PHOTO,
+      ...result,
+    };
+  },
+};
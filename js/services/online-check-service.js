@@ -0,0 +1,89 @@
+import * as config from '../../config.js';
+import { normaliseShareCode, isValidShareCode } from '../utils/share-code.js';
+import { mockOnlineCheckAdapter } from './online-check-mock.js';
+
+/**
+ * Home Office online right to work check ("view a job applicant's right to
+ * work details") behind a swappable adapter.
+ *
+ * An adapter is { id, label, verify({ shareCode, dateOfBirth }) } where verify
+ * resolves to:
+ *   {
+ *     outcome: 'right_to_work' | 'no_right_to_work' | 'not_found',
+ *     reference,            // the result's reference number, if any
+ *     name,                 // name on the Home Office record
+ *     permission_type,      // e.g. 'Settled status', 'Student visa'
+ *     continuous,           // true when permission has no end date
+ *     expiry_date,          // ISO date permission ends, or null
+ *     work_restrictions,    // text, or null when there are none
+ *     photo,                // data: URL of the photo on the result, or null
+ *   }
+ *
+ * Set ONLINE_CHECK_ADAPTER in config.js to the id of the adapter to use.
+ * Without it the share code is checked by hand on GOV.UK as before.
+ */
+
+export const ONLINE_CHECK_OUTCOMES = {
+  right_to_work: 'Right to work confirmed',
+  no_right_to_work: 'No right to do this work',
+  not_found: 'No matching details found',
+};
+
+const adapters = new Map();
+
+export function registerOnlineCheckAdapter(adapter) {
+  adapters.set(adapter.id, adapter);
+}
+
+registerOnlineCheckAdapter(mockOnlineCheckAdapter);
+
+/**
+ * The configured adapter, or null if online checks are done by hand.
+ */
+export function getOnlineCheckAdapter() {
+  const id = config.ONLINE_CHECK_ADAPTER;
+  if (!id) return null;
+  const adapter = adapters.get(id);
+  if (!adapter) {
+    console.error(`Unknown ONLINE_CHECK_ADAPTER "${id}"`);
+    return null;
+  }
+  return adapter;
+}
+
+/**
+ * Look up a share code with the configured adapter.
+ * @param {string} shareCode
+ * @param {string} dateOfBirth - ISO date
+ * @returns {Promise<Object>} The adapter result plus adapter, share_code and
+ *   checked_at, ready to store as online_check_result
+ */
+export async function verifyShareCode(shareCode, dateOfBirth) {
+  const adapter = getOnlineCheckAdapter();
+  if (!adapter) throw new Error('Online check service not configured');
+  if (!isValidShareCode(shareCode)) throw new Error('Enter a valid share code first');
+  if (!dateOfBirth) throw new Error('Enter the date of birth first');
+
+  const code = normaliseShareCode(shareCode);
+  let result;
+  try {
+    result = await adapter.verify({ shareCode: code, dateOfBirth });
+  } catch (err) {
+    throw new Error('Failed to complete online check: ' + err.message);
+  }
+
+  return {
+    outcome: result.outcome,
+    reference: result.reference || null,
+    name: result.name || null,
+    permission_type: result.permission_type || null,
+    continuous: !!result.continuous,
+    expiry_date: result.continuous ? null : (result.expiry_date || null),
+    work_restrictions: result.work_restrictions || null,
+    photo: result.photo || null,
+    adapter: adapter.id,
+    share_code: code,
+    date_of_birth: dateOfBirth,
+    checked_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,61 @@
+import { getSupabase } from '../supabase-client.js';
+
+/**
+ * Sort key for "newest check": records without a check date yet (pending
+ * onboarding) count as the newest, then by check date, then creation time.
+ */
+function checkSortKey(record) {
+  return (record.check_date || '9999-12-31') + '|' + (record.created_at || '');
+}
+
+/**
+ * Key used to group checks for the same person. Falls back to name + DOB
+ * for records that have not been linked to a person yet.
+ */
+function personKey(record) {
+  if (record.person_id) return record.person_id;
+  return (record.person_name || '').trim().toLowerCase() + '|' + (record.date_of_birth || '');
+}
+
+/**
+ * Fetch a person's full check history, oldest first.
+ */
+export async function fetchPersonChecks(personId) {
+  const { data, error } = await getSupabase()
+    .from('rtw_records')
+    .select('*')
+    .eq('person_id', personId)
+    .order('check_date', { ascending: true })
+    .order('created_at', { ascending: true });
+  if (error) throw new Error('Failed to fetch check history: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Group records by person.
+ * @param {Array} records - Any list of rtw_records rows
+ * @returns {Array} [{ latest, checks }] with checks oldest first
+ */
+export function groupChecksByPerson(records) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = personKey(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  return Array.from(groups.values()).map(checks => {
+    checks.sort((a, b) => (checkSortKey(a) < checkSortKey(b) ? -1 : 1));
+    return { latest: checks[checks.length - 1], checks };
+  });
+}
+
+/**
+ * The newest check for each person, with check_count attached for display.
+ */
+export function latestChecksByPerson(records) {
+  return groupChecksByPerson(records).map(({ latest, checks }) => ({
+    ...latest,
+    check_count: checks.length,
+  }));
+}
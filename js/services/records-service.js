@@ -1,10 +1,154 @@
 import { getSupabase } from '../supabase-client.js';
 
-export async function fetchAllRecords() {
-  const { data, error } = await getSupabase()
+/** Minutes after submission during which a record can still be edited freely. */
+export const EDIT_LOCK_MINUTES = 5;
+
+/**
+ * Whether a record is past its edit window. The window runs from submitted_at,
+ * which the database sets when the check is completed, so pending onboarding
+ * records stay editable. Mirrors enforce_rtw_edit_lock() in the schema.
+ */
+export function isEditLocked(record) {
+  const submittedAt = record.submitted_at ? new Date(record.submitted_at) : null;
+  return !!submittedAt && (Date.now() - submittedAt.getTime() > EDIT_LOCK_MINUTES * 60 * 1000);
+}
+
+/**
+ * Friendly messages for the errors raised by the rtw_records triggers (custom
+ * SQLSTATEs RW001-RW006) and row-level security, on insert and update.
+ */
+const UPDATE_ERROR_MESSAGES = {
+  RW001: `This record is locked ${EDIT_LOCK_MINUTES} minutes after submission. A manager must raise an amendment to change it.`,
+  RW002: 'Name and date of birth come from the onboarding record and cannot be changed.',
+  RW003: 'Your role cannot amend a locked record.',
+  RW004: 'The amendment could not be saved. Reload the record and try again, giving a reason for the change.',
+  RW005: 'The certification of the chosen IDSP provider had lapsed by the date of the check. Choose a currently certified provider.',
+  RW006: 'The role conflicts with this person\'s work restrictions, so the check cannot be saved. Change the role or the restrictions.',
+  '42501': 'You do not have permission to change this record.',
+};
+
+/**
+ * Every check the user can see, newest first.
+ * @param {string} [siteId] - Only this site's checks; all sites when empty
+ */
+export async function fetchAllRecords(siteId = '') {
+  let query = getSupabase()
     .from('rtw_records')
-    .select('*')
-    .order('check_date', { ascending: false });
+    .select('*');
+  if (siteId) query = query.eq('site_id', siteId);
+  const { data, error } = await query.order('check_date', { ascending: false });
+  if (error) throw new Error('Failed to fetch records: ' + error.message);
+  return data || [];
+}
+
+/** Dashboard sort keys and the rtw_latest_records columns they order by. */
+export const RECORD_SORT_COLUMNS = {
+  name: 'person_name',
+  dob: 'date_of_birth',
+  check_date: 'check_date',
+  type: 'check_type',
+  method: 'check_method',
+  status: 'status',
+};
+
+export const RECORDS_PAGE_SIZE = 25;
+
+/**
+ * Latest check per person, filtered in the database by
+ * search_rtw_latest_records() so the rtw_records indexes are used.
+ * @param {Object} filters - { search, statuses, type, method, site }
+ * @param {Object} [options] - supabase-js rpc options, e.g. { count: 'exact' }
+ */
+function searchLatestRecords({ search = '', statuses = null, type = '', method = '', site = '' }, options) {
+  // Left-out arguments default to null; a null here would be sent as the
+  // text "null" by head (GET) requests
+  return getSupabase().rpc('search_rtw_latest_records', {
+    search: search || undefined,
+    statuses: statuses && statuses.length ? statuses : undefined,
+    type: type || undefined,
+    method: method || undefined,
+    site: site || undefined,
+  }, options);
+}
+
+/**
+ * One page of people, each with their latest check, searched, filtered and
+ * sorted in the database. Search matches part of the name or checker name, or
+ * a share code.
+ * @param {Object} options - { search, status, type, method, site, sort, direction, page }
+ *   where site is a site id, sort is a key of RECORD_SORT_COLUMNS and page
+ *   counts from 1
+ * @returns {Promise<{ rows: Array, total: number }>} total is the number of
+ *   matching people across all pages
+ */
+export async function fetchRecordsPage({ search = '', status = '', type = '', method = '', site = '', sort = 'check_date', direction = 'desc', page = 1 } = {}) {
+  const from = (page - 1) * RECORDS_PAGE_SIZE;
+  // Wildcards would widen the name match
+  const term = search.trim().replace(/[%_\\]/g, '');
+  const { data, error, count } = await searchLatestRecords(
+    { search: term, statuses: status ? [status] : null, type, method, site },
+    { count: 'exact' },
+  )
+    .order(RECORD_SORT_COLUMNS[sort] || 'check_date', { ascending: direction === 'asc', nullsFirst: false })
+    .order('id')
+    .range(from, from + RECORDS_PAGE_SIZE - 1);
+  if (error) throw new Error('Failed to fetch records: ' + error.message);
+  return { rows: data || [], total: count || 0 };
+}
+
+/**
+ * Latest check per person with one of the given statuses, for the dashboard's
+ * attention and pending onboarding lists.
+ * @param {string[]} statuses
+ * @param {string} [siteId] - Only this site's people; all sites when empty
+ */
+export async function fetchLatestRecordsByStatus(statuses, siteId = '') {
+  const { data, error } = await searchLatestRecords({ statuses, site: siteId })
+    .order('check_date', { ascending: true, nullsFirst: false });
+  if (error) throw new Error('Failed to fetch records: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Latest check of every person, e.g. for organisation-wide risk scoring.
+ * @param {string} [siteId] - Only this site's people; all sites when empty
+ * @param {string} [columns] - Comma-separated columns to fetch
+ */
+export async function fetchLatestRecords(siteId = '', columns = '*') {
+  const { data, error } = await searchLatestRecords({ site: siteId }).select(columns);
+  if (error) throw new Error('Failed to fetch records: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Number of people and of checks the user can see.
+ * @param {string} [siteId] - Only this site's; all sites when empty
+ * @returns {Promise<{ people: number, checks: number }>}
+ */
+export async function countRecords(siteId = '') {
+  let checksQuery = getSupabase().from('rtw_records').select('id', { count: 'exact', head: true });
+  if (siteId) checksQuery = checksQuery.eq('site_id', siteId);
+  const [people, checks] = await Promise.all([
+    searchLatestRecords({ site: siteId }, { count: 'exact', head: true }),
+    checksQuery,
+  ]);
+  const error = people.error || checks.error;
+  if (error) throw new Error('Failed to count records: ' + error.message);
+  return { people: people.count || 0, checks: checks.count || 0 };
+}
+
+/**
+ * Checks carried out between two dates (inclusive), for exports. Either date
+ * may be empty, as may siteId for all sites.
+ */
+export async function fetchRecordsByCheckDate(from, to, siteId = '') {
+  let query = getSupabase()
+    .from('rtw_records')
+    .select('*');
+  if (siteId) query = query.eq('site_id', siteId);
+  if (from) query = query.gte('check_date', from);
+  if (to) query = query.lte('check_date', to);
+  const { data, error } = await query.order('check_date', { ascending: false });
   if (error) throw new Error('Failed to fetch records: ' + error.message);
   return data || [];
 }
@@ -25,7 +169,9 @@ export async function createRecord(record) {
     .from('rtw_records')
     .insert([record])
     .select();
-  if (error) throw new Error('Failed to create record: ' + error.message);
+  if (error) {
+    throw new Error(UPDATE_ERROR_MESSAGES[error.code] || 'Failed to create record: ' + error.message);
+  }
   if (data && data.length > 0) return data[0];
   // Fallback: fetch the most recent record matching person_name + check_date
   const { data: fallback, error: fbErr } = await getSupabase()
@@ -46,12 +192,27 @@ export async function updateRecord(id, updates) {
     .update(updates)
     .eq('id', id)
     .select();
-  if (error) throw new Error('Failed to update record: ' + error.message);
+  if (error) {
+    throw new Error(UPDATE_ERROR_MESSAGES[error.code] || 'Failed to update record: ' + error.message);
+  }
   if (data && data.length > 0) return data[0];
   // Fallback: fetch the record directly
   return fetchRecord(id);
 }
 
+/**
+ * Whether a share code is already attached to another record. Runs as a
+ * database function so staff are warned about records they cannot see.
+ */
+export async function isShareCodeInUse(shareCode, excludeRecordId = null) {
+  const { data, error } = await getSupabase().rpc('share_code_in_use', {
+    code: shareCode,
+    exclude_id: excludeRecordId,
+  });
+  if (error) throw new Error('Failed to check share code: ' + error.message);
+  return !!data;
+}
+
 export async function deleteRecord(id) {
   const { error } = await getSupabase()
     .from('rtw_records')
@@ -60,16 +221,6 @@ export async function deleteRecord(id) {
   if (error) throw new Error('Failed to delete record: ' + error.message);
 }
 
-export async function batchUpdateStatuses(updates) {
-  // updates: [{ id, status }]
-  for (const u of updates) {
-    await getSupabase()
-      .from('rtw_records')
-      .update({ status: u.status })
-      .eq('id', u.id);
-  }
-}
-
 /**
  * Mark the linked onboarding record as complete when the RTW check is done.
  */
@@ -0,0 +1,140 @@
+import { latestChecksByPerson } from './people-service.js';
+import { addMonths, daysBetween, todayISO } from '../utils/date-utils.js';
+
+/**
+ * Compliance figures for the Reports tab of the admin dashboard. Everything
+ * is worked out from rtw_records rows; the date range applies to the date of
+ * each check (or, for outstanding follow-ups, the date they were due).
+ */
+
+export const REPORT_METHODS = ['manual', 'idsp', 'online'];
+
+// Look-ahead windows for expiring permissions, in months
+export const EXPIRY_WINDOWS = [3, 6, 12];
+
+function inRange(date, { from, to }) {
+  if (!date) return false;
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+  return true;
+}
+
+function emptyMethodCounts() {
+  return Object.fromEntries(REPORT_METHODS.map(m => [m, 0]));
+}
+
+/**
+ * Checks carried out per month, split by check method.
+ * @returns {Array} [{ month: 'YYYY-MM', manual, idsp, online, total }] oldest first
+ */
+function checksByMonth(checks) {
+  const months = new Map();
+  for (const r of checks) {
+    const month = r.check_date.slice(0, 7);
+    if (!months.has(month)) months.set(month, { month, ...emptyMethodCounts(), total: 0 });
+    const row = months.get(month);
+    if (r.check_method in row) row[r.check_method]++;
+    row.total++;
+  }
+  return Array.from(months.values()).sort((a, b) => (a.month < b.month ? -1 : 1));
+}
+
+/**
+ * Days from onboarding to a completed check. The Onboarding Portal creates
+ * the record when the new starter is onboarded, so created_at marks onboarding.
+ */
+function onboardingTimes(checks) {
+  const rows = checks
+    .filter(r => r.onboarding_id && r.created_at)
+    .map(r => ({ record: r, days: Math.max(0, daysBetween(r.created_at.slice(0, 10), r.check_date)) }));
+  const averageDays = rows.length
+    ? Math.round((rows.reduce((sum, row) => sum + row.days, 0) / rows.length) * 10) / 10
+    : null;
+  return { averageDays, rows };
+}
+
+/**
+ * Follow-up checks done on time or late, judged against the follow-up date
+ * (or permission expiry) of the check they followed, plus follow-ups that are
+ * overdue and not yet done for current employees.
+ */
+function followUpTimeliness(records, latest, range) {
+  const today = todayISO();
+  const byId = new Map(records.map(r => [r.id, r]));
+  const rows = [];
+
+  for (const r of records) {
+    if (r.check_type !== 'follow_up' || !r.check_date || !inRange(r.check_date, range)) continue;
+    const previous = byId.get(r.previous_record_id);
+    const due = previous ? (previous.follow_up_date || previous.expiry_date) : null;
+    if (!due) continue;
+    const daysLate = daysBetween(due, r.check_date);
+    rows.push({ record: r, due, done: r.check_date, outcome: daysLate > 0 ? 'late' : 'on_time', daysLate: Math.max(0, daysLate) });
+  }
+
+  for (const r of latest) {
+    if (r.status !== 'follow_up_overdue' && r.status !== 'expired') continue;
+    // A leaver's last check is not owed a follow-up
+    if (r.employment_end_date && r.employment_end_date < today) continue;
+    const due = r.follow_up_date || r.expiry_date;
+    if (!inRange(due, range)) continue;
+    rows.push({ record: r, due, done: null, outcome: 'overdue', daysLate: daysBetween(due, today) });
+  }
+
+  const count = outcome => rows.filter(row => row.outcome === outcome).length;
+  return { onTime: count('on_time'), late: count('late'), overdue: count('overdue'), rows };
+}
+
+/**
+ * Number of checks each checker carried out, most first.
+ */
+function checkerVolumes(checks) {
+  const checkers = new Map();
+  for (const r of checks) {
+    const name = (r.checker_name || '').trim() || 'Not recorded';
+    if (!checkers.has(name)) checkers.set(name, { name, ...emptyMethodCounts(), total: 0 });
+    const row = checkers.get(name);
+    if (r.check_method in row) row[r.check_method]++;
+    row.total++;
+  }
+  return Array.from(checkers.values()).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+/**
+ * Permissions on current employees' latest checks that expire from today
+ * onwards, within each look-ahead window.
+ */
+function expiringPermissions(latest) {
+  const today = todayISO();
+  const horizon = addMonths(today, EXPIRY_WINDOWS[EXPIRY_WINDOWS.length - 1]);
+  const rows = latest
+    .filter(r => (!r.employment_end_date || r.employment_end_date >= today)
+      && r.expiry_date && r.expiry_date >= today && r.expiry_date <= horizon)
+    .map(r => ({ record: r, expiry: r.expiry_date }))
+    .sort((a, b) => (a.expiry < b.expiry ? -1 : 1));
+  const windows = EXPIRY_WINDOWS.map(months => {
+    const until = addMonths(today, months);
+    return { months, until, count: rows.filter(row => row.expiry <= until).length };
+  });
+  return { windows, rows };
+}
+
+/**
+ * Build every section of the compliance report.
+ * @param {Array} records - All rtw_records rows
+ * @param {Object} range - { from, to } as YYYY-MM-DD; either may be empty
+ * @returns {Object} { range, totalChecks, byMonth, onboarding, followUps, checkers, expiring }
+ */
+export function buildComplianceReport(records, range) {
+  const checks = records.filter(r => r.check_date && inRange(r.check_date, range));
+  const latest = latestChecksByPerson(records);
+  return {
+    range,
+    totalChecks: checks.length,
+    byMonth: checksByMonth(checks),
+    onboarding: onboardingTimes(checks),
+    followUps: followUpTimeliness(records, latest, range),
+    checkers: checkerVolumes(checks),
+    expiring: expiringPermissions(latest),
+  };
+}
@@ -2,6 +2,20 @@ import { getSupabase } from '../supabase-client.js';
 import { deleteRecord } from './records-service.js';
 import { deleteRecordScans } from './storage-service.js';
 import { getUser, getUserProfile } from './auth-service.js';
+import { addMonths } from '../utils/date-utils.js';
+
+/**
+ * Date a leaver's record is due for deletion: the retention period in the
+ * organisation settings after their employment ends. Mirrors
+ * apply_retention_period() in the schema.
+ * @param {string|null} employmentEndDate - YYYY-MM-DD
+ * @param {Object} settings - Organisation settings
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function calculateDeletionDueDate(employmentEndDate, settings) {
+  if (!employmentEndDate) return null;
+  return addMonths(employmentEndDate, settings.retention_years * 12);
+}
 
 /**
  * Fetch all deleted records (managers only — RLS enforced).
@@ -22,6 +36,7 @@ export async function fetchDeletedRecords() {
 export async function logRecordDeletion(record, userId, userEmail) {
   const entry = {
     original_record_id: record.id,
+    site_id: record.site_id,
     person_name: record.person_name,
     employment_start_date: record.check_date || null,
     employment_end_date: record.employment_end_date || null,
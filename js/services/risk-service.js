@@ -0,0 +1,133 @@
+import { calculateStatus, STATUS_LABELS } from './status-service.js';
+import { fetchDocumentScansForRecords } from './storage-service.js';
+import { fetchChecklists, fetchCurrentChecklist } from './checklist-service.js';
+import { fetchAllSettings, getSettingsForRecord } from './settings-service.js';
+import { checkDocumentRules } from '../utils/document-rules.js';
+import { getChecklistQuestions } from '../utils/document-labels.js';
+import { daysUntil, todayISO } from '../utils/date-utils.js';
+
+/**
+ * Civil penalty risk: how likely each check is to fail to give a statutory
+ * excuse in a Home Office audit, scored 0 (no concerns) to 100. The score is
+ * the sum of the points for each factor found, capped at 100.
+ */
+
+// Points for the status of the check
+const STATUS_POINTS = {
+  escalated: 60,
+  expired: 50,
+  follow_up_overdue: 40,
+  pending_onboarding: 30,
+  follow_up_due: 10,
+  student_terms_due: 10,
+};
+
+const POINTS = {
+  noScans: 40,           // Step 3 (copy) not evidenced
+  documentRule: 30,      // per acceptable-document rule failed
+  answerNo: 15,          // per Step 2 question answered No
+  answerMissing: 10,     // per Step 2 question not answered
+  answerNotApplicable: 3,
+  overdueWeek: 2,        // per week a follow-up is overdue, on top of the status
+  overdueWeeksMax: 20,
+};
+
+export const RISK_LEVELS = {
+  high: { label: 'High', min: 50, badge: 'badge-expired' },
+  medium: { label: 'Medium', min: 20, badge: 'badge-follow-up-due' },
+  low: { label: 'Low', min: 0, badge: 'badge-valid' },
+};
+
+/**
+ * The rtw_records columns scoreOrganisation() and the risk panel read, so
+ * scoring does not fetch dates of birth or other personal details.
+ */
+export const RISK_COLUMNS = [
+  'id', 'person_name', 'site_id', 'status', 'check_date', 'check_method', 'checklist_version',
+  'documents_checked', 'expiry_date', 'follow_up_date', 'deletion_due_date', 'onboarding_id',
+  'student_term_dates', 'student_vacation_dates', 'verification_answers', 'employment_end_date',
+].join(',');
+
+export function riskLevel(score) {
+  return Object.keys(RISK_LEVELS).find(level => score >= RISK_LEVELS[level].min);
+}
+
+/**
+ * Score one check.
+ * @param {Object} record - rtw_records row
+ * @param {Array} scans - The record's rtw_document_scans rows
+ * @param {Object} checklist - The checklist version it was completed against
+ * @param {Object} [settings] - Organisation settings holding the warning windows
+ * @returns {{ score: number, level: string, factors: Array<{ label: string, points: number }> }}
+ */
+export function scoreRecord(record, scans, checklist, settings) {
+  const factors = [];
+  const add = (label, points) => factors.push({ label, points });
+  const status = calculateStatus(record, settings);
+
+  if (STATUS_POINTS[status]) add(STATUS_LABELS[status], STATUS_POINTS[status]);
+
+  if (status === 'follow_up_overdue' && record.follow_up_date) {
+    const days = -daysUntil(record.follow_up_date);
+    const points = Math.min(POINTS.overdueWeeksMax, Math.floor(days / 7) * POINTS.overdueWeek);
+    if (points > 0) add(`Follow-up ${days} days overdue`, points);
+  }
+
+  // Nothing below applies until the check has been carried out
+  if (record.check_date) {
+    if (!scans.length) add('No document scans', POINTS.noScans);
+
+    for (const error of checkDocumentRules(record, checklist).errors) {
+      add(error, POINTS.documentRule);
+    }
+
+    const answers = record.verification_answers || {};
+    getChecklistQuestions(checklist).forEach((q, i) => {
+      const label = `Question ${i + 1} (${q.short || q.text})`;
+      if (answers[q.key] === 'No') add(`${label} answered No`, POINTS.answerNo);
+      else if (answers[q.key] === 'N/A') add(`${label} answered N/A`, POINTS.answerNotApplicable);
+      else if (!answers[q.key]) add(`${label} not answered`, POINTS.answerMissing);
+    });
+  }
+
+  const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+  factors.sort((a, b) => b.points - a.points);
+  return { score, level: riskLevel(score), factors };
+}
+
+/**
+ * Score the current check of everyone still employed.
+ * @param {Array} records - Latest check per person, with at least RISK_COLUMNS
+ * @returns {Promise<Object>} { score, level, counts: { high, medium, low },
+ *   results: [{ record, score, level, factors }] highest risk first }
+ */
+export async function scoreOrganisation(records) {
+  const today = todayISO();
+  const current = records.filter(r => !r.employment_end_date || r.employment_end_date >= today);
+  const [scansByRecord, checklists, currentChecklist, settingsBySite] = await Promise.all([
+    fetchDocumentScansForRecords(current.map(r => r.id)),
+    fetchChecklists(),
+    fetchCurrentChecklist(),
+    fetchAllSettings(),
+  ]);
+
+  const results = current.map(record => ({
+    record,
+    ...scoreRecord(
+      record,
+      scansByRecord.get(record.id) || [],
+      checklists.get(record.checklist_version) || currentChecklist,
+      getSettingsForRecord(settingsBySite, record),
+    ),
+  }));
+  results.sort((a, b) => b.score - a.score);
+
+  const counts = { high: 0, medium: 0, low: 0 };
+  results.forEach(r => { counts[r.level]++; });
+  // The organisation is as exposed as its average check
+  const score = results.length
+    ? Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length)
+    : 0;
+
+  return { score, level: riskLevel(score), counts, results };
+}
@@ -0,0 +1,100 @@
+import { getSupabase } from '../supabase-client.js';
+
+/**
+ * Organisation settings: one row per site in organisation_settings, which
+ * managers edit on the Settings page. Fetched once per page load, like the
+ * checklists. See Sections 32 and 34 of supabase-auth-setup.sql.
+ */
+
+// Used until the row has loaded, and for any value it does not hold
+export const DEFAULT_SETTINGS = {
+  follow_up_warning_days: 28,
+  expiry_warning_days: 28,
+  urgent_warning_days: 7,
+  retention_years: 2,
+  company_name: 'ImmersiveCore',
+  logo_data_url: null,
+  drive_subfolder: 'Right to Work',
+  declaration_text: 'I confirm that I have carried out the right to work check in compliance with '
+    + 'Home Office instructions and believe a valid statutory excuse is established.',
+};
+
+let settingsPromise = null;
+
+/**
+ * The retention period for display, e.g. "2 years".
+ */
+export function formatRetentionPeriod(settings) {
+  return `${settings.retention_years} year${settings.retention_years === 1 ? '' : 's'}`;
+}
+
+/**
+ * The declaration wording for a record: the wording it was confirmed with, or
+ * today's wording if it has not been confirmed. Records confirmed before the
+ * wording was stored with them used the default.
+ * @param {Object|null} record - rtw_records row, or null for a new check
+ * @param {Object} settings - Organisation settings
+ */
+export function getDeclarationText(record, settings) {
+  if (record && record.declaration_confirmed) {
+    return record.declaration_text || DEFAULT_SETTINGS.declaration_text;
+  }
+  return settings.declaration_text;
+}
+
+/**
+ * The settings of every site the user works at.
+ * @returns {Promise<Map<string, Object>>} site id -> settings, with defaults filled in
+ */
+export function fetchAllSettings() {
+  if (!settingsPromise) {
+    settingsPromise = (async () => {
+      const { data, error } = await getSupabase()
+        .from('organisation_settings')
+        .select('*');
+      if (error) throw new Error('Failed to fetch settings: ' + error.message);
+      return new Map((data || []).map(row => [row.site_id, { ...DEFAULT_SETTINGS, ...row }]));
+    })().catch((err) => {
+      settingsPromise = null;
+      throw err;
+    });
+  }
+  return settingsPromise;
+}
+
+/**
+ * The settings of one site, or the defaults for a site the user cannot see.
+ * @param {string} siteId
+ * @returns {Promise<Object>}
+ */
+export async function fetchSettings(siteId) {
+  return (await fetchAllSettings()).get(siteId) || { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * The settings that apply to a record: those of its site.
+ * @param {Map<string, Object>} settingsBySite - From fetchAllSettings()
+ */
+export function getSettingsForRecord(settingsBySite, record) {
+  return settingsBySite.get(record.site_id) || DEFAULT_SETTINGS;
+}
+
+/**
+ * Save changes to a site's settings (its managers only — RLS enforced).
+ * @param {string} siteId
+ * @param {Object} updates - Columns to change
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function updateSettings(siteId, updates) {
+  const { data, error } = await getSupabase()
+    .from('organisation_settings')
+    .update(updates)
+    .eq('site_id', siteId)
+    .select()
+    .single();
+  if (error) throw new Error('Failed to save settings: ' + error.message);
+  const settings = { ...DEFAULT_SETTINGS, ...data };
+  const settingsBySite = await fetchAllSettings().catch(() => new Map());
+  settingsPromise = Promise.resolve(new Map(settingsBySite).set(siteId, settings));
+  return settings;
+}
@@ -0,0 +1,101 @@
+import { getSupabase } from '../supabase-client.js';
+
+/**
+ * Sites: the venues and legal entities records belong to. RLS returns the
+ * sites the user works at, or every site for a group manager. The site chosen
+ * in the nav switcher is remembered in this browser. See Section 34 of
+ * supabase-auth-setup.sql.
+ */
+
+const CURRENT_SITE_KEY = 'rtw_current_site';
+
+let sitesPromise = null;
+
+/**
+ * @returns {Promise<Array>} The user's sites, by name
+ */
+export function fetchSites() {
+  if (!sitesPromise) {
+    sitesPromise = (async () => {
+      const { data, error } = await getSupabase()
+        .from('sites')
+        .select('*')
+        .order('name');
+      if (error) throw new Error('Failed to fetch sites: ' + error.message);
+      return data || [];
+    })().catch((err) => {
+      sitesPromise = null;
+      throw err;
+    });
+  }
+  return sitesPromise;
+}
+
+/**
+ * Forget the cached sites (call on auth state changes).
+ */
+export function clearSitesCache() {
+  sitesPromise = null;
+}
+
+/**
+ * The site chosen in the nav switcher, or '' for all sites. A user with one
+ * site is always at that site.
+ * @returns {Promise<string>}
+ */
+export async function getCurrentSiteId() {
+  const sites = await fetchSites();
+  if (sites.length === 1) return sites[0].id;
+  const stored = localStorage.getItem(CURRENT_SITE_KEY);
+  return sites.some(s => s.id === stored) ? stored : '';
+}
+
+/**
+ * @param {string} siteId - A site id, or '' for all sites
+ */
+export function setCurrentSiteId(siteId) {
+  if (siteId) {
+    localStorage.setItem(CURRENT_SITE_KEY, siteId);
+  } else {
+    localStorage.removeItem(CURRENT_SITE_KEY);
+  }
+}
+
+/**
+ * The name of a site, for display.
+ */
+export function getSiteName(sites, siteId) {
+  const site = sites.find(s => s.id === siteId);
+  return site ? site.name : '';
+}
+
+/**
+ * Add a site (group managers only — RLS enforced). Its settings start from
+ * the defaults.
+ * @param {Object} site - { name, gdrive_root_folder_id }
+ */
+export async function createSite(site) {
+  const { data, error } = await getSupabase()
+    .from('sites')
+    .insert([site])
+    .select()
+    .single();
+  if (error) throw new Error('Failed to add site: ' + error.message);
+  sitesPromise = null;
+  return data;
+}
+
+/**
+ * Rename a site or change its Drive folder (group managers only — RLS enforced).
+ */
+export async function updateSite(siteId, updates) {
+  const { data, error } = await getSupabase()
+    .from('sites')
+    .update(updates)
+    .eq('id', siteId)
+    .select()
+    .single();
+  if (error) throw new Error('Failed to save site: ' + error.message);
+  sitesPromise = null;
+  return data;
+}
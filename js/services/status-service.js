@@ -1,8 +1,24 @@
-import { batchUpdateStatuses } from './records-service.js';
+import { addMonths } from '../utils/date-utils.js';
+import { isEscalated } from '../utils/verification-rules.js';
+import { DEFAULT_SETTINGS } from './settings-service.js';
 
-export function calculateStatus(record) {
-  const today = new Date();
+/**
+ * Status of a check as of today. The stored rtw_records.status is set by the
+ * database with the same rules (compute_rtw_status() in the schema, refreshed
+ * nightly); keep the two in step, and run tests/status-fixtures.js and
+ * tests/status-fixtures.sql after changing either. Used here for live display
+ * and analytics.
+ * @param {Object} record - rtw_records row
+ * @param {Object} [settings] - Organisation settings holding the warning windows
+ * @param {string} [asOf] - Day to judge the record on (YYYY-MM-DD); today if omitted
+ */
+export function calculateStatus(record, settings = DEFAULT_SETTINGS, asOf = null) {
+  const today = asOf ? new Date(asOf + 'T00:00:00') : new Date();
   today.setHours(0, 0, 0, 0);
+  const followUpWarningDate = new Date(today);
+  followUpWarningDate.setDate(followUpWarningDate.getDate() + settings.follow_up_warning_days);
+  const expiryWarningDate = new Date(today);
+  expiryWarningDate.setDate(expiryWarningDate.getDate() + settings.expiry_warning_days);
 
   // Check if record came from onboarding and hasn't been checked yet
   if (record.onboarding_id && !record.check_date) {
@@ -17,6 +33,11 @@ export function calculateStatus(record) {
     }
   }
 
+  // A Step 2 answer meant no statutory excuse: referred to a manager
+  if (isEscalated(record)) {
+    return 'escalated';
+  }
+
   // Check if expiry date has passed
   if (record.expiry_date) {
     const expiry = new Date(record.expiry_date + 'T00:00:00');
@@ -31,42 +52,126 @@ export function calculateStatus(record) {
     if (followUp < today) {
       return 'follow_up_overdue';
     }
-    // Check if follow-up is due within 28 days
-    const warningDate = new Date(today);
-    warningDate.setDate(warningDate.getDate() + 28);
-    if (followUp <= warningDate) {
+    // Check if follow-up is due within the warning window
+    if (followUp <= followUpWarningDate) {
       return 'follow_up_due';
     }
   }
 
-  // Check if expiry is approaching within 28 days
+  // Check if expiry is approaching within the warning window
   if (record.expiry_date) {
     const expiry = new Date(record.expiry_date + 'T00:00:00');
-    const warningDate = new Date(today);
-    warningDate.setDate(warningDate.getDate() + 28);
-    if (expiry <= warningDate) {
+    if (expiry <= expiryWarningDate) {
       return 'follow_up_due';
     }
   }
 
+  // Check if a student's recorded term/vacation dates lapse within the follow-up window
+  const studentEvidenceEnd = getStudentEvidenceEnd(record);
+  if (studentEvidenceEnd) {
+    const evidenceEnd = new Date(studentEvidenceEnd + 'T00:00:00');
+    if (evidenceEnd <= followUpWarningDate) {
+      return 'student_terms_due';
+    }
+  }
+
   return 'valid';
 }
 
-export async function refreshStatuses(records) {
-  const updates = [];
-  for (const record of records) {
-    const newStatus = calculateStatus(record);
-    if (newStatus !== record.status) {
-      record.status = newStatus;
-      updates.push({ id: record.id, status: newStatus });
+/**
+ * Latest end date across a student's recorded term and vacation dates,
+ * or null if no term dates are held for the record.
+ */
+export function getStudentEvidenceEnd(record) {
+  const terms = Array.isArray(record.student_term_dates) ? record.student_term_dates : [];
+  if (terms.length === 0) return null;
+  const vacations = Array.isArray(record.student_vacation_dates) ? record.student_vacation_dates : [];
+  const ends = [...terms, ...vacations].map(r => r && r.end).filter(Boolean).sort();
+  return ends.length > 0 ? ends[ends.length - 1] : null;
+}
+
+/**
+ * Work out the statutory follow-up due date from the check method and the
+ * documents ticked, following Home Office guidance:
+ *
+ * - List A, or an IDVT check of a British/Irish passport: continuous excuse, no follow-up.
+ * - List B Group 1: follow-up due before the permission expires.
+ * - List B Group 2 (Positive Verification Notice): follow-up due six months after the check.
+ * - Online check: follow-up due when the permission shown on the result expires.
+ *
+ * @param {Object} record - Needs check_method, documents_checked, check_date, expiry_date
+ * @returns {{ rule: string, description: string, followUpDate: string|null, expiryRequired: boolean }}
+ */
+export function calculateFollowUp(record) {
+  const docs = Array.isArray(record.documents_checked) ? record.documents_checked : [];
+  const method = record.check_method || 'manual';
+
+  if (method === 'idsp') {
+    return {
+      rule: 'continuous',
+      description: 'IDVT check of a British or Irish passport \u2013 no follow-up check required.',
+      followUpDate: null,
+      expiryRequired: false,
+    };
+  }
+
+  if (method === 'online') {
+    if (!record.expiry_date) {
+      return {
+        rule: 'online',
+        description: 'Online check \u2013 enter the expiry date shown on the share code result, or leave blank if permission is indefinite.',
+        followUpDate: null,
+        expiryRequired: false,
+      };
     }
+    return {
+      rule: 'online',
+      description: 'Online check \u2013 follow-up due when the permission on the share code result expires.',
+      followUpDate: record.expiry_date,
+      expiryRequired: false,
+    };
+  }
+
+  if (docs.some(id => id.startsWith('listA'))) {
+    return {
+      rule: 'continuous',
+      description: 'List A document \u2013 continuous statutory excuse, no follow-up check required.',
+      followUpDate: null,
+      expiryRequired: false,
+    };
+  }
+
+  if (docs.some(id => id.startsWith('listB1_'))) {
+    return {
+      rule: 'list_b1',
+      description: record.expiry_date
+        ? 'List B Group 1 \u2013 follow-up due before the permission expires.'
+        : 'List B Group 1 \u2013 enter the permission expiry date to work out the follow-up date.',
+      followUpDate: record.expiry_date || null,
+      expiryRequired: true,
+    };
   }
-  if (updates.length > 0) {
-    await batchUpdateStatuses(updates);
+
+  if (docs.some(id => id.startsWith('listB2_'))) {
+    return {
+      rule: 'list_b2',
+      description: 'List B Group 2 / Positive Verification Notice \u2013 follow-up due six months after the check.',
+      followUpDate: record.check_date ? addMonths(record.check_date, 6) : null,
+      expiryRequired: false,
+    };
   }
-  return records;
+
+  return {
+    rule: 'unknown',
+    description: 'Select the documents checked to work out the follow-up date.',
+    followUpDate: null,
+    expiryRequired: false,
+  };
 }
 
+// Statuses where a follow-up check should be started for the person
+export const FOLLOW_UP_STATUSES = ['follow_up_due', 'follow_up_overdue', 'expired', 'student_terms_due'];
+
 export const STATUS_LABELS = {
   valid: 'Valid',
   follow_up_due: 'Follow-up due',
@@ -74,6 +179,8 @@ export const STATUS_LABELS = {
   follow_up_overdue: 'Overdue',
   pending_deletion: 'Pending deletion',
   pending_onboarding: 'Pending onboarding',
+  student_terms_due: 'Term dates due',
+  escalated: 'Referred to manager',
 };
 
 export const STATUS_CLASSES = {
@@ -83,4 +190,6 @@ export const STATUS_CLASSES = {
   follow_up_overdue: 'badge-overdue',
   pending_deletion: 'badge-pending-deletion',
   pending_onboarding: 'badge-pending-onboarding',
+  student_terms_due: 'badge-student-terms-due',
+  escalated: 'badge-escalated',
 };
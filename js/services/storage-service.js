@@ -3,15 +3,72 @@ import { getSupabase } from '../supabase-client.js';
 const BUCKET = 'document-scans';
 
 export async function uploadDocumentScan(recordId, file) {
-  const path = `${recordId}/${file.name}`;
+  // Timestamp prefix keeps every upload distinct; stored scans are never overwritten
+  const path = `${recordId}/${Date.now()}_${file.name}`;
   const { error } = await getSupabase()
     .storage
     .from(BUCKET)
-    .upload(path, file, { upsert: true });
+    .upload(path, file, { upsert: false });
   if (error) throw new Error('Failed to upload document scan: ' + error.message);
   return path;
 }
 
+/**
+ * Upload a scan and record which document it shows.
+ * @param {string} recordId
+ * @param {File} file
+ * @param {string} documentId - Checklist document id, 'other' or 'idsp_result'
+ * @returns {Promise<Object>} The rtw_document_scans row
+ */
+export async function addDocumentScan(recordId, file, documentId) {
+  const path = await uploadDocumentScan(recordId, file);
+  const { data, error } = await getSupabase()
+    .from('rtw_document_scans')
+    .insert([{ record_id: recordId, document_id: documentId, storage_path: path, filename: file.name }])
+    .select()
+    .single();
+  if (error) {
+    await deleteDocumentScan(path).catch(() => {});
+    throw new Error('Failed to save document scan: ' + error.message);
+  }
+  return data;
+}
+
+/**
+ * Fetch the scans recorded against a record, in upload order.
+ */
+export async function fetchDocumentScans(recordId) {
+  const { data, error } = await getSupabase()
+    .from('rtw_document_scans')
+    .select('*')
+    .eq('record_id', recordId)
+    .order('created_at', { ascending: true });
+  if (error) throw new Error('Failed to fetch document scans: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Fetch scans for many records at once, grouped by record ID.
+ * @returns {Promise<Map<string, Array>>}
+ */
+export async function fetchDocumentScansForRecords(recordIds) {
+  const byRecord = new Map();
+  // Chunked to keep the request URL short for large exports
+  for (let i = 0; i < recordIds.length; i += 100) {
+    const { data, error } = await getSupabase()
+      .from('rtw_document_scans')
+      .select('*')
+      .in('record_id', recordIds.slice(i, i + 100))
+      .order('created_at', { ascending: true });
+    if (error) throw new Error('Failed to fetch document scans: ' + error.message);
+    for (const scan of data || []) {
+      if (!byRecord.has(scan.record_id)) byRecord.set(scan.record_id, []);
+      byRecord.get(scan.record_id).push(scan);
+    }
+  }
+  return byRecord;
+}
+
 export async function getDocumentScanUrl(scanPath) {
   if (!scanPath) return null;
   const { data, error } = await getSupabase()
@@ -3,9 +3,10 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../../config.js';
 
 /**
  * Create a new user via the create-user Edge Function.
- * Only callable by managers.
+ * Only callable by managers, and only at their own sites.
+ * @param {Object} user - { email, full_name, role, password, site_ids }
  */
-export async function createUser({ email, full_name, role, password }) {
+export async function createUser({ email, full_name, role, password, site_ids }) {
   const sb = getSupabase();
   const { data: { session } } = await sb.auth.getSession();
 
@@ -18,7 +19,7 @@ export async function createUser({ email, full_name, role, password }) {
       'Authorization': `Bearer ${session.access_token}`,
       'apikey': SUPABASE_ANON_KEY,
     },
-    body: JSON.stringify({ email, full_name, role, password }),
+    body: JSON.stringify({ email, full_name, role, password, site_ids }),
   });
 
   const body = await res.json();
@@ -50,6 +51,32 @@ export async function updateUserRole(userId, role) {
   return body;
 }
 
+/**
+ * Set the sites a user works at via the manage-user Edge Function.
+ * Only callable by managers, and only with their own sites.
+ * @param {string} userId
+ * @param {string[]} siteIds - At least one site
+ */
+export async function updateUserSites(userId, siteIds) {
+  const sb = getSupabase();
+  const { data: { session } } = await sb.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const res = await fetch(`${SUPABASE_URL}/functions/v1/manage-user`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      'apikey': SUPABASE_ANON_KEY,
+    },
+    body: JSON.stringify({ action: 'update_sites', user_id: userId, site_ids: siteIds }),
+  });
+
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || 'Failed to update user sites');
+  return body;
+}
+
 /**
  * Delete a user via the manage-user Edge Function.
  * Only callable by managers. Cannot delete own account.
@@ -75,15 +102,30 @@ export async function deleteUser(userId) {
 }
 
 /**
- * Fetch all user profiles (managers only — RLS enforced).
+ * Fetch all user profiles with their sites (roles that manage users only —
+ * RLS enforced, so they see the users at their sites).
  */
 export async function fetchAllProfiles() {
   const sb = getSupabase();
   const { data, error } = await sb
     .from('profiles')
-    .select('*')
+    .select('*, profile_sites(site_id)')
     .order('created_at', { ascending: true });
 
   if (error) throw error;
   return data;
 }
+
+/**
+ * The roles a user can be given, for role pickers. What each role may do is
+ * in role_capabilities (Section 35 of supabase-auth-setup.sql).
+ */
+export async function fetchRoles() {
+  const { data, error } = await getSupabase()
+    .from('roles')
+    .select('role, label, description')
+    .order('label');
+
+  if (error) throw new Error('Failed to fetch roles: ' + error.message);
+  return data || [];
+}
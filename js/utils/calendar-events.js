@@ -0,0 +1,95 @@
+import { latestChecksByPerson } from '../services/people-service.js';
+import { addDays } from './date-utils.js';
+
+/**
+ * Dated events for the calendar view and the .ics export. Keep in step with
+ * supabase/functions/calendar-feed, which builds the subscribable feed.
+ */
+
+export const APP_URL = 'https://rtw.immersivecore.network';
+
+export const EVENT_KINDS = {
+  follow_up: { label: 'Follow-up check due', className: 'cal-follow-up' },
+  expiry: { label: 'Permission expires', className: 'cal-expiry' },
+  deletion: { label: 'Record deletion due', className: 'cal-deletion' },
+};
+
+/**
+ * Events for the records the user can see (RLS already limits staff to their
+ * own). Follow-up and expiry dates come from each person's latest check only,
+ * as a newer check replaces them; every record has its own deletion date.
+ * @param {Array} records - rtw_records rows
+ * @returns {Array} [{ uid, date, kind, title, recordId, personName }] by date
+ */
+export function buildCalendarEvents(records) {
+  const events = [];
+  const add = (record, kind, date) => events.push({
+    uid: `${record.id}-${kind}@rtw.immersivecore.network`,
+    date,
+    kind,
+    title: `${EVENT_KINDS[kind].label}: ${record.person_name || 'Unknown'}`,
+    recordId: record.id,
+    personName: record.person_name || '',
+  });
+
+  for (const record of latestChecksByPerson(records)) {
+    if (record.employment_end_date) continue;
+    if (record.follow_up_date) add(record, 'follow_up', record.follow_up_date);
+    if (record.expiry_date) add(record, 'expiry', record.expiry_date);
+  }
+  for (const record of records) {
+    if (record.deletion_due_date) add(record, 'deletion', record.deletion_due_date);
+  }
+
+  return events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// RFC 5545: escape text values and fold lines longer than 75 octets
+function icsText(str) {
+  return String(str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 74) {
+    parts.push(rest.slice(0, 74));
+    rest = ' ' + rest.slice(74);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+/**
+ * An iCalendar file with one all-day event per calendar event.
+ * @param {Array} events - From buildCalendarEvents()
+ * @returns {string}
+ */
+export function buildICalendar(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ImmersiveCore//RTW Checker//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Right to work dates',
+  ];
+  for (const event of events) {
+    const url = `${APP_URL}/#/record/${event.recordId}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(event.date, 1).replace(/-/g, '')}`,
+      `SUMMARY:${icsText(event.title)}`,
+      `DESCRIPTION:${icsText(`${event.title}\nOpen the record: ${url}`)}`,
+      `URL:${url}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -21,3 +21,42 @@ export function daysUntil(dateStr) {
   today.setHours(0, 0, 0, 0);
   return Math.ceil((target - today) / (1000 * 60 * 60 * 24));
 }
+
+/**
+ * Format a Date as YYYY-MM-DD using local date parts (avoids UTC day shifts).
+ */
+export function toISODate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+export function addDays(dateStr, days) {
+  if (!dateStr) return null;
+  const d = new Date(dateStr + 'T00:00:00');
+  d.setDate(d.getDate() + days);
+  return toISODate(d);
+}
+
+export function addMonths(dateStr, months) {
+  if (!dateStr) return null;
+  const d = new Date(dateStr + 'T00:00:00');
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // Clamp to the last day of the target month (e.g. 31 Aug + 6 months = 28/29 Feb)
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return toISODate(d);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (negative if "to" is earlier).
+ */
+export function daysBetween(fromStr, toStr) {
+  if (!fromStr || !toStr) return null;
+  const from = new Date(fromStr + 'T00:00:00');
+  const to = new Date(toStr + 'T00:00:00');
+  return Math.round((to - from) / (1000 * 60 * 60 * 24));
+}
@@ -1,41 +1,55 @@
-export const DOCUMENT_LABELS = {
-  // List A - Continuous right to work
-  listA1: 'List A #1 \u2013 British/UK passport',
-  listA2: 'List A #2 \u2013 Irish passport/passport card',
-  listA3: 'List A #3 \u2013 Crown Dependency EU document',
-  listA4: 'List A #4 \u2013 Passport (exempt/indefinite leave)',
-  listA5: 'List A #5 \u2013 Immigration Status Document + NI',
-  listA6: 'List A #6 \u2013 UK birth/adoption cert + NI',
-  listA7: 'List A #7 \u2013 CI/IoM/Ireland birth/adoption cert + NI',
-  listA8: 'List A #8 \u2013 Registration/naturalisation cert + NI',
-  // List B Group 1 - Temporary right to work
-  listB1_1: 'List B Grp 1 #1 \u2013 Endorsed passport (temp)',
-  listB1_2: 'List B Grp 1 #2 \u2013 Crown Dependency limited leave',
-  listB1_3: 'List B Grp 1 #3 \u2013 ISD with photograph + NI',
-  // List B Group 2 - Pending applications
-  listB2_1: 'List B Grp 2 #1 \u2013 EUSS app pre-30 Jun 2021 + PVN',
-  listB2_2: 'List B Grp 2 #2 \u2013 CoA (non-digital) post-1 Jul 2021 + PVN',
-  listB2_3: 'List B Grp 2 #3 \u2013 Crown Dependency Appendix EU + PVN',
-  listB2_4: 'List B Grp 2 #4 \u2013 ARC + PVN',
-  listB2_5: 'List B Grp 2 #5 \u2013 Positive Verification Notice',
-  // IDSP
-  idsp1: 'British passport (IDVT)',
-  idsp2: 'Irish passport (IDVT)',
-  idsp3: 'Irish passport card (IDVT)',
-  // Online
-  onlineConfirm: 'Online check confirms right to work',
-  onlinePhoto: 'Photograph verified (in person/video)',
-  onlineStudent: 'Student term/vacation dates obtained',
-  onlineRetain: 'Profile page evidence retained',
-};
+/**
+ * Labels for documents and Step 2 questions, read from a checklist version
+ * (see checklist-service.js). Pass the version the record was completed
+ * against so older records keep the wording they were checked with.
+ */
+
+/**
+ * Every document in a checklist, in form order.
+ * @param {Object} checklist - checklist_versions row
+ * @returns {Array} [{ id, text, label, method, group }]
+ */
+export function getChecklistDocuments(checklist) {
+  const methods = (checklist && checklist.definition && checklist.definition.methods) || {};
+  const docs = [];
+  for (const [method, { groups = [] }] of Object.entries(methods)) {
+    for (const group of groups) {
+      for (const doc of group.documents || []) {
+        docs.push({ ...doc, method, group: group.title || null });
+      }
+    }
+  }
+  return docs;
+}
+
+/**
+ * Step 2 questions in a checklist: [{ key, text, short }].
+ */
+export function getChecklistQuestions(checklist) {
+  return (checklist && checklist.definition && checklist.definition.questions) || [];
+}
 
-export function getDocumentLabel(id) {
-  return DOCUMENT_LABELS[id] || id;
+export function getDocumentLabel(id, checklist) {
+  const doc = getChecklistDocuments(checklist).find(d => d.id === id);
+  return doc ? doc.label : id;
 }
 
-export function getDocumentLabels(ids) {
+export function getDocumentLabels(ids, checklist) {
   if (!Array.isArray(ids)) return [];
-  return ids.map(id => DOCUMENT_LABELS[id] || id);
+  const docs = getChecklistDocuments(checklist);
+  return ids.map(id => (docs.find(d => d.id === id) || { label: id }).label);
+}
+
+/**
+ * Label for the document a scan shows. Scans are tagged with a checklist
+ * document id, 'other' for supporting evidence, 'idsp_result' for a provider's
+ * IDVT result, or nothing for pre-tagging uploads.
+ */
+export function getScanDocumentLabel(id, checklist) {
+  if (!id) return 'Document scan';
+  if (id === 'other') return 'Other supporting document';
+  if (id === 'idsp_result') return 'IDSP check result';
+  return getDocumentLabel(id, checklist);
 }
 
 export const METHOD_LABELS = {
@@ -43,12 +57,3 @@ export const METHOD_LABELS = {
   idsp: 'IDVT Check using an IDSP',
   online: 'Home Office Online Right to Work Check',
 };
-
-export const STEP2_QUESTIONS = [
-  { key: 'q1', text: 'Are photographs consistent across documents and with the person presenting themselves for work?' },
-  { key: 'q2', text: 'Are dates of birth correct and consistent across documents?' },
-  { key: 'q3', text: 'Are expiry dates for time-limited permission to be in the UK in the future, i.e. they have not passed (if applicable)?' },
-  { key: 'q4', text: 'Have you checked work restrictions to determine if the person is able to work for you and do the type of work you are offering?' },
-  { key: 'q5', text: 'Have you taken all reasonable steps to check that the document is genuine, has not been tampered with and belongs to the holder?' },
-  { key: 'q6', text: 'Have you checked the reasons for any different names across documents (e.g. marriage certificate, divorce decree, deed poll)?' },
-];
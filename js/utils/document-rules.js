@@ -0,0 +1,113 @@
+import { addMonths, formatDateUK } from './date-utils.js';
+import { getChecklistDocuments } from './document-labels.js';
+
+/**
+ * Home Office acceptable-document rules: which combinations of ticked
+ * documents establish a statutory excuse, and the dates each list needs.
+ *
+ * Documents describe themselves in the checklist version (Section 27 of
+ * supabase-auth-setup.sql):
+ *   list      'A', 'B1' or 'B2', or null for supporting documents
+ *   requires  [document id] that must be ticked alongside, e.g. NI evidence
+ *   required  must always be ticked for its method
+ * Versions from before these were added are read by document id.
+ */
+
+export const LIST_LABELS = {
+  A: 'List A',
+  B1: 'List B Group 1',
+  B2: 'List B Group 2',
+};
+
+// Checklist versions without "list" on their documents
+const LIST_PREFIXES = [['listA', 'A'], ['listB1_', 'B1'], ['listB2_', 'B2']];
+
+// Order the follow-up rules in calculateFollowUp() take lists in
+const LIST_PRIORITY = ['A', 'B1', 'B2'];
+
+function getDocumentList(doc) {
+  if (doc.list !== undefined) return doc.list;
+  const match = LIST_PREFIXES.find(([prefix]) => doc.id.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+/**
+ * Check the documents ticked on a record, and its expiry and follow-up
+ * dates, against the acceptable-document rules of its checklist version.
+ * @param {Object} record - Needs check_method, documents_checked, check_date,
+ *   expiry_date and follow_up_date
+ * @param {Object} checklist - The version the record is completed against
+ * @returns {{ errors: string[], warnings: string[] }} Errors mean no statutory
+ *   excuse is established; warnings need the checker to confirm
+ */
+export function checkDocumentRules(record, checklist) {
+  const errors = [];
+  const warnings = [];
+  const method = record.check_method || 'manual';
+  const ticked = new Set(Array.isArray(record.documents_checked) ? record.documents_checked : []);
+  const docs = getChecklistDocuments(checklist).filter(d => d.method === method);
+  const chosen = docs.filter(d => ticked.has(d.id));
+  const labelOf = id => (docs.find(d => d.id === id) || { label: id }).label;
+
+  for (const doc of docs) {
+    if (doc.required && !ticked.has(doc.id)) {
+      errors.push(`Confirm "${doc.label}" – it is needed for this type of check.`);
+    }
+  }
+
+  for (const doc of chosen) {
+    const missing = (doc.requires || []).filter(id => !ticked.has(id));
+    if (missing.length) {
+      errors.push(`${doc.label} is only acceptable together with: ${missing.map(labelOf).join(', ')}.`);
+    }
+  }
+
+  if (method === 'idsp' && chosen.length === 0) {
+    errors.push('Tick the document verified by the IDVT check.');
+  }
+
+  if (method !== 'manual') return { errors, warnings };
+
+  const lists = LIST_PRIORITY.filter(list => chosen.some(d => getDocumentList(d) === list));
+  if (lists.length === 0) {
+    errors.push('Tick the List A or List B document the person showed. A manual check needs at least one.');
+    return { errors, warnings };
+  }
+  if (lists.length > 1) {
+    warnings.push(`Documents from ${lists.map(l => LIST_LABELS[l]).join(' and ')} are ticked together. `
+      + `The follow-up date is worked out from ${LIST_LABELS[lists[0]]}; check this is the list that gives the excuse.`);
+  }
+
+  const { check_date: checkDate, expiry_date: expiry, follow_up_date: followUp } = record;
+  switch (lists[0]) {
+    case 'A':
+      if (expiry) {
+        warnings.push('List A documents give a continuous right to work, but a permission expiry date is entered. '
+          + 'The record will show as expired on that date.');
+      }
+      break;
+    case 'B1':
+      if (!expiry) {
+        errors.push('List B Group 1 documents give a time-limited right to work. Enter the date the permission expires.');
+      } else if (checkDate && expiry < checkDate) {
+        errors.push('The permission had expired before the date of check, so List B Group 1 documents do not give an excuse.');
+      }
+      if (!followUp) {
+        errors.push('List B Group 1 needs a follow-up check before the permission expires. Enter the follow-up date.');
+      } else if (expiry && followUp > expiry) {
+        errors.push('The follow-up check must be due on or before the permission expires for List B Group 1.');
+      }
+      break;
+    case 'B2': {
+      const limit = checkDate ? addMonths(checkDate, 6) : null;
+      if (!followUp) {
+        errors.push('List B Group 2 needs a follow-up check within six months. Enter the follow-up date.');
+      } else if (limit && followUp > limit) {
+        errors.push(`List B Group 2 only gives an excuse for six months. The follow-up check must be due by ${formatDateUK(limit)}.`);
+      }
+      break;
+    }
+  }
+
+  return { errors, warnings };
+}
@@ -1,8 +1,12 @@
 import { formatDateUK } from './date-utils.js';
-import { getDocumentLabels, METHOD_LABELS } from './document-labels.js';
+import { getDocumentLabels, getScanDocumentLabel, METHOD_LABELS } from './document-labels.js';
 import { STATUS_LABELS } from '../services/status-service.js';
-import { getDocumentScanUrl } from '../services/storage-service.js';
+import { getDocumentScanUrl, fetchDocumentScansForRecords } from '../services/storage-service.js';
 import { logAuditEvent } from '../services/auth-service.js';
+import { formatShareCode } from './share-code.js';
+import { ONLINE_CHECK_OUTCOMES } from '../services/online-check-service.js';
+import { describeWorkRestrictions } from './work-restrictions.js';
+import { fetchChecklists, fetchCurrentChecklist } from '../services/checklist-service.js';
 
 const CHECK_TYPE_LABELS = { initial: 'Initial', follow_up: 'Follow-up' };
 
@@ -23,9 +27,12 @@ function getExtension(path) {
 }
 
 /**
- * Build Excel row data from a record, with an optional scan filename reference.
+ * Build Excel row data from a record, with references to its exported scans.
+ * @param {Object} r - Record
+ * @param {Array} scanRefs - [{ label, path }] for each scan added to the ZIP
+ * @param {Object} checklist - The checklist version the record was completed against
  */
-function buildRow(r, scanFilename) {
+function buildRow(r, scanRefs, checklist) {
   return {
     'Name': r.person_name || '',
     'Date of Birth': formatDateUK(r.date_of_birth),
@@ -33,15 +40,28 @@ function buildRow(r, scanFilename) {
     'Type': CHECK_TYPE_LABELS[r.check_type] || r.check_type || '',
     'Method': METHOD_LABELS[r.check_method] || r.check_method || '',
     'Status': STATUS_LABELS[r.status] || r.status || '',
-    'Documents': getDocumentLabels(r.documents_checked).join('; '),
-    'Share Code': r.share_code || '',
+    'Checklist Version': checklist.version,
+    'Documents': getDocumentLabels(r.documents_checked, checklist).join('; '),
+    'Share Code': formatShareCode(r.share_code),
+    'Share Code Expiry': formatDateUK(r.share_code_expiry_date),
+    'Online Check Result': r.online_check_result ? (ONLINE_CHECK_OUTCOMES[r.online_check_result.outcome] || r.online_check_result.outcome) : '',
+    'Online Check Reference': (r.online_check_result && r.online_check_result.reference) || '',
     'IDSP Provider': r.idsp_provider || '',
+    'IDVT Check Date': formatDateUK(r.idsp_check_date),
+    'IDVT Document Type': r.idsp_document_type || '',
+    'IDVT Match Score': r.idsp_match_score != null ? r.idsp_match_score + '%' : '',
+    'IDSP Reference': r.idsp_reference || '',
     'Q1 - Photos consistent': (r.verification_answers || {}).q1 || '',
     'Q2 - DOB consistent': (r.verification_answers || {}).q2 || '',
     'Q3 - Expiry dates valid': (r.verification_answers || {}).q3 || '',
     'Q4 - Work restrictions': (r.verification_answers || {}).q4 || '',
+    'Job Title': r.job_title || '',
+    'Weekly Hours': r.weekly_hours != null ? r.weekly_hours : '',
+    'Work Restrictions': describeWorkRestrictions(r.work_restrictions).join('; '),
     'Q5 - Document genuine': (r.verification_answers || {}).q5 || '',
     'Q6 - Different names': (r.verification_answers || {}).q6 || '',
+    'Reasons for No Answers': Object.entries(r.verification_justifications || {})
+      .map(([key, text]) => `${key.toUpperCase()}: ${text}`).join('; '),
     'Declaration Confirmed': r.declaration_confirmed ? 'Yes' : 'No',
     'Checker Name': r.checker_name || '',
     'Additional Notes': r.additional_notes || '',
@@ -49,10 +69,28 @@ function buildRow(r, scanFilename) {
     'Follow-up Date': formatDateUK(r.follow_up_date),
     'Employment End Date': formatDateUK(r.employment_end_date),
     'Deletion Due Date': formatDateUK(r.deletion_due_date),
-    'Document Scan': scanFilename || '',
+    'Document Scans': scanRefs.map(s => `${s.label}: ${s.path}`).join('; '),
   };
 }
 
+/**
+ * Build a worksheet from row objects (one column per key), with columns
+ * sized to their contents.
+ */
+function buildSheet(rows) {
+  const ws = XLSX.utils.json_to_sheet(rows);
+  if (rows.length > 0) {
+    ws['!cols'] = Object.keys(rows[0]).map(key => {
+      const maxLen = Math.max(
+        key.length,
+        ...rows.map(r => String(r[key] ?? '').length)
+      );
+      return { wch: Math.min(maxLen + 2, 50) };
+    });
+  }
+  return ws;
+}
+
 /**
  * Export records to a ZIP containing an Excel spreadsheet and all document scans.
  * @param {Array} records - Array of record objects
@@ -73,28 +111,34 @@ export async function exportToZip(records, baseFilename, onProgress) {
   const scansFolder = zip.folder('scans');
   const rows = [];
   const total = records.length;
+  const scansByRecord = await fetchDocumentScansForRecords(records.map(r => r.id));
+  const checklists = await fetchChecklists();
+  const currentChecklist = await fetchCurrentChecklist();
 
   for (let i = 0; i < records.length; i++) {
     const r = records[i];
-    let scanFilename = '';
+    const scans = scansByRecord.get(r.id) || [];
+    const checklist = checklists.get(r.checklist_version) || currentChecklist;
+    const scanRefs = [];
 
-    if (r.document_scan_path) {
+    for (let n = 0; n < scans.length; n++) {
+      const scan = scans[n];
       try {
-        const signedUrl = await getDocumentScanUrl(r.document_scan_path);
+        const signedUrl = await getDocumentScanUrl(scan.storage_path);
         if (signedUrl) {
           const response = await fetch(signedUrl);
           const blob = await response.blob();
-          const ext = getExtension(r.document_scan_filename || r.document_scan_path);
-          scanFilename = `${safeName(r.person_name)}_${(r.check_date || '').replace(/-/g, '')}${ext}`;
+          const ext = getExtension(scan.filename || scan.storage_path);
+          const scanFilename = `${safeName(r.person_name)}_${(r.check_date || '').replace(/-/g, '')}_${n + 1}${ext}`;
           scansFolder.file(scanFilename, blob);
-          scanFilename = `scans/${scanFilename}`;
+          scanRefs.push({ label: getScanDocumentLabel(scan.document_id, checklist), path: `scans/${scanFilename}` });
         }
       } catch (err) {
         console.error(`Failed to fetch scan for ${r.person_name}:`, err);
       }
     }
 
-    rows.push(buildRow(r, scanFilename));
+    rows.push(buildRow(r, scanRefs, checklist));
 
     if (onProgress) {
       onProgress(i + 1, total);
@@ -102,22 +146,8 @@ export async function exportToZip(records, baseFilename, onProgress) {
   }
 
   // Build Excel workbook
-  const ws = XLSX.utils.json_to_sheet(rows);
-
-  // Auto-size columns
-  if (rows.length > 0) {
-    const colWidths = Object.keys(rows[0]).map(key => {
-      const maxLen = Math.max(
-        key.length,
-        ...rows.map(r => String(r[key] || '').length)
-      );
-      return { wch: Math.min(maxLen + 2, 50) };
-    });
-    ws['!cols'] = colWidths;
-  }
-
   const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, 'RTW Records');
+  XLSX.utils.book_append_sheet(wb, buildSheet(rows), 'RTW Records');
   const xlsxData = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
   zip.file('RTW_Records.xlsx', xlsxData);
 
@@ -138,3 +168,26 @@ export async function exportToZip(records, baseFilename, onProgress) {
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
+
+/**
+ * Download an Excel workbook with one sheet per entry, e.g. a report.
+ * @param {Array} sheets - [{ name, rows }], rows being plain objects (one column per key)
+ * @param {string} baseFilename - Name for the .xlsx file (without extension)
+ */
+export function exportSheetsToExcel(sheets, baseFilename) {
+  if (typeof XLSX === 'undefined') {
+    alert('Excel library failed to load. Please check your internet connection and refresh the page.');
+    return;
+  }
+
+  const wb = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows }) => {
+    XLSX.utils.book_append_sheet(wb, buildSheet(rows.length ? rows : [{ '': 'No data for this period' }]), name);
+  });
+  XLSX.writeFile(wb, `${baseFilename}.xlsx`);
+
+  logAuditEvent('export_excel', {
+    table_name: 'rtw_records',
+    new_values: { sheets: sheets.map(sh => sh.name), filename: `${baseFilename}.xlsx` },
+  });
+}
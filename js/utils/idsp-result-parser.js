@@ -0,0 +1,178 @@
+/**
+ * Reads an identity service provider's (IDSP) IDVT result, exported as JSON
+ * or PDF, into the fields kept on the record. Providers each use their own
+ * layout, so fields are found by the usual names and labels rather than by a
+ * fixed schema. Anything that cannot be found is returned as null.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Keys (lower case, without separators) each field may appear under in JSON
+const JSON_KEYS = {
+  provider_name: ['provider', 'providername', 'idsp', 'idspname', 'issuer', 'vendor'],
+  reference: ['reference', 'ref', 'checkid', 'transactionid', 'verificationid', 'reportid', 'id'],
+  match_score: ['matchscore', 'facematchscore', 'biometricscore', 'similarityscore', 'score', 'confidence'],
+  document_type: ['documenttype', 'doctype', 'idtype', 'documentkind'],
+  check_date: ['checkdate', 'verificationdate', 'verifiedat', 'completedat', 'completed', 'checkedat', 'createdat', 'date'],
+  person_name: ['fullname', 'name', 'holdername', 'subjectname'],
+  date_of_birth: ['dateofbirth', 'dob', 'birthdate'],
+};
+
+// Labels each field may follow in PDF text
+const PDF_LABELS = {
+  provider_name: ['identity service provider', 'provider', 'idsp'],
+  reference: ['reference number', 'reference', 'check id', 'transaction id', 'verification id'],
+  match_score: ['face match score', 'biometric match score', 'match score', 'similarity score', 'confidence score', 'score'],
+  document_type: ['document type', 'type of document', 'id type'],
+  check_date: ['date of check', 'check date', 'verification date', 'date verified', 'completed on', 'date completed'],
+  person_name: ['full name', 'name of holder', 'holder name', 'name'],
+  date_of_birth: ['date of birth', 'dob'],
+};
+
+function normaliseKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Any reasonable date string to ISO (YYYY-MM-DD): ISO timestamps,
+ * DD/MM/YYYY (UK order) and "12 March 2025".
+ */
+export function toISODateString(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+
+  m = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+
+  m = str.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3})[A-Za-z]*\.?,?\s+(\d{4})/);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].toLowerCase());
+    if (month >= 0) return `${m[3]}-${String(month + 1).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+/**
+ * Scores as a percentage: 0.93 and "93%" both become 93.
+ */
+function toScore(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(String(value).replace('%', ''));
+  if (Number.isNaN(num) || num < 0) return null;
+  const pct = num <= 1 && !String(value).includes('%') ? num * 100 : num;
+  return pct > 100 ? null : Math.round(pct * 10) / 10;
+}
+
+function clean(fields) {
+  return {
+    provider_name: fields.provider_name ? String(fields.provider_name).trim() : null,
+    reference: fields.reference ? String(fields.reference).trim() : null,
+    match_score: toScore(fields.match_score),
+    document_type: fields.document_type ? String(fields.document_type).trim() : null,
+    check_date: toISODateString(fields.check_date),
+    person_name: fields.person_name ? String(fields.person_name).trim() : null,
+    date_of_birth: toISODateString(fields.date_of_birth),
+  };
+}
+
+// Breadth-first, so top-level keys win over the same key deeper down
+function findJsonValue(root, keys) {
+  const queue = [root];
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    for (const key of keys) {
+      for (const [k, v] of Object.entries(node)) {
+        if (normaliseKey(k) === key && v !== null && typeof v !== 'object') return v;
+      }
+    }
+    queue.push(...Object.values(node).filter(v => v && typeof v === 'object'));
+  }
+  return null;
+}
+
+/**
+ * Parse a JSON result.
+ * @param {string} text
+ * @returns {Object} See parseIdspResult
+ */
+export function parseIdspJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const fields = {};
+  for (const [field, keys] of Object.entries(JSON_KEYS)) {
+    fields[field] = findJsonValue(json, keys);
+  }
+  return clean(fields);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the text of a PDF result, one "Label: value" per line.
+ * @param {string} text
+ * @returns {Object} See parseIdspResult
+ */
+export function parseIdspText(text) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const fields = {};
+  for (const [field, labels] of Object.entries(PDF_LABELS)) {
+    for (const label of labels) {
+      const pattern = new RegExp('^' + escapeRegExp(label) + '\\s*[:\\-]?\\s+(.+)$', 'i');
+      const line = lines.find(l => pattern.test(l));
+      if (line) {
+        fields[field] = line.match(pattern)[1];
+        break;
+      }
+    }
+  }
+  return clean(fields);
+}
+
+async function extractPdfText(file) {
+  if (typeof pdfjsLib === 'undefined') throw new Error('PDF library not loaded');
+  const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+  const lines = [];
+  for (let p = 1; p <= pdf.numPages; p++) {
+    const page = await pdf.getPage(p);
+    const content = await page.getTextContent();
+    // Rebuild lines from text items that share a baseline
+    let current = [];
+    let lastY = null;
+    for (const item of content.items) {
+      const y = Math.round(item.transform[5]);
+      if (lastY !== null && y !== lastY) {
+        lines.push(current.join(' '));
+        current = [];
+      }
+      current.push(item.str);
+      lastY = y;
+    }
+    if (current.length) lines.push(current.join(' '));
+  }
+  return lines.map(l => l.replace(/\s+/g, ' ')).join('\n');
+}
+
+/**
+ * Parse an IDSP result file.
+ * @param {File} file - .json or .pdf
+ * @returns {Promise<Object>} { format, filename, provider_name, reference,
+ *   match_score (0-100), document_type, check_date, person_name, date_of_birth }
+ */
+export async function parseIdspResult(file) {
+  const isJson = file.type === 'application/json' || /\.json$/i.test(file.name);
+  const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+  if (!isJson && !isPdf) throw new Error('Upload the result as a JSON or PDF file');
+
+  const fields = isJson ? parseIdspJson(await file.text()) : parseIdspText(await extractPdfText(file));
+  return { format: isJson ? 'json' : 'pdf', filename: file.name, ...fields };
+}
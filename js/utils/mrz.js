@@ -0,0 +1,268 @@
+/**
+ * Machine-readable zone (MRZ) reading for passports (TD3) and biometric
+ * residence permits / ID cards (TD1), as defined in ICAO Doc 9303.
+ *
+ * OCR runs in the browser with Tesseract.js (loaded in index.html), served
+ * with its engine and trained data from vendor/tesseract; the scan never
+ * leaves the device. Only the parsed result is kept.
+ */
+
+import { loadScanCanvas } from './scan-editor.js';
+
+// The worker resolves these itself, so they must be absolute. Trained data is
+// fetched once and cached by Tesseract in IndexedDB.
+const TESSERACT_PATH = new URL('../../vendor/tesseract/', import.meta.url).href;
+const TESSERACT_OPTIONS = {
+  workerPath: TESSERACT_PATH + 'worker.min.js',
+  corePath: TESSERACT_PATH,
+  langPath: TESSERACT_PATH,
+  // Start the worker from its own URL rather than a blob: URL (see the CSP)
+  workerBlobURL: false,
+};
+const MRZ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
+
+// Letters OCR commonly reads in place of digits in numeric MRZ fields
+const DIGIT_FIXES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+
+/* ------------------------------------------------------------------ */
+/*  Parsing                                                           */
+/* ------------------------------------------------------------------ */
+
+function charValue(ch) {
+  if (ch >= '0' && ch <= '9') return ch.charCodeAt(0) - 48;
+  if (ch >= 'A' && ch <= 'Z') return ch.charCodeAt(0) - 55;
+  return 0; // filler '<'
+}
+
+/**
+ * ICAO 9303 check digit: weights 7, 3, 1 repeating, sum modulo 10.
+ */
+export function checkDigit(str) {
+  let sum = 0;
+  for (let i = 0; i < str.length; i++) {
+    sum += charValue(str[i]) * [7, 3, 1][i % 3];
+  }
+  return String(sum % 10);
+}
+
+function fixDigits(str) {
+  return str.replace(/[A-Z]/g, ch => DIGIT_FIXES[ch] || ch);
+}
+
+/**
+ * Convert an MRZ YYMMDD date to ISO. Birth dates resolve to the most recent
+ * past century; expiry dates to the current century.
+ */
+function mrzDate(yymmdd, isExpiry) {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
+  const yy = Number(yymmdd.slice(0, 2));
+  const month = yymmdd.slice(2, 4);
+  const day = yymmdd.slice(4, 6);
+  if (month < '01' || month > '12' || day < '01' || day > '31') return null;
+  const currentYY = new Date().getFullYear() % 100;
+  const century = isExpiry || yy <= currentYY ? 2000 : 1900;
+  return `${century + yy}-${month}-${day}`;
+}
+
+function parseNames(field) {
+  const [surname, given = ''] = field.replace(/<+$/, '').split('<<');
+  const clean = s => s.replace(/<+/g, ' ').trim();
+  return { surname: clean(surname), givenNames: clean(given) };
+}
+
+function titleCase(str) {
+  return str.toLowerCase().replace(/\b([a-z])/g, ch => ch.toUpperCase());
+}
+
+function buildResult(format, fields) {
+  const { surname, givenNames } = parseNames(fields.names);
+  const checks = {
+    documentNumber: checkDigit(fields.documentNumber) === fields.documentNumberCheck,
+    dateOfBirth: checkDigit(fields.dateOfBirth) === fields.dateOfBirthCheck,
+    expiryDate: checkDigit(fields.expiryDate) === fields.expiryDateCheck,
+    composite: checkDigit(fields.compositeSource) === fields.compositeCheck,
+  };
+  return {
+    format,
+    documentType: fields.documentCode.replace(/<+$/, ''),
+    issuingState: fields.issuingState.replace(/<+$/, ''),
+    nationality: fields.nationality.replace(/<+$/, ''),
+    documentNumber: fields.documentNumber.replace(/<+$/, ''),
+    surname,
+    givenNames,
+    fullName: titleCase([givenNames, surname].filter(Boolean).join(' ')),
+    dateOfBirth: mrzDate(fields.dateOfBirth, false),
+    expiryDate: mrzDate(fields.expiryDate, true),
+    sex: fields.sex === '<' ? null : fields.sex,
+    checks,
+    valid: Object.values(checks).every(Boolean),
+  };
+}
+
+/** Passport: two lines of 44 characters. */
+function parseTD3(line1, line2) {
+  const l2 = line2.slice(0, 9) + fixDigits(line2.slice(9, 10)) + line2.slice(10, 13)
+    + fixDigits(line2.slice(13, 20)) + line2.slice(20, 21) + fixDigits(line2.slice(21, 28))
+    + line2.slice(28, 42) + fixDigits(line2.slice(42, 44));
+  return buildResult('TD3', {
+    documentCode: line1.slice(0, 2),
+    issuingState: line1.slice(2, 5),
+    names: line1.slice(5, 44),
+    documentNumber: l2.slice(0, 9),
+    documentNumberCheck: l2[9],
+    nationality: l2.slice(10, 13),
+    dateOfBirth: l2.slice(13, 19),
+    dateOfBirthCheck: l2[19],
+    sex: l2[20],
+    expiryDate: l2.slice(21, 27),
+    expiryDateCheck: l2[27],
+    compositeSource: l2.slice(0, 10) + l2.slice(13, 20) + l2.slice(21, 43),
+    compositeCheck: l2[43],
+  });
+}
+
+/** BRP / ID card: three lines of 30 characters. */
+function parseTD1(line1, line2, line3) {
+  const l2 = fixDigits(line2.slice(0, 7)) + line2.slice(7, 8) + fixDigits(line2.slice(8, 15))
+    + line2.slice(15, 29) + fixDigits(line2.slice(29, 30));
+
+  // Document numbers longer than 9 characters continue into the optional
+  // field, with the check digit as the last character before the filler
+  let documentNumber = line1.slice(5, 14);
+  let documentNumberCheck = line1[14];
+  if (documentNumberCheck === '<') {
+    const overflow = line1.slice(15, 30).replace(/<.*$/, '');
+    documentNumber += overflow.slice(0, -1);
+    documentNumberCheck = overflow.slice(-1);
+  }
+
+  return buildResult('TD1', {
+    documentCode: line1.slice(0, 2),
+    issuingState: line1.slice(2, 5),
+    names: line3,
+    documentNumber,
+    documentNumberCheck,
+    nationality: l2.slice(15, 18),
+    dateOfBirth: l2.slice(0, 6),
+    dateOfBirthCheck: l2[6],
+    sex: l2[7],
+    expiryDate: l2.slice(8, 14),
+    expiryDateCheck: l2[14],
+    compositeSource: line1.slice(5, 30) + l2.slice(0, 7) + l2.slice(8, 15) + l2.slice(18, 29),
+    compositeCheck: l2[29],
+  });
+}
+
+function normaliseLine(line) {
+  return line.toUpperCase().replace(/[«‹]/g, '<').replace(/[^A-Z0-9<]/g, '');
+}
+
+function fitLength(line, length) {
+  return line.length >= length ? line.slice(0, length) : line + '<'.repeat(length - line.length);
+}
+
+/**
+ * Find and parse an MRZ in OCR text.
+ * @param {string} text - Raw OCR output
+ * @returns {Object|null} Parsed MRZ (see buildResult), or null if none found.
+ *   Results with failed check digits are returned with valid: false.
+ */
+export function parseMrz(text) {
+  const lines = String(text || '').split(/\r?\n/).map(normaliseLine).filter(l => l.length >= 25 && l.includes('<'));
+  let best = null;
+
+  const consider = (result) => {
+    if (!result) return;
+    const passed = Object.values(result.checks).filter(Boolean).length;
+    if (!best || passed > best.passed) best = { result, passed };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    // TD3: line 1 starts with P, both lines about 44 characters
+    if (lines[i + 1] && lines[i][0] === 'P' && lines[i].length >= 40 && lines[i + 1].length >= 40) {
+      consider(parseTD3(fitLength(lines[i], 44), fitLength(lines[i + 1], 44)));
+    }
+    // TD1: three lines of about 30 characters
+    if (lines[i + 2] && [lines[i], lines[i + 1], lines[i + 2]].every(l => l.length >= 28 && l.length <= 32)) {
+      consider(parseTD1(fitLength(lines[i], 30), fitLength(lines[i + 1], 30), fitLength(lines[i + 2], 30)));
+    }
+  }
+
+  return best ? best.result : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  OCR                                                               */
+/* ------------------------------------------------------------------ */
+
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const worker = await Tesseract.createWorker('eng', 1, TESSERACT_OPTIONS);
+      await worker.setParameters({
+        tessedit_char_whitelist: MRZ_CHARS,
+        tessedit_pageseg_mode: '6', // a single uniform block of text
+      });
+      return worker;
+    })().catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+// Greyscale copy of the bottom part of a scan, where the MRZ sits
+function mrzRegion(source, fraction) {
+  const canvas = document.createElement('canvas');
+  const top = Math.round(source.height * (1 - fraction));
+  canvas.width = source.width;
+  canvas.height = source.height - top;
+  const ctx = canvas.getContext('2d');
+  ctx.filter = 'grayscale(1) contrast(1.4)';
+  ctx.drawImage(source, 0, top, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Read the MRZ from a passport or BRP scan.
+ * @param {File} file - JPEG, PNG or PDF
+ * @returns {Promise<Object|null>} Parsed MRZ, or null if none was found
+ */
+export async function readMrz(file) {
+  if (typeof Tesseract === 'undefined') {
+    throw new Error('Text recognition library not loaded');
+  }
+
+  const { canvas } = await loadScanCanvas(file);
+  const worker = await getWorker();
+
+  // Try the bottom of the document first, then the whole image
+  for (const fraction of [0.4, 1]) {
+    const { data } = await worker.recognize(fraction < 1 ? mrzRegion(canvas, fraction) : canvas);
+    const result = parseMrz(data.text);
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * The subset of an MRZ result stored on the record. The document number is
+ * deliberately left out; the record only keeps whether its check digit passed.
+ */
+export function toStoredMrz(result) {
+  return {
+    format: result.format,
+    document_type: result.documentType,
+    issuing_state: result.issuingState,
+    nationality: result.nationality,
+    full_name: result.fullName,
+    date_of_birth: result.dateOfBirth,
+    expiry_date: result.expiryDate,
+    checks: result.checks,
+    valid: result.valid,
+    read_at: new Date().toISOString(),
+  };
+}
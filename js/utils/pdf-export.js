@@ -1,5 +1,7 @@
-import { generatePDFBlob, fetchScanAsDataUrl } from './pdf-generator.js';
-import { getDocumentScanUrl } from '../services/storage-service.js';
+import { generatePDFBlob, fetchScanImages } from './pdf-generator.js';
+import { fetchDocumentScansForRecords } from '../services/storage-service.js';
+import { fetchChecklists, fetchCurrentChecklist } from '../services/checklist-service.js';
+import { fetchAllSettings, getSettingsForRecord } from '../services/settings-service.js';
 
 /**
  * Build a safe filename from a person's name.
@@ -26,25 +28,24 @@ export async function exportPDFsToZip(records, baseFilename, onProgress) {
 
   const zip = new JSZip();
   const total = records.length;
+  const scansByRecord = await fetchDocumentScansForRecords(records.map(r => r.id));
+  const checklists = await fetchChecklists();
+  const currentChecklist = await fetchCurrentChecklist();
+  const settingsBySite = await fetchAllSettings();
 
   for (let i = 0; i < records.length; i++) {
     const record = records[i];
 
-    // Fetch scan as data URL for embedding in the PDF
-    let scanDataUrl = null;
-    if (record.document_scan_path) {
-      try {
-        const signedUrl = await getDocumentScanUrl(record.document_scan_path);
-        if (signedUrl) {
-          scanDataUrl = await fetchScanAsDataUrl(signedUrl, record.document_scan_filename);
-        }
-      } catch (err) {
-        console.error(`Failed to fetch scan for ${record.person_name}:`, err);
-      }
-    }
+    // Fetch scans as data URLs for embedding in the PDF
+    const scans = await fetchScanImages(scansByRecord.get(record.id) || []);
 
     // Generate PDF blob
-    const pdfBlob = generatePDFBlob(record, scanDataUrl);
+    const pdfBlob = generatePDFBlob(
+      record,
+      scans,
+      checklists.get(record.checklist_version) || currentChecklist,
+      getSettingsForRecord(settingsBySite, record),
+    );
     if (pdfBlob) {
       const name = safeName(record.person_name);
       const dateStr = (record.check_date || '').replace(/-/g, '');
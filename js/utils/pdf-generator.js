@@ -1,14 +1,22 @@
 import { formatDateUK } from './date-utils.js';
-import { getDocumentLabels, METHOD_LABELS, STEP2_QUESTIONS } from './document-labels.js';
+import { getDocumentLabels, getScanDocumentLabel, getChecklistQuestions, METHOD_LABELS } from './document-labels.js';
+import { getDocumentScanUrl } from '../services/storage-service.js';
 import { LOGO_WHITE_B64, LOGO_DARK_B64 } from './logo-data.js';
+import { formatShareCode } from './share-code.js';
+import { ONLINE_CHECK_OUTCOMES } from '../services/online-check-service.js';
+import { describeWorkRestrictions } from './work-restrictions.js';
+import { isEscalated, getEscalatingAnswers, describeQuestions } from './verification-rules.js';
+import { formatRetentionPeriod, getDeclarationText } from '../services/settings-service.js';
 
 /**
  * Build the jsPDF document for a given RTW record.
  * @param {Object} record - The record object from Supabase
- * @param {string|null} scanDataUrl - Base64 data URL of the document scan, or null
+ * @param {Array} scans - Scan images from fetchScanImages(), one page each
+ * @param {Object} checklist - The checklist version the record was completed against
+ * @param {Object} settings - Organisation settings, from fetchSettings()
  * @returns {Object|null} jsPDF document instance, or null if library not loaded
  */
-function buildPDFDoc(record, scanDataUrl) {
+function buildPDFDoc(record, scans, checklist, settings) {
   if (typeof window.jspdf === 'undefined') {
     return null;
   }
@@ -26,6 +34,7 @@ function buildPDFDoc(record, scanDataUrl) {
   const blue = [29, 79, 145];
   const dark = [11, 12, 12];
   const grey = [80, 90, 95];
+  const red = [212, 53, 28];
   const lightBg = [243, 242, 241];
 
   // -------- Helpers --------
@@ -39,10 +48,13 @@ function buildPDFDoc(record, scanDataUrl) {
     doc.setFontSize(7.5);
     doc.setTextColor(...grey);
     doc.text(
-      'This record must be retained for the duration of employment plus 2 years and then securely destroyed.',
+      'This record must be retained for the duration of employment plus ' + formatRetentionPeriod(settings) + ' and then securely destroyed.',
       pw / 2, ph - 10, { align: 'center' }
     );
-    doc.text('ImmersiveCore RTW Checker | Generated: ' + new Date().toLocaleString('en-GB'), pw / 2, ph - 6, { align: 'center' });
+    doc.text(
+      settings.company_name + ' RTW Checker | Checklist version ' + checklist.version + ' | Generated: ' + new Date().toLocaleString('en-GB'),
+      pw / 2, ph - 6, { align: 'center' }
+    );
   }
 
   function checkPageBreak(needed) {
@@ -68,10 +80,17 @@ function buildPDFDoc(record, scanDataUrl) {
 
   // -------- Logo helper --------
   function drawLogo(x, yPos, onDark) {
+    const size = 14;
+    if (settings.logo_data_url) {
+      // Uploaded logo: one image for every background, fitted into the square
+      const format = settings.logo_data_url.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+      const { width, height } = doc.getImageProperties(settings.logo_data_url);
+      const scale = size / Math.max(width, height);
+      doc.addImage(settings.logo_data_url, format, x, yPos - 4, width * scale, height * scale);
+      return;
+    }
     const logoData = onDark ? LOGO_WHITE_B64 : LOGO_DARK_B64;
-    const logoH = 14;
-    const logoW = 14; // square logo
-    doc.addImage(logoData, 'PNG', x, yPos - 4, logoW, logoH);
+    doc.addImage(logoData, 'PNG', x, yPos - 4, size, size); // square logo
   }
 
   // ======== PAGE 1 ========
@@ -90,7 +109,7 @@ function buildPDFDoc(record, scanDataUrl) {
   doc.text('Right to Work Checklist', ml + 55, 10);
   doc.setFontSize(9);
   doc.setFont('helvetica', 'normal');
-  doc.text('UK Employer Compliance Record', ml + 55, 17);
+  doc.text(settings.company_name + ' \u2013 UK Employer Compliance Record', ml + 55, 17);
   y = 34;
 
   // ---- Details box ----
@@ -139,23 +158,117 @@ function buildPDFDoc(record, scanDataUrl) {
 
   y += boxH + 6;
 
+  // ---- Amendment notice ----
+  const isAmended = (record.revision_number || 1) > 1;
+  if (isAmended) {
+    doc.setFontSize(9);
+    const reasonLines = doc.splitTextToSize('Reason: ' + (record.amendment_reason || ''), cw - 10);
+    const noticeH = 12 + reasonLines.length * 4.5;
+    doc.setFillColor(232, 225, 243);
+    doc.roundedRect(ml, y, cw, noticeH, 2, 2, 'F');
+    doc.setTextColor(76, 44, 146);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(
+      'Amended record \u2014 revision ' + record.revision_number +
+        (record.amended_at ? ', ' + formatDateUK(record.amended_at.slice(0, 10)) : ''),
+      ml + 5, y + 6
+    );
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(reasonLines, ml + 5, y + 11);
+    doc.setTextColor(...dark);
+    y += noticeH + 6;
+  }
+
   // ---- Method-specific fields ----
   if (record.check_method === 'online' && record.share_code) {
     checkPageBreak(12);
     doc.setFontSize(10);
-    labelVal('Share code:', record.share_code.toUpperCase(), y, ml, ml + 30);
+    labelVal('Share code:', formatShareCode(record.share_code), y, ml, ml + 30);
     y += 8;
+    if (record.share_code_expiry_date) {
+      checkPageBreak(12);
+      labelVal('Code expires:', formatDateUK(record.share_code_expiry_date), y, ml, ml + 30);
+      y += 8;
+    }
+  }
+  const online = record.check_method === 'online' ? record.online_check_result : null;
+  if (online) {
+    checkPageBreak(12);
+    labelVal('Online result:', ONLINE_CHECK_OUTCOMES[online.outcome] || online.outcome, y, ml, ml + 30);
+    y += 8;
+    const onlineRows = [
+      ['Reference:', online.reference],
+      ['Permission:', online.permission_type],
+      ['Ends:', online.continuous ? 'No time limit' : formatDateUK(online.expiry_date)],
+    ].filter(([, val]) => val);
+    for (const [label, val] of onlineRows) {
+      checkPageBreak(12);
+      labelVal(label, val, y, ml, ml + 30);
+      y += 8;
+    }
+    if (online.outcome !== 'not_found') {
+      const restrictionLines = doc.splitTextToSize(online.work_restrictions || 'None', cw - 30);
+      checkPageBreak(6 + restrictionLines.length * 5);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Restrictions:', ml, y);
+      doc.setFont('helvetica', 'normal');
+      doc.text(restrictionLines, ml + 30, y);
+      y += 3 + restrictionLines.length * 5;
+    }
   }
   if (record.check_method === 'idsp' && record.idsp_provider) {
     checkPageBreak(12);
     doc.setFontSize(10);
     labelVal('IDSP provider:', record.idsp_provider, y, ml, ml + 30);
     y += 8;
+    const idvtRows = [
+      ['IDVT date:', formatDateUK(record.idsp_check_date)],
+      ['Document:', record.idsp_document_type],
+      ['Match score:', record.idsp_match_score != null ? record.idsp_match_score + '%' : ''],
+      ['Reference:', record.idsp_reference],
+    ].filter(([, val]) => val);
+    for (const [label, val] of idvtRows) {
+      checkPageBreak(12);
+      labelVal(label, val, y, ml, ml + 30);
+      y += 8;
+    }
+  }
+
+  // ---- Student term-time working ----
+  const termDates = Array.isArray(record.student_term_dates) ? record.student_term_dates : [];
+  if (record.student_course || termDates.length) {
+    const vacationDates = Array.isArray(record.student_vacation_dates) ? record.student_vacation_dates : [];
+    const formatRange = r => formatDateUK(r.start) + ' \u2013 ' + formatDateUK(r.end);
+    checkPageBreak(20 + (termDates.length + vacationDates.length) * 5.5);
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...blue);
+    doc.text('Student Term-time Working', ml, y);
+    y += 2;
+    drawLine(y);
+    y += 6;
+
+    doc.setTextColor(...dark);
+    labelVal('Course of study:', record.student_course || '', y, ml, ml + 45);
+    y += 6;
+    labelVal('Weekly hours cap:', record.student_weekly_hours_cap != null ? record.student_weekly_hours_cap + ' hours (term time)' : '', y, ml, ml + 45);
+    y += 6;
+    [['Term dates:', termDates], ['Vacation dates:', vacationDates]].forEach(([label, ranges]) => {
+      labelVal(label, ranges.length ? formatRange(ranges[0]) : '', y, ml, ml + 45);
+      y += 5.5;
+      ranges.slice(1).forEach(r => {
+        doc.text(formatRange(r), ml + 45, y);
+        y += 5.5;
+      });
+    });
+    y += 4;
   }
 
   // ---- Documents ticked ----
   const docIds = Array.isArray(record.documents_checked) ? record.documents_checked : [];
-  const docLabels = getDocumentLabels(docIds);
+  const docLabels = getDocumentLabels(docIds, checklist);
   if (docLabels.length) {
     checkPageBreak(10 + docLabels.length * 6);
     doc.setFontSize(11);
@@ -188,23 +301,15 @@ function buildPDFDoc(record, scanDataUrl) {
   y += 6;
 
   const verificationAnswers = record.verification_answers || {};
-  const shortQuestions = [
-    'Photographs consistent with appearance?',
-    'Dates of birth consistent across documents?',
-    'Expiry dates not passed (if applicable)?',
-    'Work restrictions checked?',
-    'Document genuine, not tampered, belongs to holder?',
-    'Different names across documents checked?',
-  ];
+  const justifications = record.verification_justifications || {};
 
   doc.setFontSize(9);
-  shortQuestions.forEach((q, i) => {
+  getChecklistQuestions(checklist).forEach((q, i) => {
     checkPageBreak(8);
-    const key = 'q' + (i + 1);
-    const ans = verificationAnswers[key] || '\u2014';
+    const ans = verificationAnswers[q.key] || '\u2014';
     doc.setFont('helvetica', 'normal');
     doc.setTextColor(...dark);
-    doc.text((i + 1) + '. ' + q, ml + 2, y);
+    doc.text((i + 1) + '. ' + (q.short || q.text), ml + 2, y);
 
     const ansX = pw - mr - 12;
     if (ans === 'Yes') {
@@ -225,32 +330,81 @@ function buildPDFDoc(record, scanDataUrl) {
     doc.text(ans, ansX + 6, y, { align: 'center' });
     doc.setFontSize(9);
     y += 7;
+
+    if (justifications[q.key]) {
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(8);
+      doc.setTextColor(...dark);
+      const reasonLines = doc.splitTextToSize('Reason for No: ' + justifications[q.key], cw - 24);
+      checkPageBreak(reasonLines.length * 4 + 2);
+      doc.text(reasonLines, ml + 6, y - 2);
+      y += reasonLines.length * 4 + 1;
+      doc.setFontSize(9);
+    }
   });
   y += 4;
 
+  // ---- Role and work restrictions ----
+  doc.setFontSize(9);
+  const restrictionLines = describeWorkRestrictions(record.work_restrictions)
+    .map(line => doc.splitTextToSize(line, cw - 8));
+  const restrictionRows = restrictionLines.reduce((n, lines) => n + lines.length, 0);
+  checkPageBreak(24 + Math.max(restrictionRows, 1) * 5);
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(...blue);
+  doc.text('Role and Work Restrictions', ml, y);
+  y += 2;
+  drawLine(y);
+  y += 6;
+
+  doc.setTextColor(...dark);
+  labelVal('Job title:', record.job_title || '', y, ml, ml + 45);
+  y += 6;
+  labelVal('Hours a week:', record.weekly_hours != null ? String(record.weekly_hours) : '', y, ml, ml + 45);
+  y += 6;
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  if (restrictionLines.length) {
+    restrictionLines.forEach(lines => {
+      doc.text('\u2022', ml + 2, y);
+      doc.text(lines, ml + 6, y);
+      y += lines.length * 5;
+    });
+  } else {
+    doc.text('No work restrictions recorded.', ml + 2, y);
+    y += 5;
+  }
+  y += 4;
+
   // ---- Declaration ----
+  // An escalated check must not read as if it established an excuse
+  const escalated = isEscalated(record);
   checkPageBreak(35);
   doc.setFillColor(...lightBg);
   doc.roundedRect(ml, y, cw, 28, 2, 2, 'F');
-  doc.setDrawColor(...blue);
+  doc.setDrawColor(...(escalated ? red : blue));
   doc.setLineWidth(0.8);
   doc.line(ml, y, ml, y + 28);
 
   doc.setFontSize(10);
   doc.setFont('helvetica', 'bold');
-  doc.setTextColor(...blue);
-  doc.text('Mandatory Declaration', ml + 5, y + 7);
+  doc.setTextColor(...(escalated ? red : blue));
+  doc.text(escalated ? 'Declaration Not Made \u2013 Referred to Manager' : 'Mandatory Declaration', ml + 5, y + 7);
 
   doc.setFont('helvetica', 'italic');
   doc.setFontSize(8.5);
   doc.setTextColor(...dark);
-  const declText = '"I confirm that I have carried out the right to work check in compliance with Home Office instructions and believe a valid statutory excuse is established."';
+  const declText = escalated
+    ? 'Because of the No answer to ' + describeQuestions(getEscalatingAnswers(record.verification_answers), checklist)
+      + ', this check does not establish a statutory excuse. It was referred to a manager for review.'
+    : '"' + getDeclarationText(record, settings) + '"';
   const declLines = doc.splitTextToSize(declText, cw - 12);
   doc.text(declLines, ml + 5, y + 13);
 
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(9);
-  doc.text('Signed by: ' + (record.checker_name || ''), ml + 5, y + 24);
+  doc.text((escalated ? 'Checked by: ' : 'Signed by: ') + (record.checker_name || ''), ml + 5, y + 24);
   y += 34;
 
   // ---- Additional notes ----
@@ -271,64 +425,97 @@ function buildPDFDoc(record, scanDataUrl) {
 
   addFooter();
 
-  // ======== PAGE 2: Document Scan ========
-  doc.addPage();
-  y = 18;
+  // ======== Document scan pages (one per scan) ========
+  const scanPages = scans && scans.length ? scans : [null];
+  scanPages.forEach((scan, idx) => {
+    doc.addPage();
 
-  doc.setFillColor(...blue);
-  doc.rect(0, 0, pw, 20, 'F');
+    doc.setFillColor(...blue);
+    doc.rect(0, 0, pw, 20, 'F');
 
-  drawLogo(ml, 6, true);
+    drawLogo(ml, 6, true);
 
-  doc.setFontSize(12);
-  doc.setTextColor(255, 255, 255);
-  doc.setFont('helvetica', 'bold');
-  doc.text('Document Scan', ml + 55, 10);
-  y = 28;
-
-  doc.setFontSize(9);
-  doc.setTextColor(...dark);
-  doc.setFont('helvetica', 'normal');
-  labelVal('Name of person:', record.person_name || '', y, ml, ml + 40);
-  y += 6;
-  labelVal('Check date:', formatDateUK(record.check_date), y, ml, ml + 40);
-  y += 8;
-  drawLine(y);
-  y += 6;
+    doc.setFontSize(12);
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'bold');
+    doc.text(
+      scanPages.length > 1 ? `Document Scan ${idx + 1} of ${scanPages.length}` : 'Document Scan',
+      ml + 55, 10
+    );
+    y = 28;
 
-  if (scanDataUrl) {
-    try {
-      const imgProps = doc.getImageProperties(scanDataUrl);
-      const maxW = cw;
-      const maxH = ph - y - 25;
-      let imgW = imgProps.width;
-      let imgH = imgProps.height;
-      const scale = Math.min(maxW / imgW, maxH / imgH, 1);
-      imgW *= scale;
-      imgH *= scale;
-      const imgX = ml + (cw - imgW) / 2;
-      doc.addImage(scanDataUrl, 'JPEG', imgX, y, imgW, imgH);
-      y += imgH + 5;
-    } catch (err) {
+    doc.setFontSize(9);
+    doc.setTextColor(...dark);
+    doc.setFont('helvetica', 'normal');
+    labelVal('Name of person:', record.person_name || '', y, ml, ml + 40);
+    y += 6;
+    labelVal('Check date:', formatDateUK(record.check_date), y, ml, ml + 40);
+    y += 6;
+    if (scan) {
+      labelVal('Document:', getScanDocumentLabel(scan.documentId, checklist), y, ml, ml + 40);
+      y += 6;
+    }
+    y += 2;
+    drawLine(y);
+    y += 6;
+
+    if (scan && scan.dataUrl) {
+      try {
+        const imgProps = doc.getImageProperties(scan.dataUrl);
+        const maxW = cw;
+        const maxH = ph - y - 25;
+        let imgW = imgProps.width;
+        let imgH = imgProps.height;
+        const scale = Math.min(maxW / imgW, maxH / imgH, 1);
+        imgW *= scale;
+        imgH *= scale;
+        const imgX = ml + (cw - imgW) / 2;
+        doc.addImage(scan.dataUrl, 'JPEG', imgX, y, imgW, imgH);
+        y += imgH + 5;
+      } catch (err) {
+        doc.setFontSize(10);
+        doc.setTextColor(212, 53, 28);
+        doc.text('Error embedding image: ' + err.message, ml, y);
+        y += 8;
+      }
+    } else if (scan) {
       doc.setFontSize(10);
       doc.setTextColor(212, 53, 28);
-      doc.text('Error embedding image: ' + err.message, ml, y);
+      doc.text('This scan could not be loaded.', ml, y);
+      y += 8;
+    } else {
+      doc.setFontSize(10);
+      doc.setTextColor(...grey);
+      doc.text('No document scan was uploaded.', ml, y);
       y += 8;
     }
-  } else {
-    doc.setFontSize(10);
-    doc.setTextColor(...grey);
-    doc.text('No document scan was uploaded.', ml, y);
-    y += 8;
-  }
 
-  if (record.document_scan_filename) {
-    doc.setFontSize(7.5);
-    doc.setTextColor(...grey);
-    doc.text('Source file: ' + record.document_scan_filename, ml, y);
-  }
+    if (scan && scan.filename) {
+      doc.setFontSize(7.5);
+      doc.setTextColor(...grey);
+      doc.text('Source file: ' + scan.filename, ml, y);
+    }
 
-  addFooter();
+    addFooter();
+  });
+
+  // Stamp every page of an amended record so printed copies cannot be
+  // mistaken for the original submission
+  if (isAmended) {
+    const pageCount = doc.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.saveGraphicsState();
+      doc.setGState(new doc.GState({ opacity: 0.15 }));
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(80);
+      doc.setTextColor(76, 44, 146);
+      // Offset the start so the rotated text is centred on the page
+      const half = doc.getTextWidth('AMENDED') / 2 * Math.SQRT1_2;
+      doc.text('AMENDED', pw / 2 - half, ph / 2 + half, { angle: 45 });
+      doc.restoreGraphicsState();
+    }
+  }
 
   return doc;
 }
@@ -336,10 +523,12 @@ function buildPDFDoc(record, scanDataUrl) {
 /**
  * Generate and download a compliance PDF for a given RTW record.
  * @param {Object} record - The record object from Supabase
- * @param {string|null} scanDataUrl - Base64 data URL of the document scan, or null
+ * @param {Array} scans - Scan images from fetchScanImages()
+ * @param {Object} checklist - From fetchChecklistForRecord()
+ * @param {Object} settings - From fetchSettings()
  */
-export function generatePDF(record, scanDataUrl) {
-  const doc = buildPDFDoc(record, scanDataUrl);
+export function generatePDF(record, scans, checklist, settings) {
+  const doc = buildPDFDoc(record, scans, checklist, settings);
   if (!doc) {
     alert('PDF library failed to load. Please check your internet connection and refresh the page.');
     return;
@@ -352,11 +541,13 @@ export function generatePDF(record, scanDataUrl) {
 /**
  * Generate a compliance PDF and return it as a Blob (for bulk export).
  * @param {Object} record - The record object from Supabase
- * @param {string|null} scanDataUrl - Base64 data URL of the document scan, or null
+ * @param {Array} scans - Scan images from fetchScanImages()
+ * @param {Object} checklist - From fetchChecklistForRecord()
+ * @param {Object} settings - From fetchSettings()
  * @returns {Blob|null} PDF blob, or null if library not loaded
  */
-export function generatePDFBlob(record, scanDataUrl) {
-  const doc = buildPDFDoc(record, scanDataUrl);
+export function generatePDFBlob(record, scans, checklist, settings) {
+  const doc = buildPDFDoc(record, scans, checklist, settings);
   if (!doc) return null;
   return doc.output('blob');
 }
@@ -394,3 +585,24 @@ export async function fetchScanAsDataUrl(signedUrl, filename) {
     });
   }
 }
+
+/**
+ * Load every scan of a record for PDF embedding. A scan that fails to load
+ * keeps its place with a null dataUrl so the PDF can say so.
+ * @param {Array} scans - rtw_document_scans rows
+ * @returns {Promise<Array>} [{ documentId, filename, dataUrl }]
+ */
+export async function fetchScanImages(scans) {
+  const images = [];
+  for (const scan of scans || []) {
+    let dataUrl = null;
+    try {
+      const signedUrl = await getDocumentScanUrl(scan.storage_path);
+      dataUrl = await fetchScanAsDataUrl(signedUrl, scan.filename);
+    } catch (err) {
+      console.error(`Failed to fetch scan ${scan.filename}:`, err);
+    }
+    images.push({ documentId: scan.document_id, filename: scan.filename, dataUrl });
+  }
+  return images;
+}
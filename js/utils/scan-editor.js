@@ -0,0 +1,265 @@
+/**
+ * In-browser scan editor: crop, rotate and black out regions of a document
+ * scan before it is uploaded. Edits are burned into the pixels, so only the
+ * edited image ever leaves the browser. PDFs are edited as their first page.
+ */
+
+// Longest edge of the working canvas, in pixels
+const MAX_EDGE = 2400;
+
+function esc(str) {
+  const d = document.createElement('div');
+  d.textContent = str;
+  return d.innerHTML;
+}
+
+function copyCanvas(source) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext('2d').drawImage(source, 0, 0);
+  return canvas;
+}
+
+/**
+ * Draw a scan onto a canvas (PDFs as their first page). Also used by the MRZ
+ * reader. Returns { canvas, pageCount }.
+ */
+export async function loadScanCanvas(file) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  if (file.type === 'application/pdf') {
+    if (typeof pdfjsLib === 'undefined') throw new Error('PDF library not loaded');
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const page = await pdf.getPage(1);
+    const unscaled = page.getViewport({ scale: 1 });
+    const scale = Math.min(2.5, MAX_EDGE / Math.max(unscaled.width, unscaled.height));
+    const viewport = page.getViewport({ scale });
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return { canvas, pageCount: pdf.numPages };
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not read image'));
+      image.src = url;
+    });
+    const scale = Math.min(1, MAX_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return { canvas, pageCount: 1 };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function rotateCanvas(source, clockwise) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.height;
+  canvas.height = source.width;
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((clockwise ? 90 : -90) * Math.PI / 180);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
+
+function cropCanvas(source, rect) {
+  const canvas = document.createElement('canvas');
+  canvas.width = rect.w;
+  canvas.height = rect.h;
+  canvas.getContext('2d').drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+  return canvas;
+}
+
+function redactCanvas(source, rect) {
+  const canvas = copyCanvas(source);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+  return canvas;
+}
+
+/**
+ * Open the editor for a scan.
+ * @param {File} file - JPEG, PNG or PDF
+ * @returns {Promise<{file: File, edits: Object}|null>} The edited file and a
+ *   summary of the edits ({ rotation, cropped, redactions }), or null if the
+ *   user cancelled or made no changes.
+ */
+export async function openScanEditor(file) {
+  const { canvas: original, pageCount } = await loadScanCanvas(file);
+
+  // Each history entry is a committed canvas plus the edits that produced it
+  const history = [{ canvas: original, edits: { rotation: 0, cropped: false, redactions: 0 } }];
+  const current = () => history[history.length - 1];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'confirm-overlay';
+  overlay.innerHTML = `
+    <div class="scan-editor" role="dialog" aria-modal="true" aria-labelledby="scan-editor-title">
+      <h3 id="scan-editor-title">Edit scan &ndash; ${esc(file.name)}</h3>
+      <p class="scan-editor-help">
+        Drag across the image to black out data you do not need to keep, such as the machine-readable
+        lines, or switch to crop to trim the image. Only the edited image is uploaded.
+      </p>
+      ${pageCount > 1 ? `<p class="field-warning">This PDF has ${pageCount} pages. Only the first page is kept when you save an edited copy.</p>` : ''}
+      <div class="scan-editor-toolbar">
+        <label><input type="radio" name="scan-editor-mode" value="redact" checked> Black out</label>
+        <label><input type="radio" name="scan-editor-mode" value="crop"> Crop</label>
+        <button type="button" class="btn btn-secondary btn-small" data-action="rotate-left">Rotate left</button>
+        <button type="button" class="btn btn-secondary btn-small" data-action="rotate-right">Rotate right</button>
+        <button type="button" class="btn btn-secondary btn-small" data-action="undo">Undo</button>
+        <button type="button" class="btn btn-secondary btn-small" data-action="reset">Reset</button>
+      </div>
+      <div class="scan-editor-canvas-wrap">
+        <canvas class="scan-editor-canvas"></canvas>
+      </div>
+      <div class="warning-banner red" id="scan-editor-error" style="display:none;"></div>
+      <div class="btn-group">
+        <button type="button" class="btn btn-primary" data-action="save">Use edited scan</button>
+        <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const display = overlay.querySelector('.scan-editor-canvas');
+  const displayCtx = display.getContext('2d');
+  const getMode = () => overlay.querySelector('input[name="scan-editor-mode"]:checked').value;
+
+  function draw(selection) {
+    const base = current().canvas;
+    display.width = base.width;
+    display.height = base.height;
+    displayCtx.drawImage(base, 0, 0);
+    if (!selection) return;
+    if (getMode() === 'crop') {
+      displayCtx.save();
+      displayCtx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      displayCtx.fillRect(0, 0, display.width, display.height);
+      displayCtx.drawImage(base, selection.x, selection.y, selection.w, selection.h,
+        selection.x, selection.y, selection.w, selection.h);
+      displayCtx.restore();
+    } else {
+      displayCtx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      displayCtx.fillRect(selection.x, selection.y, selection.w, selection.h);
+    }
+    displayCtx.strokeStyle = '#ffdd00';
+    displayCtx.lineWidth = Math.max(2, display.width / 400);
+    displayCtx.strokeRect(selection.x, selection.y, selection.w, selection.h);
+  }
+
+  function commit(canvas, changes) {
+    const edits = { ...current().edits, ...changes };
+    history.push({ canvas, edits });
+    draw();
+  }
+
+  // Pointer position in canvas pixels (the canvas is scaled down by CSS)
+  function toCanvasPoint(e) {
+    const box = display.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((e.clientX - box.left) * (display.width / box.width), 0), display.width),
+      y: Math.min(Math.max((e.clientY - box.top) * (display.height / box.height), 0), display.height),
+    };
+  }
+
+  function toRect(a, b) {
+    return {
+      x: Math.round(Math.min(a.x, b.x)),
+      y: Math.round(Math.min(a.y, b.y)),
+      w: Math.round(Math.abs(a.x - b.x)),
+      h: Math.round(Math.abs(a.y - b.y)),
+    };
+  }
+
+  let dragStart = null;
+
+  display.addEventListener('pointerdown', (e) => {
+    dragStart = toCanvasPoint(e);
+    display.setPointerCapture(e.pointerId);
+  });
+
+  display.addEventListener('pointermove', (e) => {
+    if (!dragStart) return;
+    draw(toRect(dragStart, toCanvasPoint(e)));
+  });
+
+  display.addEventListener('pointerup', (e) => {
+    if (!dragStart) return;
+    const rect = toRect(dragStart, toCanvasPoint(e));
+    dragStart = null;
+    // Ignore clicks and accidental tiny drags
+    if (rect.w < 5 || rect.h < 5) {
+      draw();
+      return;
+    }
+    const { canvas, edits } = current();
+    if (getMode() === 'crop') {
+      commit(cropCanvas(canvas, rect), { cropped: true });
+    } else {
+      commit(redactCanvas(canvas, rect), { redactions: edits.redactions + 1 });
+    }
+  });
+
+  draw();
+
+  return new Promise((resolve) => {
+    function close(result) {
+      document.removeEventListener('keydown', onKeydown);
+      overlay.remove();
+      resolve(result);
+    }
+
+    function onKeydown(e) {
+      if (e.key === 'Escape') close(null);
+    }
+    document.addEventListener('keydown', onKeydown);
+
+    overlay.addEventListener('click', (e) => {
+      const action = e.target.getAttribute('data-action');
+      if (!action) return;
+      const { canvas, edits } = current();
+
+      if (action === 'rotate-left' || action === 'rotate-right') {
+        const clockwise = action === 'rotate-right';
+        commit(rotateCanvas(canvas, clockwise), {
+          rotation: (edits.rotation + (clockwise ? 90 : 270)) % 360,
+        });
+      } else if (action === 'undo') {
+        if (history.length > 1) history.pop();
+        draw();
+      } else if (action === 'reset') {
+        history.length = 1;
+        draw();
+      } else if (action === 'cancel') {
+        close(null);
+      } else if (action === 'save') {
+        if (history.length === 1) {
+          close(null);
+          return;
+        }
+        // Keep JPEGs as JPEG; PNGs and PDF pages become PNG so text stays crisp
+        const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+        const name = file.type === 'application/pdf' ? file.name.replace(/\.pdf$/i, '') + '.png' : file.name;
+        canvas.toBlob((blob) => {
+          // The browser gives no blob when the image is too large to encode
+          if (!blob) {
+            const errorEl = overlay.querySelector('#scan-editor-error');
+            errorEl.textContent = 'The edited scan could not be saved. Crop it smaller and try again, or cancel to keep the original.';
+            errorEl.style.display = '';
+            return;
+          }
+          close({ file: new File([blob], name, { type }), edits: { ...edits } });
+        }, type, 0.92);
+      }
+    });
+  });
+}
@@ -0,0 +1,30 @@
+/**
+ * Home Office share codes: 9 characters, starting with W (right to work) or
+ * A, B or C, usually shown as "W12 345 678". Saved normalised, without
+ * spaces and in upper case; older records hold the code as entered.
+ */
+
+export const SHARE_CODE_PREFIXES = ['W', 'A', 'B', 'C'];
+
+/** Share codes are valid for 90 days from when the employee generates them. */
+export const SHARE_CODE_VALID_DAYS = 90;
+
+const SHARE_CODE_PATTERN = /^[WABC][A-Z0-9]{8}$/;
+
+export function normaliseShareCode(code) {
+  return (code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function isValidShareCode(code) {
+  return SHARE_CODE_PATTERN.test(normaliseShareCode(code));
+}
+
+/**
+ * Display form: three groups of three ("W12 345 678"). Anything that is not a
+ * valid code is returned as entered.
+ */
+export function formatShareCode(code) {
+  const normalised = normaliseShareCode(code);
+  if (!SHARE_CODE_PATTERN.test(normalised)) return code || '';
+  return normalised.replace(/^(.{3})(.{3})(.{3})$/, '$1 $2 $3');
+}
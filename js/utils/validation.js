@@ -1,16 +1,97 @@
-export function validateRecord(data) {
+import { isValidShareCode, SHARE_CODE_PREFIXES, SHARE_CODE_VALID_DAYS } from './share-code.js';
+import { addDays } from './date-utils.js';
+import { checkDocumentRules } from './document-rules.js';
+import { isEscalated, getEscalatingAnswers, getMissingJustifications, describeQuestions } from './verification-rules.js';
+
+/**
+ * Problems that block saving.
+ * @param {Object} data - Record data from the form
+ * @param {Object} checklist - The checklist version the record is completed against
+ * @param {Object} [existing] - The saved record when editing or amending
+ * @returns {string[]}
+ */
+export function validateRecord(data, checklist, existing = null) {
   const errors = [];
   if (!data.person_name || !data.person_name.trim()) errors.push('Name of person is required.');
   if (!data.date_of_birth) errors.push('Date of birth is required.');
   if (!data.check_date) errors.push('Date of check is required.');
   if (!data.check_type) errors.push('Type of check must be selected.');
+  // Checks carried out before the job title was recorded can still be edited
+  // and amended without one
+  const jobTitleRequired = !existing || !existing.check_date;
+  if (jobTitleRequired && (!data.job_title || !data.job_title.trim())) errors.push('Job title is required.');
+  if (data.weekly_hours != null && (Number.isNaN(data.weekly_hours) || data.weekly_hours < 0 || data.weekly_hours > 168)) {
+    errors.push('Contracted hours a week must be between 0 and 168.');
+  }
   if (!data.checker_name || !data.checker_name.trim()) errors.push('Name of person conducting the check is required.');
-  if (!data.declaration_confirmed) errors.push('You must agree to the declaration.');
+  for (const q of getMissingJustifications(data, checklist)) {
+    errors.push(`Explain the "No" answer to question ${q.number} (${q.short || q.text}).`);
+  }
+  if (isEscalated(data)) {
+    if (data.declaration_confirmed) {
+      errors.push(`The declaration cannot be made with a No answer to ${describeQuestions(getEscalatingAnswers(data.verification_answers), checklist)}.`);
+    }
+  } else if (!data.declaration_confirmed) {
+    errors.push('You must agree to the declaration.');
+  }
+  errors.push(...checkDocumentRules(data, checklist).errors);
   if (data.check_method === 'online' && (!data.share_code || !data.share_code.trim())) {
     errors.push('Share code is required for an online check.');
+  } else if (data.check_method === 'online' && !isValidShareCode(data.share_code)) {
+    errors.push(`Share code must be 9 letters or numbers starting with ${SHARE_CODE_PREFIXES.join(', ')}, for example W12 345 678.`);
+  }
+  if (data.check_method === 'online' && data.share_code_expiry_date && data.check_date) {
+    if (data.share_code_expiry_date < data.check_date) {
+      errors.push('The share code had expired before the date of check. Ask the employee for a new code.');
+    } else if (data.share_code_expiry_date > addDays(data.check_date, SHARE_CODE_VALID_DAYS)) {
+      errors.push(`Share code expiry cannot be more than ${SHARE_CODE_VALID_DAYS} days after the date of check.`);
+    }
+  }
+  if (data.check_method === 'online' && data.online_check_result
+    && data.online_check_result.outcome !== 'right_to_work'
+    && (data.documents_checked || []).includes('onlineConfirm')) {
+    errors.push('The online check result does not confirm a right to work, so the first online check confirmation cannot be ticked.');
   }
   if (data.check_method === 'idsp' && (!data.idsp_provider || !data.idsp_provider.trim())) {
-    errors.push('IDSP provider name is required.');
+    errors.push('Choose the IDSP provider.');
+  }
+  if (data.check_method === 'idsp' && data.idsp_check_date && data.check_date && data.idsp_check_date > data.check_date) {
+    errors.push('The date of the IDVT check cannot be after the date of the right to work check.');
+  }
+  if (data.check_method === 'idsp' && data.idsp_match_score != null
+      && (Number.isNaN(data.idsp_match_score) || data.idsp_match_score < 0 || data.idsp_match_score > 100)) {
+    errors.push('Match score must be a percentage between 0 and 100.');
+  }
+  if (data.check_method === 'online' && (data.documents_checked || []).includes('onlineStudent')) {
+    if (!data.student_course || !data.student_course.trim()) errors.push('Course of study is required for students.');
+    if (!data.student_term_dates || data.student_term_dates.length === 0) {
+      errors.push('At least one set of term dates is required for students.');
+    }
+    const ranges = [...(data.student_term_dates || []), ...(data.student_vacation_dates || [])];
+    if (ranges.some(r => !r.start || !r.end)) errors.push('Each term and vacation period needs a start and end date.');
+    if (ranges.some(r => r.start && r.end && r.start > r.end)) errors.push('Term and vacation start dates must be before their end dates.');
+    if (!(data.student_weekly_hours_cap > 0)) errors.push('Weekly working hours cap during term time is required for students.');
   }
   return errors;
 }
+
+/**
+ * Problems that do not block saving but need the checker to confirm.
+ * @param {Object} data - Record data from the form
+ * @param {Object} context
+ * @param {Object} context.checklist - The checklist version the record is completed against
+ * @param {boolean} [context.shareCodeInUse] - The share code is on another record
+ * @returns {string[]}
+ */
+export function getRecordWarnings(data, context) {
+  const warnings = [...checkDocumentRules(data, context.checklist).warnings];
+  const escalating = getEscalatingAnswers(data.verification_answers);
+  if (escalating.length) {
+    warnings.push(`Because of the No answer to ${describeQuestions(escalating, context.checklist)}, no statutory excuse is established. `
+      + 'The record will be saved without the declaration and referred to a manager.');
+  }
+  if (data.check_method === 'online' && context.shareCodeInUse) {
+    warnings.push('This share code is already attached to another record. Check it was generated by this person for this check.');
+  }
+  return warnings;
+}
@@ -0,0 +1,50 @@
+import { getChecklistQuestions } from './document-labels.js';
+
+/**
+ * Rules for the Step 2 verification answers. Every "No" must be explained in
+ * verification_justifications ({ [question key]: text }). A "No" to some
+ * questions means no statutory excuse can be established: the declaration
+ * cannot be made and the record is referred to a manager instead (status
+ * 'escalated').
+ */
+
+// Photographs not consistent, permission already expired, document not genuine
+export const ESCALATING_QUESTIONS = ['q1', 'q3', 'q5'];
+
+/**
+ * Keys of the questions whose answer refers the check to a manager.
+ * @param {Object} answers - verification_answers
+ * @returns {string[]}
+ */
+export function getEscalatingAnswers(answers) {
+  const a = answers || {};
+  return ESCALATING_QUESTIONS.filter(key => a[key] === 'No');
+}
+
+export function isEscalated(record) {
+  return getEscalatingAnswers(record.verification_answers).length > 0;
+}
+
+/**
+ * Questions answered "No" without a justification.
+ * @param {Object} record - Needs verification_answers and verification_justifications
+ * @param {Object} checklist - The record's checklist version
+ * @returns {Array} [{ key, text, short, number }]
+ */
+export function getMissingJustifications(record, checklist) {
+  const answers = record.verification_answers || {};
+  const justifications = record.verification_justifications || {};
+  return getChecklistQuestions(checklist)
+    .map((q, i) => ({ ...q, number: i + 1 }))
+    .filter(q => answers[q.key] === 'No' && !(justifications[q.key] || '').trim());
+}
+
+/**
+ * "question 1" or "questions 1 and 5", for messages about escalating answers.
+ */
+export function describeQuestions(keys, checklist) {
+  const questions = getChecklistQuestions(checklist);
+  const numbers = keys.map(key => questions.findIndex(q => q.key === key) + 1).filter(n => n > 0);
+  if (numbers.length === 1) return `question ${numbers[0]}`;
+  return `questions ${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Work restrictions attached to a person's permission, and whether the role
+ * they are being hired for is compatible with them.
+ *
+ * Stored on the record as work_restrictions (JSONB):
+ *   {
+ *     weekly_hours_cap,     // number, or null for no cap
+ *     sponsor_only,         // can only work for their visa sponsor
+ *     employer_is_sponsor,  // we are that sponsor
+ *     sponsor_name,
+ *     permitted_roles,      // [string]: restricted to these jobs (empty = any)
+ *     prohibited_work,      // [key of PROHIBITED_WORK]
+ *     no_recourse,          // no recourse to public funds (recorded only)
+ *     notes,
+ *   }
+ */
+
+export const PROHIBITED_WORK = {
+  sport: {
+    label: 'Professional sportsperson or sports coach',
+    pattern: /\b(sports?(person|man|woman)?|coach|athlete|footballer|player)\b/i,
+  },
+  doctor_training: {
+    label: 'Doctor or dentist in training',
+    pattern: /\b(doctor|dentist|dental|gp|registrar|junior doctor|foundation doctor|medic)\b/i,
+  },
+};
+
+export function emptyWorkRestrictions() {
+  return {
+    weekly_hours_cap: null,
+    sponsor_only: false,
+    employer_is_sponsor: false,
+    sponsor_name: null,
+    permitted_roles: [],
+    prohibited_work: [],
+    no_recourse: false,
+    notes: null,
+  };
+}
+
+/**
+ * Whether any restriction has been recorded.
+ */
+export function hasWorkRestrictions(restrictions) {
+  if (!restrictions) return false;
+  return restrictions.weekly_hours_cap != null
+    || !!restrictions.sponsor_only
+    || (restrictions.permitted_roles || []).length > 0
+    || (restrictions.prohibited_work || []).length > 0
+    || !!restrictions.no_recourse
+    || !!restrictions.notes;
+}
+
+// The title names the permitted role, e.g. "Senior Care Worker" for "care
+// worker". Not the other way round: "Care" is not permitted by "care worker".
+function roleMatches(jobTitle, permitted) {
+  const title = jobTitle.toLowerCase();
+  const role = permitted.toLowerCase().trim();
+  return !!role && title.includes(role);
+}
+
+/**
+ * Conflicts between a role and the person's restrictions. Any conflict means
+ * the declaration cannot be made. enforce_rtw_role_restrictions() in the
+ * schema applies the same checks.
+ * @param {Object} role - { job_title, weekly_hours }
+ * @param {Object} restrictions - work_restrictions as above
+ * @param {number} [studentHoursCap] - Term-time cap recorded for a student
+ * @returns {string[]} Messages, empty when compatible
+ */
+export function checkRoleCompatibility(role, restrictions, studentHoursCap = null) {
+  const conflicts = [];
+  const r = restrictions || emptyWorkRestrictions();
+  const jobTitle = (role.job_title || '').trim();
+  const hours = role.weekly_hours;
+
+  const caps = [r.weekly_hours_cap, studentHoursCap].filter(c => c !== null && c !== undefined && c !== '');
+  const cap = caps.length ? Math.min(...caps.map(Number)) : null;
+  if (cap !== null && hours !== null && hours !== undefined && Number(hours) > cap) {
+    conflicts.push(`The role is ${hours} hours a week, more than the ${cap}-hour weekly limit on this person's permission.`);
+  }
+
+  if (r.sponsor_only && !r.employer_is_sponsor) {
+    conflicts.push(`This person can only work for their sponsor${r.sponsor_name ? ` (${r.sponsor_name})` : ''}, and we are not recorded as that sponsor.`);
+  }
+
+  const permitted = (r.permitted_roles || []).filter(Boolean);
+  if (permitted.length && jobTitle && !permitted.some(p => roleMatches(jobTitle, p))) {
+    conflicts.push(`The role "${jobTitle}" is not one this person is permitted to do (${permitted.join(', ')}).`);
+  }
+
+  for (const key of r.prohibited_work || []) {
+    const rule = PROHIBITED_WORK[key];
+    if (rule && jobTitle && rule.pattern.test(jobTitle)) {
+      conflicts.push(`The role "${jobTitle}" looks like work this person is not permitted to do: ${rule.label.toLowerCase()}.`);
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Best-effort restrictions from the free text on an online check result,
+ * e.g. "Can work up to 20 hours a week during term time".
+ */
+export function restrictionsFromText(text) {
+  const restrictions = emptyWorkRestrictions();
+  if (!text) return restrictions;
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*hours?\s*(?:a|per)\s*week/i);
+  if (hours) restrictions.weekly_hours_cap = Number(hours[1]);
+  if (/\bsponsor/i.test(text)) restrictions.sponsor_only = true;
+  if (/no recourse to public funds/i.test(text)) restrictions.no_recourse = true;
+  if (/\bsport/i.test(text)) restrictions.prohibited_work.push('sport');
+  if (/doctor or dentist in training/i.test(text)) restrictions.prohibited_work.push('doctor_training');
+  restrictions.notes = text;
+  return restrictions;
+}
+
+/**
+ * One line per restriction, for the record page, PDF and Excel.
+ */
+export function describeWorkRestrictions(restrictions) {
+  if (!hasWorkRestrictions(restrictions)) return [];
+  const r = restrictions;
+  const lines = [];
+  if (r.weekly_hours_cap != null) lines.push(`Limited to ${r.weekly_hours_cap} hours a week`);
+  if (r.sponsor_only) {
+    lines.push(`Can only work for their sponsor${r.sponsor_name ? ` (${r.sponsor_name})` : ''}`
+      + (r.employer_is_sponsor ? ' \u2013 we are the sponsor' : ''));
+  }
+  if ((r.permitted_roles || []).length) lines.push('Restricted to: ' + r.permitted_roles.join(', '));
+  for (const key of r.prohibited_work || []) {
+    if (PROHIBITED_WORK[key]) lines.push('Not permitted: ' + PROHIBITED_WORK[key].label.toLowerCase());
+  }
+  if (r.no_recourse) lines.push('No recourse to public funds');
+  if (r.notes) lines.push('Notes: ' + r.notes);
+  return lines;
+}
@@ -0,0 +1,191 @@
+import { fetchAllRecords } from '../services/records-service.js';
+import { getCurrentSiteId } from '../services/site-service.js';
+import { getCalendarFeedUrl, resetCalendarFeedUrl } from '../services/calendar-service.js';
+import { buildCalendarEvents, buildICalendar, EVENT_KINDS } from '../utils/calendar-events.js';
+import { todayISO, toISODate } from '../utils/date-utils.js';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+let events = [];
+let shownMonth = null; // 'YYYY-MM'
+
+function esc(str) {
+  if (!str) return '';
+  const d = document.createElement('div');
+  d.textContent = str;
+  return d.innerHTML;
+}
+
+function monthTitle(month) {
+  return new Date(month + '-01T00:00:00').toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+}
+
+function shiftMonth(month, delta) {
+  const d = new Date(month + '-01T00:00:00');
+  d.setMonth(d.getMonth() + delta);
+  return toISODate(d).slice(0, 7);
+}
+
+/**
+ * Month grid, weeks starting on Monday, with each day's events.
+ */
+function buildMonthGrid(month) {
+  const first = new Date(month + '-01T00:00:00');
+  const start = new Date(first);
+  start.setDate(1 - ((first.getDay() + 6) % 7));
+  const today = todayISO();
+
+  const byDate = new Map();
+  for (const event of events) {
+    if (!byDate.has(event.date)) byDate.set(event.date, []);
+    byDate.get(event.date).push(event);
+  }
+
+  const cells = [];
+  const day = new Date(start);
+  do {
+    for (let i = 0; i < 7; i++) {
+      const date = toISODate(day);
+      const inMonth = date.slice(0, 7) === month;
+      const dayEvents = byDate.get(date) || [];
+      cells.push(`
+        <div class="cal-day${inMonth ? '' : ' cal-other-month'}${date === today ? ' cal-today' : ''}">
+          <span class="cal-date">${day.getDate()}</span>
+          ${dayEvents.map(e => `
+            <a href="#/record/${esc(e.recordId)}" class="cal-event ${EVENT_KINDS[e.kind].className}" title="${esc(e.title)}">${esc(e.personName)}</a>`).join('')}
+        </div>`);
+      day.setDate(day.getDate() + 1);
+    }
+  } while (toISODate(day).slice(0, 7) === month);
+
+  return `
+    <div class="cal-grid">
+      ${WEEKDAYS.map(d => `<div class="cal-weekday">${d}</div>`).join('')}
+      ${cells.join('')}
+    </div>`;
+}
+
+function buildMonthList(month) {
+  const monthEvents = events.filter(e => e.date.slice(0, 7) === month);
+  if (!monthEvents.length) return '<p>No dates in this month.</p>';
+  return `
+    <table class="records-table">
+      <thead><tr><th>Date</th><th>Event</th><th>Name</th></tr></thead>
+      <tbody>${monthEvents.map(e => `
+        <tr>
+          <td>${new Date(e.date + 'T00:00:00').toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })}</td>
+          <td><span class="report-swatch ${EVENT_KINDS[e.kind].className}"></span>${esc(EVENT_KINDS[e.kind].label)}</td>
+          <td><a href="#/record/${esc(e.recordId)}">${esc(e.personName)}</a></td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function renderMonth(el) {
+  el.querySelector('#cal-title').textContent = monthTitle(shownMonth);
+  el.querySelector('#cal-month').innerHTML = buildMonthGrid(shownMonth);
+  el.querySelector('#cal-list').innerHTML = buildMonthList(shownMonth);
+}
+
+function downloadICalendar() {
+  const blob = new Blob([buildICalendar(events)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `RTW_Dates_${todayISO().replace(/-/g, '')}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Render the calendar of follow-up, expiry and deletion dates.
+ * @param {HTMLElement} el - The container element to render into.
+ */
+export async function render(el) {
+  // RLS limits staff to the records they created, as on the dashboard; the
+  // site chosen in the nav narrows it further
+  events = buildCalendarEvents(await fetchAllRecords(await getCurrentSiteId()));
+  shownMonth = todayISO().slice(0, 7);
+
+  el.innerHTML = `
+    <div class="dashboard-header">
+      <h1>Calendar</h1>
+      <p>Follow-up checks, permission expiry dates and record deletion dates.</p>
+    </div>
+
+    <div class="cal-toolbar">
+      <button type="button" class="btn btn-secondary btn-small" id="cal-prev">&larr; Previous</button>
+      <h2 id="cal-title"></h2>
+      <button type="button" class="btn btn-secondary btn-small" id="cal-next">Next &rarr;</button>
+      <button type="button" class="btn btn-secondary btn-small" id="cal-today">Today</button>
+    </div>
+    <div class="report-legend">
+      ${Object.values(EVENT_KINDS).map(k => `<span><span class="report-swatch ${k.className}"></span>${esc(k.label)}</span>`).join('')}
+    </div>
+
+    <div id="cal-month"></div>
+    <div id="cal-list" class="cal-list"></div>
+
+    <div class="export-section">
+      <h3>Add to your calendar</h3>
+      <p class="export-desc">Download the dates as a file, or subscribe so your calendar app keeps them up to date. Each event links back to the record.</p>
+      <div class="export-row">
+        <button type="button" class="btn btn-secondary" id="cal-download">Download .ics file</button>
+        <button type="button" class="btn btn-secondary" id="cal-subscribe">Show subscription link</button>
+      </div>
+      <div id="cal-feed" style="display:none;">
+        <p class="export-desc">Add this link to your calendar app as a subscription (for example &ldquo;From URL&rdquo; in Google Calendar). Keep it private: anyone with the link can see these dates.</p>
+        <div class="export-row">
+          <input type="text" id="cal-feed-url" readonly class="cal-feed-url">
+          <button type="button" class="btn btn-secondary btn-small" id="cal-copy">Copy</button>
+          <button type="button" class="btn-link" id="cal-reset">Reset link</button>
+        </div>
+      </div>
+      <p class="field-warning" id="cal-feed-error" style="display:none;"></p>
+    </div>`;
+
+  renderMonth(el);
+
+  el.querySelector('#cal-prev').addEventListener('click', () => {
+    shownMonth = shiftMonth(shownMonth, -1);
+    renderMonth(el);
+  });
+  el.querySelector('#cal-next').addEventListener('click', () => {
+    shownMonth = shiftMonth(shownMonth, 1);
+    renderMonth(el);
+  });
+  el.querySelector('#cal-today').addEventListener('click', () => {
+    shownMonth = todayISO().slice(0, 7);
+    renderMonth(el);
+  });
+
+  el.querySelector('#cal-download').addEventListener('click', downloadICalendar);
+
+  const feedPanel = el.querySelector('#cal-feed');
+  const feedInput = el.querySelector('#cal-feed-url');
+  const feedError = el.querySelector('#cal-feed-error');
+
+  async function showFeed(load) {
+    feedError.style.display = 'none';
+    try {
+      feedInput.value = await load();
+      feedPanel.style.display = 'block';
+    } catch (err) {
+      feedError.textContent = err.message;
+      feedError.style.display = 'block';
+    }
+  }
+
+  el.querySelector('#cal-subscribe').addEventListener('click', () => showFeed(getCalendarFeedUrl));
+  el.querySelector('#cal-reset').addEventListener('click', () => {
+    if (!confirm('Reset the link? Calendars subscribed to the current link will stop updating.')) return;
+    showFeed(resetCalendarFeedUrl);
+  });
+  el.querySelector('#cal-copy').addEventListener('click', async () => {
+    feedInput.select();
+    try {
+      await navigator.clipboard.writeText(feedInput.value);
+    } catch (_) { /* selected for manual copy */ }
+  });
+}
@@ -1,12 +1,19 @@
-import { fetchAllRecords } from '../services/records-service.js';
-import { refreshStatuses, STATUS_LABELS, STATUS_CLASSES } from '../services/status-service.js';
+import {
+  fetchAllRecords, fetchRecordsPage, fetchLatestRecords, fetchLatestRecordsByStatus,
+  fetchRecordsByCheckDate, countRecords, RECORD_SORT_COLUMNS, RECORDS_PAGE_SIZE,
+} from '../services/records-service.js';
+import { FOLLOW_UP_STATUSES, STATUS_LABELS, STATUS_CLASSES } from '../services/status-service.js';
 import { formatDateShort } from '../utils/date-utils.js';
 import { METHOD_LABELS } from '../utils/document-labels.js';
 import { exportToZip } from '../utils/excel-export.js';
 import { exportPDFsToZip } from '../utils/pdf-export.js';
+import { getCapabilities } from '../services/auth-service.js';
+import { scoreOrganisation, RISK_LEVELS, RISK_COLUMNS } from '../services/risk-service.js';
+import { fetchSites, getCurrentSiteId, setCurrentSiteId } from '../services/site-service.js';
+import { setQuery, reloadRoute } from '../router.js';
 
-const ATTENTION_STATUSES = ['follow_up_due', 'expired', 'follow_up_overdue', 'pending_deletion', 'pending_onboarding'];
-const DANGER_STATUSES = ['expired', 'follow_up_overdue', 'pending_deletion'];
+const ATTENTION_STATUSES = ['follow_up_due', 'expired', 'follow_up_overdue', 'pending_deletion', 'pending_onboarding', 'student_terms_due', 'escalated'];
+const DANGER_STATUSES = ['expired', 'follow_up_overdue', 'pending_deletion', 'escalated'];
 
 const STATUS_FILTER_OPTIONS = [
   { value: '', label: 'All statuses' },
@@ -16,6 +23,8 @@ const STATUS_FILTER_OPTIONS = [
   { value: 'follow_up_overdue', label: 'Overdue' },
   { value: 'pending_deletion', label: 'Pending deletion' },
   { value: 'pending_onboarding', label: 'Pending onboarding' },
+  { value: 'student_terms_due', label: 'Term dates due' },
+  { value: 'escalated', label: 'Referred to manager' },
 ];
 
 const TYPE_FILTER_OPTIONS = [
@@ -31,9 +40,64 @@ const METHOD_FILTER_OPTIONS = [
   { value: 'online', label: 'Online' },
 ];
 
-let allRecords = [];
-let currentFilters = { search: '', status: '', type: '', method: '' };
+const SEARCH_DELAY_MS = 300;
+
+let counts = { people: 0, checks: 0 };
+let attentionRows = [];
+let pageRows = [];
+let pageTotal = 0;
+let can = new Set();
+let riskSummary = null;
+let riskLevelShown = 'high';
+let sites = [];
+let currentFilters = { search: '', status: '', type: '', method: '', site: '' };
 let currentSort = { column: 'check_date', direction: 'desc' };
+let currentPage = 1;
+let pageRequest = 0;
+let searchTimer = null;
+
+function esc(str) {
+  if (!str) return '';
+  const d = document.createElement('div');
+  d.textContent = str;
+  return d.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the filter, sort and page state from the route's query string,
+ * ignoring values the dashboard does not offer. Without a site in the query,
+ * the site chosen in the nav applies.
+ * @param {Object} query - Query string values from the router.
+ * @param {string} currentSiteId - The site chosen in the nav, or '' for all.
+ */
+function readQueryState(query, currentSiteId) {
+  const allowed = (options, value) => (options.some(opt => opt.value === value) ? value : '');
+  currentFilters = {
+    search: query.search || '',
+    status: allowed(STATUS_FILTER_OPTIONS, query.status),
+    type: allowed(TYPE_FILTER_OPTIONS, query.type),
+    method: allowed(METHOD_FILTER_OPTIONS, query.method),
+    site: sites.some(s => s.id === query.site) ? query.site : currentSiteId,
+  };
+  currentSort = {
+    column: RECORD_SORT_COLUMNS[query.sort] ? query.sort : 'check_date',
+    direction: query.dir === 'asc' ? 'asc' : 'desc',
+  };
+  currentPage = Math.max(1, parseInt(query.page, 10) || 1);
+}
+
+/**
+ * Write the filter, sort and page state to the URL, leaving defaults out.
+ */
+function writeQueryState() {
+  const defaultSort = currentSort.column === 'check_date' && currentSort.direction === 'desc';
+  setQuery({
+    ...currentFilters,
+    sort: defaultSort ? '' : currentSort.column,
+    dir: defaultSort ? '' : currentSort.direction,
+    page: currentPage > 1 ? currentPage : '',
+  });
+}
 
 /**
  * Format the check type value for display.
@@ -74,86 +138,9 @@ function sortIndicator(column) {
   return currentSort.direction === 'asc' ? ' \u25B2' : ' \u25BC';
 }
 
-/**
- * Filter records based on the current filter state.
- * @param {Array} records - The full list of records.
- * @returns {Array} Filtered records.
- */
-function applyFilters(records) {
-  return records.filter(record => {
-    if (currentFilters.search) {
-      const term = currentFilters.search.toLowerCase();
-      const fullName = (record.person_name || '').toLowerCase();
-      if (!fullName.includes(term)) return false;
-    }
-
-    if (currentFilters.status && record.status !== currentFilters.status) {
-      return false;
-    }
-
-    if (currentFilters.type && record.check_type !== currentFilters.type) {
-      return false;
-    }
-
-    if (currentFilters.method && record.check_method !== currentFilters.method) {
-      return false;
-    }
-
-    return true;
-  });
-}
-
-/**
- * Sort records based on the current sort state.
- * @param {Array} records - Records to sort (will be sorted in place).
- * @returns {Array} The sorted array.
- */
-function applySort(records) {
-  const { column, direction } = currentSort;
-  const mult = direction === 'asc' ? 1 : -1;
-
-  return records.sort((a, b) => {
-    let valA, valB;
-
-    switch (column) {
-      case 'name':
-        valA = (a.person_name || '').toLowerCase();
-        valB = (b.person_name || '').toLowerCase();
-        break;
-      case 'dob':
-        valA = a.date_of_birth || '';
-        valB = b.date_of_birth || '';
-        break;
-      case 'check_date':
-        valA = a.check_date || '';
-        valB = b.check_date || '';
-        break;
-      case 'type':
-        valA = a.check_type || '';
-        valB = b.check_type || '';
-        break;
-      case 'method':
-        valA = a.check_method || '';
-        valB = b.check_method || '';
-        break;
-      case 'status':
-        valA = a.status || '';
-        valB = b.status || '';
-        break;
-      default:
-        valA = '';
-        valB = '';
-    }
-
-    if (valA < valB) return -1 * mult;
-    if (valA > valB) return 1 * mult;
-    return 0;
-  });
-}
-
 /**
  * Build the table body HTML from the given records.
- * @param {Array} records - Filtered and sorted records.
+ * @param {Array} records - One page of records.
  * @returns {string} HTML string for tbody content.
  */
 function buildTbodyHTML(records) {
@@ -170,8 +157,10 @@ function buildTbodyHTML(records) {
     const statusLabel = STATUS_LABELS[record.status] || record.status || '';
     const statusClass = STATUS_CLASSES[record.status] || '';
 
+    const checkCount = record.check_count > 1 ? ` <span class="check-count">${record.check_count} checks</span>` : '';
+
     return `<tr>
-        <td><a href="#/record/${record.id}">${name}</a></td>
+        <td><a href="#/record/${record.id}">${name}</a>${checkCount}</td>
         <td>${dob}</td>
         <td>${checkDate}</td>
         <td>${type}</td>
@@ -182,21 +171,69 @@ function buildTbodyHTML(records) {
 }
 
 /**
- * Re-render only the table body based on current filters and sort.
+ * Build the page controls below the table.
+ * @returns {string} HTML string for the pagination bar.
+ */
+function buildPaginationHTML() {
+  if (pageTotal === 0) return '';
+  const pages = Math.ceil(pageTotal / RECORDS_PAGE_SIZE);
+  const first = (currentPage - 1) * RECORDS_PAGE_SIZE + 1;
+  const last = Math.min(currentPage * RECORDS_PAGE_SIZE, pageTotal);
+  return `
+    <span class="pagination-summary">Showing ${first}&ndash;${last} of ${pageTotal}</span>
+    <button type="button" class="btn btn-secondary btn-small" data-page="${currentPage - 1}"${currentPage <= 1 ? ' disabled' : ''}>&larr; Previous</button>
+    <span>Page ${currentPage} of ${pages}</span>
+    <button type="button" class="btn btn-secondary btn-small" data-page="${currentPage + 1}"${currentPage >= pages ? ' disabled' : ''}>Next &rarr;</button>`;
+}
+
+/**
+ * Fetch the current page with the current filters and sort, then re-render
+ * the table body and page controls. Responses to superseded requests (e.g.
+ * while the user is still typing a search) are dropped.
+ * @param {HTMLElement} el - The root container element.
+ */
+async function loadPage(el) {
+  // The user may have left the dashboard while a search was pending
+  if (!el.querySelector('#dashboard-tbody')) return;
+  const request = ++pageRequest;
+  writeQueryState();
+  let result;
+  try {
+    result = await fetchRecordsPage({ ...currentFilters, sort: currentSort.column, direction: currentSort.direction, page: currentPage });
+  } catch (err) {
+    if (request !== pageRequest) return;
+    const tbody = el.querySelector('#dashboard-tbody');
+    if (tbody) tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${esc(err.message)}</td></tr>`;
+    return;
+  }
+  if (request !== pageRequest) return;
+
+  // A bookmarked page number may be past the end once records change
+  const pages = Math.max(1, Math.ceil(result.total / RECORDS_PAGE_SIZE));
+  if (currentPage > pages) {
+    currentPage = pages;
+    return loadPage(el);
+  }
+
+  pageRows = result.rows;
+  pageTotal = result.total;
+  updateTableBody(el);
+}
+
+/**
+ * Re-render the table body and page controls from the current page.
  * @param {HTMLElement} el - The root container element.
  */
 function updateTableBody(el) {
   const tbody = el.querySelector('#dashboard-tbody');
-  if (!tbody) return;
-
-  const filtered = applyFilters([...allRecords]);
-  const sorted = applySort(filtered);
-  tbody.innerHTML = buildTbodyHTML(sorted);
+  if (tbody) tbody.innerHTML = buildTbodyHTML(pageRows);
+  const pagination = el.querySelector('#dashboard-pagination');
+  if (pagination) pagination.innerHTML = buildPaginationHTML();
 }
 
 /**
- * Build the attention banner HTML.
- * @param {Array} records - All records.
+ * Build the attention banner HTML, listing people due a follow-up check.
+ * @param {Array} records - Latest check per person.
  * @returns {string} HTML string for the attention banner, or empty string.
  */
 function buildAttentionBanner(records) {
@@ -206,14 +243,102 @@ function buildAttentionBanner(records) {
   const hasDanger = attentionRecords.some(r => DANGER_STATUSES.includes(r.status));
   const bannerClass = hasDanger ? 'attention-banner danger' : 'attention-banner';
   const label = attentionRecords.length === 1 ? 'record needs' : 'records need';
+  const banner = `<div class="${bannerClass}">${attentionRecords.length} ${label} attention</div>`;
+
+  const followUps = attentionRecords.filter(r => FOLLOW_UP_STATUSES.includes(r.status));
+  if (followUps.length === 0) return banner;
+
+  const rows = followUps.map(r => {
+    const due = r.follow_up_date || r.expiry_date;
+    return `<tr>
+      <td><a href="#/record/${r.id}">${r.person_name || ''}</a></td>
+      <td>${due ? formatDateShort(due) : ''}</td>
+      <td><span class="badge ${STATUS_CLASSES[r.status] || ''}">${STATUS_LABELS[r.status] || r.status}</span></td>
+      <td>${can.has('check_records') ? `<a href="#/record/${r.id}/follow-up" class="btn btn-primary btn-small">Start follow-up check</a>` : ''}</td>
+    </tr>`;
+  }).join('');
 
-  return `<div class="${bannerClass}">${attentionRecords.length} ${label} attention</div>`;
+  return `
+    ${banner}
+    <table class="records-table attention-table">
+      <thead>
+        <tr><th>Name</th><th>Due</th><th>Status</th><th>Action</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
 }
 
 /**
- * Build the full dashboard HTML shell.
- * @param {Array} records - All records.
- * @returns {string} Complete dashboard HTML.
+ * Build the drill-down rows for one risk level.
+ * @param {string} level - Key of RISK_LEVELS.
+ * @returns {string} HTML string for tbody content.
+ */
+function buildRiskRowsHTML(level) {
+  const results = riskSummary.results.filter(r => r.level === level);
+  if (results.length === 0) {
+    return `<tr><td colspan="4" class="empty-state">No ${RISK_LEVELS[level].label.toLowerCase()} risk records.</td></tr>`;
+  }
+  return results.map(({ record, score, factors }) => `<tr>
+      <td><a href="#/record/${record.id}">${esc(record.person_name)}</a></td>
+      <td><span class="badge ${RISK_LEVELS[level].badge}">${score}</span></td>
+      <td>${factors.length
+        ? `<ul class="risk-factors">${factors.map(f => `<li>${esc(f.label)} <span class="risk-points">+${f.points}</span></li>`).join('')}</ul>`
+        : 'No concerns found'}</td>
+      <td><span class="badge ${STATUS_CLASSES[record.status] || ''}">${esc(STATUS_LABELS[record.status] || record.status)}</span></td>
+    </tr>`).join('');
+}
+
+/**
+ * Build the civil penalty risk panel: organisation score, a count per risk
+ * level and the records at the selected level. Before scoring, just the
+ * button that starts it.
+ * @returns {string} HTML string for the panel.
+ */
+function buildRiskPanelHTML() {
+  if (!riskSummary) {
+    return `
+    <div class="risk-panel">
+      <p class="risk-desc">Score each current employee&rsquo;s latest check for civil penalty risk. This reads every current check at ${currentFilters.site ? 'this site' : 'all sites'}.</p>
+      <button type="button" class="btn btn-secondary" id="score-risk-btn">Score compliance risk</button>
+    </div>`;
+  }
+  if (riskSummary.results.length === 0) {
+    return `
+    <div class="risk-panel">
+      <p class="risk-desc">No current employees to score.</p>
+    </div>`;
+  }
+  const { score, level, counts } = riskSummary;
+
+  const levelButtons = Object.keys(RISK_LEVELS).map(key => `
+      <button type="button" class="risk-level${key === riskLevelShown ? ' active' : ''}" data-risk-level="${key}">
+        <span class="risk-level-count">${counts[key]}</span>
+        ${RISK_LEVELS[key].label} risk
+      </button>`).join('');
+
+  return `
+    <div class="risk-panel">
+      <div class="risk-summary">
+        <div class="risk-score risk-${level}">
+          <span class="risk-score-value">${score}</span>
+          <span class="risk-score-label">Organisation risk score (out of 100)</span>
+        </div>
+        ${levelButtons}
+      </div>
+      <p class="risk-desc">Scored from each current employee&rsquo;s latest check: its status, missing scans, documents that do not meet the Home Office rules and Step 2 answers. High risk records would be unlikely to give a statutory excuse in a Home Office audit.</p>
+      <table class="records-table risk-table">
+        <thead>
+          <tr><th>Name</th><th>Score</th><th>Reasons</th><th>Status</th></tr>
+        </thead>
+        <tbody id="risk-tbody">${buildRiskRowsHTML(riskLevelShown)}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Build the pending onboarding section HTML.
+ * @param {Array} records - Latest check per person.
+ * @returns {string} HTML string for the section, or empty string.
  */
 function buildPendingOnboardingHTML(records) {
   const pending = records.filter(r => r.status === 'pending_onboarding');
@@ -244,26 +369,27 @@ function buildPendingOnboardingHTML(records) {
     </div>`;
 }
 
-function buildDashboardHTML(records) {
-  const attentionBanner = buildAttentionBanner(records);
-  const pendingOnboarding = buildPendingOnboardingHTML(records);
-
-  const filtered = applyFilters([...records]);
-  const sorted = applySort(filtered);
-  const tbodyHTML = buildTbodyHTML(sorted);
+/**
+ * Build the full dashboard HTML shell. The table is filled in by loadPage()
+ * and the risk panel by loadRiskPanel() when asked for.
+ * @returns {string} Complete dashboard HTML.
+ */
+function buildDashboardHTML() {
+  const { people, checks } = counts;
 
   return `
     <div class="dashboard-header">
       <h1>Dashboard</h1>
-      <p>${records.length} record${records.length !== 1 ? 's' : ''}</p>
+      <p>${people} employee${people !== 1 ? 's' : ''} &middot; ${checks} check${checks !== 1 ? 's' : ''}</p>
     </div>
 
-    ${attentionBanner}
-    ${pendingOnboarding}
+    ${buildAttentionBanner(attentionRows)}
+    <div id="risk-panel">${can.has('review_referrals') ? buildRiskPanelHTML() : ''}</div>
+    ${buildPendingOnboardingHTML(attentionRows)}
 
     <div class="filter-bar">
       <div class="form-group">
-        <input type="text" id="filter-search" placeholder="Search by name\u2026" value="${currentFilters.search}">
+        <input type="text" id="filter-search" placeholder="Search by name, share code or checker\u2026" value="${esc(currentFilters.search)}">
       </div>
       <div class="form-group">
         ${buildSelectHTML('filter-status', STATUS_FILTER_OPTIONS, currentFilters.status)}
@@ -274,6 +400,10 @@ function buildDashboardHTML(records) {
       <div class="form-group">
         ${buildSelectHTML('filter-method', METHOD_FILTER_OPTIONS, currentFilters.method)}
       </div>
+      ${sites.length > 1 ? `
+      <div class="form-group">
+        ${buildSelectHTML('filter-site', [{ value: '', label: 'All sites' }, ...sites.map(s => ({ value: s.id, label: esc(s.name) }))], currentFilters.site)}
+      </div>` : ''}
     </div>
 
     <table class="records-table">
@@ -288,9 +418,10 @@ function buildDashboardHTML(records) {
         </tr>
       </thead>
       <tbody id="dashboard-tbody">
-        ${tbodyHTML}
+        <tr><td colspan="6" class="empty-state">Loading\u2026</td></tr>
       </tbody>
     </table>
+    <div class="pagination" id="dashboard-pagination"></div>
 
     <div class="export-section">
       <h3>Export Records</h3>
@@ -311,15 +442,21 @@ function buildDashboardHTML(records) {
 }
 
 /**
- * Attach all event listeners for filters and sort headers.
+ * Attach all event listeners for filters, sort headers and page controls.
  * @param {HTMLElement} el - The root container element.
  */
 function attachEventListeners(el) {
   const searchInput = el.querySelector('#filter-search');
   if (searchInput) {
     searchInput.addEventListener('keyup', () => {
-      currentFilters.search = searchInput.value;
-      updateTableBody(el);
+      if (searchInput.value === currentFilters.search) return;
+      // Wait for a pause in typing before querying
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        currentFilters.search = searchInput.value;
+        currentPage = 1;
+        loadPage(el);
+      }, SEARCH_DELAY_MS);
     });
   }
 
@@ -327,7 +464,8 @@ function attachEventListeners(el) {
   if (statusSelect) {
     statusSelect.addEventListener('change', () => {
       currentFilters.status = statusSelect.value;
-      updateTableBody(el);
+      currentPage = 1;
+      loadPage(el);
     });
   }
 
@@ -335,7 +473,8 @@ function attachEventListeners(el) {
   if (typeSelect) {
     typeSelect.addEventListener('change', () => {
       currentFilters.type = typeSelect.value;
-      updateTableBody(el);
+      currentPage = 1;
+      loadPage(el);
     });
   }
 
@@ -343,10 +482,29 @@ function attachEventListeners(el) {
   if (methodSelect) {
     methodSelect.addEventListener('change', () => {
       currentFilters.method = methodSelect.value;
-      updateTableBody(el);
+      currentPage = 1;
+      loadPage(el);
     });
   }
 
+  // The counts, attention list and risk panel are per site too, so a change
+  // of site renders the whole dashboard again, and becomes the nav's site
+  const siteSelect = el.querySelector('#filter-site');
+  if (siteSelect) {
+    siteSelect.addEventListener('change', () => {
+      currentFilters.site = siteSelect.value;
+      currentPage = 1;
+      setCurrentSiteId(siteSelect.value);
+      const siteSwitcher = document.getElementById('site-switcher');
+      if (siteSwitcher) siteSwitcher.value = siteSelect.value;
+      writeQueryState();
+      reloadRoute();
+    });
+  }
+
+  const scoreRiskBtn = el.querySelector('#score-risk-btn');
+  if (scoreRiskBtn) scoreRiskBtn.addEventListener('click', () => loadRiskPanel(el));
+
   const sortHeaders = el.querySelectorAll('th[data-sort]');
   sortHeaders.forEach(th => {
     th.addEventListener('click', () => {
@@ -365,10 +523,21 @@ function attachEventListeners(el) {
         header.textContent = baseLabel + sortIndicator(col);
       });
 
-      updateTableBody(el);
+      currentPage = 1;
+      loadPage(el);
     });
   });
 
+  const pagination = el.querySelector('#dashboard-pagination');
+  if (pagination) {
+    pagination.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-page]');
+      if (!btn || btn.disabled) return;
+      currentPage = parseInt(btn.getAttribute('data-page'), 10);
+      loadPage(el);
+    });
+  }
+
   // Export helpers
   const progressEl = el.querySelector('#export-progress');
 
@@ -398,27 +567,36 @@ function attachEventListeners(el) {
   // Export buttons
   const exportAllBtn = el.querySelector('#export-all-btn');
   if (exportAllBtn) {
-    exportAllBtn.addEventListener('click', () => {
-      if (allRecords.length === 0) return;
+    exportAllBtn.addEventListener('click', async () => {
+      let records;
+      try {
+        records = await fetchAllRecords(currentFilters.site);
+      } catch (err) {
+        alert('Export failed: ' + err.message);
+        return;
+      }
+      if (records.length === 0) return;
       const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-      runExport(allRecords, `RTW_Records_All_${dateStr}`);
+      runExport(records, `RTW_Records_All_${dateStr}`);
     });
   }
 
   const exportAllPdfsBtn = el.querySelector('#export-all-pdfs-btn');
   if (exportAllPdfsBtn) {
     exportAllPdfsBtn.addEventListener('click', async () => {
-      if (allRecords.length === 0) return;
       setExportBtns(true);
       if (progressEl) progressEl.textContent = 'Generating PDFs\u2026';
       try {
+        const records = await fetchAllRecords(currentFilters.site);
         const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
         function showPdfProgress(current, total) {
           if (progressEl) {
             progressEl.textContent = `Generating PDF ${current}/${total}\u2026`;
           }
         }
-        await exportPDFsToZip(allRecords, `RTW_PDFs_All_${dateStr}`, showPdfProgress);
+        if (records.length > 0) {
+          await exportPDFsToZip(records, `RTW_PDFs_All_${dateStr}`, showPdfProgress);
+        }
       } catch (err) {
         alert('PDF export failed: ' + err.message);
       }
@@ -429,7 +607,7 @@ function attachEventListeners(el) {
 
   const exportRangeBtn = el.querySelector('#export-range-btn');
   if (exportRangeBtn) {
-    exportRangeBtn.addEventListener('click', () => {
+    exportRangeBtn.addEventListener('click', async () => {
       const fromInput = el.querySelector('#export-from');
       const toInput = el.querySelector('#export-to');
       const from = fromInput ? fromInput.value : '';
@@ -440,12 +618,13 @@ function attachEventListeners(el) {
         return;
       }
 
-      const filtered = allRecords.filter(r => {
-        const d = r.check_date || '';
-        if (from && d < from) return false;
-        if (to && d > to) return false;
-        return true;
-      });
+      let filtered;
+      try {
+        filtered = await fetchRecordsByCheckDate(from, to, currentFilters.site);
+      } catch (err) {
+        alert('Export failed: ' + err.message);
+        return;
+      }
 
       if (filtered.length === 0) {
         alert('No records found in the selected date range.');
@@ -460,29 +639,75 @@ function attachEventListeners(el) {
 }
 
 /**
- * Render the dashboard view into the given element.
- * @param {HTMLElement} el - The container element to render into.
+ * Score the latest check of every employee and fill in the risk panel. Run
+ * from the panel's button, as it reads every employee's latest check; only
+ * the columns scoring needs are fetched.
+ * @param {HTMLElement} el - The root container element.
  */
-export async function render(el) {
-  // Reset filters and sort state on each full render
-  currentFilters = { search: '', status: '', type: '', method: '' };
-  currentSort = { column: 'check_date', direction: 'desc' };
+async function loadRiskPanel(el) {
+  const panel = el.querySelector('#risk-panel');
+  if (!panel) return;
+  const scoreBtn = panel.querySelector('#score-risk-btn');
+  if (scoreBtn) {
+    scoreBtn.disabled = true;
+    scoreBtn.textContent = 'Scoring\u2026';
+  }
+
+  try {
+    riskSummary = await scoreOrganisation(await fetchLatestRecords(currentFilters.site, RISK_COLUMNS));
+  } catch (err) {
+    alert('Failed to score compliance risk: ' + err.message);
+    if (scoreBtn) {
+      scoreBtn.disabled = false;
+      scoreBtn.textContent = 'Score compliance risk';
+    }
+    return;
+  }
 
-  allRecords = await fetchAllRecords();
-  refreshStatuses(allRecords);
+  // Open the drill-down at the most serious level that has records
+  riskLevelShown = Object.keys(RISK_LEVELS).find(level => riskSummary.counts[level] > 0) || 'high';
+  panel.innerHTML = buildRiskPanelHTML();
+  panel.querySelectorAll('[data-risk-level]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      riskLevelShown = btn.getAttribute('data-risk-level');
+      panel.querySelectorAll('[data-risk-level]').forEach(b => b.classList.toggle('active', b === btn));
+      panel.querySelector('#risk-tbody').innerHTML = buildRiskRowsHTML(riskLevelShown);
+    });
+  });
+}
 
-  if (allRecords.length === 0) {
+/**
+ * Render the dashboard view into the given element.
+ * @param {HTMLElement} el - The container element to render into.
+ * @param {Object} [query] - Query string values holding filter, sort and page state.
+ */
+export async function render(el, query = {}) {
+  sites = await fetchSites();
+  readQueryState(query, await getCurrentSiteId());
+  clearTimeout(searchTimer);
+
+  // Searching, filtering, sorting and paging happen in the database; only
+  // one page of the table, plus the people needing attention, is fetched.
+  [counts, attentionRows] = await Promise.all([
+    countRecords(currentFilters.site),
+    fetchLatestRecordsByStatus(ATTENTION_STATUSES, currentFilters.site),
+  ]);
+  try { can = await getCapabilities(); } catch (_) { can = new Set(); }
+
+  if (counts.checks === 0) {
     el.innerHTML = `
       <div class="dashboard-header">
         <h1>Dashboard</h1>
         <p>0 records</p>
       </div>
       <div class="empty-state">
-        <p>No records yet. <a href="#/new">Add your first right to work check</a>.</p>
+        <p>No records${currentFilters.site ? ' at this site' : ''} yet. <a href="#/new">Add your first right to work check</a>.</p>
       </div>`;
     return;
   }
 
-  el.innerHTML = buildDashboardHTML(allRecords);
+  riskSummary = null;
+  el.innerHTML = buildDashboardHTML();
   attachEventListeners(el);
+  await loadPage(el);
 }
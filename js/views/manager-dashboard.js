@@ -1,4 +1,12 @@
 import { fetchAuditLog, fetchLoginHistory } from '../services/audit-service.js';
+import { getCapabilities } from '../services/auth-service.js';
+import { fetchIdspProviders, saveIdspProvider, deleteIdspProvider, isCertificationLapsed } from '../services/idsp-provider-service.js';
+import { formatDateUK, formatDateShort, daysUntil, addMonths, todayISO } from '../utils/date-utils.js';
+import { fetchAllRecords } from '../services/records-service.js';
+import { buildComplianceReport, REPORT_METHODS } from '../services/report-service.js';
+import { getCurrentSiteId } from '../services/site-service.js';
+import { METHOD_LABELS } from '../utils/document-labels.js';
+import { exportSheetsToExcel } from '../utils/excel-export.js';
 
 function esc(str) {
   if (!str) return '';
@@ -15,28 +23,34 @@ function formatDateTime(iso) {
   });
 }
 
+// Tabs, and the capability each needs
+const ADMIN_TABS = [
+  { id: 'audit', label: 'Audit Trail', capability: 'view_audit_log', loading: 'Loading audit log...', load: loadAuditTab },
+  { id: 'logins', label: 'Login History', capability: 'view_audit_log', loading: 'Loading login history...', load: loadLoginsTab },
+  { id: 'idsp', label: 'IDSP Providers', capability: 'manage_checklists', loading: 'Loading IDSP providers...', load: loadIdspTab },
+  { id: 'reports', label: 'Reports', capability: 'view_reports', loading: 'Loading reports...', load: loadReportsTab },
+];
+
 export async function render(el) {
+  const can = await getCapabilities();
+  const tabsShown = ADMIN_TABS.filter(tab => can.has(tab.capability));
+
   el.innerHTML = `
     <h2 style="margin-bottom:20px;">Admin Dashboard</h2>
 
     <div class="admin-tabs">
-      <button type="button" class="admin-tab active" data-tab="audit">Audit Trail</button>
-      <button type="button" class="admin-tab" data-tab="logins">Login History</button>
-    </div>
-
-    <div class="admin-panel active" data-panel="audit" id="panel-audit">
-      <div class="loading">Loading audit log...</div>
-    </div>
-
-    <div class="admin-panel" data-panel="logins" id="panel-logins">
-      <div class="loading">Loading login history...</div>
+      ${tabsShown.map((tab, i) => `<button type="button" class="admin-tab${i === 0 ? ' active' : ''}" data-tab="${tab.id}">${tab.label}</button>`).join('\n      ')}
     </div>
+    ${tabsShown.map((tab, i) => `
+    <div class="admin-panel${i === 0 ? ' active' : ''}" data-panel="${tab.id}" id="panel-${tab.id}">
+      <div class="loading">${tab.loading}</div>
+    </div>`).join('\n')}
   `;
 
   // Tab switching
   const tabs = el.querySelectorAll('.admin-tab');
   const panels = el.querySelectorAll('.admin-panel');
-  const loaded = { audit: false, logins: false };
+  const loaded = {};
 
   tabs.forEach(tab => {
     tab.addEventListener('click', () => {
@@ -48,14 +62,16 @@ export async function render(el) {
 
       if (!loaded[target]) {
         loaded[target] = true;
-        if (target === 'logins') loadLoginsTab(el);
+        ADMIN_TABS.find(t => t.id === target).load(el);
       }
     });
   });
 
-  // Load audit tab immediately
-  loaded.audit = true;
-  await loadAuditTab(el);
+  // Load the first tab immediately
+  if (tabsShown.length) {
+    loaded[tabsShown[0].id] = true;
+    await tabsShown[0].load(el);
+  }
 }
 
 // ---- Audit Tab ----
@@ -80,6 +96,7 @@ async function loadAuditTab(el) {
               <option value="delete">Delete</option>
               <option value="login">Login</option>
               <option value="logout">Logout</option>
+              <option value="redact_scan">Scan redacted</option>
             </select>
           </div>
           <div class="form-group">
@@ -246,3 +263,387 @@ async function loadLoginsTab(el) {
     panel.innerHTML = `<div class="warning-banner red">Failed to load login history: ${esc(err.message)}</div>`;
   }
 }
+
+// ---- IDSP Providers Tab ----
+
+async function loadIdspTab(el) {
+  const panel = el.querySelector('#panel-idsp');
+
+  let providers;
+  try {
+    providers = await fetchIdspProviders();
+  } catch (err) {
+    panel.innerHTML = `<div class="warning-banner red">Failed to load IDSP providers: ${esc(err.message)}</div>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    <div class="admin-section">
+      <h3>IDSP Providers</h3>
+      <p style="font-size:14px;color:#505a5f;margin-bottom:12px;">
+        Certified identity service providers that can be chosen for an IDVT check. Providers whose certification
+        has lapsed stay on older records but cannot be chosen for new checks.
+      </p>
+      <div id="idsp-results">${buildIdspTable(providers)}</div>
+
+      <h3 id="idsp-form-title" style="margin-top:24px;">Add provider</h3>
+      <form id="idsp-form" novalidate>
+        <input type="hidden" id="idsp-id">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="idsp-name">Provider name</label>
+            <input type="text" id="idsp-name" required>
+          </div>
+          <div class="form-group">
+            <label for="idsp-certified-until">Certified until</label>
+            <input type="date" id="idsp-certified-until" required>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="idsp-reference">Certification reference <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+            <input type="text" id="idsp-reference">
+          </div>
+          <div class="form-group">
+            <label for="idsp-website">Website <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+            <input type="url" id="idsp-website">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="idsp-notes">Notes <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+          <textarea id="idsp-notes" rows="2"></textarea>
+        </div>
+        <div id="idsp-msg" style="margin-bottom:8px;font-size:13px;"></div>
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary btn-small" id="idsp-save-btn">Add provider</button>
+          <button type="button" class="btn btn-secondary btn-small" id="idsp-cancel-btn" style="display:none;">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  const form = panel.querySelector('#idsp-form');
+  const msg = panel.querySelector('#idsp-msg');
+  const saveBtn = panel.querySelector('#idsp-save-btn');
+  const cancelBtn = panel.querySelector('#idsp-cancel-btn');
+
+  function fillForm(provider) {
+    panel.querySelector('#idsp-id').value = provider ? provider.id : '';
+    panel.querySelector('#idsp-name').value = provider ? provider.name : '';
+    panel.querySelector('#idsp-certified-until').value = provider ? provider.certified_until : '';
+    panel.querySelector('#idsp-reference').value = provider ? (provider.certification_reference || '') : '';
+    panel.querySelector('#idsp-website').value = provider ? (provider.website || '') : '';
+    panel.querySelector('#idsp-notes').value = provider ? (provider.notes || '') : '';
+    panel.querySelector('#idsp-form-title').textContent = provider ? 'Edit ' + provider.name : 'Add provider';
+    saveBtn.textContent = provider ? 'Save changes' : 'Add provider';
+    cancelBtn.style.display = provider ? '' : 'none';
+    msg.textContent = '';
+  }
+
+  function refresh() {
+    panel.querySelector('#idsp-results').innerHTML = buildIdspTable(providers);
+  }
+
+  panel.querySelector('#idsp-results').addEventListener('click', async (e) => {
+    const id = e.target.dataset.id;
+    if (!id) return;
+    const provider = providers.find(p => p.id === id);
+
+    if (e.target.classList.contains('idsp-edit')) {
+      fillForm(provider);
+      form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else if (e.target.classList.contains('idsp-delete')) {
+      if (!confirm(`Delete ${provider.name} from the registry?`)) return;
+      try {
+        await deleteIdspProvider(id);
+        providers = providers.filter(p => p.id !== id);
+        refresh();
+      } catch (err) {
+        msg.style.color = 'var(--ho-red)';
+        msg.textContent = err.message;
+      }
+    }
+  });
+
+  cancelBtn.addEventListener('click', () => fillForm(null));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const provider = {
+      name: panel.querySelector('#idsp-name').value.trim(),
+      certified_until: panel.querySelector('#idsp-certified-until').value || null,
+      certification_reference: panel.querySelector('#idsp-reference').value.trim() || null,
+      website: panel.querySelector('#idsp-website').value.trim() || null,
+      notes: panel.querySelector('#idsp-notes').value.trim() || null,
+    };
+    const id = panel.querySelector('#idsp-id').value;
+    if (id) provider.id = id;
+
+    if (!provider.name || !provider.certified_until) {
+      msg.style.color = 'var(--ho-red)';
+      msg.textContent = 'Enter the provider name and the date its certification runs until.';
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      const saved = await saveIdspProvider(provider);
+      providers = [...providers.filter(p => p.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name));
+      refresh();
+      fillForm(null);
+      msg.style.color = 'var(--ho-green)';
+      msg.textContent = `${saved.name} saved.`;
+    } catch (err) {
+      msg.style.color = 'var(--ho-red)';
+      msg.textContent = err.message;
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
+
+function buildIdspTable(providers) {
+  if (!providers.length) return '<p>No providers registered yet. Add one below.</p>';
+
+  const rows = providers.map(p => {
+    const days = daysUntil(p.certified_until);
+    let badge;
+    if (isCertificationLapsed(p)) badge = '<span class="badge badge-expired">Lapsed</span>';
+    else if (days !== null && days <= 30) badge = '<span class="badge badge-follow-up-due">Renewal due</span>';
+    else badge = '<span class="badge badge-valid">Certified</span>';
+
+    return `
+      <tr>
+        <td>${p.website ? `<a href="${esc(p.website)}" target="_blank" rel="noopener noreferrer">${esc(p.name)}</a>` : esc(p.name)}</td>
+        <td>${esc(p.certification_reference || '\u2014')}</td>
+        <td>${esc(formatDateUK(p.certified_until))}</td>
+        <td>${badge}</td>
+        <td>
+          <button type="button" class="btn-link idsp-edit" data-id="${esc(p.id)}">Edit</button>
+          <button type="button" class="btn-link idsp-delete" data-id="${esc(p.id)}">Delete</button>
+        </td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <table class="records-table">
+      <thead>
+        <tr><th>Provider</th><th>Certification reference</th><th>Certified until</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// ---- Reports Tab ----
+
+const METHOD_BAR_CLASSES = { manual: 'bar-manual', idsp: 'bar-idsp', online: 'bar-online' };
+
+function formatMonth(month) {
+  return new Date(month + '-01T00:00:00').toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Horizontal bar chart. Each row is split into coloured segments.
+ * @param {Array} rows - [{ label, segments: [{ value, className, title }] }]
+ */
+function buildBarChart(rows) {
+  const max = Math.max(1, ...rows.map(row => row.segments.reduce((sum, seg) => sum + seg.value, 0)));
+  return `<div class="report-chart">${rows.map(row => {
+    const total = row.segments.reduce((sum, seg) => sum + seg.value, 0);
+    return `
+      <div class="report-bar-row">
+        <span class="report-bar-label">${esc(row.label)}</span>
+        <span class="report-bar">${row.segments.filter(seg => seg.value > 0).map(seg =>
+          `<span class="${seg.className}" style="width:${(seg.value / max) * 100}%" title="${esc(`${seg.title}: ${seg.value}`)}"></span>`).join('')}</span>
+        <span class="report-bar-total">${total}</span>
+      </div>`;
+  }).join('')}</div>`;
+}
+
+function buildLegend(items) {
+  return `<div class="report-legend">${items.map(item =>
+    `<span><span class="report-swatch ${item.className}"></span>${esc(item.label)}</span>`).join('')}</div>`;
+}
+
+const methodLegend = () => buildLegend(REPORT_METHODS.map(m => ({ label: METHOD_LABELS[m], className: METHOD_BAR_CLASSES[m] })));
+
+const methodSegments = row => REPORT_METHODS.map(m => ({ value: row[m], className: METHOD_BAR_CLASSES[m], title: METHOD_LABELS[m] }));
+
+function buildReportHTML(report) {
+  const { byMonth, onboarding, followUps, checkers, expiring } = report;
+
+  const monthsHTML = byMonth.length
+    ? `${methodLegend()}${buildBarChart(byMonth.map(row => ({ label: formatMonth(row.month), segments: methodSegments(row) })))}`
+    : '<p>No checks in this period.</p>';
+
+  const onboardingHTML = onboarding.rows.length
+    ? `<p class="report-figure"><strong>${onboarding.averageDays}</strong> days on average from onboarding to a completed check
+        (${onboarding.rows.length} check${onboarding.rows.length !== 1 ? 's' : ''}, longest ${Math.max(...onboarding.rows.map(row => row.days))} days).</p>`
+    : '<p>No checks completed from onboarding in this period.</p>';
+
+  const followUpTotal = followUps.onTime + followUps.late + followUps.overdue;
+  const followUpsHTML = followUpTotal
+    ? `${buildLegend([
+        { label: 'On time', className: 'bar-on-time' },
+        { label: 'Late', className: 'bar-late' },
+        { label: 'Overdue, not yet done', className: 'bar-overdue' },
+      ])}
+      ${buildBarChart([{ label: 'Follow-ups', segments: [
+        { value: followUps.onTime, className: 'bar-on-time', title: 'On time' },
+        { value: followUps.late, className: 'bar-late', title: 'Late' },
+        { value: followUps.overdue, className: 'bar-overdue', title: 'Overdue, not yet done' },
+      ] }])}
+      ${followUps.late + followUps.overdue ? `
+      <table class="records-table">
+        <thead><tr><th>Name</th><th>Due</th><th>Done</th><th>Days late</th></tr></thead>
+        <tbody>${followUps.rows.filter(row => row.outcome !== 'on_time').map(row => `
+          <tr>
+            <td><a href="#/record/${esc(row.record.id)}">${esc(row.record.person_name)}</a></td>
+            <td>${formatDateShort(row.due)}</td>
+            <td>${row.done ? formatDateShort(row.done) : 'Not yet done'}</td>
+            <td>${row.daysLate}</td>
+          </tr>`).join('')}</tbody>
+      </table>` : ''}`
+    : '<p>No follow-up checks were due in this period.</p>';
+
+  const checkersHTML = checkers.length
+    ? `${methodLegend()}${buildBarChart(checkers.map(row => ({ label: row.name, segments: methodSegments(row) })))}`
+    : '<p>No checks in this period.</p>';
+
+  const expiringHTML = `
+    <div class="report-figures">
+      ${expiring.windows.map(w => `
+        <div class="report-figure-box">
+          <span class="report-figure-value">${w.count}</span>
+          within ${w.months} months
+        </div>`).join('')}
+    </div>
+    ${expiring.rows.length ? `
+    <table class="records-table">
+      <thead><tr><th>Name</th><th>Permission expires</th><th>Days left</th></tr></thead>
+      <tbody>${expiring.rows.map(row => `
+        <tr>
+          <td><a href="#/record/${esc(row.record.id)}">${esc(row.record.person_name)}</a></td>
+          <td>${formatDateShort(row.expiry)}</td>
+          <td>${daysUntil(row.expiry)}</td>
+        </tr>`).join('')}</tbody>
+    </table>` : ''}`;
+
+  return `
+    <div class="admin-section">
+      <h3>Checks per month by method (${report.totalChecks} in total)</h3>
+      ${monthsHTML}
+    </div>
+    <div class="admin-section">
+      <h3>Onboarding to completed check</h3>
+      ${onboardingHTML}
+    </div>
+    <div class="admin-section">
+      <h3>Follow-up checks: on time and late</h3>
+      ${followUpsHTML}
+    </div>
+    <div class="admin-section">
+      <h3>Checks by checker</h3>
+      ${checkersHTML}
+    </div>
+    <div class="admin-section">
+      <h3>Permissions expiring (current employees, from today)</h3>
+      ${expiringHTML}
+    </div>`;
+}
+
+/**
+ * One sheet per report section, for the Excel export.
+ */
+function buildReportSheets(report) {
+  const methodColumns = row => Object.fromEntries(REPORT_METHODS.map(m => [METHOD_LABELS[m], row[m]]));
+  return [
+    {
+      name: 'Checks per month',
+      rows: report.byMonth.map(row => ({ 'Month': formatMonth(row.month), ...methodColumns(row), 'Total': row.total })),
+    },
+    {
+      name: 'Onboarding',
+      rows: report.onboarding.rows.map(row => ({
+        'Name': row.record.person_name || '',
+        'Onboarded': formatDateUK(row.record.created_at.slice(0, 10)),
+        'Check Date': formatDateUK(row.record.check_date),
+        'Days': row.days,
+      })),
+    },
+    {
+      name: 'Follow-ups',
+      rows: report.followUps.rows.map(row => ({
+        'Name': row.record.person_name || '',
+        'Due': formatDateUK(row.due),
+        'Done': row.done ? formatDateUK(row.done) : '',
+        'Outcome': { on_time: 'On time', late: 'Late', overdue: 'Overdue, not yet done' }[row.outcome],
+        'Days Late': row.daysLate,
+      })),
+    },
+    {
+      name: 'Checkers',
+      rows: report.checkers.map(row => ({ 'Checker': row.name, ...methodColumns(row), 'Total': row.total })),
+    },
+    {
+      name: 'Expiring permissions',
+      rows: report.expiring.rows.map(row => ({
+        'Name': row.record.person_name || '',
+        'Permission Expires': formatDateUK(row.expiry),
+        'Days Left': daysUntil(row.expiry),
+      })),
+    },
+  ];
+}
+
+async function loadReportsTab(el) {
+  const panel = el.querySelector('#panel-reports');
+
+  let records;
+  try {
+    records = await fetchAllRecords(await getCurrentSiteId());
+  } catch (err) {
+    panel.innerHTML = `<div class="warning-banner red">Failed to load reports: ${esc(err.message)}</div>`;
+    return;
+  }
+
+  const today = todayISO();
+  panel.innerHTML = `
+    <div class="filter-bar" style="margin-bottom:12px;">
+      <div class="form-group">
+        <label for="report-from">From</label>
+        <input type="date" id="report-from" value="${addMonths(today, -12)}">
+      </div>
+      <div class="form-group">
+        <label for="report-to">To</label>
+        <input type="date" id="report-to" value="${today}">
+      </div>
+      <div class="form-group" style="align-self:flex-end;">
+        <button type="button" class="btn btn-secondary btn-small" id="report-filter-btn">Update</button>
+        <button type="button" class="btn btn-secondary btn-small" id="report-export-btn">Export to Excel</button>
+      </div>
+    </div>
+    <div id="report-results"></div>
+  `;
+
+  let report;
+  function refresh() {
+    const range = {
+      from: panel.querySelector('#report-from').value || null,
+      to: panel.querySelector('#report-to').value || null,
+    };
+    report = buildComplianceReport(records, range);
+    panel.querySelector('#report-results').innerHTML = buildReportHTML(report);
+  }
+
+  panel.querySelector('#report-filter-btn').addEventListener('click', refresh);
+  panel.querySelector('#report-export-btn').addEventListener('click', () => {
+    const { from, to } = report.range;
+    const fromStr = from ? from.replace(/-/g, '') : 'start';
+    const toStr = to ? to.replace(/-/g, '') : 'end';
+    exportSheetsToExcel(buildReportSheets(report), `RTW_Compliance_Report_${fromStr}_to_${toStr}`);
+  });
+
+  refresh();
+}
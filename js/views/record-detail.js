@@ -1,11 +1,21 @@
-import { fetchRecord, deleteRecord, updateRecord } from '../services/records-service.js';
-import { getDocumentScanUrl, deleteRecordScans } from '../services/storage-service.js';
-import { calculateStatus, STATUS_LABELS, STATUS_CLASSES } from '../services/status-service.js';
+import { fetchRecord, deleteRecord, updateRecord, isEditLocked, EDIT_LOCK_MINUTES } from '../services/records-service.js';
+import { getDocumentScanUrl, deleteRecordScans, fetchDocumentScans } from '../services/storage-service.js';
+import { calculateStatus, getStudentEvidenceEnd, FOLLOW_UP_STATUSES, STATUS_LABELS, STATUS_CLASSES } from '../services/status-service.js';
 import { formatDateUK, daysUntil } from '../utils/date-utils.js';
-import { getDocumentLabels, METHOD_LABELS, STEP2_QUESTIONS } from '../utils/document-labels.js';
+import { getDocumentLabels, getScanDocumentLabel, getChecklistQuestions, METHOD_LABELS } from '../utils/document-labels.js';
+import { fetchChecklistForRecord } from '../services/checklist-service.js';
 import { navigate } from '../router.js';
-import { isManager, getUser, getUserProfile } from '../services/auth-service.js';
-import { logRecordDeletion } from '../services/retention-service.js';
+import { getCapabilities, getUser, getUserProfile } from '../services/auth-service.js';
+import { logRecordDeletion, calculateDeletionDueDate } from '../services/retention-service.js';
+import { fetchSettings, formatRetentionPeriod, getDeclarationText } from '../services/settings-service.js';
+import { fetchPersonChecks } from '../services/people-service.js';
+import { fetchSites, getSiteName } from '../services/site-service.js';
+import { fetchRevisions, diffRevision } from '../services/amendment-service.js';
+import { formatShareCode } from '../utils/share-code.js';
+import { ONLINE_CHECK_OUTCOMES } from '../services/online-check-service.js';
+import { describeWorkRestrictions } from '../utils/work-restrictions.js';
+import { checkDocumentRules } from '../utils/document-rules.js';
+import { isEscalated, getEscalatingAnswers, describeQuestions } from '../utils/verification-rules.js';
 
 /**
  * Escapes HTML special characters to prevent XSS.
@@ -32,7 +42,7 @@ function fieldHtml(label, value) {
 /**
  * Builds the warning banner markup based on current status.
  */
-function buildWarningBanner(record, status) {
+function buildWarningBanner(record, status, checklist, settings) {
   if (status === 'pending_deletion') {
     const dateStr = record.deletion_due_date ? formatDateUK(record.deletion_due_date) : '';
     return `
@@ -49,7 +59,7 @@ function buildWarningBanner(record, status) {
     const dateStr = formatDateUK(record.deletion_due_date);
     return `
       <div class="warning-banner amber">
-        Employment ended. This record will be due for deletion on ${escapeHtml(dateStr)}.
+        Employment ended. This record will be due for deletion on ${escapeHtml(dateStr)}, ${formatRetentionPeriod(settings)} after employment ended.
       </div>`;
   }
 
@@ -57,11 +67,20 @@ function buildWarningBanner(record, status) {
     const days = daysUntil(record.follow_up_date);
     const dateStr = formatDateUK(record.follow_up_date);
     return `
-      <div class="warning-banner amber">
+      <div class="warning-banner ${days <= settings.urgent_warning_days ? 'red' : 'amber'}">
         Follow-up check due on ${escapeHtml(dateStr)} (${days} days remaining)
       </div>`;
   }
 
+  if (status === 'escalated') {
+    const questions = describeQuestions(getEscalatingAnswers(record.verification_answers), checklist);
+    return `
+      <div class="warning-banner red">
+        Referred to a manager after a No answer to ${escapeHtml(questions)}. This check does not establish a statutory excuse.
+        A manager should review it and carry out a new check or raise an amendment.
+      </div>`;
+  }
+
   if (status === 'expired' && record.expiry_date) {
     const dateStr = formatDateUK(record.expiry_date);
     return `
@@ -78,15 +97,138 @@ function buildWarningBanner(record, status) {
       </div>`;
   }
 
+  if (status === 'student_terms_due') {
+    const evidenceEnd = getStudentEvidenceEnd(record);
+    const days = daysUntil(evidenceEnd);
+    const dateStr = formatDateUK(evidenceEnd);
+    return `
+      <div class="warning-banner ${days < 0 ? 'red' : 'amber'}">
+        ${days < 0
+          ? `Student term dates on file ended on ${escapeHtml(dateStr)}. Obtain the current term and vacation dates.`
+          : `Student term dates on file end on ${escapeHtml(dateStr)} (${days} days remaining). Obtain the next term and vacation dates.`}
+      </div>`;
+  }
+
+  return '';
+}
+
+/**
+ * Builds a banner listing where the documents or dates on the record do not
+ * meet the acceptable-document rules, e.g. records saved before the rules
+ * were checked on the form.
+ */
+function buildDocumentRulesBanner(record, checklist) {
+  if (!record.check_date) return '';
+  const { errors, warnings } = checkDocumentRules(record, checklist);
+  if (errors.length === 0 && warnings.length === 0) return '';
+  return `
+    <div class="warning-banner ${errors.length ? 'red' : 'amber'}">
+      ${errors.length
+        ? 'The documents recorded may not establish a statutory excuse:'
+        : 'Check the documents recorded:'}
+      <ul>${[...errors, ...warnings].map(msg => `<li>${escapeHtml(msg)}</li>`).join('')}</ul>
+    </div>`;
+}
+
+/**
+ * Builds the student term-time section for online checks on students.
+ */
+function buildStudentSection(record) {
+  const terms = Array.isArray(record.student_term_dates) ? record.student_term_dates : [];
+  if (!record.student_course && terms.length === 0) return '';
+
+  const vacations = Array.isArray(record.student_vacation_dates) ? record.student_vacation_dates : [];
+  const rangeList = (ranges) => ranges.length > 0
+    ? `<ul class="doc-list">${ranges.map(r => `<li>${escapeHtml(formatDateUK(r.start))} &ndash; ${escapeHtml(formatDateUK(r.end))}</li>`).join('')}</ul>`
+    : '<p>None recorded.</p>';
+
+  return `
+    <section class="detail-section">
+      <h3 class="detail-section-title">Student Term-time Working</h3>
+      <div class="detail-section-body">
+        <div class="detail-grid">
+          ${fieldHtml('Course of study', record.student_course)}
+          ${fieldHtml('Weekly hours cap (term time)', record.student_weekly_hours_cap != null ? record.student_weekly_hours_cap + ' hours' : '')}
+        </div>
+        <p><strong>Term dates</strong></p>
+        ${rangeList(terms)}
+        <p style="margin-top:10px;"><strong>Vacation dates</strong></p>
+        ${rangeList(vacations)}
+      </div>
+    </section>`;
+}
+
+/**
+ * Builds the work restrictions recorded for question 4.
+ */
+function buildWorkRestrictionsSection(record) {
+  const lines = describeWorkRestrictions(record.work_restrictions);
+  return `
+    <section class="detail-section">
+      <h3 class="detail-section-title">Work Restrictions</h3>
+      <div class="detail-section-body">
+        ${lines.length
+          ? `<ul class="doc-list">${lines.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`
+          : '<p>No work restrictions recorded.</p>'}
+      </div>
+    </section>`;
+}
+
+/**
+ * Builds the result of an online share code check made through the
+ * configured adapter (see online-check-service.js).
+ */
+function buildOnlineCheckSection(record) {
+  const r = record.check_method === 'online' ? record.online_check_result : null;
+  if (!r) return '';
+  const ok = r.outcome === 'right_to_work';
+  return `
+    <section class="detail-section">
+      <h3 class="detail-section-title">Online Check Result</h3>
+      <div class="detail-section-body">
+        <p class="${ok ? 'mrz-ok' : 'field-warning'}">${escapeHtml(ONLINE_CHECK_OUTCOMES[r.outcome] || r.outcome)}</p>
+        <div class="online-check-result">
+          ${r.photo ? `<img src="${escapeHtml(r.photo)}" alt="Photo on the online check result" class="online-check-photo">` : ''}
+          <div class="detail-grid">
+            ${fieldHtml('Reference', r.reference)}
+            ${fieldHtml('Name on result', r.name)}
+            ${fieldHtml('Permission', r.permission_type)}
+            ${fieldHtml('Permission ends', r.continuous ? 'No time limit' : formatDateUK(r.expiry_date))}
+            ${r.outcome !== 'not_found' ? fieldHtml('Work restrictions', r.work_restrictions || 'None') : ''}
+            ${fieldHtml('Checked', formatDateUK((r.checked_at || '').slice(0, 10)))}
+          </div>
+        </div>
+      </div>
+    </section>`;
+}
+
+/**
+ * Evidence from the MRZ reading for q2 (date of birth) and q3 (expiry).
+ */
+function buildMrzEvidence(record, key) {
+  const mrz = record.mrz_result;
+  if (!mrz) return '';
+  const checks = mrz.checks || {};
+  if (key === 'q2' && mrz.date_of_birth) {
+    const ok = checks.dateOfBirth && mrz.date_of_birth === record.date_of_birth;
+    return `<span class="mrz-evidence${ok ? '' : ' mrz-evidence-warn'}">MRZ date of birth ${escapeHtml(formatDateUK(mrz.date_of_birth))}${checks.dateOfBirth ? '' : ' (check digit failed)'}${mrz.date_of_birth === record.date_of_birth ? ' matches the record.' : ' does not match the record.'}</span>`;
+  }
+  if (key === 'q3' && mrz.expiry_date) {
+    // Judge against the check date: that is when the question was answered
+    const inFuture = !record.check_date || mrz.expiry_date >= record.check_date;
+    const ok = checks.expiryDate && inFuture;
+    return `<span class="mrz-evidence${ok ? '' : ' mrz-evidence-warn'}">MRZ document expiry ${escapeHtml(formatDateUK(mrz.expiry_date))}${checks.expiryDate ? '' : ' (check digit failed)'}${inFuture ? ', in date at the time of the check.' : ', already passed at the time of the check.'}</span>`;
+  }
   return '';
 }
 
 /**
  * Builds the verification questions section.
  */
-function buildVerificationHtml(record) {
+function buildVerificationHtml(record, checklist) {
   const answers = record.verification_answers || {};
-  const rows = STEP2_QUESTIONS.map((q) => {
+  const justifications = record.verification_justifications || {};
+  const rows = getChecklistQuestions(checklist).map((q) => {
     const answer = answers[q.key];
     let badgeClass = '';
     let badgeText = 'N/A';
@@ -103,7 +245,9 @@ function buildVerificationHtml(record) {
 
     return `
       <div class="verification-row">
-        <span class="verification-question">${escapeHtml(q.text)}</span>
+        <span class="verification-question">${escapeHtml(q.text)}${buildMrzEvidence(record, q.key)}${justifications[q.key]
+          ? `<span class="verification-justification">Reason for No: ${escapeHtml(justifications[q.key])}</span>`
+          : ''}</span>
         <span class="badge ${escapeHtml(badgeClass)}">${escapeHtml(badgeText)}</span>
       </div>`;
   });
@@ -112,30 +256,119 @@ function buildVerificationHtml(record) {
 }
 
 /**
- * Builds the document scan section markup.
+ * Builds the document scan gallery: one card per scan, labelled with the
+ * document it shows.
+ * @param {Object} record
+ * @param {Array} scans - [{ scan, url }] with signed URLs (null if unavailable)
+ * @param {Object} checklist - The record's checklist version
  */
-function buildScanSection(record, scanUrl) {
-  if (!record.document_scan_path) {
+function buildScanGallery(record, scans, checklist) {
+  if (!scans.length) {
     return '<p>No document scan uploaded.</p>';
   }
 
-  const filename = record.document_scan_path.split('/').pop() || '';
-  const isPdf = filename.toLowerCase().endsWith('.pdf');
+  const cards = scans.map(({ scan, url }) => {
+    const label = getScanDocumentLabel(scan.document_id, checklist);
+    const isPdf = (scan.filename || scan.storage_path).toLowerCase().endsWith('.pdf');
+    let body;
+    if (!url) {
+      body = '<p class="scan-card-missing">Scan could not be loaded.</p>';
+    } else if (isPdf) {
+      body = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary btn-small">Open PDF</a>`;
+    } else {
+      body = `
+        <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">
+          <img src="${escapeHtml(url)}" alt="${escapeHtml(label)} for ${escapeHtml(record.person_name)}" />
+        </a>`;
+    }
+    return `
+      <figure class="scan-card">
+        ${body}
+        <figcaption>
+          <strong>${escapeHtml(label)}</strong>
+          <span>${escapeHtml(scan.filename || '')}</span>
+        </figcaption>
+      </figure>`;
+  }).join('');
+
+  return `<div class="scan-gallery">${cards}</div>`;
+}
 
-  if (isPdf) {
+/**
+ * Builds the check history timeline for the person (initial -> follow-ups).
+ */
+function buildTimelineSection(record, checks) {
+  const items = checks.map(check => {
+    const isCurrent = check.id === record.id;
+    const typeLabel = check.check_type === 'follow_up' ? 'Follow-up check' : 'Initial check';
+    const dateLabel = check.check_date ? formatDateUK(check.check_date) : 'Not yet checked';
+    const status = STATUS_LABELS[check.status] || check.status || '';
+    const statusClass = STATUS_CLASSES[check.status] || '';
     return `
-      <p>Uploaded document: <strong>${escapeHtml(filename)}</strong> (PDF file)</p>
-      <p><a href="${escapeHtml(scanUrl)}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">Open PDF</a></p>`;
-  }
+      <li class="timeline-item${isCurrent ? ' current' : ''}">
+        <span class="timeline-date">${escapeHtml(dateLabel)}</span>
+        ${isCurrent
+          ? `<strong>${escapeHtml(typeLabel)}</strong> (this record)`
+          : `<a href="#/record/${escapeHtml(check.id)}">${escapeHtml(typeLabel)}</a>`}
+        <span class="badge ${escapeHtml(statusClass)}">${escapeHtml(status)}</span>
+        ${check.checker_name ? `<span class="timeline-meta">by ${escapeHtml(check.checker_name)}</span>` : ''}
+      </li>`;
+  }).join('');
+
+  return `
+    <section class="detail-section">
+      <h3 class="detail-section-title">Check History (${checks.length})</h3>
+      <div class="detail-section-body">
+        <ol class="timeline">${items}</ol>
+      </div>
+    </section>`;
+}
 
-  if (scanUrl) {
+/**
+ * Builds the amendment history: the original submission followed by each
+ * revision with its reason and the fields it changed.
+ */
+function buildRevisionsSection(record, revisions) {
+  if (!revisions.length) return '';
+
+  const items = revisions.map(rev => {
+    const changes = diffRevision(rev.previous_values, rev.new_values);
+    const rows = changes.map(c => `
+      <tr>
+        <td style="font-weight:700;">${escapeHtml(c.field)}</td>
+        <td class="diff-removed">${escapeHtml(JSON.stringify(c.before))}</td>
+        <td class="diff-added">${escapeHtml(JSON.stringify(c.after))}</td>
+      </tr>`).join('');
     return `
-      <div class="scan-display">
-        <img src="${escapeHtml(scanUrl)}" alt="Document scan for ${escapeHtml(record.person_name)}" />
-      </div>`;
-  }
+      <li class="timeline-item${rev.revision_number === record.revision_number ? ' current' : ''}">
+        <span class="timeline-date">${escapeHtml(formatDateUK(rev.created_at.slice(0, 10)))}</span>
+        <strong>Revision ${escapeHtml(String(rev.revision_number))}</strong>
+        ${rev.amended_by_email ? `<span class="timeline-meta">by ${escapeHtml(rev.amended_by_email)}</span>` : ''}
+        <p class="revision-reason">${escapeHtml(rev.reason)}</p>
+        ${rows ? `
+          <details>
+            <summary>${changes.length} field${changes.length === 1 ? '' : 's'} changed</summary>
+            <table class="diff-table">
+              <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </details>` : ''}
+      </li>`;
+  }).join('');
 
-  return '<p>Document scan could not be loaded.</p>';
+  return `
+    <section class="detail-section">
+      <h3 class="detail-section-title">Amendments (${revisions.length})</h3>
+      <div class="detail-section-body">
+        <ol class="timeline">
+          <li class="timeline-item">
+            <span class="timeline-date">${escapeHtml(formatDateUK((record.created_at || '').slice(0, 10)))}</span>
+            <strong>Revision 1</strong> <span class="timeline-meta">original submission</span>
+          </li>
+          ${items}
+        </ol>
+      </div>
+    </section>`;
 }
 
 /**
@@ -163,19 +396,46 @@ function buildConfirmOverlay(personName) {
 export async function render(el, recordId) {
   // 1. Fetch the record
   const record = await fetchRecord(recordId);
+  // The documents and questions as they were when the check was made
+  const checklist = await fetchChecklistForRecord(record);
+  const settings = await fetchSettings(record.site_id);
+  // The site is only worth showing to someone who works at more than one
+  let siteName = '';
+  try {
+    const sites = await fetchSites();
+    if (sites.length > 1) siteName = getSiteName(sites, record.site_id);
+  } catch (err) {
+    console.error('Failed to load sites:', err);
+  }
 
   // 2. Calculate current status
-  const status = calculateStatus(record);
+  const status = calculateStatus(record, settings);
   const statusLabel = STATUS_LABELS[status] || status;
   const statusClass = STATUS_CLASSES[status] || '';
 
-  // 3. Fetch document scan signed URL if a scan exists
-  let scanUrl = null;
-  if (record.document_scan_path) {
+  // 3. Fetch signed URLs for every document scan
+  let scans = [];
+  try {
+    const scanRows = await fetchDocumentScans(recordId);
+    scans = await Promise.all(scanRows.map(async scan => {
+      try {
+        return { scan, url: await getDocumentScanUrl(scan.storage_path) };
+      } catch (err) {
+        console.error('Failed to load document scan URL:', err);
+        return { scan, url: null };
+      }
+    }));
+  } catch (err) {
+    console.error('Failed to load document scans:', err);
+  }
+
+  // 3b. Fetch every check for the same person for the history timeline
+  let personChecks = [record];
+  if (record.person_id) {
     try {
-      scanUrl = await getDocumentScanUrl(record.document_scan_path);
+      personChecks = await fetchPersonChecks(record.person_id);
     } catch (err) {
-      console.error('Failed to load document scan URL:', err);
+      console.error('Failed to load check history:', err);
     }
   }
 
@@ -184,19 +444,20 @@ export async function render(el, recordId) {
   const methodLabel = METHOD_LABELS[record.check_method] || record.check_method || '';
 
   // Document labels
-  const docLabels = getDocumentLabels(record.documents_checked);
+  const docLabels = getDocumentLabels(record.documents_checked, checklist);
   const docListHtml = docLabels.length > 0
     ? `<ul class="doc-list">${docLabels.map(label => `<li>${escapeHtml(label)}</li>`).join('')}</ul>`
     : '<p>No documents recorded.</p>';
 
   // Verification section
-  const verificationHtml = buildVerificationHtml(record);
+  const verificationHtml = buildVerificationHtml(record, checklist);
 
   // Warning banner
-  const warningBanner = buildWarningBanner(record, status);
+  const warningBanner = buildWarningBanner(record, status, checklist, settings);
+  const documentRulesBanner = buildDocumentRulesBanner(record, checklist);
 
   // Scan section
-  const scanSectionHtml = buildScanSection(record, scanUrl);
+  const scanSectionHtml = buildScanGallery(record, scans, checklist);
 
   // Confirmation overlay
   const confirmOverlayHtml = buildConfirmOverlay(record.person_name);
@@ -211,11 +472,16 @@ export async function render(el, recordId) {
     : '';
 
   const shareCodeField = record.check_method === 'online' && record.share_code
-    ? fieldHtml('Share code', record.share_code)
+    ? fieldHtml('Share code', formatShareCode(record.share_code))
+      + (record.share_code_expiry_date ? fieldHtml('Share code expiry date', formatDateUK(record.share_code_expiry_date)) : '')
     : '';
 
   const idspField = record.check_method === 'idsp' && record.idsp_provider
     ? fieldHtml('IDSP provider', record.idsp_provider)
+      + fieldHtml('Date of IDVT check', formatDateUK(record.idsp_check_date))
+      + fieldHtml('IDVT document type', record.idsp_document_type)
+      + fieldHtml('IDVT match score', record.idsp_match_score != null ? record.idsp_match_score + '%' : '')
+      + fieldHtml('IDSP reference', record.idsp_reference)
     : '';
 
   const employmentEndField = record.employment_end_date
@@ -237,18 +503,34 @@ export async function render(el, recordId) {
       </section>`
     : '';
 
-  // Declaration text
-  const declarationText =
-    'I confirm that I have carried out the right to work check in compliance with ' +
-    'Home Office instructions and believe a valid statutory excuse is established.';
+  // Declaration text, as confirmed by the checker
+  const declarationText = getDeclarationText(record, settings);
 
   // 5. Check edit lock (5 minutes after creation)
-  const createdAt = record.created_at ? new Date(record.created_at) : null;
-  const editLocked = createdAt && (Date.now() - createdAt.getTime() > 5 * 60 * 1000);
+  const editLocked = isEditLocked(record);
+
+  let revisions = [];
+  if ((record.revision_number || 1) > 1) {
+    try {
+      revisions = await fetchRevisions(recordId);
+    } catch (err) {
+      console.error('Failed to load amendments:', err);
+    }
+  }
 
-  // 5b. Check if current user is a manager (for delete button visibility)
-  let userIsManager = false;
-  try { userIsManager = await isManager(); } catch (_) {}
+  // 5b. What the user's role lets them do with the record
+  let can = new Set();
+  try { can = await getCapabilities(); } catch (_) {}
+  // Same rule as the rtw_records update policy, so read-only roles get no form
+  const currentUser = await getUser();
+  const canSetEndDate = (currentUser && record.created_by === currentUser.id)
+    || can.has('check_records') || can.has('amend_records');
+
+  // 5c. Offer a follow-up check from the person's newest check only
+  const isLatestCheck = personChecks[personChecks.length - 1].id === record.id
+    && !personChecks.some(c => c.previous_record_id === record.id);
+  const canStartFollowUp = can.has('check_records') && isLatestCheck && !!record.check_date
+    && (FOLLOW_UP_STATUSES.includes(status) || !!record.follow_up_date);
 
   // 6. Render the full view
   el.innerHTML = `
@@ -257,16 +539,24 @@ export async function render(el, recordId) {
         <div class="detail-header-title">
           <h2>${escapeHtml(record.person_name)}</h2>
           <span class="badge ${escapeHtml(statusClass)}">${escapeHtml(statusLabel)}</span>
+          ${(record.revision_number || 1) > 1 ? `<span class="badge badge-amended">Amended &middot; revision ${escapeHtml(String(record.revision_number))}</span>` : ''}
         </div>
         <div class="btn-group">
-          ${!editLocked ? '<button type="button" class="btn btn-primary" id="edit-btn">Edit</button>' : ''}
+          ${canStartFollowUp ? `<a href="#/record/${escapeHtml(recordId)}/follow-up" class="btn btn-primary">Start follow-up check</a>` : ''}
+          ${can.has('check_records') && !editLocked ? '<button type="button" class="btn btn-primary" id="edit-btn">Edit</button>' : ''}
+          ${can.has('amend_records') && editLocked ? `<a href="#/record/${escapeHtml(recordId)}/amend" class="btn btn-primary">Raise amendment</a>` : ''}
           <button type="button" class="btn btn-secondary" id="download-pdf-btn">Download PDF</button>
-          ${userIsManager && !editLocked ? '<button type="button" class="btn btn-danger" id="delete-btn">Delete</button>' : ''}
+          ${can.has('delete_records') && !editLocked ? '<button type="button" class="btn btn-danger" id="delete-btn">Delete</button>' : ''}
         </div>
       </div>
-      ${editLocked ? '<div class="info-banner">This record was locked 5 minutes after submission. Editing and deletion are no longer available.</div>' : ''}
+      ${editLocked ? `<div class="info-banner">This record was locked ${EDIT_LOCK_MINUTES} minutes after submission. Corrections must be made by raising an amendment, which keeps the original values.</div>` : ''}
 
       ${warningBanner}
+      ${documentRulesBanner}
+
+      ${buildTimelineSection(record, personChecks)}
+
+      ${buildRevisionsSection(record, revisions)}
 
       <section class="detail-section" id="end-date-section">
         <h3 class="detail-section-title">Employment End Date</h3>
@@ -274,8 +564,9 @@ export async function render(el, recordId) {
           <p style="font-size:14px;color:var(--ho-grey);margin-bottom:10px;">
             ${record.employment_end_date
               ? 'Current end date: <strong>' + escapeHtml(formatDateUK(record.employment_end_date)) + '</strong>' + (record.deletion_due_date ? ' &mdash; record deletion due ' + escapeHtml(formatDateUK(record.deletion_due_date)) : '')
-              : 'No employment end date set. Set one when the employee leaves.'}
+              : `No employment end date set.${canSetEndDate ? ' Set one when the employee leaves.' : ''}`}
           </p>
+          ${canSetEndDate ? `
           <div class="form-row" style="align-items:flex-end;">
             <div class="form-group" style="margin-bottom:0;">
               <label for="end-date-input">Employment end date</label>
@@ -287,20 +578,25 @@ export async function render(el, recordId) {
             </div>
           </div>
           <div id="end-date-msg" style="margin-top:8px;font-size:13px;"></div>
+          ` : ''}
         </div>
       </section>
 
       <div class="detail-grid">
         ${fieldHtml('Name of person', record.person_name)}
+        ${fieldHtml('Site', siteName)}
         ${fieldHtml('Date of birth', formatDateUK(record.date_of_birth))}
         ${fieldHtml('Date of RTW check', formatDateUK(record.check_date))}
         ${fieldHtml('Type of check', checkType)}
         ${fieldHtml('Method used', methodLabel)}
+        ${fieldHtml('Job title', record.job_title)}
+        ${fieldHtml('Contracted hours a week', record.weekly_hours != null ? record.weekly_hours + ' hours' : '')}
         ${expiryField}
         ${followUpField}
         ${shareCodeField}
         ${idspField}
         ${fieldHtml('Checker name', record.checker_name)}
+        ${fieldHtml('Checklist', `Version ${checklist.version} \u2013 ${checklist.title}`)}
       </div>
 
       <section class="detail-section">
@@ -310,6 +606,10 @@ export async function render(el, recordId) {
         </div>
       </section>
 
+      ${buildOnlineCheckSection(record)}
+
+      ${buildStudentSection(record)}
+
       <section class="detail-section">
         <h3 class="detail-section-title">Verification Questions</h3>
         <div class="detail-section-body">
@@ -317,12 +617,17 @@ export async function render(el, recordId) {
         </div>
       </section>
 
+      ${buildWorkRestrictionsSection(record)}
+
       <section class="detail-section">
         <h3 class="detail-section-title">Declaration</h3>
         <div class="detail-section-body">
           <div class="declaration-box">
-            <p>${escapeHtml(declarationText)}</p>
-            <p><strong>Confirmed by:</strong> ${escapeHtml(record.checker_name || '')}</p>
+            ${!isEscalated(record)
+              ? `<p>${escapeHtml(declarationText)}</p>
+            <p><strong>Confirmed by:</strong> ${escapeHtml(record.checker_name || '')}</p>`
+              : `<p>The declaration was not made. The check was referred to a manager.</p>
+            <p><strong>Check carried out by:</strong> ${escapeHtml(record.checker_name || '')}</p>`}
           </div>
         </div>
       </section>
@@ -330,13 +635,13 @@ export async function render(el, recordId) {
       ${notesSection}
 
       <section class="detail-section">
-        <h3 class="detail-section-title">Document Scan</h3>
+        <h3 class="detail-section-title">Document Scans${scans.length ? ` (${scans.length})` : ''}</h3>
         <div class="detail-section-body">
           ${scanSectionHtml}
         </div>
       </section>
 
-      ${userIsManager ? confirmOverlayHtml : ''}
+      ${can.has('delete_records') ? confirmOverlayHtml : ''}
     </div>`;
 
   // 7. Attach event listeners
@@ -358,12 +663,7 @@ export async function render(el, recordId) {
   if (saveEndDateBtn) {
     saveEndDateBtn.addEventListener('click', async () => {
       const value = endDateInput.value || null;
-      let deletionDue = null;
-      if (value) {
-        const d = new Date(value + 'T00:00:00');
-        d.setFullYear(d.getFullYear() + 2);
-        deletionDue = d.toISOString().slice(0, 10);
-      }
+      const deletionDue = calculateDeletionDueDate(value, settings);
 
       saveEndDateBtn.disabled = true;
       saveEndDateBtn.textContent = 'Saving\u2026';
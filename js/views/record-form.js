@@ -1,9 +1,23 @@
-import { createRecord, fetchRecord, updateRecord, completeOnboardingRecord } from '../services/records-service.js';
-import { uploadDocumentScan } from '../services/storage-service.js';
-import { calculateStatus } from '../services/status-service.js';
-import { todayISO } from '../utils/date-utils.js';
-import { validateRecord } from '../utils/validation.js';
-import { getUserProfile, getUser } from '../services/auth-service.js';
+import { createRecord, fetchRecord, updateRecord, completeOnboardingRecord, isEditLocked, EDIT_LOCK_MINUTES, isShareCodeInUse } from '../services/records-service.js';
+import { amendRecord } from '../services/amendment-service.js';
+import { addDocumentScan, fetchDocumentScans } from '../services/storage-service.js';
+import { getScanDocumentLabel, getChecklistDocuments, getChecklistQuestions } from '../utils/document-labels.js';
+import { fetchChecklistForRecord, fetchCurrentChecklist } from '../services/checklist-service.js';
+import { fetchSettings, formatRetentionPeriod, getDeclarationText } from '../services/settings-service.js';
+import { fetchSites, getCurrentSiteId } from '../services/site-service.js';
+import { calculateDeletionDueDate } from '../services/retention-service.js';
+import { calculateFollowUp } from '../services/status-service.js';
+import { todayISO, formatDateUK } from '../utils/date-utils.js';
+import { validateRecord, getRecordWarnings } from '../utils/validation.js';
+import { ESCALATING_QUESTIONS, getEscalatingAnswers, describeQuestions } from '../utils/verification-rules.js';
+import { normaliseShareCode, formatShareCode, isValidShareCode, SHARE_CODE_VALID_DAYS } from '../utils/share-code.js';
+import { getUserProfile, getUser, logAuditEvent } from '../services/auth-service.js';
+import { openScanEditor } from '../utils/scan-editor.js';
+import { readMrz, toStoredMrz } from '../utils/mrz.js';
+import { getOnlineCheckAdapter, verifyShareCode, ONLINE_CHECK_OUTCOMES } from '../services/online-check-service.js';
+import { fetchIdspProviders, isCertificationLapsed, findProviderByName } from '../services/idsp-provider-service.js';
+import { parseIdspResult } from '../utils/idsp-result-parser.js';
+import { PROHIBITED_WORK, emptyWorkRestrictions, hasWorkRestrictions, checkRoleCompatibility, restrictionsFromText } from '../utils/work-restrictions.js';
 import { dismissNotificationsForRecord } from '../services/notification-service.js';
 
 /* ------------------------------------------------------------------ */
@@ -17,59 +31,37 @@ function esc(str) {
 }
 
 /* ------------------------------------------------------------------ */
-/*  Document / question label data                                    */
+/*  HTML builders                                                     */
 /* ------------------------------------------------------------------ */
 
-const LIST_A = [
-  { id: 'listA1', text: '1. A passport (current or expired) showing the holder is a British citizen or a citizen of the UK and Colonies having the right of abode in the UK.' },
-  { id: 'listA2', text: '2. A passport or passport card (current or expired) showing the holder is an Irish citizen.' },
-  { id: 'listA3', text: '3. A document issued by Jersey, Guernsey or Isle of Man, verified by the Home Office Employer Checking Service, showing unlimited leave under Appendix EU.' },
-  { id: 'listA4', text: '4. A current passport endorsed to show the holder is exempt from immigration control, allowed to stay indefinitely, or has right of abode in the UK.' },
-  { id: 'listA5', text: '5. A current Immigration Status Document with endorsement for indefinite stay, together with an official document giving the person\u2019s permanent NI number and name.' },
-  { id: 'listA6', text: '6. A birth or adoption certificate issued in the UK, together with an official document giving the person\u2019s permanent NI number and name.' },
-  { id: 'listA7', text: '7. A birth or adoption certificate issued in the Channel Islands, Isle of Man or Ireland, together with an official document giving the person\u2019s permanent NI number and name.' },
-  { id: 'listA8', text: '8. A certificate of registration or naturalisation as a British citizen, together with an official document giving the person\u2019s permanent NI number and name.' },
-];
-
-const LIST_B1 = [
-  { id: 'listB1_1', text: '1. A current passport endorsed to show the holder is allowed to stay in the UK and do the type of work in question.' },
-  { id: 'listB1_2', text: '2. A document issued by Jersey, Guernsey or Isle of Man verified by Home Office, showing limited leave under Appendix EU.' },
-  { id: 'listB1_3', text: '3. A current Immigration Status Document with photograph and valid endorsement, together with an official document giving the person\u2019s permanent NI number and name.' },
-];
-
-const LIST_B2 = [
-  { id: 'listB2_1', text: '1. A Home Office document showing an EU Settlement Scheme application made on or before 30 June 2021, together with a Positive Verification Notice.' },
-  { id: 'listB2_2', text: '2. A Certificate of Application (non-digital) for EU Settlement Scheme on or after 1 July 2021, together with a Positive Verification Notice.' },
-  { id: 'listB2_3', text: '3. A document from Jersey, Guernsey or Isle of Man showing an Appendix EU application, together with a Positive Verification Notice.' },
-  { id: 'listB2_4', text: '4. An Application Registration Card permitting the holder to take the employment, together with a Positive Verification Notice.' },
-  { id: 'listB2_5', text: '5. A Positive Verification Notice indicating the named person may stay and is permitted to do the work in question.' },
-];
-
-const IDSP_DOCS = [
-  { id: 'idsp1', text: 'A valid British passport (current)' },
-  { id: 'idsp2', text: 'A valid Irish passport (current)' },
-  { id: 'idsp3', text: 'A valid Irish passport card (current)' },
-];
-
-const ONLINE_CHECKS = [
-  { id: 'onlineConfirm', text: 'The online check confirms the person has a right to work in the UK and is permitted to do the work in question.' },
-  { id: 'onlinePhoto', text: 'The photograph on the online check result is consistent with the person presenting themselves for work (in person or via video).' },
-  { id: 'onlineStudent', text: 'For students, the term and vacation dates and hours of study have been obtained and recorded.' },
-  { id: 'onlineRetain', text: 'A copy of the profile page from the online check has been retained.' },
-];
-
-const QUESTIONS = [
-  { key: 'q1', text: 'Are photographs consistent across documents and with the person presenting themselves for work?' },
-  { key: 'q2', text: 'Are dates of birth correct and consistent across documents?' },
-  { key: 'q3', text: 'Are expiry dates for time-limited permission to be in the UK in the future, i.e. they have not passed (if applicable)?' },
-  { key: 'q4', text: 'Have you checked work restrictions to determine if the person is able to work for you and do the type of work you are offering?' },
-  { key: 'q5', text: 'Have you taken all reasonable steps to check that the document is genuine, has not been tampered with and belongs to the holder?' },
-  { key: 'q6', text: 'Have you checked the reasons for any different names across documents (e.g. marriage certificate, divorce decree, deed poll)?' },
-];
+/**
+ * Provider choices for the IDSP tab. Lapsed providers cannot be chosen,
+ * except the one already on the record being edited.
+ */
+function buildIdspProviderOptions(providers, prefill) {
+  const selectedId = prefill ? prefill.idsp_provider_id : null;
+  const options = providers.map(p => {
+    const lapsed = isCertificationLapsed(p);
+    const selected = p.id === selectedId;
+    return `<option value="${esc(p.id)}" ${selected ? 'selected' : ''} ${lapsed && !selected ? 'disabled' : ''}>
+      ${esc(p.name)}${lapsed ? ` (certification lapsed ${esc(formatDateUK(p.certified_until))})` : ''}</option>`;
+  });
+  // Records from before the registry name their provider as free text
+  const legacy = prefill && prefill.idsp_provider && !selectedId
+    ? `<option value="legacy" selected>${esc(prefill.idsp_provider)} (not in the registry)</option>`
+    : '';
+  return `<option value="">Choose provider&hellip;</option>${legacy}${options.join('')}`;
+}
 
-/* ------------------------------------------------------------------ */
-/*  HTML builders                                                     */
-/* ------------------------------------------------------------------ */
+/**
+ * Document checkboxes for one method tab, grouped as in the checklist version.
+ */
+function buildMethodDocuments(checklist, method) {
+  const { groups = [] } = checklist.definition.methods[method] || {};
+  return groups.map(group => `
+          ${group.title ? `<div class="sub-heading">${esc(group.title)}</div>` : ''}
+          ${buildDocCheckboxes(group.documents || [])}`).join('');
+}
 
 function buildDocCheckboxes(items) {
   return items.map(item => `
@@ -80,10 +72,39 @@ function buildDocCheckboxes(items) {
   `).join('');
 }
 
-function buildVerificationQuestions() {
-  return QUESTIONS.map(q => `
+function buildDateRangeRow(range) {
+  return `
+    <div class="date-range-row">
+      <input type="date" class="range-start" aria-label="Start date" value="${esc((range && range.start) || '')}">
+      <span>to</span>
+      <input type="date" class="range-end" aria-label="End date" value="${esc((range && range.end) || '')}">
+      <button type="button" class="btn-link range-remove">Remove</button>
+    </div>
+  `;
+}
+
+function buildDateRangeRows(ranges) {
+  return (Array.isArray(ranges) ? ranges : []).map(buildDateRangeRow).join('');
+}
+
+// Questions the MRZ reading can give objective evidence for
+const MRZ_EVIDENCE_QUESTIONS = ['q2', 'q3'];
+
+function buildVerificationQuestions(questions, justifications) {
+  const just = justifications || {};
+  return questions.map(q => `
     <div class="checklist-item">
-      <div class="check-text">${esc(q.text)}</div>
+      <div class="check-text">
+        ${esc(q.text)}
+        ${MRZ_EVIDENCE_QUESTIONS.includes(q.key) ? `<div class="mrz-evidence" id="mrz-evidence-${q.key}" style="display:none;"></div>` : ''}
+        <div class="form-group justification" id="justification-${q.key}" style="display:none;">
+          <label for="justification_${q.key}">Explain why the answer is No</label>
+          ${ESCALATING_QUESTIONS.includes(q.key)
+            ? '<span class="hint">A No to this question means no statutory excuse is established. The record will be referred to a manager.</span>'
+            : ''}
+          <textarea id="justification_${q.key}" rows="2">${esc(just[q.key] || '')}</textarea>
+        </div>
+      </div>
       <div class="check-options">
         <label><input type="radio" name="${q.key}" value="Yes"> Yes</label>
         <label><input type="radio" name="${q.key}" value="No"> No</label>
@@ -93,40 +114,182 @@ function buildVerificationQuestions() {
   `).join('');
 }
 
+function buildWorkRestrictionFields(restrictions) {
+  const r = restrictions || emptyWorkRestrictions();
+  return `
+        <div class="form-row">
+          <div class="form-group">
+            <label for="wr_hours_cap">Weekly hours limit <span style="font-weight:400;color:#505a5f;">(if any)</span></label>
+            <input type="number" id="wr_hours_cap" min="0" max="168" step="0.5"
+              value="${r.weekly_hours_cap != null ? esc(String(r.weekly_hours_cap)) : ''}">
+          </div>
+          <div class="form-group">
+            <label for="wr_permitted_roles">Restricted to these jobs <span style="font-weight:400;color:#505a5f;">(if any)</span></label>
+            <span class="hint">Separate jobs with commas, as shown on the permission.</span>
+            <input type="text" id="wr_permitted_roles"
+              value="${esc((r.permitted_roles || []).join(', '))}">
+          </div>
+        </div>
+        <div class="doc-check">
+          <input type="checkbox" id="wr_sponsor_only" ${r.sponsor_only ? 'checked' : ''}>
+          <label for="wr_sponsor_only">Can only work for the employer sponsoring their visa</label>
+        </div>
+        <div class="wr-sponsor" id="wr-sponsor" style="display:${r.sponsor_only ? 'block' : 'none'};">
+          <div class="form-group">
+            <label for="wr_sponsor_name">Sponsor named on the permission</label>
+            <input type="text" id="wr_sponsor_name" value="${esc(r.sponsor_name || '')}">
+          </div>
+          <div class="doc-check">
+            <input type="checkbox" id="wr_employer_is_sponsor" ${r.employer_is_sponsor ? 'checked' : ''}>
+            <label for="wr_employer_is_sponsor">We are this person&rsquo;s sponsor</label>
+          </div>
+        </div>
+        ${Object.entries(PROHIBITED_WORK).map(([key, rule]) => `
+        <div class="doc-check">
+          <input type="checkbox" class="wr-prohibited" id="wr_prohibited_${key}" value="${key}" ${(r.prohibited_work || []).includes(key) ? 'checked' : ''}>
+          <label for="wr_prohibited_${key}">Not permitted to work as a ${esc(rule.label.toLowerCase())}</label>
+        </div>`).join('')}
+        <div class="doc-check">
+          <input type="checkbox" id="wr_no_recourse" ${r.no_recourse ? 'checked' : ''}>
+          <label for="wr_no_recourse">No recourse to public funds</label>
+        </div>
+        <div class="form-group" style="margin-top:12px;">
+          <label for="wr_notes">Other conditions <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+          <textarea id="wr_notes" rows="2">${esc(r.notes || '')}</textarea>
+        </div>`;
+}
+
+function normaliseName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * MRZ names are upper-case, unaccented and may be truncated, so treat the
+ * names as matching when every word of one appears in the other.
+ */
+function namesMatch(mrzName, typedName) {
+  const a = normaliseName(mrzName);
+  const b = normaliseName(typedName);
+  if (!a.length || !b.length) return true;
+  return a.every(w => b.includes(w)) || b.every(w => a.includes(w));
+}
+
 /* ------------------------------------------------------------------ */
 /*  Main render                                                       */
 /* ------------------------------------------------------------------ */
 
-export async function render(el, recordId) {
+/**
+ * Values carried over from the previous check into a follow-up check.
+ * Answers, declaration, scans and dates that must be re-established are cleared.
+ */
+function buildFollowUpPrefill(previous) {
+  return {
+    ...previous,
+    check_type: 'follow_up',
+    check_date: null,
+    expiry_date: null,
+    follow_up_date: null,
+    share_code: null,
+    share_code_expiry_date: null,
+    verification_answers: {},
+    verification_justifications: null,
+    declaration_confirmed: false,
+    additional_notes: null,
+    mrz_result: null,
+    online_check_result: null,
+    idsp_check_date: null,
+    idsp_document_type: null,
+    idsp_match_score: null,
+    idsp_reference: null,
+    idsp_result: null,
+    work_restrictions: null,
+  };
+}
+
+/**
+ * Render the RTW form.
+ * @param {HTMLElement} el - Container element
+ * @param {string} [recordId] - Record to edit
+ * @param {Object} [options]
+ * @param {string} [options.followUpOf] - ID of the previous record when starting a follow-up check
+ * @param {boolean} [options.amend] - Raise an amendment against a locked record
+ */
+export async function render(el, recordId, options = {}) {
   let existing = null;
+  let previous = null;
   const isEdit = !!recordId;
+  const isAmendment = isEdit && !!options.amend;
 
   if (isEdit) {
     existing = await fetchRecord(recordId);
 
-    // Skip edit lock for pending onboarding records (they need to be completed)
-    const isFromOnboarding = !!existing.onboarding_id;
-    if (!isFromOnboarding) {
-      // Enforce 5-minute edit lock
-      const createdAt = existing.created_at ? new Date(existing.created_at) : null;
-      if (createdAt && (Date.now() - createdAt.getTime() > 5 * 60 * 1000)) {
-        el.innerHTML = `
-          <div class="info-banner" style="margin-top:20px;">
-            This record can no longer be edited. Records are locked 5 minutes after submission.
-          </div>
-          <a href="#/record/${recordId}" class="btn btn-secondary" style="margin-top:12px;">Back to record</a>`;
-        return;
-      }
+    // Locked records can only be changed by raising an amendment
+    if (!isAmendment && isEditLocked(existing)) {
+      el.innerHTML = `
+        <div class="info-banner" style="margin-top:20px;">
+          This record can no longer be edited. Records are locked ${EDIT_LOCK_MINUTES} minutes after submission.
+          Changes must be made by raising an amendment.
+        </div>
+        <div class="btn-group" style="margin-top:12px;">
+          <a href="#/record/${recordId}/amend" class="btn btn-primary">Raise amendment</a>
+          <a href="#/record/${recordId}" class="btn btn-secondary">Back to record</a>
+        </div>`;
+      return;
     }
   }
 
+  let existingScans = [];
+  if (isEdit) {
+    try {
+      existingScans = await fetchDocumentScans(recordId);
+    } catch (err) {
+      console.error('Failed to load existing scans:', err);
+    }
+  }
+
+  if (!isEdit && options.followUpOf) {
+    previous = await fetchRecord(options.followUpOf);
+  }
+  const isFollowUp = !!previous;
+  const prefill = existing || (previous ? buildFollowUpPrefill(previous) : null);
+
+  // Edits keep the checklist the record was completed against; new checks,
+  // including follow-ups, use the version in force today
+  const checklist = existing ? await fetchChecklistForRecord(existing) : await fetchCurrentChecklist();
+  const questions = getChecklistQuestions(checklist);
+  const idspIntro = (checklist.definition.methods.idsp || {}).intro;
+  // Edits and follow-ups stay at the record's site; a new check goes to the
+  // site chosen in the nav unless the checker picks another
+  const sites = await fetchSites();
+  let siteId = prefill && prefill.site_id
+    ? prefill.site_id
+    : ((await getCurrentSiteId()) || (sites[0] ? sites[0].id : ''));
+  const siteChoosable = !prefill && sites.length > 1;
+  let settings = await fetchSettings(siteId);
+  let declarationText = getDeclarationText(existing, settings);
+
   const today = todayISO();
-  const heading = isEdit ? 'Edit Right to Work Record' : 'New Right to Work Check';
-  const checkedDocs = existing ? (existing.documents_checked || []) : [];
-  const verAnswers = existing ? (existing.verification_answers || {}) : {};
-  const activeMethod = existing ? (existing.check_method || 'manual') : 'manual';
+  const heading = isAmendment
+    ? 'Amend Right to Work Record'
+    : isEdit
+    ? 'Edit Right to Work Record'
+    : (isFollowUp ? 'Follow-up Right to Work Check' : 'New Right to Work Check');
+  const checkedDocs = prefill ? (prefill.documents_checked || []) : [];
+  const verAnswers = prefill ? (prefill.verification_answers || {}) : {};
+  const activeMethod = prefill ? (prefill.check_method || 'manual') : 'manual';
+
+  const onlineAdapter = getOnlineCheckAdapter();
+
+  let idspProviders = [];
+  try {
+    idspProviders = await fetchIdspProviders();
+  } catch (err) {
+    console.error('Failed to load IDSP providers:', err);
+  }
 
   const isFromOnboarding = existing && !!existing.onboarding_id;
+  // Identity is fixed for onboarding records and for follow-ups of an earlier check
+  const identityLocked = isFromOnboarding || isFollowUp;
 
   el.innerHTML = `
     <h2 style="margin-bottom:20px;">${esc(heading)}</h2>
@@ -137,29 +300,64 @@ export async function render(el, recordId) {
       </div>
     ` : ''}
 
+    ${isFollowUp ? `
+      <div class="onboarding-info-banner">
+        Follow-up check for ${esc(previous.person_name)}, continuing from the check on ${esc(formatDateUK(previous.check_date))}.
+        Details are carried over from that check. Name and date of birth cannot be changed.
+      </div>
+    ` : ''}
+
     <div id="error-summary" class="error-summary" style="display:none;">
-      <h2>There is a problem</h2>
+      <h2 id="error-summary-title">There is a problem</h2>
       <ul id="error-list"></ul>
+      <button type="button" class="btn btn-secondary" id="save-anyway-btn" style="display:none;margin-top:10px;">Save anyway</button>
     </div>
 
     <form id="rtw-form" novalidate>
 
+      ${isAmendment ? `
+      <!-- ========== Amendment ========== -->
+      <div class="section">
+        <div class="section-title">Amendment</div>
+        <div class="form-group">
+          <label for="amendment_reason">Reason for amendment</label>
+          <span class="hint">
+            This record is locked. Saving creates revision ${(existing.revision_number || 1) + 1};
+            the current values are kept as revision ${existing.revision_number || 1} and cannot be changed.
+          </span>
+          <textarea id="amendment_reason" name="amendment_reason" rows="3" required></textarea>
+        </div>
+      </div>
+      ` : ''}
+
       <!-- ========== Section 1: Employee & Check Details ========== -->
       <div class="section">
         <div class="section-title">Employee &amp; Check Details</div>
 
+        ${siteChoosable ? `
+        <div class="form-row">
+          <div class="form-group">
+            <label for="site_id">Site</label>
+            <span class="hint">The venue or company employing this person. Its managers can see the record.</span>
+            <select id="site_id" name="site_id">
+              ${sites.map(s => `<option value="${esc(s.id)}" ${s.id === siteId ? 'selected' : ''}>${esc(s.name)}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        ` : ''}
+
         <div class="form-row">
           <div class="form-group">
             <label for="person_name">Name of person</label>
             <input type="text" id="person_name" name="person_name" required
-              value="${existing ? esc(existing.person_name) : ''}"
-              ${isFromOnboarding ? 'readonly class="readonly-field"' : ''}>
+              value="${prefill ? esc(prefill.person_name) : ''}"
+              ${identityLocked ? 'readonly class="readonly-field"' : ''}>
           </div>
           <div class="form-group">
             <label for="date_of_birth">Date of birth</label>
             <input type="date" id="date_of_birth" name="date_of_birth" required
-              value="${existing ? (existing.date_of_birth || '') : ''}"
-              ${isFromOnboarding ? 'readonly class="readonly-field"' : ''}>
+              value="${prefill ? (prefill.date_of_birth || '') : ''}"
+              ${identityLocked ? 'readonly class="readonly-field"' : ''}>
           </div>
         </div>
 
@@ -167,7 +365,7 @@ export async function render(el, recordId) {
           <div class="form-group">
             <label for="check_date">Date of check</label>
             <input type="date" id="check_date" name="check_date" required
-              value="${existing ? (existing.check_date || today) : today}">
+              value="${prefill ? (prefill.check_date || today) : today}">
           </div>
         </div>
 
@@ -175,12 +373,12 @@ export async function render(el, recordId) {
           <legend>Type of check</legend>
           <div class="radio-option">
             <input type="radio" id="check_type_initial" name="check_type" value="initial"
-              ${(!existing || existing.check_type === 'initial') ? 'checked' : ''}>
+              ${(!prefill || prefill.check_type === 'initial') ? 'checked' : ''}>
             <label for="check_type_initial">Initial check before employment</label>
           </div>
           <div class="radio-option">
             <input type="radio" id="check_type_followup" name="check_type" value="follow_up"
-              ${(existing && existing.check_type === 'follow_up') ? 'checked' : ''}>
+              ${(prefill && prefill.check_type === 'follow_up') ? 'checked' : ''}>
             <label for="check_type_followup">Follow-up check on an employee</label>
           </div>
         </fieldset>
@@ -189,21 +387,37 @@ export async function render(el, recordId) {
           <div class="form-group">
             <label for="expiry_date">Expiry date of permission <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
             <input type="date" id="expiry_date" name="expiry_date"
-              value="${existing ? (existing.expiry_date || '') : ''}">
+              value="${prefill ? (prefill.expiry_date || '') : ''}">
           </div>
           <div class="form-group">
-            <label for="follow_up_date">Follow-up check due date <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+            <label for="follow_up_date">Follow-up check due date <span style="font-weight:400;color:#505a5f;">(calculated)</span></label>
+            <span class="hint" id="follow-up-rule"></span>
             <input type="date" id="follow_up_date" name="follow_up_date"
-              value="${existing ? (existing.follow_up_date || '') : ''}">
+              value="${prefill ? (prefill.follow_up_date || '') : ''}">
+            <span class="field-warning" id="follow-up-warning" style="display:none;"></span>
           </div>
         </div>
 
         <div class="form-row">
           <div class="form-group">
             <label for="employment_end_date">Employment end date <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
-            <span class="hint">If the employee has left, enter their last day. The record will be flagged for deletion 2 years after this date.</span>
+            <span class="hint">If the employee has left, enter their last day. The record will be flagged for deletion <span class="retention-period">${formatRetentionPeriod(settings)}</span> after this date.</span>
             <input type="date" id="employment_end_date" name="employment_end_date"
-              value="${existing ? (existing.employment_end_date || '') : ''}">
+              value="${prefill ? (prefill.employment_end_date || '') : ''}">
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label for="job_title">Job title</label>
+            <span class="hint">The role the person is being employed to do.</span>
+            <input type="text" id="job_title" name="job_title"${existing && existing.check_date ? '' : ' required'}
+              value="${prefill ? esc(prefill.job_title || '') : ''}">
+          </div>
+          <div class="form-group">
+            <label for="weekly_hours">Contracted hours a week <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+            <input type="number" id="weekly_hours" name="weekly_hours" min="0" max="168" step="0.5"
+              value="${prefill && prefill.weekly_hours != null ? esc(String(prefill.weekly_hours)) : ''}">
           </div>
         </div>
       </div>
@@ -220,25 +434,50 @@ export async function render(el, recordId) {
 
         <!-- Manual panel -->
         <div class="method-panel${activeMethod === 'manual' ? ' active' : ''}" data-panel="manual">
-          <div class="sub-heading">List A &mdash; Continuous right to work</div>
-          ${buildDocCheckboxes(LIST_A)}
-
-          <div class="sub-heading">List B Group 1 &mdash; Temporary right to work</div>
-          ${buildDocCheckboxes(LIST_B1)}
-
-          <div class="sub-heading">List B Group 2 &mdash; Pending applications</div>
-          ${buildDocCheckboxes(LIST_B2)}
+          ${buildMethodDocuments(checklist, 'manual')}
         </div>
 
         <!-- IDSP panel -->
         <div class="method-panel${activeMethod === 'idsp' ? ' active' : ''}" data-panel="idsp">
-          <p style="margin-bottom:12px;font-size:14px;color:#505a5f;">Select the document verified through an Identity Document Validation Technology (IDVT) check via an Identity Service Provider (IDSP).</p>
-          ${buildDocCheckboxes(IDSP_DOCS)}
+          ${idspIntro ? `<p style="margin-bottom:12px;font-size:14px;color:#505a5f;">${esc(idspIntro)}</p>` : ''}
+          ${buildMethodDocuments(checklist, 'idsp')}
 
           <div class="form-group" style="margin-top:16px;">
-            <label for="idsp_provider">IDSP provider name</label>
-            <input type="text" id="idsp_provider" name="idsp_provider"
-              value="${existing ? esc(existing.idsp_provider || '') : ''}">
+            <label for="idsp_provider_id">IDSP provider</label>
+            <span class="hint">Certified providers kept by managers on the Admin page. Providers whose certification has lapsed cannot be chosen.</span>
+            <select id="idsp_provider_id" name="idsp_provider_id">${buildIdspProviderOptions(idspProviders, prefill)}</select>
+          </div>
+
+          <div class="form-group">
+            <label for="idsp-result-input">Provider&rsquo;s result <span style="font-weight:400;color:#505a5f;">(JSON or PDF)</span></label>
+            <span class="hint">Upload the result the provider sent to fill in the details below. A PDF result is also kept with the document scans.</span>
+            <input type="file" id="idsp-result-input" accept=".json,.pdf,application/json,application/pdf">
+          </div>
+          <div class="mrz-panel" id="idsp-result-panel" style="display:none;"></div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label for="idsp_check_date">Date of IDVT check</label>
+              <input type="date" id="idsp_check_date" name="idsp_check_date"
+                value="${prefill ? (prefill.idsp_check_date || '') : ''}">
+            </div>
+            <div class="form-group">
+              <label for="idsp_document_type">Document type checked</label>
+              <input type="text" id="idsp_document_type" name="idsp_document_type"
+                value="${prefill ? esc(prefill.idsp_document_type || '') : ''}">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="idsp_match_score">Match score (%) <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+              <input type="number" id="idsp_match_score" name="idsp_match_score" min="0" max="100" step="0.1"
+                value="${prefill && prefill.idsp_match_score != null ? esc(String(prefill.idsp_match_score)) : ''}">
+            </div>
+            <div class="form-group">
+              <label for="idsp_reference">Provider reference <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+              <input type="text" id="idsp_reference" name="idsp_reference"
+                value="${prefill ? esc(prefill.idsp_reference || '') : ''}">
+            </div>
           </div>
         </div>
 
@@ -246,13 +485,54 @@ export async function render(el, recordId) {
         <div class="method-panel${activeMethod === 'online' ? ' active' : ''}" data-panel="online">
           <div class="form-group">
             <label for="share_code">Share code</label>
-            <span class="hint">The share code provided by the employee from the Home Office online service.</span>
-            <input type="text" id="share_code" name="share_code"
-              value="${existing ? esc(existing.share_code || '') : ''}">
+            <span class="hint">The share code provided by the employee from the Home Office online service, for example W12 345 678.</span>
+            <input type="text" id="share_code" name="share_code" autocomplete="off" spellcheck="false"
+              value="${prefill ? esc(formatShareCode(prefill.share_code)) : ''}">
+          </div>
+          <div class="form-group">
+            <label for="share_code_expiry_date">Share code expiry date <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+            <span class="hint">Share codes are valid for ${SHARE_CODE_VALID_DAYS} days from when the employee generated them. The expiry date is shown on the code the employee sent.</span>
+            <input type="date" id="share_code_expiry_date" name="share_code_expiry_date"
+              value="${prefill ? (prefill.share_code_expiry_date || '') : ''}">
           </div>
 
-          <div class="sub-heading">Online check confirmation</div>
-          ${buildDocCheckboxes(ONLINE_CHECKS)}
+          ${onlineAdapter ? `
+          <div class="form-group">
+            <button type="button" class="btn btn-secondary" id="online-check-btn">Check share code</button>
+            <span class="hint" style="margin-top:6px;">Looks up the share code and date of birth with ${esc(onlineAdapter.label)} and fills in the details below.</span>
+          </div>` : ''}
+          <div class="mrz-panel" id="online-check-panel" style="display:none;"></div>
+
+          ${buildMethodDocuments(checklist, 'online')}
+
+          <div class="student-section" id="student-section" style="display:none;">
+            <div class="sub-heading">Student term-time working</div>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="student_course">Course of study</label>
+                <input type="text" id="student_course" name="student_course"
+                  value="${prefill ? esc(prefill.student_course || '') : ''}">
+              </div>
+              <div class="form-group">
+                <label for="student_weekly_hours_cap">Weekly hours cap during term time</label>
+                <input type="number" id="student_weekly_hours_cap" name="student_weekly_hours_cap" min="0" max="48" step="0.5"
+                  value="${prefill && prefill.student_weekly_hours_cap != null ? esc(String(prefill.student_weekly_hours_cap)) : '20'}">
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label>Term dates</label>
+              <span class="hint">Official term dates from the education provider. The record is flagged when the last recorded date is about to pass.</span>
+              <div class="date-range-list" id="student-term-dates">${buildDateRangeRows(prefill && prefill.student_term_dates)}</div>
+              <button type="button" class="btn btn-secondary btn-small" data-add-range="student-term-dates">Add term</button>
+            </div>
+
+            <div class="form-group">
+              <label>Vacation dates <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
+              <div class="date-range-list" id="student-vacation-dates">${buildDateRangeRows(prefill && prefill.student_vacation_dates)}</div>
+              <button type="button" class="btn btn-secondary btn-small" data-add-range="student-vacation-dates">Add vacation</button>
+            </div>
+          </div>
         </div>
       </div>
 
@@ -260,33 +540,44 @@ export async function render(el, recordId) {
       <div class="section">
         <div class="section-title">Step 2 &mdash; Check: Verification Questions</div>
         <p style="margin-bottom:14px;font-size:14px;color:#505a5f;">Answer each question based on the documents obtained in Step 1.</p>
-        ${buildVerificationQuestions()}
+        ${buildVerificationQuestions(questions, prefill ? prefill.verification_justifications : null)}
+
+        <div class="sub-heading">Work restrictions</div>
+        <p style="margin-bottom:12px;font-size:14px;color:#505a5f;">Record any conditions on the person&rsquo;s permission to work (question 4). Leave blank if there are none.</p>
+        ${buildWorkRestrictionFields(prefill ? prefill.work_restrictions : null)}
+        <div class="warning-banner red" id="role-conflicts" style="display:none;"></div>
       </div>
 
       <!-- ========== Section 4: Step 3 - Copy ========== -->
       <div class="section">
         <div class="section-title">Step 3 &mdash; Copy: Document Scan Upload</div>
-        <p style="margin-bottom:14px;font-size:14px;color:#505a5f;">Upload a clear copy of the document(s) checked. Accepted formats: JPEG, PNG or PDF.</p>
+        <p style="margin-bottom:14px;font-size:14px;color:#505a5f;">Upload a clear copy of each document checked, for example the passport photo page, both sides of a BRP and any NI letter or PVN. Choose which document each file shows. Accepted formats: JPEG, PNG or PDF.</p>
 
-        <input type="file" id="file-input" accept="image/jpeg,image/png,application/pdf" style="display:none;">
+        <input type="file" id="file-input" accept="image/jpeg,image/png,application/pdf" multiple style="display:none;">
 
         <div class="upload-area" id="upload-area">
           <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M19.35 10.04A7.49 7.49 0 0 0 12 4C9.11 4 6.6 5.64 5.35 8.04A5.994 5.994 0 0 0 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM14 13v4h-4v-4H7l5-5 5 5h-3z"/></svg>
-          <p id="upload-label">Click or drag a file here to upload</p>
+          <p id="upload-label">Click or drag files here to upload</p>
         </div>
-        <div class="image-preview" id="image-preview"></div>
-        ${existing && existing.document_scan_path ? `<p style="margin-top:8px;font-size:13px;color:#505a5f;">A document scan is already on file. Uploading a new file will replace it.</p>` : ''}
+        <ul class="scan-upload-list" id="scan-upload-list"></ul>
+        <div class="mrz-panel" id="mrz-panel" style="display:none;"></div>
+        ${existingScans.length ? `
+          <p class="existing-scans">
+            Already on file: ${existingScans.map(scan => esc(getScanDocumentLabel(scan.document_id, checklist))).join(', ')}.
+            New files are added alongside them.
+          </p>` : ''}
       </div>
 
       <!-- ========== Section 5: Declaration & Notes ========== -->
       <div class="section">
         <div class="section-title">Declaration &amp; Notes</div>
 
-        <div class="declaration-box">
-          <p>I confirm that I have carried out the right to work check in compliance with Home Office instructions and believe a valid statutory excuse is established.</p>
+        <div class="declaration-box" id="declaration-box">
+          <p class="field-warning" id="declaration-blocked" style="display:none;"></p>
+          <p id="declaration-text">${esc(declarationText)}</p>
           <label>
             <input type="checkbox" id="declaration_confirmed" name="declaration_confirmed"
-              ${(existing && existing.declaration_confirmed) ? 'checked' : ''}>
+              ${(prefill && prefill.declaration_confirmed) ? 'checked' : ''}>
             I agree to the above declaration
           </label>
         </div>
@@ -294,23 +585,23 @@ export async function render(el, recordId) {
         <div class="form-group">
           <label for="checker_name">Name of person conducting the check</label>
           <input type="text" id="checker_name" name="checker_name" required
-            value="${existing ? esc(existing.checker_name || '') : ''}">
+            value="${prefill ? esc(prefill.checker_name || '') : ''}">
         </div>
 
         <div class="form-group">
           <label for="additional_notes">Additional notes <span style="font-weight:400;color:#505a5f;">(optional)</span></label>
-          <textarea id="additional_notes" name="additional_notes" rows="4">${existing ? esc(existing.additional_notes || '') : ''}</textarea>
+          <textarea id="additional_notes" name="additional_notes" rows="4">${prefill ? esc(prefill.additional_notes || '') : ''}</textarea>
         </div>
 
         <div class="retention-notice">
-          <strong>Retention:</strong> Right to work check records must be retained for the duration of the worker&rsquo;s employment and for two years after their employment ends, in accordance with Home Office guidance.
+          <strong>Retention:</strong> Right to work check records must be retained for the duration of the worker&rsquo;s employment and for <span class="retention-period">${formatRetentionPeriod(settings)}</span> after their employment ends, in accordance with Home Office guidance.
         </div>
 
         <div class="btn-group">
           <button type="submit" class="btn btn-primary" id="save-btn">
-            ${isEdit ? 'Update record' : 'Save record'}
+            ${isAmendment ? 'Save amendment' : (isEdit ? 'Update record' : 'Save record')}
           </button>
-          <a href="${isEdit ? `#/record/${recordId}` : '#/'}" class="btn btn-secondary">Cancel</a>
+          <a href="${isEdit ? `#/record/${recordId}` : (isFollowUp ? `#/record/${previous.id}` : '#/')}" class="btn btn-secondary">Cancel</a>
         </div>
       </div>
 
@@ -318,10 +609,27 @@ export async function render(el, recordId) {
   `;
 
   /* ---------------------------------------------------------------- */
-  /*  Pre-fill checkboxes and radio buttons from existing record      */
+  /*  Site: its settings give the declaration and retention period    */
+  /* ---------------------------------------------------------------- */
+
+  const siteSelect = el.querySelector('#site_id');
+  if (siteSelect) {
+    siteSelect.addEventListener('change', async () => {
+      siteId = siteSelect.value;
+      settings = await fetchSettings(siteId);
+      declarationText = getDeclarationText(existing, settings);
+      el.querySelector('#declaration-text').textContent = declarationText;
+      el.querySelectorAll('.retention-period').forEach(span => {
+        span.textContent = formatRetentionPeriod(settings);
+      });
+    });
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Pre-fill checkboxes and radio buttons from the source record    */
   /* ---------------------------------------------------------------- */
 
-  if (existing) {
+  if (prefill) {
     // Restore checked document checkboxes
     checkedDocs.forEach(docId => {
       const cb = el.querySelector(`#${CSS.escape(docId)}`);
@@ -335,16 +643,21 @@ export async function render(el, recordId) {
     });
   }
 
-  // Auto-fill checker_name from logged-in user's profile
-  try {
-    const profile = await getUserProfile();
-    if (profile && profile.full_name) {
-      const checkerInput = el.querySelector('#checker_name');
-      checkerInput.value = profile.full_name;
-      checkerInput.readOnly = true;
+  // Auto-fill checker_name from logged-in user's profile. An amendment keeps
+  // the original checker; the database records the amender in amended_by.
+  if (isAmendment) {
+    el.querySelector('#checker_name').readOnly = true;
+  } else {
+    try {
+      const profile = await getUserProfile();
+      if (profile && profile.full_name) {
+        const checkerInput = el.querySelector('#checker_name');
+        checkerInput.value = profile.full_name;
+        checkerInput.readOnly = true;
+      }
+    } catch (err) {
+      console.error('Could not auto-fill checker name:', err);
     }
-  } catch (err) {
-    console.error('Could not auto-fill checker name:', err);
   }
 
   /* ---------------------------------------------------------------- */
@@ -364,6 +677,114 @@ export async function render(el, recordId) {
     });
   });
 
+  /* ---------------------------------------------------------------- */
+  /*  Student term-time section                                       */
+  /* ---------------------------------------------------------------- */
+
+  const studentCheckbox = el.querySelector('#onlineStudent');
+  const studentSection = el.querySelector('#student-section');
+
+  function toggleStudentSection() {
+    studentSection.style.display = studentCheckbox.checked ? 'block' : 'none';
+    const termList = el.querySelector('#student-term-dates');
+    if (studentCheckbox.checked && !termList.children.length) {
+      termList.insertAdjacentHTML('beforeend', buildDateRangeRow(null));
+    }
+  }
+
+  studentCheckbox.addEventListener('change', toggleStudentSection);
+  toggleStudentSection();
+
+  el.querySelectorAll('[data-add-range]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      el.querySelector(`#${btn.dataset.addRange}`).insertAdjacentHTML('beforeend', buildDateRangeRow(null));
+    });
+  });
+
+  studentSection.addEventListener('click', (e) => {
+    if (e.target.classList.contains('range-remove')) {
+      e.target.closest('.date-range-row').remove();
+    }
+  });
+
+  function collectDateRanges(listId) {
+    return Array.from(el.querySelectorAll(`#${listId} .date-range-row`))
+      .map(row => ({
+        start: row.querySelector('.range-start').value || null,
+        end: row.querySelector('.range-end').value || null,
+      }))
+      .filter(r => r.start || r.end);
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Follow-up date calculation                                      */
+  /* ---------------------------------------------------------------- */
+
+  function getActiveMethod() {
+    const activeTab = el.querySelector('.method-tab.active');
+    return activeTab ? activeTab.getAttribute('data-tab') : 'manual';
+  }
+
+  // Checked document IDs from the given method's panel only
+  function getCheckedDocuments(method) {
+    const panel = el.querySelector(`.method-panel[data-panel="${method}"]`);
+    if (!panel) return [];
+    return Array.from(panel.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+  }
+
+  const followUpInput = el.querySelector('#follow_up_date');
+  const followUpRule = el.querySelector('#follow-up-rule');
+  const followUpWarning = el.querySelector('#follow-up-warning');
+
+  function currentFollowUp() {
+    const method = getActiveMethod();
+    return calculateFollowUp({
+      check_method: method,
+      documents_checked: getCheckedDocuments(method),
+      check_date: el.querySelector('#check_date').value || null,
+      expiry_date: el.querySelector('#expiry_date').value || null,
+    });
+  }
+
+  // Keep an existing date the checker set by hand; otherwise track the rules
+  let followUpOverridden = !!(existing && existing.follow_up_date
+    && existing.follow_up_date !== currentFollowUp().followUpDate);
+
+  function updateFollowUpWarning(result) {
+    const value = followUpInput.value || '';
+    const computed = result.followUpDate || '';
+    if (result.rule === 'unknown' || value === computed) {
+      followUpWarning.style.display = 'none';
+      followUpWarning.textContent = '';
+      return;
+    }
+    followUpWarning.textContent = computed
+      ? `This differs from the calculated follow-up date (${formatDateUK(computed)}). Check the date before saving.`
+      : 'The documents selected do not need a follow-up check. Check the date before saving.';
+    followUpWarning.style.display = 'block';
+  }
+
+  function refreshFollowUp() {
+    const result = currentFollowUp();
+    followUpRule.textContent = result.description;
+    if (!followUpOverridden) {
+      followUpInput.value = result.followUpDate || '';
+    }
+    updateFollowUpWarning(result);
+  }
+
+  followUpInput.addEventListener('input', () => {
+    followUpOverridden = true;
+    updateFollowUpWarning(currentFollowUp());
+  });
+
+  el.querySelectorAll('.method-panel input[type="checkbox"], #check_date, #expiry_date').forEach(input => {
+    input.addEventListener('change', refreshFollowUp);
+  });
+  tabs.forEach(tab => tab.addEventListener('click', refreshFollowUp));
+
+  refreshFollowUp();
+
   /* ---------------------------------------------------------------- */
   /*  File upload                                                     */
   /* ---------------------------------------------------------------- */
@@ -371,8 +792,9 @@ export async function render(el, recordId) {
   const fileInput = el.querySelector('#file-input');
   const uploadArea = el.querySelector('#upload-area');
   const uploadLabel = el.querySelector('#upload-label');
-  const imagePreview = el.querySelector('#image-preview');
-  let selectedFile = null;
+  const scanList = el.querySelector('#scan-upload-list');
+  // Files waiting to be uploaded: [{ file, documentId, thumb, edits }]
+  const selectedScans = [];
 
   uploadArea.addEventListener('click', () => fileInput.click());
 
@@ -383,10 +805,8 @@ export async function render(el, recordId) {
   });
 
   uploadArea.addEventListener('dragleave', () => {
-    if (!selectedFile) {
-      uploadArea.style.borderColor = '';
-      uploadArea.style.background = '';
-    }
+    uploadArea.style.borderColor = '';
+    uploadArea.style.background = '';
   });
 
   uploadArea.addEventListener('drop', (e) => {
@@ -394,45 +814,138 @@ export async function render(el, recordId) {
     uploadArea.style.borderColor = '';
     uploadArea.style.background = '';
     if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      handleFile(e.dataTransfer.files[0]);
+      addFiles(e.dataTransfer.files);
     }
   });
 
   fileInput.addEventListener('change', () => {
     if (fileInput.files && fileInput.files.length > 0) {
-      handleFile(fileInput.files[0]);
+      addFiles(fileInput.files);
     }
+    fileInput.value = '';
   });
 
-  function handleFile(file) {
+  function addFiles(files) {
     const allowed = ['image/jpeg', 'image/png', 'application/pdf'];
-    if (!allowed.includes(file.type)) {
-      uploadLabel.textContent = 'Unsupported file type. Please select a JPEG, PNG or PDF.';
-      selectedFile = null;
-      uploadArea.classList.remove('has-file');
-      imagePreview.innerHTML = '';
+    const ticked = getCheckedDocuments(getActiveMethod());
+    let rejected = 0;
+
+    for (const file of files) {
+      if (!allowed.includes(file.type)) {
+        rejected++;
+        continue;
+      }
+      const thumb = document.createElement('div');
+      thumb.className = 'scan-upload-thumb';
+      renderThumbnail(thumb, file);
+      // With a single document ticked, that is almost certainly what the scan shows
+      selectedScans.push({ file, documentId: ticked.length === 1 ? ticked[0] : '', thumb, edits: null });
+    }
+
+    renderScanList();
+    scanForMrz();
+    uploadLabel.textContent = rejected
+      ? `${rejected} file${rejected === 1 ? ' was' : 's were'} skipped. Only JPEG, PNG or PDF files can be uploaded.`
+      : (selectedScans.length ? 'Click or drag more files here to add them' : 'Click or drag files here to upload');
+    uploadArea.classList.toggle('has-file', selectedScans.length > 0);
+  }
+
+  // Document choices for a scan: documents ticked in the active method first
+  function scanDocumentOptions(selected) {
+    const ticked = getCheckedDocuments(getActiveMethod());
+    const others = getChecklistDocuments(checklist).map(d => d.id).filter(id => !ticked.includes(id));
+    const option = id => `<option value="${esc(id)}" ${id === selected ? 'selected' : ''}>${esc(getScanDocumentLabel(id, checklist))}</option>`;
+    return `
+      <option value="">Choose document&hellip;</option>
+      ${ticked.length ? `<optgroup label="Documents ticked above">${ticked.map(option).join('')}</optgroup>` : ''}
+      <optgroup label="All documents">${others.map(option).join('')}${option('idsp_result')}${option('other')}</optgroup>`;
+  }
+
+  function renderScanList() {
+    scanList.innerHTML = '';
+    selectedScans.forEach((item, idx) => {
+      const li = document.createElement('li');
+      li.className = 'scan-upload-item';
+      li.appendChild(item.thumb);
+
+      const details = document.createElement('div');
+      details.className = 'scan-upload-details';
+      details.innerHTML = `
+        <span class="filename">${esc(item.file.name)}</span>
+        <select aria-label="Document shown in ${esc(item.file.name)}">${scanDocumentOptions(item.documentId)}</select>`;
+      details.querySelector('select').addEventListener('change', (e) => {
+        item.documentId = e.target.value;
+      });
+      li.appendChild(details);
+
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'btn-link';
+      editBtn.textContent = item.edits ? 'Edit again' : 'Crop / redact';
+      editBtn.addEventListener('click', () => editScan(item));
+      li.appendChild(editBtn);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-link';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        selectedScans.splice(idx, 1);
+        renderScanList();
+        uploadArea.classList.toggle('has-file', selectedScans.length > 0);
+      });
+      li.appendChild(removeBtn);
+
+      scanList.appendChild(li);
+    });
+  }
+
+  async function editScan(item) {
+    let result;
+    try {
+      result = await openScanEditor(item.file);
+    } catch (err) {
+      uploadLabel.textContent = 'This file could not be opened for editing: ' + err.message;
       return;
     }
+    if (!result) return;
+
+    // Combine with any earlier edits so the audit entry covers everything
+    const previous = item.edits || { rotation: 0, cropped: false, redactions: 0 };
+    item.edits = {
+      rotation: (previous.rotation + result.edits.rotation) % 360,
+      cropped: previous.cropped || result.edits.cropped,
+      redactions: previous.redactions + result.edits.redactions,
+    };
+    item.file = result.file;
+    renderThumbnail(item.thumb, item.file);
+    renderScanList();
+  }
 
-    selectedFile = file;
-    uploadLabel.innerHTML = `<span class="filename">${esc(file.name)}</span>`;
-    uploadArea.classList.add('has-file');
-    imagePreview.innerHTML = '';
+  // Keep the "ticked above" group in step with the document checkboxes
+  function refreshScanOptions() {
+    scanList.querySelectorAll('select').forEach((select, idx) => {
+      select.innerHTML = scanDocumentOptions(selectedScans[idx].documentId);
+    });
+  }
 
+  el.querySelectorAll('.method-panel input[type="checkbox"]').forEach(input => {
+    input.addEventListener('change', refreshScanOptions);
+  });
+  tabs.forEach(tab => tab.addEventListener('click', refreshScanOptions));
+
+  async function renderThumbnail(container, file) {
     if (file.type.startsWith('image/')) {
       const reader = new FileReader();
       reader.onload = (e) => {
-        imagePreview.innerHTML = `<img src="${e.target.result}" alt="Document preview">`;
+        container.innerHTML = `<img src="${e.target.result}" alt="">`;
       };
       reader.readAsDataURL(file);
-    } else if (file.type === 'application/pdf') {
-      renderPdfPreview(file);
+      return;
     }
-  }
 
-  async function renderPdfPreview(file) {
     if (typeof pdfjsLib === 'undefined') {
-      imagePreview.innerHTML = '<p style="font-size:13px;color:#505a5f;">PDF preview unavailable &mdash; pdf.js not loaded.</p>';
+      container.textContent = 'PDF';
       return;
     }
 
@@ -440,20 +953,467 @@ export async function render(el, recordId) {
       const arrayBuffer = await file.arrayBuffer();
       const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
       const page = await pdf.getPage(1);
-      const scale = 1.2;
-      const viewport = page.getViewport({ scale });
+      const viewport = page.getViewport({ scale: 0.4 });
       const canvas = document.createElement('canvas');
       canvas.width = viewport.width;
       canvas.height = viewport.height;
-      const ctx = canvas.getContext('2d');
-      await page.render({ canvasContext: ctx, viewport }).promise;
-      imagePreview.innerHTML = '';
-      imagePreview.appendChild(canvas);
-      canvas.style.maxWidth = '100%';
-      canvas.style.maxHeight = '250px';
-      canvas.style.border = '1px solid var(--ho-border)';
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      container.innerHTML = '';
+      container.appendChild(canvas);
     } catch (err) {
-      imagePreview.innerHTML = '<p style="font-size:13px;color:#505a5f;">Could not render PDF preview.</p>';
+      container.textContent = 'PDF';
+    }
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  MRZ reading                                                     */
+  /* ---------------------------------------------------------------- */
+
+  const mrzPanel = el.querySelector('#mrz-panel');
+  let mrzResult = prefill ? (prefill.mrz_result || null) : null;
+  let mrzReading = false;
+  const mrzTried = new Set();
+
+  // Read the MRZ from newly added scans, one at a time, until one is found
+  async function scanForMrz() {
+    if (mrzReading) return;
+    mrzReading = true;
+    try {
+      for (const item of selectedScans) {
+        if (mrzTried.has(item.file)) continue;
+        mrzTried.add(item.file);
+        showMrzMessage('Reading the machine-readable zone from ' + item.file.name + '\u2026');
+        let result = null;
+        try {
+          result = await readMrz(item.file);
+        } catch (err) {
+          console.error('MRZ reading failed:', err);
+        }
+        if (result) {
+          applyMrz(result);
+          return;
+        }
+      }
+      if (mrzResult) {
+        renderMrzPanel();
+      } else {
+        showMrzMessage('No machine-readable zone was found in the uploaded scans. Enter the details by hand.');
+      }
+    } finally {
+      mrzReading = false;
+    }
+  }
+
+  function showMrzMessage(message) {
+    mrzPanel.innerHTML = `<p>${esc(message)}</p>`;
+    mrzPanel.style.display = 'block';
+  }
+
+  function applyMrz(result) {
+    mrzResult = toStoredMrz(result);
+
+    // Only pre-fill from an MRZ whose check digits all pass, and never
+    // overwrite what the checker has already typed
+    if (mrzResult.valid) {
+      const fill = (selector, value) => {
+        const input = el.querySelector(selector);
+        if (value && !input.value && !input.readOnly) {
+          input.value = value;
+          input.dispatchEvent(new Event('change'));
+        }
+      };
+      fill('#person_name', mrzResult.full_name);
+      fill('#date_of_birth', mrzResult.date_of_birth);
+      // A residence permit expires with the permission it shows; a passport's
+      // own expiry says nothing about the holder's permission, so that is only
+      // compared with what is entered below
+      if (mrzResult.format !== 'TD3') fill('#expiry_date', mrzResult.expiry_date);
+    }
+    renderMrzPanel();
+  }
+
+  function renderMrzPanel() {
+    if (!mrzResult) return;
+    const typedName = el.querySelector('#person_name').value.trim();
+    const typedDob = el.querySelector('#date_of_birth').value;
+    const typedExpiry = el.querySelector('#expiry_date').value;
+
+    const mismatches = [];
+    if (typedName && !namesMatch(mrzResult.full_name, typedName)) {
+      mismatches.push(`Name on the document (${mrzResult.full_name}) does not match the name entered.`);
+    }
+    if (typedDob && mrzResult.date_of_birth && typedDob !== mrzResult.date_of_birth) {
+      mismatches.push(`Date of birth on the document (${formatDateUK(mrzResult.date_of_birth)}) does not match the date entered.`);
+    }
+    if (typedExpiry && mrzResult.expiry_date && typedExpiry !== mrzResult.expiry_date) {
+      mismatches.push(`Document expiry (${formatDateUK(mrzResult.expiry_date)}) differs from the permission expiry entered. Check which date applies.`);
+    }
+
+    mrzPanel.innerHTML = `
+      <div class="mrz-panel-title">Machine-readable zone (${mrzResult.format === 'TD3' ? 'passport' : 'residence permit / ID card'})</div>
+      ${mrzResult.valid
+        ? '<p class="mrz-ok">All check digits are valid.</p>'
+        : '<p class="field-warning">Some check digits failed, so the details were not used to fill the form. Check the scan is clear and the values below against the document.</p>'}
+      <dl class="mrz-values">
+        <dt>Name</dt><dd>${esc(mrzResult.full_name || '\u2014')}</dd>
+        <dt>Date of birth</dt><dd>${esc(formatDateUK(mrzResult.date_of_birth) || '\u2014')}</dd>
+        <dt>Document expiry</dt><dd>${esc(formatDateUK(mrzResult.expiry_date) || '\u2014')}</dd>
+        <dt>Issued by</dt><dd>${esc(mrzResult.issuing_state || '\u2014')}</dd>
+      </dl>
+      ${mismatches.map(m => `<p class="field-warning">${esc(m)}</p>`).join('')}`;
+    mrzPanel.style.display = 'block';
+
+    renderMrzEvidence(typedDob);
+  }
+
+  // Objective backing for q2 (date of birth) and q3 (expiry in the future)
+  function renderMrzEvidence(typedDob) {
+    const q2 = el.querySelector('#mrz-evidence-q2');
+    const q3 = el.querySelector('#mrz-evidence-q3');
+    if (!mrzResult) return;
+
+    if (q2 && mrzResult.date_of_birth) {
+      const dobValid = mrzResult.checks && mrzResult.checks.dateOfBirth;
+      const matches = !typedDob || typedDob === mrzResult.date_of_birth;
+      q2.textContent = `MRZ: date of birth ${formatDateUK(mrzResult.date_of_birth)}`
+        + (dobValid ? ' (check digit valid)' : ' (check digit failed)')
+        + (typedDob ? (matches ? ', matches the date entered.' : ', does not match the date entered.') : '.');
+      q2.className = 'mrz-evidence' + (dobValid && matches ? '' : ' mrz-evidence-warn');
+      q2.style.display = 'block';
+    }
+
+    if (q3 && mrzResult.expiry_date) {
+      const expiryValid = mrzResult.checks && mrzResult.checks.expiryDate;
+      const inFuture = mrzResult.expiry_date >= todayISO();
+      q3.textContent = `MRZ: document expires ${formatDateUK(mrzResult.expiry_date)}`
+        + (expiryValid ? ' (check digit valid)' : ' (check digit failed)')
+        + (inFuture ? ', which is in the future.' : ', which has passed.');
+      q3.className = 'mrz-evidence' + (expiryValid && inFuture ? '' : ' mrz-evidence-warn');
+      q3.style.display = 'block';
+    }
+  }
+
+  el.querySelectorAll('#person_name, #date_of_birth, #expiry_date').forEach(input => {
+    input.addEventListener('input', renderMrzPanel);
+  });
+  renderMrzPanel();
+
+  /* ---------------------------------------------------------------- */
+  /*  Work restrictions and role compatibility                        */
+  /* ---------------------------------------------------------------- */
+
+  const roleConflicts = el.querySelector('#role-conflicts');
+  const declarationBox = el.querySelector('#declaration_confirmed');
+  const declarationBlocked = el.querySelector('#declaration-blocked');
+
+  function collectWorkRestrictions() {
+    const cap = el.querySelector('#wr_hours_cap').value;
+    const sponsorOnly = el.querySelector('#wr_sponsor_only').checked;
+    const restrictions = {
+      weekly_hours_cap: cap !== '' ? Number(cap) : null,
+      sponsor_only: sponsorOnly,
+      employer_is_sponsor: sponsorOnly && el.querySelector('#wr_employer_is_sponsor').checked,
+      sponsor_name: sponsorOnly ? (el.querySelector('#wr_sponsor_name').value.trim() || null) : null,
+      permitted_roles: el.querySelector('#wr_permitted_roles').value.split(',').map(r => r.trim()).filter(Boolean),
+      prohibited_work: Array.from(el.querySelectorAll('.wr-prohibited:checked')).map(cb => cb.value),
+      no_recourse: el.querySelector('#wr_no_recourse').checked,
+      notes: el.querySelector('#wr_notes').value.trim() || null,
+    };
+    return hasWorkRestrictions(restrictions) ? restrictions : null;
+  }
+
+  function currentRoleConflicts() {
+    const hours = el.querySelector('#weekly_hours').value;
+    const isStudent = getActiveMethod() === 'online' && studentCheckbox.checked;
+    const studentCap = el.querySelector('#student_weekly_hours_cap').value;
+    return checkRoleCompatibility(
+      { job_title: el.querySelector('#job_title').value, weekly_hours: hours !== '' ? Number(hours) : null },
+      collectWorkRestrictions(),
+      isStudent && studentCap !== '' ? Number(studentCap) : null,
+    );
+  }
+
+  // A role that conflicts with the restrictions blocks the declaration
+  function renderRoleConflicts() {
+    const conflicts = currentRoleConflicts();
+    roleConflicts.innerHTML = conflicts.length
+      ? `<strong>The role conflicts with this person&rsquo;s work restrictions</strong><ul>${conflicts.map(c => `<li>${esc(c)}</li>`).join('')}</ul>`
+      : '';
+    roleConflicts.style.display = conflicts.length ? 'block' : 'none';
+    updateDeclarationBlock();
+  }
+
+  function collectVerificationAnswers() {
+    const answers = {};
+    questions.forEach(q => {
+      const selected = el.querySelector(`input[name="${q.key}"]:checked`);
+      answers[q.key] = selected ? selected.value : null;
+    });
+    return answers;
+  }
+
+  // Explanations are kept only for the questions answered No
+  function collectJustifications(answers) {
+    const justifications = {};
+    questions.forEach(q => {
+      const text = el.querySelector(`#justification_${q.key}`).value.trim();
+      if (answers[q.key] === 'No' && text) justifications[q.key] = text;
+    });
+    return Object.keys(justifications).length ? justifications : null;
+  }
+
+  // Role conflicts and answers that refer the check to a manager block the declaration
+  function updateDeclarationBlock() {
+    const reasons = [];
+    if (currentRoleConflicts().length) {
+      reasons.push('The declaration cannot be made while the role conflicts with the person\u2019s work restrictions (see Step 2).');
+    }
+    const escalating = getEscalatingAnswers(collectVerificationAnswers());
+    if (escalating.length) {
+      reasons.push(`The declaration cannot be made with a No answer to ${describeQuestions(escalating, checklist)}. `
+        + 'Save the record to refer the check to a manager.');
+    }
+    declarationBlocked.innerHTML = reasons.map(esc).join('<br>');
+    declarationBlocked.style.display = reasons.length ? 'block' : 'none';
+    declarationBox.disabled = reasons.length > 0;
+    if (reasons.length) declarationBox.checked = false;
+  }
+
+  function updateJustifications() {
+    const answers = collectVerificationAnswers();
+    questions.forEach(q => {
+      el.querySelector(`#justification-${q.key}`).style.display = answers[q.key] === 'No' ? 'block' : 'none';
+    });
+  }
+
+  el.querySelectorAll('.check-options input[type="radio"]').forEach(radio => radio.addEventListener('change', () => {
+    updateJustifications();
+    updateDeclarationBlock();
+  }));
+  updateJustifications();
+
+  el.querySelector('#wr_sponsor_only').addEventListener('change', (e) => {
+    el.querySelector('#wr-sponsor').style.display = e.target.checked ? 'block' : 'none';
+  });
+  el.querySelectorAll('#job_title, #weekly_hours, #student_weekly_hours_cap, [id^="wr_"], .wr-prohibited, #onlineStudent')
+    .forEach(input => input.addEventListener('input', renderRoleConflicts));
+  el.querySelectorAll('input[type="checkbox"][id^="wr_"], .wr-prohibited, #onlineStudent')
+    .forEach(input => input.addEventListener('change', renderRoleConflicts));
+  tabs.forEach(tab => tab.addEventListener('click', renderRoleConflicts));
+  renderRoleConflicts();
+
+  /* ---------------------------------------------------------------- */
+  /*  IDSP result import                                              */
+  /* ---------------------------------------------------------------- */
+
+  const idspSelect = el.querySelector('#idsp_provider_id');
+  const idspResultInput = el.querySelector('#idsp-result-input');
+  const idspResultPanel = el.querySelector('#idsp-result-panel');
+  let idspResult = prefill ? (prefill.idsp_result || null) : null;
+
+  function selectedIdspProvider() {
+    return idspProviders.find(p => p.id === idspSelect.value) || null;
+  }
+
+  idspResultInput.addEventListener('change', async () => {
+    const file = idspResultInput.files[0];
+    idspResultInput.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = await parseIdspResult(file);
+    } catch (err) {
+      idspResultPanel.innerHTML = `<p class="field-warning">${esc('This result could not be read: ' + err.message)}</p>`;
+      idspResultPanel.style.display = 'block';
+      return;
+    }
+    idspResult = { ...parsed, imported_at: new Date().toISOString() };
+
+    // The result is the source for the IDVT fields, so it replaces them
+    const set = (selector, value) => {
+      if (value !== null && value !== undefined) el.querySelector(selector).value = value;
+    };
+    set('#idsp_check_date', parsed.check_date);
+    set('#idsp_document_type', parsed.document_type);
+    set('#idsp_match_score', parsed.match_score);
+    set('#idsp_reference', parsed.reference);
+
+    const warnings = [];
+    const provider = findProviderByName(idspProviders, parsed.provider_name);
+    if (parsed.provider_name && !provider) {
+      warnings.push(`${parsed.provider_name} is not in the provider registry. Ask a manager to add it if it is certified.`);
+    } else if (provider && isCertificationLapsed(provider, parsed.check_date || undefined)) {
+      warnings.push(`The certification of ${provider.name} had lapsed by the date of this check, so it cannot be used.`);
+    } else if (provider) {
+      idspSelect.value = provider.id;
+    }
+    const typedName = el.querySelector('#person_name').value.trim();
+    if (parsed.person_name && typedName && !namesMatch(parsed.person_name, typedName)) {
+      warnings.push(`Name on the result (${parsed.person_name}) does not match the name entered.`);
+    }
+    const typedDob = el.querySelector('#date_of_birth').value;
+    if (parsed.date_of_birth && typedDob && parsed.date_of_birth !== typedDob) {
+      warnings.push(`Date of birth on the result (${formatDateUK(parsed.date_of_birth)}) does not match the date entered.`);
+    }
+
+    // Keep a PDF result with the scans as evidence of the check
+    if (parsed.format === 'pdf') {
+      const thumb = document.createElement('div');
+      thumb.className = 'scan-upload-thumb';
+      renderThumbnail(thumb, file);
+      mrzTried.add(file);
+      selectedScans.push({ file, documentId: 'idsp_result', thumb, edits: null });
+      renderScanList();
+      uploadArea.classList.toggle('has-file', true);
+    }
+
+    const found = ['check_date', 'document_type', 'match_score', 'reference'].filter(k => parsed[k] !== null);
+    idspResultPanel.innerHTML = `
+      <div class="mrz-panel-title">Result imported from ${esc(file.name)}</div>
+      <p>${found.length
+        ? `Filled in ${found.length} of 4 fields below. Check them against the result.`
+        : 'No details could be found in this result. Enter them by hand.'}</p>
+      ${warnings.map(w => `<p class="field-warning">${esc(w)}</p>`).join('')}`;
+    idspResultPanel.style.display = 'block';
+  });
+
+  /* ---------------------------------------------------------------- */
+  /*  Online check result                                             */
+  /* ---------------------------------------------------------------- */
+
+  const onlinePanel = el.querySelector('#online-check-panel');
+  let onlineResult = prefill ? (prefill.online_check_result || null) : null;
+
+  function applyOnlineResult(result) {
+    onlineResult = result;
+    const confirm = el.querySelector('#onlineConfirm');
+
+    if (result.outcome === 'right_to_work') {
+      const fill = (selector, value) => {
+        const input = el.querySelector(selector);
+        if (value && !input.value && !input.readOnly) {
+          input.value = value;
+          input.dispatchEvent(new Event('change'));
+        }
+      };
+      fill('#person_name', result.name);
+      if (!result.continuous) fill('#expiry_date', result.expiry_date);
+      confirm.checked = true;
+      confirm.dispatchEvent(new Event('change'));
+      if (/student/i.test(result.permission_type || '') && !studentCheckbox.checked) {
+        studentCheckbox.checked = true;
+        studentCheckbox.dispatchEvent(new Event('change'));
+      }
+      if (result.work_restrictions && !collectWorkRestrictions()) {
+        fillWorkRestrictions(restrictionsFromText(result.work_restrictions));
+      }
+    } else if (confirm.checked) {
+      confirm.checked = false;
+      confirm.dispatchEvent(new Event('change'));
+    }
+    renderOnlinePanel();
+  }
+
+  function fillWorkRestrictions(r) {
+    el.querySelector('#wr_hours_cap').value = r.weekly_hours_cap != null ? r.weekly_hours_cap : '';
+    el.querySelector('#wr_permitted_roles').value = (r.permitted_roles || []).join(', ');
+    el.querySelector('#wr_sponsor_only').checked = r.sponsor_only;
+    el.querySelector('#wr-sponsor').style.display = r.sponsor_only ? 'block' : 'none';
+    el.querySelectorAll('.wr-prohibited').forEach(cb => { cb.checked = r.prohibited_work.includes(cb.value); });
+    el.querySelector('#wr_no_recourse').checked = r.no_recourse;
+    el.querySelector('#wr_notes').value = r.notes || '';
+    renderRoleConflicts();
+  }
+
+  function renderOnlinePanel() {
+    if (!onlineResult) {
+      onlinePanel.style.display = 'none';
+      onlinePanel.innerHTML = '';
+      return;
+    }
+    const r = onlineResult;
+    const typedName = el.querySelector('#person_name').value.trim();
+    const typedExpiry = el.querySelector('#expiry_date').value;
+
+    const warnings = [];
+    if (r.outcome !== 'right_to_work') {
+      warnings.push('The online check does not confirm a right to do this work. Do not employ the person on the strength of this check.');
+    }
+    if (r.name && typedName && !namesMatch(r.name, typedName)) {
+      warnings.push(`Name on the online check (${r.name}) does not match the name entered.`);
+    }
+    if (!r.continuous && r.expiry_date && typedExpiry && typedExpiry !== r.expiry_date) {
+      warnings.push(`Permission on the online check ends ${formatDateUK(r.expiry_date)}, which differs from the expiry date entered.`);
+    }
+
+    onlinePanel.innerHTML = `
+      <div class="mrz-panel-title">Online check result${r.reference ? ` &ndash; ${esc(r.reference)}` : ''}</div>
+      <p class="${r.outcome === 'right_to_work' ? 'mrz-ok' : 'field-warning'}">${esc(ONLINE_CHECK_OUTCOMES[r.outcome] || r.outcome)}</p>
+      ${r.outcome !== 'not_found' ? `
+      <div class="online-check-result">
+        ${r.photo ? `<img src="${esc(r.photo)}" alt="Photo on the online check result" class="online-check-photo">` : ''}
+        <dl class="mrz-values">
+          <dt>Name</dt><dd>${esc(r.name || '\u2014')}</dd>
+          <dt>Permission</dt><dd>${esc(r.permission_type || '\u2014')}</dd>
+          <dt>Expires</dt><dd>${r.continuous ? 'No time limit' : esc(formatDateUK(r.expiry_date) || '\u2014')}</dd>
+          <dt>Work restrictions</dt><dd>${esc(r.work_restrictions || 'None')}</dd>
+        </dl>
+      </div>` : ''}
+      <p class="hint" style="margin-top:8px;">Checked ${esc(formatDateUK(r.checked_at.slice(0, 10)))}. Compare the photo with the person before ticking the photo confirmation.</p>
+      ${warnings.map(w => `<p class="field-warning">${esc(w)}</p>`).join('')}`;
+    onlinePanel.style.display = 'block';
+  }
+
+  // A result only stands for the share code and date of birth it was run with
+  function clearStaleOnlineResult() {
+    if (!onlineResult) return;
+    const code = normaliseShareCode(el.querySelector('#share_code').value);
+    const dob = el.querySelector('#date_of_birth').value;
+    if (code !== onlineResult.share_code || dob !== onlineResult.date_of_birth) {
+      onlineResult = null;
+      renderOnlinePanel();
+    }
+  }
+
+  const onlineCheckBtn = el.querySelector('#online-check-btn');
+  if (onlineCheckBtn) {
+    onlineCheckBtn.addEventListener('click', async () => {
+      onlineCheckBtn.disabled = true;
+      onlineCheckBtn.textContent = 'Checking\u2026';
+      try {
+        applyOnlineResult(await verifyShareCode(
+          el.querySelector('#share_code').value,
+          el.querySelector('#date_of_birth').value,
+        ));
+      } catch (err) {
+        onlinePanel.innerHTML = `<p class="field-warning">${esc(err.message)}</p>`;
+        onlinePanel.style.display = 'block';
+      } finally {
+        onlineCheckBtn.disabled = false;
+        onlineCheckBtn.textContent = 'Check share code';
+      }
+    });
+  }
+
+  el.querySelectorAll('#share_code, #date_of_birth').forEach(input => {
+    input.addEventListener('change', clearStaleOnlineResult);
+  });
+  el.querySelectorAll('#person_name, #expiry_date').forEach(input => {
+    input.addEventListener('input', renderOnlinePanel);
+  });
+  renderOnlinePanel();
+
+  async function uploadSelectedScans(targetId) {
+    for (const item of selectedScans) {
+      const scan = await addDocumentScan(targetId, item.file, item.documentId);
+      if (item.edits) {
+        logAuditEvent('redact_scan', {
+          table_name: 'rtw_records',
+          record_id: targetId,
+          new_values: { scan_id: scan.id, document_id: item.documentId, ...item.edits },
+        });
+      }
     }
   }
 
@@ -462,6 +1422,30 @@ export async function render(el, recordId) {
   /* ---------------------------------------------------------------- */
 
   const form = el.querySelector('#rtw-form');
+  const saveAnywayBtn = el.querySelector('#save-anyway-btn');
+  // Warnings the checker has chosen to save past, and the ones currently shown
+  let acknowledgedWarnings = null;
+  let pendingWarnings = null;
+
+  function showSummary(title, messages, canSaveAnyway) {
+    const errorSummary = el.querySelector('#error-summary');
+    el.querySelector('#error-summary-title').textContent = title;
+    el.querySelector('#error-list').innerHTML = messages.map(msg => `<li>${esc(msg)}</li>`).join('');
+    saveAnywayBtn.style.display = canSaveAnyway ? 'inline-block' : 'none';
+    errorSummary.style.display = 'block';
+    errorSummary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  saveAnywayBtn.addEventListener('click', () => {
+    acknowledgedWarnings = pendingWarnings;
+    form.requestSubmit();
+  });
+
+  // Show the share code in its usual grouped form once typed
+  const shareCodeInput = el.querySelector('#share_code');
+  shareCodeInput.addEventListener('blur', () => {
+    shareCodeInput.value = formatShareCode(shareCodeInput.value.trim());
+  });
 
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -470,34 +1454,23 @@ export async function render(el, recordId) {
     const errorSummary = el.querySelector('#error-summary');
     const errorList = el.querySelector('#error-list');
 
-    // Determine active check method
-    const activeTab = el.querySelector('.method-tab.active');
-    const checkMethod = activeTab ? activeTab.getAttribute('data-tab') : 'manual';
-
-    // Collect checked document IDs from the active panel only
-    const activePanel = el.querySelector(`.method-panel[data-panel="${checkMethod}"]`);
-    const documentsChecked = [];
-    if (activePanel) {
-      activePanel.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
-        documentsChecked.push(cb.value);
-      });
-    }
+    // Determine active check method and the documents ticked in its panel
+    const checkMethod = getActiveMethod();
+    const documentsChecked = getCheckedDocuments(checkMethod);
 
     // Collect verification answers
-    const verificationAnswers = {};
-    QUESTIONS.forEach(q => {
-      const selected = el.querySelector(`input[name="${q.key}"]:checked`);
-      verificationAnswers[q.key] = selected ? selected.value : null;
-    });
+    const verificationAnswers = collectVerificationAnswers();
 
     // Build the record data object
     const employmentEndDate = el.querySelector('#employment_end_date').value || null;
-    let deletionDueDate = null;
-    if (employmentEndDate) {
-      const endDate = new Date(employmentEndDate + 'T00:00:00');
-      endDate.setFullYear(endDate.getFullYear() + 2);
-      deletionDueDate = endDate.toISOString().slice(0, 10);
-    }
+    const deletionDueDate = calculateDeletionDueDate(employmentEndDate, settings);
+
+    const isStudent = checkMethod === 'online' && documentsChecked.includes('onlineStudent');
+    const isIdsp = checkMethod === 'idsp';
+    const idspProvider = selectedIdspProvider();
+    const idspScore = el.querySelector('#idsp_match_score').value;
+    const weeklyHours = el.querySelector('#weekly_hours').value;
+    const hoursCap = el.querySelector('#student_weekly_hours_cap').value;
 
     const data = {
       person_name: el.querySelector('#person_name').value.trim(),
@@ -510,23 +1483,85 @@ export async function render(el, recordId) {
       employment_end_date: employmentEndDate,
       deletion_due_date: deletionDueDate,
       documents_checked: documentsChecked,
-      share_code: checkMethod === 'online' ? (el.querySelector('#share_code').value.trim() || null) : null,
-      idsp_provider: checkMethod === 'idsp' ? (el.querySelector('#idsp_provider').value.trim() || null) : null,
+      share_code: checkMethod === 'online' ? (normaliseShareCode(el.querySelector('#share_code').value) || null) : null,
+      share_code_expiry_date: checkMethod === 'online' ? (el.querySelector('#share_code_expiry_date').value || null) : null,
+      idsp_provider_id: isIdsp && idspProvider ? idspProvider.id : null,
+      idsp_provider: isIdsp ? (idspProvider ? idspProvider.name : (idspSelect.value === 'legacy' ? prefill.idsp_provider : null)) : null,
+      idsp_check_date: isIdsp ? (el.querySelector('#idsp_check_date').value || null) : null,
+      idsp_document_type: isIdsp ? (el.querySelector('#idsp_document_type').value.trim() || null) : null,
+      idsp_match_score: isIdsp && idspScore !== '' ? Number(idspScore) : null,
+      idsp_reference: isIdsp ? (el.querySelector('#idsp_reference').value.trim() || null) : null,
+      idsp_result: isIdsp ? idspResult : null,
+      job_title: el.querySelector('#job_title').value.trim() || null,
+      weekly_hours: weeklyHours !== '' ? Number(weeklyHours) : null,
+      work_restrictions: collectWorkRestrictions(),
+      student_course: isStudent ? (el.querySelector('#student_course').value.trim() || null) : null,
+      student_term_dates: isStudent ? collectDateRanges('student-term-dates') : null,
+      student_vacation_dates: isStudent ? collectDateRanges('student-vacation-dates') : null,
+      student_weekly_hours_cap: isStudent && hoursCap !== '' ? Number(hoursCap) : null,
       verification_answers: verificationAnswers,
+      verification_justifications: collectJustifications(verificationAnswers),
+      checklist_version: checklist.version,
       declaration_confirmed: el.querySelector('#declaration_confirmed').checked,
-      checker_name: el.querySelector('#checker_name').value.trim(),
+      declaration_text: el.querySelector('#declaration_confirmed').checked ? declarationText : null,
+      checker_name: isAmendment ? existing.checker_name : el.querySelector('#checker_name').value.trim(),
       additional_notes: el.querySelector('#additional_notes').value.trim() || null,
+      mrz_result: mrzResult,
+      online_check_result: checkMethod === 'online' ? onlineResult : null,
     };
 
-    // Calculate status
-    data.status = calculateStatus(data);
+    // New checks are filed at the chosen site; without one the database
+    // files them at the checker's first site
+    if (!isEdit && siteId) {
+      data.site_id = siteId;
+    }
+
+    // Link a follow-up check to the same person and to the check it follows on from
+    if (isFollowUp) {
+      data.previous_record_id = previous.id;
+      data.person_id = previous.person_id || null;
+    }
 
     // Validate
-    const errors = validateRecord(data);
+    const errors = validateRecord(data, checklist, existing);
+    const amendmentReason = isAmendment ? el.querySelector('#amendment_reason').value.trim() : '';
+    if (isAmendment && !amendmentReason) {
+      errors.unshift('Enter the reason for this amendment.');
+    }
+    // Same rule as the database: the provider must have been certified on the
+    // date of the check, unless this record already named it for that date
+    const idspUnchanged = existing && existing.idsp_provider_id === data.idsp_provider_id
+      && existing.idsp_check_date === data.idsp_check_date && existing.check_date === data.check_date;
+    if (idspProvider && isIdsp && !idspUnchanged
+        && isCertificationLapsed(idspProvider, data.idsp_check_date || data.check_date || undefined)) {
+      errors.push(`The certification of ${idspProvider.name} had lapsed by the date of the check. Choose a currently certified provider.`);
+    }
+    const conflicts = currentRoleConflicts();
+    if (conflicts.length) {
+      errors.push(...conflicts.map(c => c + ' The declaration cannot be made for this role.'));
+    }
+    if (selectedScans.some(item => !item.documentId)) {
+      errors.push('Choose which document each uploaded scan shows.');
+    }
     if (errors.length > 0) {
-      errorList.innerHTML = errors.map(msg => `<li>${esc(msg)}</li>`).join('');
-      errorSummary.style.display = 'block';
-      errorSummary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      showSummary('There is a problem', errors, false);
+      return;
+    }
+
+    // Warnings need an explicit "Save anyway" before the record is saved
+    let shareCodeInUse = false;
+    if (data.check_method === 'online' && isValidShareCode(data.share_code)) {
+      try {
+        shareCodeInUse = await isShareCodeInUse(data.share_code, isEdit ? recordId : null);
+      } catch (err) {
+        console.error('Share code duplicate check failed (non-blocking):', err);
+      }
+    }
+    const warnings = getRecordWarnings(data, { checklist, shareCodeInUse });
+    const warningKey = warnings.join('|');
+    if (warnings.length > 0 && warningKey !== acknowledgedWarnings) {
+      pendingWarnings = warningKey;
+      showSummary('Check before saving', warnings, true);
       return;
     }
 
@@ -541,7 +1576,11 @@ export async function render(el, recordId) {
     try {
       let record;
 
-      if (isEdit) {
+      if (isAmendment) {
+        record = await amendRecord(existing, data, amendmentReason);
+        // Scans can be added for a short window after the amendment is raised
+        await uploadSelectedScans(record.id);
+      } else if (isEdit) {
         // When a staff member completes a pending onboarding RTW check,
         // assign created_by to them so the record becomes theirs
         if (existing && existing.onboarding_id && !existing.check_date) {
@@ -554,14 +1593,8 @@ export async function render(el, recordId) {
         // Update existing record
         record = await updateRecord(recordId, data);
 
-        // Upload new file if selected
-        if (selectedFile) {
-          const scanPath = await uploadDocumentScan(record.id, selectedFile);
-          await updateRecord(record.id, {
-            document_scan_path: scanPath,
-            document_scan_filename: selectedFile.name,
-          });
-        }
+        // Upload any new scans
+        await uploadSelectedScans(record.id);
       } else {
         // Create new record — attach the logged-in user's ID
         try {
@@ -570,14 +1603,8 @@ export async function render(el, recordId) {
         } catch (_) { /* non-fatal */ }
         record = await createRecord(data);
 
-        // Upload file if selected, then update record with scan path
-        if (selectedFile) {
-          const scanPath = await uploadDocumentScan(record.id, selectedFile);
-          await updateRecord(record.id, {
-            document_scan_path: scanPath,
-            document_scan_filename: selectedFile.name,
-          });
-        }
+        // Upload the scans against the new record
+        await uploadSelectedScans(record.id);
       }
 
       // If this record came from onboarding, mark the onboarding record as complete
@@ -589,7 +1616,16 @@ export async function render(el, recordId) {
           console.error('Failed to complete onboarding record (non-blocking):', onbErr);
         }
         try {
-          await dismissNotificationsForRecord(record.id);
+          await dismissNotificationsForRecord(record.id, { keepReferral: true });
+        } catch (notifErr) {
+          console.error('Failed to dismiss notifications (non-blocking):', notifErr);
+        }
+      }
+
+      // A saved follow-up supersedes the previous check, so clear its reminders
+      if (isFollowUp) {
+        try {
+          await dismissNotificationsForRecord(previous.id);
         } catch (notifErr) {
           console.error('Failed to dismiss notifications (non-blocking):', notifErr);
         }
@@ -619,11 +1655,9 @@ export async function render(el, recordId) {
       // Navigate to the record detail view
       window.location.hash = `#/record/${record.id}`;
     } catch (err) {
-      errorList.innerHTML = `<li>${esc(err.message)}</li>`;
-      errorSummary.style.display = 'block';
-      errorSummary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      showSummary('There is a problem', [err.message], false);
       saveBtn.disabled = false;
-      saveBtn.textContent = isEdit ? 'Update record' : 'Save record';
+      saveBtn.textContent = isAmendment ? 'Save amendment' : (isEdit ? 'Update record' : 'Save record');
     }
   });
 }
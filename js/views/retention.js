@@ -1,4 +1,6 @@
 import { fetchDeletedRecords, autoDeleteExpiredRecords } from '../services/retention-service.js';
+import { fetchAllSettings, formatRetentionPeriod, DEFAULT_SETTINGS } from '../services/settings-service.js';
+import { fetchSites } from '../services/site-service.js';
 import { formatDateUK } from '../utils/date-utils.js';
 
 function escapeHtml(str) {
@@ -62,6 +64,20 @@ function buildDeletedTable(records) {
     </table>`;
 }
 
+/**
+ * The retention period for the intro text: one period if every site uses the
+ * same, otherwise each site's.
+ */
+function describeRetention(settingsBySite, sites) {
+  const periods = sites.map(site => ({
+    name: site.name,
+    period: formatRetentionPeriod(settingsBySite.get(site.id) || DEFAULT_SETTINGS),
+  }));
+  const distinct = new Set(periods.map(p => p.period));
+  if (distinct.size <= 1) return periods.length ? periods[0].period : formatRetentionPeriod(DEFAULT_SETTINGS);
+  return `the period set for each site (${periods.map(p => `${escapeHtml(p.name)}: ${p.period}`).join(', ')})`;
+}
+
 export async function render(el) {
   el.innerHTML = '<div class="loading">Processing expired records\u2026</div>';
 
@@ -73,6 +89,14 @@ export async function render(el) {
     autoDeleteResults.errors.push(err.message);
   }
 
+  let retentionPeriod = formatRetentionPeriod(DEFAULT_SETTINGS);
+  try {
+    const [settingsBySite, sites] = await Promise.all([fetchAllSettings(), fetchSites()]);
+    retentionPeriod = describeRetention(settingsBySite, sites);
+  } catch (err) {
+    console.error('Failed to load settings:', err);
+  }
+
   // Fetch the deletion audit log
   let deletedRecords = [];
   try {
@@ -93,7 +117,7 @@ export async function render(el) {
     </div>
 
     <div class="retention-info">
-      <p>Under GDPR and Home Office guidance, right to work records must be retained for the duration of employment plus 2 years, then securely destroyed. Expired records are automatically deleted when this page loads.</p>
+      <p>Under GDPR and Home Office guidance, right to work records must be retained for the duration of employment plus ${retentionPeriod}, then securely destroyed. Expired records are automatically deleted when this page loads.</p>
     </div>
 
     ${buildAutoDeleteBanner(autoDeleteResults)}
@@ -0,0 +1,339 @@
+import { fetchSettings, updateSettings } from '../services/settings-service.js';
+import { fetchSites, getCurrentSiteId, getSiteName, createSite, updateSite } from '../services/site-service.js';
+import { hasCapability } from '../services/auth-service.js';
+import { setQuery, reloadRoute } from '../router.js';
+import { formatDateUK } from '../utils/date-utils.js';
+import { LOGO_WHITE_B64 } from '../utils/logo-data.js';
+
+// Number settings; limits match the CHECK constraints on organisation_settings
+const TIMING_FIELDS = [
+  {
+    key: 'follow_up_warning_days',
+    label: 'Follow-up warning (days)',
+    hint: 'A follow-up check shows as due this many days before its date. Also used for student term dates.',
+    min: 1, max: 365,
+  },
+  {
+    key: 'expiry_warning_days',
+    label: 'Expiry warning (days)',
+    hint: 'A permission shows as expiring this many days before it ends.',
+    min: 1, max: 365,
+  },
+  {
+    key: 'urgent_warning_days',
+    label: 'Urgent threshold (days)',
+    hint: 'Within this many days, follow-up and expiry notifications become urgent.',
+    min: 0, max: 365,
+  },
+  {
+    key: 'retention_years',
+    label: 'Retention period (years)',
+    hint: 'Records are due for deletion this long after employment ends, and at least 2 years as the Home Office requires. Changing it updates the deletion date of every leaver.',
+    min: 2, max: 10,
+  },
+];
+
+// Keeps the data URL inside the 300,000 character limit on logo_data_url
+const MAX_LOGO_BYTES = 200 * 1024;
+
+// Text settings; limits match the CHECK constraints on organisation_settings
+const TEXT_FIELDS = [
+  { key: 'company_name', label: 'Company name', max: 100 },
+  { key: 'drive_subfolder', label: 'Google Drive folder', max: 100 },
+  { key: 'declaration_text', label: 'Declaration wording', max: 1000 },
+];
+
+function esc(str) {
+  if (!str) return '';
+  const d = document.createElement('div');
+  d.textContent = str;
+  return d.innerHTML;
+}
+
+function buildNumberField(field, value) {
+  return `
+    <div class="form-group">
+      <label for="setting-${field.key}">${esc(field.label)}</label>
+      <span class="hint">${esc(field.hint)}</span>
+      <input type="number" id="setting-${field.key}" min="${field.min}" max="${field.max}" step="1" value="${value}" style="max-width:120px;">
+    </div>`;
+}
+
+/**
+ * Read and check the number fields.
+ * @returns {{ values: Object, errors: string[] }}
+ */
+function collectNumberFields(el, fields) {
+  const values = {};
+  const errors = [];
+  for (const field of fields) {
+    const raw = el.querySelector(`#setting-${field.key}`).value.trim();
+    const value = Number(raw);
+    if (raw === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+      errors.push(`${field.label} must be a whole number from ${field.min} to ${field.max}.`);
+    } else {
+      values[field.key] = value;
+    }
+  }
+  return { values, errors };
+}
+
+/**
+ * Read and check the text fields.
+ * @returns {{ values: Object, errors: string[] }}
+ */
+function collectTextFields(el, fields) {
+  const values = {};
+  const errors = [];
+  for (const field of fields) {
+    const value = el.querySelector(`#setting-${field.key}`).value.trim();
+    if (!value || value.length > field.max) {
+      errors.push(`${field.label} must be between 1 and ${field.max} characters.`);
+    } else if (field.key === 'drive_subfolder' && value.includes('\\')) {
+      errors.push(`${field.label} cannot contain a backslash. Use / for a folder inside a folder.`);
+    } else {
+      values[field.key] = value;
+    }
+  }
+  return { values, errors };
+}
+
+function buildSiteRow(site) {
+  return `
+    <tr data-site-id="${site ? esc(site.id) : ''}">
+      <td><input type="text" class="site-name" maxlength="100" value="${site ? esc(site.name) : ''}" placeholder="${site ? '' : 'New site name'}" aria-label="Site name"></td>
+      <td><input type="text" class="site-folder" value="${site ? esc(site.gdrive_root_folder_id || '') : ''}" placeholder="Default folder" aria-label="Google Drive folder ID"></td>
+      <td><button type="button" class="btn btn-secondary btn-small site-save-btn">${site ? 'Save' : 'Add site'}</button></td>
+    </tr>`;
+}
+
+/**
+ * Read and check a row of the sites table.
+ * @returns {{ values: Object, error: string|null }}
+ */
+function collectSiteRow(row) {
+  const name = row.querySelector('.site-name').value.trim();
+  const folder = row.querySelector('.site-folder').value.trim();
+  if (!name || name.length > 100) {
+    return { values: null, error: 'Site name must be between 1 and 100 characters.' };
+  }
+  if (folder && !/^[A-Za-z0-9_-]+$/.test(folder)) {
+    return { values: null, error: 'The Google Drive folder ID is the last part of the folder\'s address, made of letters, numbers, - and _.' };
+  }
+  return { values: { name, gdrive_root_folder_id: folder || null }, error: null };
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the logo file.'));
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Render the settings page (managers only): one site's settings, and for
+ * group managers the list of sites.
+ * @param {HTMLElement} el - The container element to render into.
+ * @param {Object} [query] - Query string values; site picks the site to edit.
+ */
+export async function render(el, query = {}) {
+  const [sites, canManageSites, currentSiteId] = await Promise.all([fetchSites(), hasCapability('manage_sites'), getCurrentSiteId()]);
+  const siteId = sites.some(s => s.id === query.site)
+    ? query.site
+    : (currentSiteId || (sites[0] ? sites[0].id : ''));
+  const settings = await fetchSettings(siteId);
+  const appliesTo = sites.length > 1 ? esc(getSiteName(sites, siteId)) : 'the organisation';
+
+  el.innerHTML = `
+    <div class="dashboard-header">
+      <h1>Settings</h1>
+      <p>These settings apply to everyone at ${appliesTo}.${settings.updated_at ? ` Last changed ${esc(formatDateUK(settings.updated_at.slice(0, 10)))}.` : ''}</p>
+    </div>
+
+    ${sites.length > 1 ? `
+    <div class="filter-bar">
+      <div class="form-group">
+        <label for="settings-site">Site</label>
+        <select id="settings-site">
+          ${sites.map(s => `<option value="${esc(s.id)}" ${s.id === siteId ? 'selected' : ''}>${esc(s.name)}</option>`).join('')}
+        </select>
+      </div>
+    </div>` : ''}
+
+    <form id="settings-form" novalidate>
+      <div class="admin-section">
+        <h3>Organisation</h3>
+        <div class="form-group">
+          <label for="setting-company_name">Company name</label>
+          <span class="hint">Shown in the header and footer of every compliance PDF.</span>
+          <input type="text" id="setting-company_name" maxlength="100" value="${esc(settings.company_name)}">
+        </div>
+        <div class="form-group">
+          <label for="setting-logo">PDF logo</label>
+          <span class="hint">PNG or JPEG, up to 200 KB. It is shown on the blue PDF header, so a light logo on a transparent background works best.</span>
+          <div style="display:inline-block;background:var(--ho-blue);padding:8px;margin-bottom:8px;">
+            <img id="settings-logo-preview" alt="Current logo" style="display:block;max-width:56px;max-height:56px;">
+          </div>
+          <div class="export-row">
+            <input type="file" id="setting-logo" accept="image/png,image/jpeg">
+            <button type="button" class="btn-link" id="settings-logo-reset">Use default logo</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="admin-section">
+        <h3>Google Drive</h3>
+        <div class="form-group">
+          <label for="setting-drive_subfolder">Google Drive folder</label>
+          <span class="hint">Compliance PDFs are saved in this folder inside each employee's Drive folder. Use / for a folder inside a folder. Existing files are not moved.</span>
+          <input type="text" id="setting-drive_subfolder" maxlength="100" value="${esc(settings.drive_subfolder)}">
+        </div>
+      </div>
+
+      <div class="admin-section">
+        <h3>Declaration</h3>
+        <div class="form-group">
+          <label for="setting-declaration_text">Declaration wording</label>
+          <span class="hint">The statement checkers confirm on the form and that is printed on the PDF. Records already confirmed keep the wording they were confirmed with.</span>
+          <textarea id="setting-declaration_text" rows="3" maxlength="1000">${esc(settings.declaration_text)}</textarea>
+        </div>
+      </div>
+
+      <div class="admin-section">
+        <h3>Warnings and retention</h3>
+        ${TIMING_FIELDS.map(field => buildNumberField(field, settings[field.key])).join('')}
+      </div>
+
+      <div id="settings-msg" style="margin-bottom:8px;font-size:13px;"></div>
+      <div class="btn-group">
+        <button type="submit" class="btn btn-primary" id="settings-save-btn">Save settings</button>
+      </div>
+    </form>
+
+    ${canManageSites ? `
+    <div class="admin-section" style="margin-top:24px;">
+      <h3>Sites</h3>
+      <span class="hint">Each site has its own records, users and settings. Its compliance PDFs go in its Google Drive folder: paste the ID from the end of the folder's address, or leave it blank for the default folder.</span>
+      <table class="records-table" id="sites-table">
+        <thead>
+          <tr><th>Name</th><th>Google Drive folder ID</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${sites.map(buildSiteRow).join('')}
+          ${buildSiteRow(null)}
+        </tbody>
+      </table>
+      <div id="sites-msg" style="margin-top:8px;font-size:13px;"></div>
+    </div>` : ''}`;
+
+  const form = el.querySelector('#settings-form');
+  const msg = el.querySelector('#settings-msg');
+  const saveBtn = el.querySelector('#settings-save-btn');
+  const logoInput = el.querySelector('#setting-logo');
+  const logoPreview = el.querySelector('#settings-logo-preview');
+
+  const siteSelect = el.querySelector('#settings-site');
+  if (siteSelect) {
+    siteSelect.addEventListener('change', () => {
+      setQuery({ site: siteSelect.value });
+      reloadRoute();
+    });
+  }
+
+  const sitesTable = el.querySelector('#sites-table');
+  if (sitesTable) {
+    const sitesMsg = el.querySelector('#sites-msg');
+    sitesTable.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.site-save-btn');
+      if (!btn) return;
+      const row = btn.closest('tr');
+      const { values, error } = collectSiteRow(row);
+      if (error) {
+        sitesMsg.style.color = 'var(--ho-red)';
+        sitesMsg.textContent = error;
+        return;
+      }
+      btn.disabled = true;
+      try {
+        const id = row.getAttribute('data-site-id');
+        if (id) {
+          await updateSite(id, values);
+          sitesMsg.style.color = 'var(--ho-green)';
+          sitesMsg.textContent = 'Site saved.';
+        } else {
+          await createSite(values);
+          reloadRoute();
+        }
+        // Refresh the nav's site switcher
+        document.dispatchEvent(new CustomEvent('rtw-sites-changed'));
+        if (!id) return;
+      } catch (err) {
+        sitesMsg.style.color = 'var(--ho-red)';
+        sitesMsg.textContent = err.message;
+      }
+      btn.disabled = false;
+    });
+  }
+
+  // The logo to save; null means the built-in logo
+  let logoDataUrl = settings.logo_data_url;
+  const showLogo = () => { logoPreview.src = logoDataUrl || LOGO_WHITE_B64; };
+  showLogo();
+
+  logoInput.addEventListener('change', async () => {
+    const file = logoInput.files[0];
+    if (!file) return;
+    msg.textContent = '';
+    if (!['image/png', 'image/jpeg'].includes(file.type) || file.size > MAX_LOGO_BYTES) {
+      msg.style.color = 'var(--ho-red)';
+      msg.textContent = 'The logo must be a PNG or JPEG file of up to 200 KB.';
+      logoInput.value = '';
+      return;
+    }
+    try {
+      logoDataUrl = await readFileAsDataUrl(file);
+      showLogo();
+    } catch (err) {
+      msg.style.color = 'var(--ho-red)';
+      msg.textContent = err.message;
+    }
+  });
+
+  el.querySelector('#settings-logo-reset').addEventListener('click', () => {
+    logoDataUrl = null;
+    logoInput.value = '';
+    showLogo();
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const numbers = collectNumberFields(el, TIMING_FIELDS);
+    const texts = collectTextFields(el, TEXT_FIELDS);
+    const errors = [...texts.errors, ...numbers.errors];
+    if (errors.length) {
+      msg.style.color = 'var(--ho-red)';
+      msg.innerHTML = errors.map(esc).join('<br>');
+      return;
+    }
+    const values = { ...texts.values, logo_data_url: logoDataUrl, ...numbers.values };
+
+    if (values.retention_years !== settings.retention_years
+        && !confirm(`Change the retention period to ${values.retention_years} years? The deletion date of every leaver will be recalculated.`)) {
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      Object.assign(settings, await updateSettings(siteId, values));
+      msg.style.color = 'var(--ho-green)';
+      msg.textContent = 'Settings saved.';
+    } catch (err) {
+      msg.style.color = 'var(--ho-red)';
+      msg.textContent = err.message;
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
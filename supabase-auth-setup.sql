@@ -63,6 +63,12 @@ DECLARE
 BEGIN
   safe_new := to_jsonb(NEW) - 'document_scan_path' - 'document_scan_filename' - 'share_code';
   safe_old := to_jsonb(OLD) - 'document_scan_path' - 'document_scan_filename' - 'share_code';
+  -- Status is derived from the other fields (section 31); a change to status
+  -- alone, such as the nightly refresh, is not an edit worth auditing
+  IF TG_OP = 'UPDATE'
+     AND (safe_new - 'status' - 'updated_at') = (safe_old - 'status' - 'updated_at') THEN
+    RETURN NEW;
+  END IF;
   IF TG_OP = 'INSERT' THEN
     INSERT INTO public.audit_log (user_id, user_email, action, table_name, record_id, new_values)
     VALUES (auth.uid(), (SELECT email FROM profiles WHERE id = auth.uid()),
@@ -103,11 +109,12 @@ END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
 -- 7. Helper function for role checks (avoids infinite recursion in RLS policies)
+-- Group managers (Section 34) hold every manager permission
 CREATE OR REPLACE FUNCTION public.is_manager()
 RETURNS BOOLEAN AS $$
   SELECT EXISTS (
     SELECT 1 FROM public.profiles
-    WHERE id = auth.uid() AND role = 'manager'
+    WHERE id = auth.uid() AND role IN ('manager', 'group_manager')
   );
 $$ LANGUAGE sql SECURITY DEFINER STABLE;
 
@@ -330,8 +337,8 @@ BEGIN
       AND deletion_due_date <= CURRENT_DATE
   LOOP
     -- Log to deleted_records audit trail
-    INSERT INTO deleted_records (original_record_id, person_name, employment_start_date, employment_end_date, deletion_due_date, deleted_by_email, reason)
-    VALUES (rec.id, rec.person_name, rec.check_date, rec.employment_end_date, rec.deletion_due_date, 'system@auto-delete', 'GDPR retention period expired (auto)');
+    INSERT INTO deleted_records (original_record_id, person_name, employment_start_date, employment_end_date, deletion_due_date, deleted_by_email, reason, site_id)
+    VALUES (rec.id, rec.person_name, rec.check_date, rec.employment_end_date, rec.deletion_due_date, 'system@auto-delete', 'GDPR retention period expired (auto)', rec.site_id);
 
     -- Delete storage objects for this record
     DELETE FROM storage.objects
@@ -361,7 +368,7 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 CREATE OR REPLACE FUNCTION public.scrub_audit_personal_data(target_record_id UUID)
 RETURNS VOID AS $$
 DECLARE
-  sensitive_keys TEXT[] := ARRAY['person_name', 'date_of_birth', 'share_code', 'verification_answers', 'additional_notes', 'document_scan_path', 'document_scan_filename'];
+  sensitive_keys TEXT[] := ARRAY['person_name', 'date_of_birth', 'share_code', 'verification_answers', 'additional_notes', 'document_scan_path', 'document_scan_filename', 'mrz_result', 'online_check_result', 'idsp_result', 'verification_justifications'];
   k TEXT;
 BEGIN
   FOREACH k IN ARRAY sensitive_keys LOOP
@@ -381,6 +388,10 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- for any that need attention (follow-up due, expired, overdue,
 -- pending deletion). It avoids duplicates by checking if an
 -- undismissed notification already exists for the same record + action.
+-- Checks superseded by a newer check for the same person are skipped
+-- (see is_superseded_check in section 17). The warning and urgent windows
+-- come from the settings of the record's site (sections 32 and 34), and each
+-- notification carries the site so only its managers see it.
 -- Schedule via pg_cron alongside the auto-delete job.
 
 CREATE OR REPLACE FUNCTION public.generate_rtw_notifications()
@@ -388,12 +399,11 @@ RETURNS VOID AS $$
 DECLARE
   rec RECORD;
   today DATE := CURRENT_DATE;
-  warning_date DATE := CURRENT_DATE + INTERVAL '28 days';
   notif_exists BOOLEAN;
 BEGIN
   -- 1. Records pending deletion (deletion_due_date has passed)
   FOR rec IN
-    SELECT id, person_name, deletion_due_date
+    SELECT id, person_name, deletion_due_date, site_id
     FROM rtw_records
     WHERE deletion_due_date IS NOT NULL AND deletion_due_date <= today
   LOOP
@@ -406,23 +416,24 @@ BEGIN
     ) INTO notif_exists;
 
     IF NOT notif_exists THEN
-      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id)
+      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
       VALUES (
         'rtw-checker', 'urgent',
         'Pending Deletion: ' || rec.person_name,
         'GDPR retention period has expired for ' || rec.person_name || '. Record is due for deletion (due ' || rec.deletion_due_date || ').',
         'https://rtw.immersivecore.network/#/retention',
-        rec.id
+        rec.id, rec.site_id
       );
     END IF;
   END LOOP;
 
   -- 2. Expired records (expiry_date has passed)
   FOR rec IN
-    SELECT id, person_name, expiry_date
+    SELECT id, person_name, expiry_date, site_id
     FROM rtw_records
     WHERE expiry_date IS NOT NULL AND expiry_date < today
       AND (deletion_due_date IS NULL OR deletion_due_date > today)
+      AND NOT public.is_superseded_check(id)
   LOOP
     SELECT EXISTS (
       SELECT 1 FROM notifications
@@ -433,24 +444,25 @@ BEGIN
     ) INTO notif_exists;
 
     IF NOT notif_exists THEN
-      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id)
+      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
       VALUES (
         'rtw-checker', 'urgent',
         'Expired: ' || rec.person_name,
         'Right to work check for ' || rec.person_name || ' expired on ' || rec.expiry_date || '. A new check is required.',
         'https://rtw.immersivecore.network/#/record/' || rec.id,
-        rec.id
+        rec.id, rec.site_id
       );
     END IF;
   END LOOP;
 
   -- 3. Follow-up overdue (follow_up_date has passed)
   FOR rec IN
-    SELECT id, person_name, follow_up_date
+    SELECT id, person_name, follow_up_date, site_id
     FROM rtw_records
     WHERE follow_up_date IS NOT NULL AND follow_up_date < today
       AND (expiry_date IS NULL OR expiry_date >= today)
       AND (deletion_due_date IS NULL OR deletion_due_date > today)
+      AND NOT public.is_superseded_check(id)
   LOOP
     SELECT EXISTS (
       SELECT 1 FROM notifications
@@ -461,25 +473,28 @@ BEGIN
     ) INTO notif_exists;
 
     IF NOT notif_exists THEN
-      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id)
+      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
       VALUES (
         'rtw-checker', 'warning',
         'Overdue: ' || rec.person_name,
         'Follow-up check for ' || rec.person_name || ' was due on ' || rec.follow_up_date || '.',
         'https://rtw.immersivecore.network/#/record/' || rec.id,
-        rec.id
+        rec.id, rec.site_id
       );
     END IF;
   END LOOP;
 
-  -- 4. Follow-up due within 28 days
+  -- 4. Follow-up due within the warning window (urgent inside the urgent window)
   FOR rec IN
-    SELECT id, person_name, follow_up_date
-    FROM rtw_records
-    WHERE follow_up_date IS NOT NULL
-      AND follow_up_date >= today AND follow_up_date <= warning_date
-      AND (expiry_date IS NULL OR expiry_date >= today)
-      AND (deletion_due_date IS NULL OR deletion_due_date > today)
+    SELECT r.id, r.person_name, r.follow_up_date, r.site_id,
+           r.follow_up_date <= today + s.urgent_warning_days AS urgent
+    FROM rtw_records r
+    JOIN organisation_settings s ON s.site_id = r.site_id
+    WHERE r.follow_up_date IS NOT NULL
+      AND r.follow_up_date >= today AND r.follow_up_date <= today + s.follow_up_warning_days
+      AND (r.expiry_date IS NULL OR r.expiry_date >= today)
+      AND (r.deletion_due_date IS NULL OR r.deletion_due_date > today)
+      AND NOT public.is_superseded_check(r.id)
   LOOP
     SELECT EXISTS (
       SELECT 1 FROM notifications
@@ -490,25 +505,28 @@ BEGIN
     ) INTO notif_exists;
 
     IF NOT notif_exists THEN
-      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id)
+      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
       VALUES (
-        'rtw-checker', 'info',
+        'rtw-checker', CASE WHEN rec.urgent THEN 'urgent' ELSE 'info' END,
         'Follow-up Due: ' || rec.person_name,
         'Follow-up check for ' || rec.person_name || ' is due on ' || rec.follow_up_date || '.',
         'https://rtw.immersivecore.network/#/record/' || rec.id,
-        rec.id
+        rec.id, rec.site_id
       );
     END IF;
   END LOOP;
 
-  -- 5. Expiry approaching within 28 days
+  -- 5. Expiry within the warning window (urgent inside the urgent window)
   FOR rec IN
-    SELECT id, person_name, expiry_date
-    FROM rtw_records
-    WHERE expiry_date IS NOT NULL
-      AND expiry_date >= today AND expiry_date <= warning_date
-      AND (follow_up_date IS NULL OR follow_up_date > warning_date)
-      AND (deletion_due_date IS NULL OR deletion_due_date > today)
+    SELECT r.id, r.person_name, r.expiry_date, r.site_id,
+           r.expiry_date <= today + s.urgent_warning_days AS urgent
+    FROM rtw_records r
+    JOIN organisation_settings s ON s.site_id = r.site_id
+    WHERE r.expiry_date IS NOT NULL
+      AND r.expiry_date >= today AND r.expiry_date <= today + s.expiry_warning_days
+      AND (r.follow_up_date IS NULL OR r.follow_up_date > today + s.follow_up_warning_days)
+      AND (r.deletion_due_date IS NULL OR r.deletion_due_date > today)
+      AND NOT public.is_superseded_check(r.id)
   LOOP
     SELECT EXISTS (
       SELECT 1 FROM notifications
@@ -519,16 +537,28 @@ BEGIN
     ) INTO notif_exists;
 
     IF NOT notif_exists THEN
-      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id)
+      INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
       VALUES (
-        'rtw-checker', 'warning',
+        'rtw-checker', CASE WHEN rec.urgent THEN 'urgent' ELSE 'warning' END,
         'Expiring Soon: ' || rec.person_name,
         'Right to work check for ' || rec.person_name || ' expires on ' || rec.expiry_date || '.',
         'https://rtw.immersivecore.network/#/record/' || rec.id,
-        rec.id
+        rec.id, rec.site_id
       );
     END IF;
   END LOOP;
+
+  -- 6. Raise earlier due and expiring notifications once inside the urgent window
+  UPDATE notifications n
+  SET severity = 'urgent'
+  FROM rtw_records r
+  JOIN organisation_settings s ON s.site_id = r.site_id
+  WHERE n.record_id = r.id
+    AND n.source_app = 'rtw-checker'
+    AND n.dismissed_at IS NULL
+    AND n.severity <> 'urgent'
+    AND ((n.title LIKE 'Follow-up Due%' AND r.follow_up_date <= today + s.urgent_warning_days)
+      OR (n.title LIKE 'Expiring Soon%' AND r.expiry_date <= today + s.urgent_warning_days));
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
@@ -648,3 +678,2362 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 CREATE TRIGGER onboarding_records_audit
   AFTER INSERT OR UPDATE OR DELETE ON onboarding_records
   FOR EACH ROW EXECUTE FUNCTION public.audit_onboarding_changes();
+
+-- ===========================================================================
+-- Section 15: Student term-time working hours (online checks)
+-- ===========================================================================
+
+-- Term and vacation dates are JSON arrays of { "start": "YYYY-MM-DD", "end": "YYYY-MM-DD" }.
+-- The status moves to 'student_terms_due' when the latest recorded date is about
+-- to lapse, so fresh term dates are obtained from the student in time.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS student_course TEXT;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS student_term_dates JSONB;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS student_vacation_dates JSONB;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS student_weekly_hours_cap NUMERIC(4,1);
+
+-- ===========================================================================
+-- Section 16: People — group every check for the same employee
+-- ===========================================================================
+
+-- One row per employee. Each rtw_records row is one check (initial or follow-up)
+-- and points at its person, so the dashboard can show the latest check only.
+CREATE TABLE IF NOT EXISTS rtw_people (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  full_name TEXT NOT NULL,
+  date_of_birth DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rtw_people_name_dob ON rtw_people(lower(full_name), date_of_birth);
+
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS person_id UUID REFERENCES rtw_people(id);
+CREATE INDEX IF NOT EXISTS idx_rtw_records_person_id ON rtw_records(person_id);
+
+-- Link each record to a person by name + DOB, creating the person on first sight.
+-- Runs server-side so records created by the Onboarding Portal are linked too.
+-- When the name or DOB is corrected (by amendment) the record moves to the
+-- person it now matches; a person with no other checks is corrected with it.
+CREATE OR REPLACE FUNCTION public.assign_rtw_person()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.person_name IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Follow-up checks choose their person, so only a name or DOB change on
+  -- its own moves the record
+  IF TG_OP = 'UPDATE'
+     AND NEW.person_id IS NOT NULL
+     AND NEW.person_id IS NOT DISTINCT FROM OLD.person_id
+     AND (lower(trim(NEW.person_name)) IS DISTINCT FROM lower(trim(OLD.person_name))
+          OR NEW.date_of_birth IS DISTINCT FROM OLD.date_of_birth) THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM public.rtw_records WHERE person_id = OLD.person_id AND id <> OLD.id
+    ) AND NOT EXISTS (
+      SELECT 1 FROM public.rtw_people
+      WHERE lower(trim(full_name)) = lower(trim(NEW.person_name))
+        AND date_of_birth IS NOT DISTINCT FROM NEW.date_of_birth
+    ) THEN
+      UPDATE public.rtw_people
+      SET full_name = trim(NEW.person_name), date_of_birth = NEW.date_of_birth
+      WHERE id = OLD.person_id;
+      RETURN NEW;
+    END IF;
+    NEW.person_id := NULL;
+  END IF;
+
+  IF NEW.person_id IS NULL THEN
+    SELECT id INTO NEW.person_id
+    FROM public.rtw_people
+    WHERE lower(trim(full_name)) = lower(trim(NEW.person_name))
+      AND date_of_birth IS NOT DISTINCT FROM NEW.date_of_birth
+    ORDER BY created_at
+    LIMIT 1;
+
+    IF NEW.person_id IS NULL THEN
+      INSERT INTO public.rtw_people (full_name, date_of_birth)
+      VALUES (trim(NEW.person_name), NEW.date_of_birth)
+      RETURNING id INTO NEW.person_id;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_assign_person ON rtw_records;
+CREATE TRIGGER rtw_records_assign_person
+  BEFORE INSERT OR UPDATE OF person_id, person_name, date_of_birth ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.assign_rtw_person();
+
+-- GDPR: remove the person once their last check has been deleted or moved to
+-- another person
+CREATE OR REPLACE FUNCTION public.cleanup_rtw_person()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.person_id IS NOT NULL
+     AND (TG_OP = 'DELETE' OR NEW.person_id IS DISTINCT FROM OLD.person_id)
+     AND NOT EXISTS (
+       SELECT 1 FROM public.rtw_records WHERE person_id = OLD.person_id
+     ) THEN
+    DELETE FROM public.rtw_people WHERE id = OLD.person_id;
+  END IF;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Fires on name and DOB changes too, as assign_rtw_person() can move the
+-- record without person_id being in the UPDATE
+DROP TRIGGER IF EXISTS rtw_records_cleanup_person ON rtw_records;
+CREATE TRIGGER rtw_records_cleanup_person
+  AFTER DELETE OR UPDATE OF person_id, person_name, date_of_birth ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.cleanup_rtw_person();
+
+-- Backfill existing records: one person per name + DOB, then link every
+-- record in one statement. The audit log does not get a row per record.
+INSERT INTO rtw_people (full_name, date_of_birth)
+SELECT DISTINCT ON (lower(trim(r.person_name)), r.date_of_birth) trim(r.person_name), r.date_of_birth
+FROM rtw_records r
+WHERE r.person_id IS NULL AND r.person_name IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM rtw_people p
+    WHERE lower(p.full_name) = lower(trim(r.person_name))
+      AND p.date_of_birth IS NOT DISTINCT FROM r.date_of_birth
+  )
+ORDER BY lower(trim(r.person_name)), r.date_of_birth, r.created_at;
+
+ALTER TABLE rtw_records DISABLE TRIGGER rtw_records_audit;
+UPDATE rtw_records r
+SET person_id = (
+  SELECT p.id FROM rtw_people p
+  WHERE lower(p.full_name) = lower(trim(r.person_name))
+    AND p.date_of_birth IS NOT DISTINCT FROM r.date_of_birth
+  ORDER BY p.created_at
+  LIMIT 1
+)
+WHERE r.person_id IS NULL AND r.person_name IS NOT NULL;
+ALTER TABLE rtw_records ENABLE TRIGGER rtw_records_audit;
+
+-- RLS: people are written only by the triggers above. Staff can see people
+-- they have checked; managers see everyone.
+ALTER TABLE rtw_people ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_people" ON rtw_people;
+CREATE POLICY "auth_select_people"
+  ON rtw_people FOR SELECT TO authenticated
+  USING (
+    public.is_manager()
+    OR EXISTS (
+      SELECT 1 FROM public.rtw_records
+      WHERE person_id = rtw_people.id AND created_by = auth.uid()
+    )
+  );
+
+-- ===========================================================================
+-- Section 17: Follow-up checks linked to the check they follow on from
+-- ===========================================================================
+
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS previous_record_id UUID REFERENCES rtw_records(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_rtw_records_previous_record_id ON rtw_records(previous_record_id);
+
+-- A check is superseded once a follow-up has been saved against it, or a newer
+-- check exists for the same person. Superseded checks no longer need attention.
+CREATE OR REPLACE FUNCTION public.is_superseded_check(target_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.rtw_records cur
+    JOIN public.rtw_records newer ON newer.id <> cur.id
+    WHERE cur.id = target_id
+      AND (
+        newer.previous_record_id = cur.id
+        OR (newer.person_id = cur.person_id AND newer.check_date > cur.check_date)
+      )
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- ===========================================================================
+-- Section 18: Amendments — formal revisions instead of free edits
+-- ===========================================================================
+
+-- Records lock 5 minutes after submission. After that a manager raises an
+-- amendment: the client sends the new values with revision_number + 1 and a
+-- reason, and the trigger below keeps an immutable copy of the old values.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS revision_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS amendment_reason TEXT;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS amended_at TIMESTAMPTZ;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS amended_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS rtw_record_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  record_id UUID NOT NULL REFERENCES rtw_records(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,   -- the revision this amendment created
+  reason TEXT NOT NULL,
+  previous_values JSONB NOT NULL,     -- the record as it stood before the amendment
+  new_values JSONB NOT NULL,
+  amended_by UUID,                    -- no FK: revisions outlive deleted users
+  amended_by_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (record_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rtw_record_revisions_record_id ON rtw_record_revisions(record_id);
+
+CREATE OR REPLACE FUNCTION public.record_rtw_amendment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.revision_number IS DISTINCT FROM OLD.revision_number THEN
+    -- Capabilities are defined in Section 35
+    IF NOT public.has_capability('amend_records') THEN
+      RAISE EXCEPTION 'Your role cannot amend records' USING ERRCODE = 'RW003';
+    END IF;
+    IF NEW.revision_number <> OLD.revision_number + 1 THEN
+      RAISE EXCEPTION 'Amendments must increase the revision number by one' USING ERRCODE = 'RW004';
+    END IF;
+    IF NEW.amendment_reason IS NULL OR trim(NEW.amendment_reason) = '' THEN
+      RAISE EXCEPTION 'A reason is required to amend a record' USING ERRCODE = 'RW004';
+    END IF;
+
+    NEW.amendment_reason := trim(NEW.amendment_reason);
+    NEW.amended_at := now();
+    NEW.amended_by := auth.uid();
+
+    INSERT INTO public.rtw_record_revisions
+      (record_id, revision_number, reason, previous_values, new_values, amended_by, amended_by_email)
+    VALUES
+      (OLD.id, NEW.revision_number, NEW.amendment_reason, to_jsonb(OLD), to_jsonb(NEW),
+       auth.uid(), (SELECT email FROM profiles WHERE id = auth.uid()));
+  ELSIF NEW.amendment_reason IS DISTINCT FROM OLD.amendment_reason
+     OR NEW.amended_at IS DISTINCT FROM OLD.amended_at
+     OR (NEW.amended_by IS NOT NULL AND NEW.amended_by IS DISTINCT FROM OLD.amended_by) THEN
+    RAISE EXCEPTION 'Amendment details can only be set by raising an amendment' USING ERRCODE = 'RW004';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_amendment ON rtw_records;
+CREATE TRIGGER rtw_records_amendment
+  BEFORE UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.record_rtw_amendment();
+
+-- Revisions are append-only: written by the trigger, never updated.
+-- Rows are only removed with their record (GDPR deletion cascades).
+CREATE OR REPLACE FUNCTION public.prevent_revision_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Record revisions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rtw_record_revisions_immutable ON rtw_record_revisions;
+CREATE TRIGGER rtw_record_revisions_immutable
+  BEFORE UPDATE ON rtw_record_revisions
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_revision_changes();
+
+ALTER TABLE rtw_record_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Read access follows the record; there are no insert/update/delete policies.
+DROP POLICY IF EXISTS "auth_select_revisions" ON rtw_record_revisions;
+CREATE POLICY "auth_select_revisions"
+  ON rtw_record_revisions FOR SELECT TO authenticated
+  USING (
+    public.is_manager()
+    OR EXISTS (
+      SELECT 1 FROM public.rtw_records
+      WHERE id = rtw_record_revisions.record_id AND created_by = auth.uid()
+    )
+  );
+
+-- ===========================================================================
+-- Section 19: Server-side edit lock and immutable identity fields
+-- ===========================================================================
+
+-- The 5-minute lock used to live only in the browser. These rules enforce it
+-- for every API client. Errors use custom SQLSTATEs so the app can show a
+-- friendly message (see updateRecord in records-service.js):
+--   RW001  record is locked — raise an amendment instead
+--   RW002  name/DOB on an onboarding-created record cannot change
+--   RW003  only managers can amend (Section 18)
+--   RW004  malformed amendment (Section 18)
+
+-- The lock runs from when the check was submitted. For onboarding records
+-- that is when staff complete the check, not when the portal created the row.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+
+-- Backfill before the trigger below exists
+UPDATE rtw_records SET submitted_at = created_at
+WHERE submitted_at IS NULL AND check_date IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.set_rtw_submitted_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.submitted_at := CASE WHEN NEW.check_date IS NOT NULL THEN now() END;
+  ELSIF OLD.submitted_at IS NULL AND NEW.check_date IS NOT NULL THEN
+    NEW.submitted_at := now();
+  ELSE
+    NEW.submitted_at := OLD.submitted_at;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to sort before rtw_records_edit_lock so the lock sees the final value
+DROP TRIGGER IF EXISTS rtw_records_a_submitted_at ON rtw_records;
+CREATE TRIGGER rtw_records_a_submitted_at
+  BEFORE INSERT OR UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.set_rtw_submitted_at();
+
+CREATE OR REPLACE FUNCTION public.enforce_rtw_edit_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+  -- Columns that stay writable after the lock: derived status, leaver dates,
+  -- Drive sync metadata and database-maintained links
+  allowed TEXT[] := ARRAY[
+    'status', 'employment_end_date', 'deletion_due_date',
+    'gdrive_file_id', 'gdrive_pdf_link', 'gdrive_folder_id',
+    'person_id', 'updated_at'
+  ];
+  is_amendment BOOLEAN := NEW.revision_number = OLD.revision_number + 1;
+BEGIN
+  -- Server-side jobs (Edge Functions using the service role) are trusted
+  IF auth.role() = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.onboarding_id IS NOT NULL
+     AND (NEW.person_name IS DISTINCT FROM OLD.person_name
+          OR NEW.date_of_birth IS DISTINCT FROM OLD.date_of_birth) THEN
+    RAISE EXCEPTION 'Name and date of birth come from the onboarding record and cannot be changed'
+      USING ERRCODE = 'RW002';
+  END IF;
+
+  IF NOT is_amendment
+     AND OLD.submitted_at IS NOT NULL
+     AND OLD.submitted_at < now() - interval '5 minutes'
+     AND (to_jsonb(NEW) - allowed) IS DISTINCT FROM (to_jsonb(OLD) - allowed) THEN
+    RAISE EXCEPTION 'This record is locked. Changes must be made by raising an amendment'
+      USING ERRCODE = 'RW001';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_edit_lock ON rtw_records;
+CREATE TRIGGER rtw_records_edit_lock
+  BEFORE UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_rtw_edit_lock();
+
+-- Stop staff reassigning their records to someone else
+DROP POLICY IF EXISTS "auth_update_records" ON rtw_records;
+CREATE POLICY "auth_update_records"
+  ON rtw_records FOR UPDATE TO authenticated
+  USING (created_by = auth.uid() OR public.is_manager())
+  WITH CHECK (created_by = auth.uid() OR public.is_manager());
+
+-- ===========================================================================
+-- Section 20: Multiple document scans per record
+-- ===========================================================================
+
+-- One row per uploaded file, tagged with the document it shows (a key from
+-- DOCUMENT_LABELS in js/utils/document-labels.js, or 'other'). Files stay in
+-- the document-scans bucket under "recordId/...".
+CREATE TABLE IF NOT EXISTS rtw_document_scans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  record_id UUID NOT NULL REFERENCES rtw_records(id) ON DELETE CASCADE,
+  document_id TEXT,
+  storage_path TEXT NOT NULL UNIQUE,
+  filename TEXT,
+  uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rtw_document_scans_record_id ON rtw_document_scans(record_id);
+
+-- Carry over the single scan recorded on older rows. document_scan_path and
+-- document_scan_filename are no longer written by the app. Scans already
+-- carried over are skipped before the edit lock trigger below sees them.
+INSERT INTO rtw_document_scans (record_id, storage_path, filename, uploaded_by, created_at)
+SELECT id, document_scan_path, document_scan_filename, created_by, created_at
+FROM rtw_records r
+WHERE document_scan_path IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM rtw_document_scans s WHERE s.storage_path = r.document_scan_path)
+ON CONFLICT (storage_path) DO NOTHING;
+
+-- Scans follow the edit lock (Section 19): they can be added until the record
+-- locks, and by a manager within 5 minutes of raising an amendment.
+CREATE OR REPLACE FUNCTION public.enforce_scan_edit_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+  rec RECORD;
+BEGIN
+  IF auth.role() = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT submitted_at, amended_at INTO rec FROM public.rtw_records WHERE id = NEW.record_id;
+
+  IF rec.submitted_at IS NOT NULL
+     AND GREATEST(rec.submitted_at, COALESCE(rec.amended_at, rec.submitted_at)) < now() - interval '5 minutes' THEN
+    RAISE EXCEPTION 'This record is locked. Changes must be made by raising an amendment'
+      USING ERRCODE = 'RW001';
+  END IF;
+
+  NEW.uploaded_by := auth.uid();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_document_scans_edit_lock ON rtw_document_scans;
+CREATE TRIGGER rtw_document_scans_edit_lock
+  BEFORE INSERT ON rtw_document_scans
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_scan_edit_lock();
+
+ALTER TABLE rtw_document_scans ENABLE ROW LEVEL SECURITY;
+
+-- Access follows the record. Scans are removed only with their record.
+DROP POLICY IF EXISTS "auth_select_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_select_document_scans"
+  ON rtw_document_scans FOR SELECT TO authenticated
+  USING (public.owns_scan(storage_path) OR public.is_manager());
+
+DROP POLICY IF EXISTS "auth_insert_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_insert_document_scans"
+  ON rtw_document_scans FOR INSERT TO authenticated
+  WITH CHECK (
+    split_part(storage_path, '/', 1) = record_id::text
+    AND (public.owns_scan(storage_path) OR public.is_manager())
+  );
+
+-- Uploads now use unique paths, so overwriting a stored scan is no longer
+-- needed and would bypass the edit lock.
+DROP POLICY IF EXISTS "auth_update_scans" ON storage.objects;
+
+-- ===========================================================================
+-- Section 21: MRZ reading results
+-- ===========================================================================
+
+-- What the browser read from a passport/BRP machine-readable zone: name, DOB,
+-- document expiry, issuing state and which check digits passed. The document
+-- number itself is not stored. Scrubbed from the audit log with the other
+-- personal fields (see scrub_audit_personal_data in section 12c).
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS mrz_result JSONB;
+
+-- ===========================================================================
+-- Section 22: Share code expiry and duplicate detection
+-- ===========================================================================
+
+-- Share codes are valid for 90 days; the checker can record when this one expires.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS share_code_expiry_date DATE;
+
+-- The app now saves codes normalised (upper case, no spaces or dashes), but
+-- older records keep the code as it was entered, so codes are normalised when
+-- they are compared rather than rewritten.
+CREATE INDEX IF NOT EXISTS idx_rtw_records_share_code ON rtw_records((upper(regexp_replace(share_code, '[\s-]', '', 'g'))))
+  WHERE share_code IS NOT NULL;
+
+-- Whether a share code is attached to any other record. SECURITY DEFINER so
+-- staff are warned about records they cannot see; it only returns a boolean.
+CREATE OR REPLACE FUNCTION public.share_code_in_use(code TEXT, exclude_id UUID DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.rtw_records
+    WHERE upper(regexp_replace(share_code, '[\s-]', '', 'g')) = upper(regexp_replace(code, '[\s-]', '', 'g'))
+      AND share_code IS NOT NULL
+      AND id IS DISTINCT FROM exclude_id
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+GRANT EXECUTE ON FUNCTION public.share_code_in_use(TEXT, UUID) TO authenticated;
+
+-- ===========================================================================
+-- Section 23: Online check results
+-- ===========================================================================
+
+-- Result of a share code lookup made through the online check adapter
+-- (js/services/online-check-service.js): outcome, reference, name, permission
+-- type and expiry, work restrictions and the photo on the result. Scrubbed from
+-- the audit log with the other personal fields (see section 12c).
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS online_check_result JSONB;
+
+-- ===========================================================================
+-- Section 24: IDSP provider registry and imported results
+-- ===========================================================================
+
+-- Certified identity service providers. Managers keep the list and each
+-- provider's certification expiry; checks cannot name a lapsed provider.
+CREATE TABLE IF NOT EXISTS idsp_providers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  certification_reference TEXT,
+  certified_until DATE NOT NULL,
+  website TEXT,
+  notes TEXT,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE idsp_providers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_idsp_providers" ON idsp_providers;
+CREATE POLICY "auth_select_idsp_providers"
+  ON idsp_providers FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "manager_insert_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_insert_idsp_providers"
+  ON idsp_providers FOR INSERT TO authenticated
+  WITH CHECK (public.is_manager());
+
+DROP POLICY IF EXISTS "manager_update_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_update_idsp_providers"
+  ON idsp_providers FOR UPDATE TO authenticated
+  USING (public.is_manager())
+  WITH CHECK (public.is_manager());
+
+DROP POLICY IF EXISTS "manager_delete_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_delete_idsp_providers"
+  ON idsp_providers FOR DELETE TO authenticated
+  USING (public.is_manager());
+
+-- idsp_provider keeps the provider's name as it was at the time of the check.
+-- Providers named on a record cannot be deleted (no ON DELETE action): setting
+-- the column to NULL on a locked record would be rejected by the edit lock.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_provider_id UUID REFERENCES idsp_providers(id);
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_check_date DATE;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_document_type TEXT;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_match_score NUMERIC(5, 1)
+  CHECK (idsp_match_score IS NULL OR idsp_match_score BETWEEN 0 AND 100);
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_reference TEXT;
+-- Summary of the imported result file (format, filename and the parsed fields)
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS idsp_result JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_rtw_records_idsp_provider_id ON rtw_records(idsp_provider_id);
+
+-- Refuse a provider whose certification had lapsed by the date of the IDVT
+-- check (or the RTW check date), and keep idsp_provider in step with it.
+CREATE OR REPLACE FUNCTION public.enforce_idsp_certification()
+RETURNS TRIGGER AS $$
+DECLARE
+  provider RECORD;
+BEGIN
+  IF NEW.idsp_provider_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+  IF TG_OP = 'UPDATE'
+     AND NEW.idsp_provider_id IS NOT DISTINCT FROM OLD.idsp_provider_id
+     AND NEW.idsp_check_date IS NOT DISTINCT FROM OLD.idsp_check_date
+     AND NEW.check_date IS NOT DISTINCT FROM OLD.check_date THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT name, certified_until INTO provider FROM public.idsp_providers WHERE id = NEW.idsp_provider_id;
+  IF provider.certified_until < COALESCE(NEW.idsp_check_date, NEW.check_date, current_date) THEN
+    RAISE EXCEPTION 'The certification of % had lapsed by the date of the check', provider.name
+      USING ERRCODE = 'RW005';
+  END IF;
+
+  NEW.idsp_provider := provider.name;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_idsp_certification ON rtw_records;
+CREATE TRIGGER rtw_records_idsp_certification
+  BEFORE INSERT OR UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_idsp_certification();
+
+-- ===========================================================================
+-- Section 25: Role and work restrictions
+-- ===========================================================================
+
+-- The role the person is employed for, and the conditions on their permission
+-- to work (see js/utils/work-restrictions.js for the work_restrictions shape).
+-- A record whose role conflicts with the restrictions cannot be saved.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS job_title TEXT;
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS weekly_hours NUMERIC(4, 1)
+  CHECK (weekly_hours IS NULL OR weekly_hours BETWEEN 0 AND 168);
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS work_restrictions JSONB;
+
+-- The same checks as checkRoleCompatibility() in js/utils/work-restrictions.js;
+-- change both together. Only run when the role or restrictions change.
+CREATE OR REPLACE FUNCTION public.enforce_rtw_role_restrictions()
+RETURNS TRIGGER AS $$
+DECLARE
+  restrictions JSONB := COALESCE(NEW.work_restrictions, '{}'::jsonb);
+  title TEXT := lower(trim(COALESCE(NEW.job_title, '')));
+  permitted TEXT[];
+  cap NUMERIC;
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.job_title IS NOT DISTINCT FROM OLD.job_title
+     AND NEW.weekly_hours IS NOT DISTINCT FROM OLD.weekly_hours
+     AND NEW.work_restrictions IS NOT DISTINCT FROM OLD.work_restrictions
+     AND NEW.student_weekly_hours_cap IS NOT DISTINCT FROM OLD.student_weekly_hours_cap THEN
+    RETURN NEW;
+  END IF;
+
+  -- The lower of the permission's cap and a student's term-time cap
+  cap := LEAST((restrictions->>'weekly_hours_cap')::numeric, NEW.student_weekly_hours_cap);
+  IF NEW.weekly_hours > cap THEN
+    RAISE EXCEPTION 'The role is % hours a week, more than the %-hour weekly limit on this person''s permission',
+      NEW.weekly_hours, cap
+      USING ERRCODE = 'RW006';
+  END IF;
+
+  IF (restrictions->>'sponsor_only')::boolean AND NOT COALESCE((restrictions->>'employer_is_sponsor')::boolean, false) THEN
+    RAISE EXCEPTION 'This person can only work for their sponsor, and we are not recorded as that sponsor'
+      USING ERRCODE = 'RW006';
+  END IF;
+
+  SELECT array_agg(lower(trim(role))) INTO permitted
+  FROM jsonb_array_elements_text(COALESCE(restrictions->'permitted_roles', '[]'::jsonb)) AS role
+  WHERE trim(role) <> '';
+  IF title <> '' AND permitted IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM unnest(permitted) AS role WHERE strpos(title, role) > 0) THEN
+    RAISE EXCEPTION 'The role "%" is not one this person is permitted to do', trim(NEW.job_title)
+      USING ERRCODE = 'RW006';
+  END IF;
+
+  -- PROHIBITED_WORK patterns
+  IF title <> '' AND (
+    (restrictions->'prohibited_work' ? 'sport'
+      AND title ~ '\m(sports?(person|man|woman)?|coach|athlete|footballer|player)\M')
+    OR (restrictions->'prohibited_work' ? 'doctor_training'
+      AND title ~ '\m(doctor|dentist|dental|gp|registrar|junior doctor|foundation doctor|medic)\M')
+  ) THEN
+    RAISE EXCEPTION 'The role "%" is work this person is not permitted to do', trim(NEW.job_title)
+      USING ERRCODE = 'RW006';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rtw_records_role_restrictions ON rtw_records;
+CREATE TRIGGER rtw_records_role_restrictions
+  BEFORE INSERT OR UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_rtw_role_restrictions();
+
+-- ===========================================================================
+-- Section 26: Versioned checklist definitions
+-- ===========================================================================
+
+-- The documents and Step 2 questions the form asks, as data. Each record is
+-- pinned to the version it was completed against, so the record page and PDF
+-- show exactly what was asked at the time. When Home Office guidance changes,
+-- insert a new version (with the next number and the date it applies from);
+-- existing versions cannot be changed.
+--
+-- definition:
+--   {
+--     "methods": {
+--       "<manual|idsp|online>": {
+--         "intro": "optional text above the documents",
+--         "groups": [{ "title": "...", "documents": [{ "id", "text", "label" }] }]
+--       }
+--     },
+--     "questions": [{ "key", "text", "short" }]
+--   }
+-- Document "text" is shown on the form; "label" is the short form used on the
+-- record page, PDF and exports. Document ids are stored in documents_checked.
+CREATE TABLE IF NOT EXISTS checklist_versions (
+  version INT PRIMARY KEY CHECK (version > 0),
+  title TEXT NOT NULL,
+  effective_from DATE NOT NULL,
+  definition JSONB NOT NULL,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE checklist_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_checklist_versions" ON checklist_versions;
+CREATE POLICY "auth_select_checklist_versions"
+  ON checklist_versions FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "manager_insert_checklist_versions" ON checklist_versions;
+CREATE POLICY "manager_insert_checklist_versions"
+  ON checklist_versions FOR INSERT TO authenticated
+  WITH CHECK (public.is_manager());
+
+-- Published versions are immutable; records depend on them
+CREATE OR REPLACE FUNCTION public.prevent_checklist_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() IS NULL OR auth.role() = 'service_role' THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+  RAISE EXCEPTION 'Checklist versions cannot be changed once published. Add a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS checklist_versions_immutable ON checklist_versions;
+CREATE TRIGGER checklist_versions_immutable
+  BEFORE UPDATE OR DELETE ON checklist_versions
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_checklist_changes();
+
+INSERT INTO checklist_versions (version, title, effective_from, definition)
+VALUES (1, 'Employer''s guide to right to work checks (original form)', '2022-04-06', $json$
+{
+  "methods": {
+    "manual": {
+      "groups": [
+        {
+          "title": "List A — Continuous right to work",
+          "documents": [
+            {
+              "id": "listA1",
+              "text": "1. A passport (current or expired) showing the holder is a British citizen or a citizen of the UK and Colonies having the right of abode in the UK.",
+              "label": "List A #1 – British/UK passport"
+            },
+            {
+              "id": "listA2",
+              "text": "2. A passport or passport card (current or expired) showing the holder is an Irish citizen.",
+              "label": "List A #2 – Irish passport/passport card"
+            },
+            {
+              "id": "listA3",
+              "text": "3. A document issued by Jersey, Guernsey or Isle of Man, verified by the Home Office Employer Checking Service, showing unlimited leave under Appendix EU.",
+              "label": "List A #3 – Crown Dependency EU document"
+            },
+            {
+              "id": "listA4",
+              "text": "4. A current passport endorsed to show the holder is exempt from immigration control, allowed to stay indefinitely, or has right of abode in the UK.",
+              "label": "List A #4 – Passport (exempt/indefinite leave)"
+            },
+            {
+              "id": "listA5",
+              "text": "5. A current Immigration Status Document with endorsement for indefinite stay, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #5 – Immigration Status Document + NI"
+            },
+            {
+              "id": "listA6",
+              "text": "6. A birth or adoption certificate issued in the UK, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #6 – UK birth/adoption cert + NI"
+            },
+            {
+              "id": "listA7",
+              "text": "7. A birth or adoption certificate issued in the Channel Islands, Isle of Man or Ireland, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #7 – CI/IoM/Ireland birth/adoption cert + NI"
+            },
+            {
+              "id": "listA8",
+              "text": "8. A certificate of registration or naturalisation as a British citizen, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #8 – Registration/naturalisation cert + NI"
+            }
+          ]
+        },
+        {
+          "title": "List B Group 1 — Temporary right to work",
+          "documents": [
+            {
+              "id": "listB1_1",
+              "text": "1. A current passport endorsed to show the holder is allowed to stay in the UK and do the type of work in question.",
+              "label": "List B Grp 1 #1 – Endorsed passport (temp)"
+            },
+            {
+              "id": "listB1_2",
+              "text": "2. A document issued by Jersey, Guernsey or Isle of Man verified by Home Office, showing limited leave under Appendix EU.",
+              "label": "List B Grp 1 #2 – Crown Dependency limited leave"
+            },
+            {
+              "id": "listB1_3",
+              "text": "3. A current Immigration Status Document with photograph and valid endorsement, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List B Grp 1 #3 – ISD with photograph + NI"
+            }
+          ]
+        },
+        {
+          "title": "List B Group 2 — Pending applications",
+          "documents": [
+            {
+              "id": "listB2_1",
+              "text": "1. A Home Office document showing an EU Settlement Scheme application made on or before 30 June 2021, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #1 – EUSS app pre-30 Jun 2021 + PVN"
+            },
+            {
+              "id": "listB2_2",
+              "text": "2. A Certificate of Application (non-digital) for EU Settlement Scheme on or after 1 July 2021, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #2 – CoA (non-digital) post-1 Jul 2021 + PVN"
+            },
+            {
+              "id": "listB2_3",
+              "text": "3. A document from Jersey, Guernsey or Isle of Man showing an Appendix EU application, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #3 – Crown Dependency Appendix EU + PVN"
+            },
+            {
+              "id": "listB2_4",
+              "text": "4. An Application Registration Card permitting the holder to take the employment, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #4 – ARC + PVN"
+            },
+            {
+              "id": "listB2_5",
+              "text": "5. A Positive Verification Notice indicating the named person may stay and is permitted to do the work in question.",
+              "label": "List B Grp 2 #5 – Positive Verification Notice"
+            }
+          ]
+        }
+      ]
+    },
+    "idsp": {
+      "intro": "Select the document verified through an Identity Document Validation Technology (IDVT) check via an Identity Service Provider (IDSP).",
+      "groups": [
+        {
+          "title": null,
+          "documents": [
+            {
+              "id": "idsp1",
+              "text": "A valid British passport (current)",
+              "label": "British passport (IDVT)"
+            },
+            {
+              "id": "idsp2",
+              "text": "A valid Irish passport (current)",
+              "label": "Irish passport (IDVT)"
+            },
+            {
+              "id": "idsp3",
+              "text": "A valid Irish passport card (current)",
+              "label": "Irish passport card (IDVT)"
+            }
+          ]
+        }
+      ]
+    },
+    "online": {
+      "groups": [
+        {
+          "title": "Online check confirmation",
+          "documents": [
+            {
+              "id": "onlineConfirm",
+              "text": "The online check confirms the person has a right to work in the UK and is permitted to do the work in question.",
+              "label": "Online check confirms right to work"
+            },
+            {
+              "id": "onlinePhoto",
+              "text": "The photograph on the online check result is consistent with the person presenting themselves for work (in person or via video).",
+              "label": "Photograph verified (in person/video)"
+            },
+            {
+              "id": "onlineStudent",
+              "text": "For students, the term and vacation dates and hours of study have been obtained and recorded.",
+              "label": "Student term/vacation dates obtained"
+            },
+            {
+              "id": "onlineRetain",
+              "text": "A copy of the profile page from the online check has been retained.",
+              "label": "Profile page evidence retained"
+            }
+          ]
+        }
+      ]
+    }
+  },
+  "questions": [
+    {
+      "key": "q1",
+      "text": "Are photographs consistent across documents and with the person presenting themselves for work?",
+      "short": "Photographs consistent with appearance?"
+    },
+    {
+      "key": "q2",
+      "text": "Are dates of birth correct and consistent across documents?",
+      "short": "Dates of birth consistent across documents?"
+    },
+    {
+      "key": "q3",
+      "text": "Are expiry dates for time-limited permission to be in the UK in the future, i.e. they have not passed (if applicable)?",
+      "short": "Expiry dates not passed (if applicable)?"
+    },
+    {
+      "key": "q4",
+      "text": "Have you checked work restrictions to determine if the person is able to work for you and do the type of work you are offering?",
+      "short": "Work restrictions checked?"
+    },
+    {
+      "key": "q5",
+      "text": "Have you taken all reasonable steps to check that the document is genuine, has not been tampered with and belongs to the holder?",
+      "short": "Document genuine, not tampered, belongs to holder?"
+    },
+    {
+      "key": "q6",
+      "text": "Have you checked the reasons for any different names across documents (e.g. marriage certificate, divorce decree, deed poll)?",
+      "short": "Different names across documents checked?"
+    }
+  ]
+}
+$json$::jsonb)
+ON CONFLICT (version) DO NOTHING;
+
+-- The version in force today: the newest one whose effective date has arrived
+CREATE OR REPLACE FUNCTION public.current_checklist_version()
+RETURNS INT AS $$
+  SELECT version FROM public.checklist_versions
+  WHERE effective_from <= current_date
+  ORDER BY version DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS checklist_version INT REFERENCES checklist_versions(version);
+-- Locked records are backfilled too, so the edit lock is off for this
+-- statement, and the audit log does not get a row per record
+ALTER TABLE rtw_records DISABLE TRIGGER rtw_records_edit_lock;
+ALTER TABLE rtw_records DISABLE TRIGGER rtw_records_audit;
+UPDATE rtw_records SET checklist_version = 1 WHERE checklist_version IS NULL;
+ALTER TABLE rtw_records ENABLE TRIGGER rtw_records_audit;
+ALTER TABLE rtw_records ENABLE TRIGGER rtw_records_edit_lock;
+ALTER TABLE rtw_records ALTER COLUMN checklist_version SET NOT NULL;
+
+-- Records created without a version (e.g. by the Onboarding Portal) are
+-- pinned to the version in force when they are created.
+CREATE OR REPLACE FUNCTION public.set_checklist_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.checklist_version IS NULL THEN
+    NEW.checklist_version := public.current_checklist_version();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rtw_records_checklist_version ON rtw_records;
+CREATE TRIGGER rtw_records_checklist_version
+  BEFORE INSERT ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.set_checklist_version();
+
+-- ===========================================================================
+-- Section 27: Acceptable-document rules in the checklist
+-- ===========================================================================
+
+-- Version 2 describes which combinations of documents give a statutory
+-- excuse, so the form can check them (js/utils/document-rules.js). Documents
+-- may now also carry:
+--   "list"      "A", "B1" or "B2"; null for supporting documents
+--   "requires"  [document id] that must be ticked alongside, e.g. NI evidence
+--   "required"  true when it must always be ticked for its method
+-- The NI evidence and Positive Verification Notice that List A and List B
+-- documents must be seen with are listed separately, so a check cannot be
+-- saved with one half of a pair. Records on version 1 keep its wording.
+INSERT INTO checklist_versions (version, title, effective_from, definition)
+VALUES (2, 'Employer''s guide to right to work checks (paired documents listed separately)', '2026-10-19', $json$
+{
+  "methods": {
+    "manual": {
+      "groups": [
+        {
+          "title": "List A — Continuous right to work",
+          "documents": [
+            {
+              "id": "listA1",
+              "list": "A",
+              "text": "1. A passport (current or expired) showing the holder is a British citizen or a citizen of the UK and Colonies having the right of abode in the UK.",
+              "label": "List A #1 – British/UK passport"
+            },
+            {
+              "id": "listA2",
+              "list": "A",
+              "text": "2. A passport or passport card (current or expired) showing the holder is an Irish citizen.",
+              "label": "List A #2 – Irish passport/passport card"
+            },
+            {
+              "id": "listA3",
+              "list": "A",
+              "text": "3. A document issued by Jersey, Guernsey or Isle of Man, verified by the Home Office Employer Checking Service, showing unlimited leave under Appendix EU.",
+              "label": "List A #3 – Crown Dependency EU document"
+            },
+            {
+              "id": "listA4",
+              "list": "A",
+              "text": "4. A current passport endorsed to show the holder is exempt from immigration control, allowed to stay indefinitely, or has right of abode in the UK.",
+              "label": "List A #4 – Passport (exempt/indefinite leave)"
+            },
+            {
+              "id": "listA5",
+              "list": "A",
+              "text": "5. A current Immigration Status Document with endorsement for indefinite stay, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #5 – Immigration Status Document + NI",
+              "requires": ["supportNI"]
+            },
+            {
+              "id": "listA6",
+              "list": "A",
+              "text": "6. A birth or adoption certificate issued in the UK, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #6 – UK birth/adoption cert + NI",
+              "requires": ["supportNI"]
+            },
+            {
+              "id": "listA7",
+              "list": "A",
+              "text": "7. A birth or adoption certificate issued in the Channel Islands, Isle of Man or Ireland, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #7 – CI/IoM/Ireland birth/adoption cert + NI",
+              "requires": ["supportNI"]
+            },
+            {
+              "id": "listA8",
+              "list": "A",
+              "text": "8. A certificate of registration or naturalisation as a British citizen, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List A #8 – Registration/naturalisation cert + NI",
+              "requires": ["supportNI"]
+            }
+          ]
+        },
+        {
+          "title": "List B Group 1 — Temporary right to work",
+          "documents": [
+            {
+              "id": "listB1_1",
+              "list": "B1",
+              "text": "1. A current passport endorsed to show the holder is allowed to stay in the UK and do the type of work in question.",
+              "label": "List B Grp 1 #1 – Endorsed passport (temp)"
+            },
+            {
+              "id": "listB1_2",
+              "list": "B1",
+              "text": "2. A document issued by Jersey, Guernsey or Isle of Man verified by Home Office, showing limited leave under Appendix EU.",
+              "label": "List B Grp 1 #2 – Crown Dependency limited leave"
+            },
+            {
+              "id": "listB1_3",
+              "list": "B1",
+              "text": "3. A current Immigration Status Document with photograph and valid endorsement, together with an official document giving the person’s permanent NI number and name.",
+              "label": "List B Grp 1 #3 – ISD with photograph + NI",
+              "requires": ["supportNI"]
+            }
+          ]
+        },
+        {
+          "title": "List B Group 2 — Pending applications",
+          "documents": [
+            {
+              "id": "listB2_1",
+              "list": "B2",
+              "text": "1. A Home Office document showing an EU Settlement Scheme application made on or before 30 June 2021, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #1 – EUSS app pre-30 Jun 2021 + PVN",
+              "requires": ["supportPVN"]
+            },
+            {
+              "id": "listB2_2",
+              "list": "B2",
+              "text": "2. A Certificate of Application (non-digital) for EU Settlement Scheme on or after 1 July 2021, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #2 – CoA (non-digital) post-1 Jul 2021 + PVN",
+              "requires": ["supportPVN"]
+            },
+            {
+              "id": "listB2_3",
+              "list": "B2",
+              "text": "3. A document from Jersey, Guernsey or Isle of Man showing an Appendix EU application, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #3 – Crown Dependency Appendix EU + PVN",
+              "requires": ["supportPVN"]
+            },
+            {
+              "id": "listB2_4",
+              "list": "B2",
+              "text": "4. An Application Registration Card permitting the holder to take the employment, together with a Positive Verification Notice.",
+              "label": "List B Grp 2 #4 – ARC + PVN",
+              "requires": ["supportPVN"]
+            },
+            {
+              "id": "listB2_5",
+              "list": "B2",
+              "text": "5. A Positive Verification Notice indicating the named person may stay and is permitted to do the work in question.",
+              "label": "List B Grp 2 #5 – Positive Verification Notice"
+            }
+          ]
+        },
+        {
+          "title": "Supporting documents",
+          "documents": [
+            {
+              "id": "supportNI",
+              "list": null,
+              "text": "An official document giving the person’s permanent National Insurance number and name, such as a P45, P60, National Insurance card or a letter from a government agency.",
+              "label": "Permanent NI number and name evidence"
+            },
+            {
+              "id": "supportPVN",
+              "list": null,
+              "text": "A Positive Verification Notice from the Home Office Employer Checking Service confirming the person may do the work in question.",
+              "label": "Positive Verification Notice (ECS)"
+            }
+          ]
+        }
+      ]
+    },
+    "idsp": {
+      "intro": "Select the document verified through an Identity Document Validation Technology (IDVT) check via an Identity Service Provider (IDSP).",
+      "groups": [
+        {
+          "title": null,
+          "documents": [
+            {
+              "id": "idsp1",
+              "text": "A valid British passport (current)",
+              "label": "British passport (IDVT)"
+            },
+            {
+              "id": "idsp2",
+              "text": "A valid Irish passport (current)",
+              "label": "Irish passport (IDVT)"
+            },
+            {
+              "id": "idsp3",
+              "text": "A valid Irish passport card (current)",
+              "label": "Irish passport card (IDVT)"
+            }
+          ]
+        }
+      ]
+    },
+    "online": {
+      "groups": [
+        {
+          "title": "Online check confirmation",
+          "documents": [
+            {
+              "id": "onlineConfirm",
+              "text": "The online check confirms the person has a right to work in the UK and is permitted to do the work in question.",
+              "label": "Online check confirms right to work",
+              "required": true
+            },
+            {
+              "id": "onlinePhoto",
+              "text": "The photograph on the online check result is consistent with the person presenting themselves for work (in person or via video).",
+              "label": "Photograph verified (in person/video)",
+              "required": true
+            },
+            {
+              "id": "onlineStudent",
+              "text": "For students, the term and vacation dates and hours of study have been obtained and recorded.",
+              "label": "Student term/vacation dates obtained"
+            },
+            {
+              "id": "onlineRetain",
+              "text": "A copy of the profile page from the online check has been retained.",
+              "label": "Profile page evidence retained",
+              "required": true
+            }
+          ]
+        }
+      ]
+    }
+  },
+  "questions": [
+    {
+      "key": "q1",
+      "text": "Are photographs consistent across documents and with the person presenting themselves for work?",
+      "short": "Photographs consistent with appearance?"
+    },
+    {
+      "key": "q2",
+      "text": "Are dates of birth correct and consistent across documents?",
+      "short": "Dates of birth consistent across documents?"
+    },
+    {
+      "key": "q3",
+      "text": "Are expiry dates for time-limited permission to be in the UK in the future, i.e. they have not passed (if applicable)?",
+      "short": "Expiry dates not passed (if applicable)?"
+    },
+    {
+      "key": "q4",
+      "text": "Have you checked work restrictions to determine if the person is able to work for you and do the type of work you are offering?",
+      "short": "Work restrictions checked?"
+    },
+    {
+      "key": "q5",
+      "text": "Have you taken all reasonable steps to check that the document is genuine, has not been tampered with and belongs to the holder?",
+      "short": "Document genuine, not tampered, belongs to holder?"
+    },
+    {
+      "key": "q6",
+      "text": "Have you checked the reasons for any different names across documents (e.g. marriage certificate, divorce decree, deed poll)?",
+      "short": "Different names across documents checked?"
+    }
+  ]
+}
+$json$::jsonb)
+ON CONFLICT (version) DO NOTHING;
+
+-- ===========================================================================
+-- Section 28: Justifications for "No" verification answers
+-- ===========================================================================
+
+-- { "<question key>": "explanation" } for each Step 2 question answered No.
+-- A No to question 1, 3 or 5 means no statutory excuse is established: the
+-- record is saved without the declaration and gets the status 'escalated'
+-- (referred to a manager). See js/utils/verification-rules.js. Scrubbed from
+-- the audit log with the other personal fields (see section 12c).
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS verification_justifications JSONB;
+
+-- ===========================================================================
+-- Section 29: Calendar feed tokens
+-- ===========================================================================
+
+-- One secret token per user for the subscribable iCal feed. Calendar apps
+-- cannot sign in, so the calendar-feed Edge Function looks the token up with
+-- the service role and shows the records that user could see in the app.
+-- Resetting the link deletes the row; a new token is created on next use.
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  user_id UUID PRIMARY KEY DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE
+    DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_select_calendar_feed_tokens" ON calendar_feed_tokens;
+CREATE POLICY "own_select_calendar_feed_tokens"
+  ON calendar_feed_tokens FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "own_insert_calendar_feed_tokens" ON calendar_feed_tokens;
+CREATE POLICY "own_insert_calendar_feed_tokens"
+  ON calendar_feed_tokens FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "own_delete_calendar_feed_tokens" ON calendar_feed_tokens;
+CREATE POLICY "own_delete_calendar_feed_tokens"
+  ON calendar_feed_tokens FOR DELETE TO authenticated
+  USING (user_id = auth.uid());
+
+-- ===========================================================================
+-- Section 30: Latest check per person, for the paginated dashboard
+-- ===========================================================================
+
+-- The rtw_latest_records view is created in Section 37, after the last column
+-- is added to rtw_records.
+
+-- Dashboard search matches any part of the name or checker name
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_rtw_records_person_name_trgm ON rtw_records USING gin (person_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rtw_records_checker_name_trgm ON rtw_records USING gin (checker_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rtw_records_check_date ON rtw_records(check_date DESC);
+CREATE INDEX IF NOT EXISTS idx_rtw_records_status ON rtw_records(status);
+
+-- ===========================================================================
+-- Section 31: Status computed in the database
+-- ===========================================================================
+
+-- The same rules as calculateStatus() in js/services/status-service.js, in
+-- the same order; change both together. as_of is the day to judge the record
+-- on, so the rules can be checked against fixed dates: tests/status-fixtures.sql
+-- runs the fixtures shared with the JS rules. Warning windows come from the
+-- settings of the record's site (sections 32 and 34).
+CREATE OR REPLACE FUNCTION public.compute_rtw_status(r rtw_records, as_of DATE DEFAULT CURRENT_DATE)
+RETURNS TEXT AS $$
+DECLARE
+  follow_up_warning_date DATE;
+  expiry_warning_date DATE;
+  evidence_end DATE;
+BEGIN
+  SELECT as_of + COALESCE(MAX(follow_up_warning_days), 28), as_of + COALESCE(MAX(expiry_warning_days), 28)
+  INTO follow_up_warning_date, expiry_warning_date
+  FROM organisation_settings
+  WHERE site_id = r.site_id;
+
+  IF r.onboarding_id IS NOT NULL AND r.check_date IS NULL THEN
+    RETURN 'pending_onboarding';
+  END IF;
+
+  IF r.deletion_due_date IS NOT NULL AND r.deletion_due_date <= as_of THEN
+    RETURN 'pending_deletion';
+  END IF;
+
+  -- A No to question 1, 3 or 5 (ESCALATING_QUESTIONS in verification-rules.js)
+  IF r.verification_answers->>'q1' = 'No'
+     OR r.verification_answers->>'q3' = 'No'
+     OR r.verification_answers->>'q5' = 'No' THEN
+    RETURN 'escalated';
+  END IF;
+
+  IF r.expiry_date IS NOT NULL AND r.expiry_date < as_of THEN
+    RETURN 'expired';
+  END IF;
+
+  IF r.follow_up_date IS NOT NULL THEN
+    IF r.follow_up_date < as_of THEN
+      RETURN 'follow_up_overdue';
+    END IF;
+    IF r.follow_up_date <= follow_up_warning_date THEN
+      RETURN 'follow_up_due';
+    END IF;
+  END IF;
+
+  IF r.expiry_date IS NOT NULL AND r.expiry_date <= expiry_warning_date THEN
+    RETURN 'follow_up_due';
+  END IF;
+
+  -- Latest end of the student's term and vacation dates (getStudentEvidenceEnd),
+  -- only when term dates are held
+  IF jsonb_typeof(r.student_term_dates) = 'array' AND jsonb_array_length(r.student_term_dates) > 0 THEN
+    SELECT max((d->>'end')::date) INTO evidence_end
+    FROM jsonb_array_elements(
+      r.student_term_dates
+      || CASE WHEN jsonb_typeof(r.student_vacation_dates) = 'array' THEN r.student_vacation_dates ELSE '[]'::jsonb END
+    ) AS d
+    WHERE jsonb_typeof(d) = 'object' AND COALESCE(d->>'end', '') <> '';
+    IF evidence_end IS NOT NULL AND evidence_end <= follow_up_warning_date THEN
+      RETURN 'student_terms_due';
+    END IF;
+  END IF;
+
+  RETURN 'valid';
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Keep status right whenever a record is written, so the app never sends it.
+-- Named to sort after the other BEFORE triggers, which may change the fields
+-- the status depends on.
+CREATE OR REPLACE FUNCTION public.set_rtw_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.status := public.compute_rtw_status(NEW);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rtw_records_z_status ON rtw_records;
+CREATE TRIGGER rtw_records_z_status
+  BEFORE INSERT OR UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.set_rtw_status();
+
+-- Statuses also change as time passes, with no write to the record. This
+-- refreshes every record whose status is out of date in a single statement;
+-- the audit trigger ignores status-only changes. Returns the number changed.
+CREATE OR REPLACE FUNCTION public.refresh_rtw_statuses()
+RETURNS INTEGER AS $$
+DECLARE
+  changed INTEGER;
+BEGIN
+  UPDATE rtw_records r
+  SET status = public.compute_rtw_status(r)
+  WHERE r.status IS DISTINCT FROM public.compute_rtw_status(r);
+  GET DIAGNOSTICS changed = ROW_COUNT;
+  RETURN changed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Schedule: run daily at 05:00 UTC, before the notifications at 06:00
+--   SELECT cron.schedule('rtw-statuses', '0 5 * * *', 'SELECT public.refresh_rtw_statuses()');
+-- To check: SELECT * FROM cron.job;
+-- To remove: SELECT cron.unschedule('rtw-statuses');
+
+-- ===========================================================================
+-- Section 32: Organisation settings
+-- ===========================================================================
+
+-- A single row of settings that managers change on the Settings page
+-- (js/views/settings.js). Read by compute_rtw_status(),
+-- generate_rtw_notifications() and the app (js/services/settings-service.js).
+--   follow_up_warning_days  follow-ups (and student term dates) show as due this many days ahead
+--   expiry_warning_days     permissions show as expiring this many days ahead
+--   urgent_warning_days     inside this many days, due and expiring notifications are urgent
+--   retention_years         records are due for deletion this long after employment ends
+CREATE TABLE IF NOT EXISTS organisation_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  follow_up_warning_days INT NOT NULL DEFAULT 28 CHECK (follow_up_warning_days BETWEEN 1 AND 365),
+  expiry_warning_days INT NOT NULL DEFAULT 28 CHECK (expiry_warning_days BETWEEN 1 AND 365),
+  urgent_warning_days INT NOT NULL DEFAULT 7 CHECK (urgent_warning_days BETWEEN 0 AND 365),
+  retention_years INT NOT NULL DEFAULT 2 CHECK (retention_years BETWEEN 2 AND 10),
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Section 34 replaces the id column with one row per site
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'organisation_settings' AND column_name = 'id'
+  ) THEN
+    INSERT INTO organisation_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+  END IF;
+END $$;
+
+ALTER TABLE organisation_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_organisation_settings" ON organisation_settings;
+CREATE POLICY "auth_select_organisation_settings"
+  ON organisation_settings FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "manager_update_organisation_settings" ON organisation_settings;
+CREATE POLICY "manager_update_organisation_settings"
+  ON organisation_settings FOR UPDATE TO authenticated
+  USING (public.is_manager())
+  WITH CHECK (public.is_manager());
+
+CREATE OR REPLACE FUNCTION public.stamp_organisation_settings()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_by := auth.uid();
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS organisation_settings_stamp ON organisation_settings;
+CREATE TRIGGER organisation_settings_stamp
+  BEFORE UPDATE ON organisation_settings
+  FOR EACH ROW EXECUTE FUNCTION public.stamp_organisation_settings();
+
+-- A new retention period applies to every leaver at the site, not just those
+-- recorded after the change. Statuses follow through the rtw_records status
+-- trigger.
+CREATE OR REPLACE FUNCTION public.apply_retention_period()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.retention_years IS DISTINCT FROM OLD.retention_years THEN
+    UPDATE rtw_records
+    SET deletion_due_date = (employment_end_date + make_interval(years => NEW.retention_years))::date
+    WHERE employment_end_date IS NOT NULL AND site_id = NEW.site_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS organisation_settings_retention ON organisation_settings;
+CREATE TRIGGER organisation_settings_retention
+  AFTER UPDATE ON organisation_settings
+  FOR EACH ROW EXECUTE FUNCTION public.apply_retention_period();
+
+-- The Home Office requires copies to be kept for two years after employment
+-- ends, so the period can never be shorter. Raising a shorter period only
+-- moves deletion dates later.
+UPDATE organisation_settings SET retention_years = 2 WHERE retention_years < 2;
+ALTER TABLE organisation_settings DROP CONSTRAINT IF EXISTS organisation_settings_retention_years_check;
+ALTER TABLE organisation_settings ADD CONSTRAINT organisation_settings_retention_years_check
+  CHECK (retention_years BETWEEN 2 AND 10);
+
+-- ===========================================================================
+-- Section 33: Branding, Drive folder and declaration settings
+-- ===========================================================================
+
+-- More organisation settings, changed on the Settings page and picked up by
+-- the PDF, the Google Drive sync and the form without a redeploy:
+--   company_name      shown on the PDF header and footer
+--   logo_data_url     PDF logo as a PNG or JPEG data URL; null for the built-in logo
+--   drive_subfolder   folder inside each employee's Drive folder for the PDFs;
+--                     may be nested, e.g. 'HR/Right to Work'
+--   declaration_text  the declaration checkers confirm on the form
+ALTER TABLE organisation_settings ADD COLUMN IF NOT EXISTS company_name TEXT NOT NULL DEFAULT 'ImmersiveCore'
+  CHECK (length(trim(company_name)) BETWEEN 1 AND 100);
+ALTER TABLE organisation_settings ADD COLUMN IF NOT EXISTS logo_data_url TEXT
+  CHECK (logo_data_url IS NULL OR (logo_data_url ~ '^data:image/(png|jpeg);base64,' AND length(logo_data_url) <= 300000));
+ALTER TABLE organisation_settings ADD COLUMN IF NOT EXISTS drive_subfolder TEXT NOT NULL DEFAULT 'Right to Work'
+  CHECK (length(trim(drive_subfolder)) BETWEEN 1 AND 100 AND drive_subfolder !~ '\\');
+ALTER TABLE organisation_settings ADD COLUMN IF NOT EXISTS declaration_text TEXT NOT NULL
+  DEFAULT 'I confirm that I have carried out the right to work check in compliance with Home Office instructions and believe a valid statutory excuse is established.'
+  CHECK (length(trim(declaration_text)) BETWEEN 1 AND 1000);
+
+-- The wording a checker confirmed, so later changes to the setting do not
+-- alter past declarations. Null for records confirmed before this column
+-- existed, which used the default wording above.
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS declaration_text TEXT;
+
+-- ===========================================================================
+-- Section 34: Sites — records, users and settings scoped to a venue or company
+-- ===========================================================================
+
+-- Each venue or legal entity is a site. Records, onboarding records,
+-- notifications, deletion logs and organisation settings belong to a site,
+-- and users belong to one or more sites (profile_sites):
+--   staff          see the records they created at their sites
+--   manager        manage everything at their own sites
+--   group_manager  manage every site, and add sites and set their Drive folders
+-- Existing data moves to a first site, 'Main site', which every user joins.
+CREATE TABLE IF NOT EXISTS sites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE CHECK (length(trim(name)) BETWEEN 1 AND 100),
+  -- Drive folder holding the site's employee folders; null for the
+  -- GOOGLE_DRIVE_ROOT_FOLDER_ID of the gdrive-upload Edge Function
+  gdrive_root_folder_id TEXT CHECK (gdrive_root_folder_id IS NULL OR gdrive_root_folder_id ~ '^[A-Za-z0-9_-]+$'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Written by the create-user and manage-user Edge Functions
+CREATE TABLE IF NOT EXISTS profile_sites (
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, site_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_sites_site_id ON profile_sites(site_id);
+
+-- Once Section 35 has run, the roles table lists the roles instead
+DO $$
+BEGIN
+  IF to_regclass('public.roles') IS NULL THEN
+    ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+    ALTER TABLE profiles ADD CONSTRAINT profiles_role_check CHECK (role IN ('group_manager', 'manager', 'staff'));
+  END IF;
+END $$;
+
+INSERT INTO sites (name) SELECT 'Main site' WHERE NOT EXISTS (SELECT 1 FROM sites);
+
+INSERT INTO profile_sites (user_id, site_id)
+SELECT p.id, (SELECT id FROM sites ORDER BY created_at LIMIT 1)
+FROM profiles p
+WHERE NOT EXISTS (SELECT 1 FROM profile_sites);
+
+-- Settings: one row per site, keyed by site_id instead of the single id row.
+-- Done before records are given a site, as the status trigger then reads them.
+ALTER TABLE organisation_settings ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE CASCADE;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'organisation_settings' AND column_name = 'id'
+  ) THEN
+    UPDATE organisation_settings SET site_id = (SELECT id FROM sites ORDER BY created_at LIMIT 1) WHERE site_id IS NULL;
+    ALTER TABLE organisation_settings DROP COLUMN id;
+    ALTER TABLE organisation_settings ALTER COLUMN site_id SET NOT NULL;
+    ALTER TABLE organisation_settings ADD PRIMARY KEY (site_id);
+  END IF;
+END $$;
+
+INSERT INTO organisation_settings (site_id) SELECT id FROM sites ON CONFLICT (site_id) DO NOTHING;
+
+-- New sites start with the default settings
+CREATE OR REPLACE FUNCTION public.create_site_settings()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.organisation_settings (site_id) VALUES (NEW.id) ON CONFLICT (site_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS sites_create_settings ON sites;
+CREATE TRIGGER sites_create_settings
+  AFTER INSERT ON sites
+  FOR EACH ROW EXECUTE FUNCTION public.create_site_settings();
+
+ALTER TABLE rtw_records ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id);
+ALTER TABLE onboarding_records ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id);
+-- Null on notifications from other apps, which every manager sees
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE CASCADE;
+ALTER TABLE deleted_records ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE SET NULL;
+
+UPDATE onboarding_records SET site_id = (SELECT id FROM sites ORDER BY created_at LIMIT 1) WHERE site_id IS NULL;
+-- Locked records are moved too, so the edit lock is off for this
+-- statement, and the audit log does not get a row per record
+ALTER TABLE rtw_records DISABLE TRIGGER rtw_records_edit_lock;
+ALTER TABLE rtw_records DISABLE TRIGGER rtw_records_audit;
+UPDATE rtw_records SET site_id = (SELECT id FROM sites ORDER BY created_at LIMIT 1) WHERE site_id IS NULL;
+ALTER TABLE rtw_records ENABLE TRIGGER rtw_records_audit;
+ALTER TABLE rtw_records ENABLE TRIGGER rtw_records_edit_lock;
+UPDATE deleted_records SET site_id = (SELECT id FROM sites ORDER BY created_at LIMIT 1) WHERE site_id IS NULL;
+UPDATE notifications n SET site_id = r.site_id
+FROM rtw_records r
+WHERE n.record_id = r.id AND n.source_app = 'rtw-checker' AND n.site_id IS NULL;
+
+ALTER TABLE onboarding_records ALTER COLUMN site_id SET NOT NULL;
+ALTER TABLE rtw_records ALTER COLUMN site_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rtw_records_site_id ON rtw_records(site_id);
+CREATE INDEX IF NOT EXISTS idx_onboarding_site_id ON onboarding_records(site_id);
+
+-- Rows written without a site, such as those from the Onboarding Portal, take
+-- the site of the onboarding record they come from, else the creator's first
+-- site. Named to sort before the status trigger, which reads the site's settings.
+CREATE OR REPLACE FUNCTION public.default_site_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.site_id IS NULL AND TG_TABLE_NAME = 'rtw_records' THEN
+    IF NEW.onboarding_id IS NOT NULL THEN
+      SELECT site_id INTO NEW.site_id FROM public.onboarding_records WHERE id = NEW.onboarding_id;
+    END IF;
+  END IF;
+  IF NEW.site_id IS NULL THEN
+    SELECT ps.site_id INTO NEW.site_id
+    FROM public.profile_sites ps
+    JOIN public.sites s ON s.id = ps.site_id
+    WHERE ps.user_id = NEW.created_by
+    ORDER BY s.created_at
+    LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_a_site ON rtw_records;
+CREATE TRIGGER rtw_records_a_site
+  BEFORE INSERT ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.default_site_id();
+
+DROP TRIGGER IF EXISTS onboarding_records_a_site ON onboarding_records;
+CREATE TRIGGER onboarding_records_a_site
+  BEFORE INSERT ON onboarding_records
+  FOR EACH ROW EXECUTE FUNCTION public.default_site_id();
+
+-- Role and site checks for the policies below (see is_manager in step 7)
+CREATE OR REPLACE FUNCTION public.is_group_manager()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles
+    WHERE id = auth.uid() AND role = 'group_manager'
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- The current user works at the site (group managers work at every site)
+CREATE OR REPLACE FUNCTION public.in_site(target_site UUID)
+RETURNS BOOLEAN AS $$
+  SELECT public.is_group_manager() OR EXISTS (
+    SELECT 1 FROM public.profile_sites
+    WHERE user_id = auth.uid() AND site_id = target_site
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- The current user is a manager at the site
+CREATE OR REPLACE FUNCTION public.manages_site(target_site UUID)
+RETURNS BOOLEAN AS $$
+  SELECT public.is_group_manager() OR (public.is_manager() AND EXISTS (
+    SELECT 1 FROM public.profile_sites
+    WHERE user_id = auth.uid() AND site_id = target_site
+  ));
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION public.manages_record(target_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.rtw_records
+    WHERE id = target_id AND public.manages_site(site_id)
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- Onboarding scans are matched to their record by paper_scan_path
+CREATE OR REPLACE FUNCTION public.manages_onboarding_scan(object_name TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT public.is_group_manager() OR EXISTS (
+    SELECT 1 FROM public.onboarding_records
+    WHERE paper_scan_path = object_name AND public.manages_site(site_id)
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- RLS — sites and memberships
+ALTER TABLE sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE profile_sites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_sites" ON sites;
+CREATE POLICY "auth_select_sites"
+  ON sites FOR SELECT TO authenticated
+  USING (public.in_site(id));
+
+DROP POLICY IF EXISTS "group_manager_insert_sites" ON sites;
+CREATE POLICY "group_manager_insert_sites"
+  ON sites FOR INSERT TO authenticated
+  WITH CHECK (public.is_group_manager());
+
+DROP POLICY IF EXISTS "group_manager_update_sites" ON sites;
+CREATE POLICY "group_manager_update_sites"
+  ON sites FOR UPDATE TO authenticated
+  USING (public.is_group_manager())
+  WITH CHECK (public.is_group_manager());
+
+DROP POLICY IF EXISTS "auth_select_profile_sites" ON profile_sites;
+CREATE POLICY "auth_select_profile_sites"
+  ON profile_sites FOR SELECT TO authenticated
+  USING (user_id = auth.uid() OR public.manages_site(site_id));
+
+-- RLS — rtw_records: staff keep to their own records, managers to their sites
+DROP POLICY IF EXISTS "auth_select_records" ON rtw_records;
+CREATE POLICY "auth_select_records"
+  ON rtw_records FOR SELECT TO authenticated
+  USING (created_by = auth.uid() OR public.manages_site(site_id));
+
+DROP POLICY IF EXISTS "auth_insert_records" ON rtw_records;
+CREATE POLICY "auth_insert_records"
+  ON rtw_records FOR INSERT TO authenticated
+  WITH CHECK (created_by = auth.uid() AND public.in_site(site_id));
+
+DROP POLICY IF EXISTS "auth_update_records" ON rtw_records;
+CREATE POLICY "auth_update_records"
+  ON rtw_records FOR UPDATE TO authenticated
+  USING (created_by = auth.uid() OR public.manages_site(site_id))
+  WITH CHECK ((created_by = auth.uid() AND public.in_site(site_id)) OR public.manages_site(site_id));
+
+DROP POLICY IF EXISTS "manager_delete_records" ON rtw_records;
+CREATE POLICY "manager_delete_records"
+  ON rtw_records FOR DELETE TO authenticated
+  USING (public.manages_site(site_id));
+
+-- RLS — what follows a record: scans, people and revisions
+DROP POLICY IF EXISTS "auth_upload_scans" ON storage.objects;
+CREATE POLICY "auth_upload_scans"
+  ON storage.objects FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'document-scans'
+    AND (public.owns_scan(name) OR public.manages_record((split_part(name, '/', 1))::uuid))
+  );
+
+DROP POLICY IF EXISTS "auth_read_scans" ON storage.objects;
+CREATE POLICY "auth_read_scans"
+  ON storage.objects FOR SELECT TO authenticated
+  USING (
+    bucket_id = 'document-scans'
+    AND (public.owns_scan(name) OR public.manages_record((split_part(name, '/', 1))::uuid))
+  );
+
+DROP POLICY IF EXISTS "auth_delete_scans" ON storage.objects;
+CREATE POLICY "auth_delete_scans"
+  ON storage.objects FOR DELETE TO authenticated
+  USING (
+    bucket_id = 'document-scans'
+    AND public.manages_record((split_part(name, '/', 1))::uuid)
+  );
+
+DROP POLICY IF EXISTS "auth_select_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_select_document_scans"
+  ON rtw_document_scans FOR SELECT TO authenticated
+  USING (public.owns_scan(storage_path) OR public.manages_record(record_id));
+
+DROP POLICY IF EXISTS "auth_insert_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_insert_document_scans"
+  ON rtw_document_scans FOR INSERT TO authenticated
+  WITH CHECK (
+    split_part(storage_path, '/', 1) = record_id::text
+    AND (public.owns_scan(storage_path) OR public.manages_record(record_id))
+  );
+
+DROP POLICY IF EXISTS "auth_select_people" ON rtw_people;
+CREATE POLICY "auth_select_people"
+  ON rtw_people FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.rtw_records
+      WHERE person_id = rtw_people.id
+        AND (created_by = auth.uid() OR public.manages_site(site_id))
+    )
+  );
+
+DROP POLICY IF EXISTS "auth_select_revisions" ON rtw_record_revisions;
+CREATE POLICY "auth_select_revisions"
+  ON rtw_record_revisions FOR SELECT TO authenticated
+  USING (
+    public.manages_record(record_id)
+    OR EXISTS (
+      SELECT 1 FROM public.rtw_records
+      WHERE id = rtw_record_revisions.record_id AND created_by = auth.uid()
+    )
+  );
+
+-- RLS — onboarding records and their scans
+DROP POLICY IF EXISTS "managers_select_onboarding" ON onboarding_records;
+CREATE POLICY "managers_select_onboarding" ON onboarding_records
+  FOR SELECT TO authenticated USING (public.manages_site(site_id));
+DROP POLICY IF EXISTS "managers_insert_onboarding" ON onboarding_records;
+CREATE POLICY "managers_insert_onboarding" ON onboarding_records
+  FOR INSERT TO authenticated WITH CHECK (public.manages_site(site_id));
+DROP POLICY IF EXISTS "managers_update_onboarding" ON onboarding_records;
+CREATE POLICY "managers_update_onboarding" ON onboarding_records
+  FOR UPDATE TO authenticated USING (public.manages_site(site_id)) WITH CHECK (public.manages_site(site_id));
+DROP POLICY IF EXISTS "managers_delete_onboarding" ON onboarding_records;
+CREATE POLICY "managers_delete_onboarding" ON onboarding_records
+  FOR DELETE TO authenticated USING (public.manages_site(site_id));
+
+-- Uploads stay open to any manager: the scan is uploaded before its record exists
+DROP POLICY IF EXISTS "managers_read_onboarding_scans" ON storage.objects;
+CREATE POLICY "managers_read_onboarding_scans" ON storage.objects
+  FOR SELECT TO authenticated
+  USING (bucket_id = 'onboarding-scans' AND public.manages_onboarding_scan(name));
+DROP POLICY IF EXISTS "managers_update_onboarding_scans" ON storage.objects;
+CREATE POLICY "managers_update_onboarding_scans" ON storage.objects
+  FOR UPDATE TO authenticated
+  USING (bucket_id = 'onboarding-scans' AND public.manages_onboarding_scan(name));
+DROP POLICY IF EXISTS "managers_delete_onboarding_scans" ON storage.objects;
+CREATE POLICY "managers_delete_onboarding_scans" ON storage.objects
+  FOR DELETE TO authenticated
+  USING (bucket_id = 'onboarding-scans' AND public.manages_onboarding_scan(name));
+
+-- RLS — deletion log, notifications and settings of the manager's sites.
+-- Rows without a site are for group managers only.
+DROP POLICY IF EXISTS "managers_read_deleted" ON deleted_records;
+CREATE POLICY "managers_read_deleted"
+  ON deleted_records FOR SELECT TO authenticated
+  USING (public.manages_site(site_id));
+
+DROP POLICY IF EXISTS "managers_insert_deleted" ON deleted_records;
+CREATE POLICY "managers_insert_deleted"
+  ON deleted_records FOR INSERT TO authenticated
+  WITH CHECK (public.manages_site(site_id));
+
+DROP POLICY IF EXISTS "managers_read_notifications" ON notifications;
+CREATE POLICY "managers_read_notifications"
+  ON notifications FOR SELECT TO authenticated
+  USING (public.is_manager() AND (site_id IS NULL OR public.manages_site(site_id)));
+
+DROP POLICY IF EXISTS "managers_update_notifications" ON notifications;
+CREATE POLICY "managers_update_notifications"
+  ON notifications FOR UPDATE TO authenticated
+  USING (public.is_manager() AND (site_id IS NULL OR public.manages_site(site_id)));
+
+DROP POLICY IF EXISTS "managers_insert_notifications" ON notifications;
+CREATE POLICY "managers_insert_notifications"
+  ON notifications FOR INSERT TO authenticated
+  WITH CHECK (public.is_manager() AND (site_id IS NULL OR public.manages_site(site_id)));
+
+DROP POLICY IF EXISTS "auth_select_organisation_settings" ON organisation_settings;
+CREATE POLICY "auth_select_organisation_settings"
+  ON organisation_settings FOR SELECT TO authenticated
+  USING (public.in_site(site_id));
+
+DROP POLICY IF EXISTS "manager_update_organisation_settings" ON organisation_settings;
+CREATE POLICY "manager_update_organisation_settings"
+  ON organisation_settings FOR UPDATE TO authenticated
+  USING (public.manages_site(site_id))
+  WITH CHECK (public.manages_site(site_id));
+
+-- RLS — people and their activity: managers see the users at their sites, and
+-- the audit entries for those users and for the records at their sites
+DROP POLICY IF EXISTS "managers_read_all_profiles" ON profiles;
+CREATE POLICY "managers_read_all_profiles"
+  ON profiles FOR SELECT TO authenticated
+  USING (
+    public.is_group_manager()
+    OR EXISTS (
+      SELECT 1 FROM public.profile_sites ps
+      WHERE ps.user_id = profiles.id AND public.manages_site(ps.site_id)
+    )
+  );
+
+DROP POLICY IF EXISTS "managers_read_audit" ON audit_log;
+CREATE POLICY "managers_read_audit"
+  ON audit_log FOR SELECT TO authenticated
+  USING (
+    public.is_group_manager()
+    OR (public.is_manager() AND (
+      public.manages_record(record_id)
+      OR EXISTS (
+        SELECT 1 FROM public.onboarding_records o
+        WHERE o.id = audit_log.record_id AND public.manages_site(o.site_id)
+      )
+      OR EXISTS (
+        SELECT 1 FROM public.profile_sites ps
+        WHERE ps.user_id = audit_log.user_id AND public.manages_site(ps.site_id)
+      )
+    ))
+  );
+
+-- Bring statuses up to date with each site's settings
+SELECT public.refresh_rtw_statuses();
+
+-- ===========================================================================
+-- Section 35: Roles and capabilities
+-- ===========================================================================
+-- A role is a set of capabilities, and the policies, views and Edge
+-- Functions check capabilities rather than role names. Capabilities:
+--   view_all_records   see every record at their sites, not only their own
+--   check_records      carry out checks, and edit them until they lock
+--   amend_records      raise amendments to locked records
+--   delete_records     delete records
+--   review_referrals   the compliance risk panel and manager notifications
+--   manage_onboarding  onboarding records and their scans
+--   view_reports       compliance reports
+--   view_audit_log     audit trail and login history
+--   manage_checklists  IDSP providers and checklist versions
+--   manage_retention   delete records due for deletion, and the deletion log
+--   manage_settings    their sites' settings
+--   manage_users       add users and change their roles and sites
+--   manage_sites       add sites and set their Drive folders
+-- Staff become checkers, which new users also start as. Roles that can add
+-- sites (manage_sites) work at every site (in_site, Section 34).
+CREATE TABLE IF NOT EXISTS roles (
+  role TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_capabilities (
+  role TEXT NOT NULL REFERENCES roles(role) ON DELETE CASCADE,
+  capability TEXT NOT NULL,
+  PRIMARY KEY (role, capability)
+);
+
+INSERT INTO roles (role, label, description) VALUES
+  ('group_manager', 'Group manager', 'Everything, at every site, including adding sites'),
+  ('manager', 'Manager', 'Everything at their sites'),
+  ('hr_admin', 'HR admin', 'Checks, onboarding, reports and users at their sites'),
+  ('reviewer', 'Reviewer', 'Reviews checks referred to a manager and amends records'),
+  ('checker', 'Checker', 'Carries out right to work checks'),
+  ('auditor', 'Auditor', 'Reads records, reports and the audit log'),
+  ('dpo', 'Data protection officer', 'Deletes records at the end of their retention period')
+ON CONFLICT (role) DO UPDATE SET label = EXCLUDED.label, description = EXCLUDED.description;
+
+DELETE FROM role_capabilities;
+INSERT INTO role_capabilities (role, capability)
+SELECT 'group_manager', c FROM unnest(ARRAY[
+  'view_all_records', 'check_records', 'amend_records', 'delete_records', 'review_referrals',
+  'manage_onboarding', 'view_reports', 'view_audit_log', 'manage_checklists', 'manage_retention',
+  'manage_settings', 'manage_users', 'manage_sites']) AS c
+UNION ALL
+SELECT 'manager', c FROM unnest(ARRAY[
+  'view_all_records', 'check_records', 'amend_records', 'delete_records', 'review_referrals',
+  'manage_onboarding', 'view_reports', 'view_audit_log', 'manage_checklists', 'manage_retention',
+  'manage_settings', 'manage_users']) AS c
+UNION ALL
+SELECT 'hr_admin', c FROM unnest(ARRAY[
+  'view_all_records', 'check_records', 'manage_onboarding', 'view_reports', 'manage_users']) AS c
+UNION ALL
+SELECT 'reviewer', c FROM unnest(ARRAY['view_all_records', 'amend_records', 'review_referrals']) AS c
+UNION ALL
+SELECT 'checker', 'check_records'
+UNION ALL
+SELECT 'auditor', c FROM unnest(ARRAY['view_all_records', 'view_reports', 'view_audit_log']) AS c
+UNION ALL
+SELECT 'dpo', 'manage_retention';
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_capabilities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auth_select_roles" ON roles;
+CREATE POLICY "auth_select_roles"
+  ON roles FOR SELECT TO authenticated USING (true);
+
+DROP POLICY IF EXISTS "auth_select_role_capabilities" ON role_capabilities;
+CREATE POLICY "auth_select_role_capabilities"
+  ON role_capabilities FOR SELECT TO authenticated USING (true);
+
+-- The roles table replaces the list in the CHECK constraint. Staff carried
+-- out checks, so they keep doing so as checkers.
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_fkey;
+UPDATE profiles SET role = 'checker' WHERE role = 'staff';
+ALTER TABLE profiles ALTER COLUMN role SET DEFAULT 'checker';
+ALTER TABLE profiles ADD CONSTRAINT profiles_role_fkey FOREIGN KEY (role) REFERENCES roles(role);
+DELETE FROM roles WHERE role = 'staff';
+
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.profiles (id, email, full_name, role)
+  VALUES (
+    NEW.id,
+    NEW.email,
+    COALESCE(NEW.raw_user_meta_data->>'full_name', NEW.email),
+    'checker'  -- Always assign checker; managers promote via separate endpoint (security: C3)
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Roles change only through the manage-user Edge Function, never by users
+-- updating their own profile
+CREATE OR REPLACE FUNCTION public.prevent_role_self_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.role IS DISTINCT FROM OLD.role
+     AND auth.role() IS NOT NULL AND auth.role() <> 'service_role' THEN
+    RAISE EXCEPTION 'Roles can only be changed by a manager' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS profiles_prevent_role_self_change ON profiles;
+CREATE TRIGGER profiles_prevent_role_self_change
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_role_self_change();
+
+-- Capability checks for the policies below
+CREATE OR REPLACE FUNCTION public.has_capability(cap TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles p
+    JOIN public.role_capabilities rc ON rc.role = p.role
+    WHERE p.id = auth.uid() AND rc.capability = cap
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- Working at every site goes with adding sites, rather than with the
+-- group_manager role name, for in_site() and the other Section 34 checks
+CREATE OR REPLACE FUNCTION public.is_group_manager()
+RETURNS BOOLEAN AS $$
+  SELECT public.has_capability('manage_sites');
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- The current user has the capability and works at the site
+CREATE OR REPLACE FUNCTION public.can_at_site(cap TEXT, target_site UUID)
+RETURNS BOOLEAN AS $$
+  SELECT public.has_capability(cap) AND public.in_site(target_site);
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- The current user can see the record. Deliberately not SECURITY DEFINER: the
+-- rtw_records SELECT policy decides, so scans, people and revisions follow it.
+CREATE OR REPLACE FUNCTION public.can_see_record(target_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM public.rtw_records WHERE id = target_id);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION public.manages_onboarding_scan(object_name TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT public.is_group_manager() OR EXISTS (
+    SELECT 1 FROM public.onboarding_records
+    WHERE paper_scan_path = object_name AND public.can_at_site('manage_onboarding', site_id)
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- RLS — sites and memberships
+DROP POLICY IF EXISTS "group_manager_insert_sites" ON sites;
+CREATE POLICY "group_manager_insert_sites"
+  ON sites FOR INSERT TO authenticated
+  WITH CHECK (public.has_capability('manage_sites'));
+
+DROP POLICY IF EXISTS "group_manager_update_sites" ON sites;
+CREATE POLICY "group_manager_update_sites"
+  ON sites FOR UPDATE TO authenticated
+  USING (public.has_capability('manage_sites'))
+  WITH CHECK (public.has_capability('manage_sites'));
+
+DROP POLICY IF EXISTS "auth_select_profile_sites" ON profile_sites;
+CREATE POLICY "auth_select_profile_sites"
+  ON profile_sites FOR SELECT TO authenticated
+  USING (user_id = auth.uid() OR public.can_at_site('manage_users', site_id));
+
+-- RLS — rtw_records. Everyone keeps the records they created. Checkers also
+-- complete pending onboarding checks at their sites, and the DPO sees the
+-- leavers whose records are due for deletion.
+DROP POLICY IF EXISTS "auth_select_records" ON rtw_records;
+CREATE POLICY "auth_select_records"
+  ON rtw_records FOR SELECT TO authenticated
+  USING (
+    created_by = auth.uid()
+    OR public.can_at_site('view_all_records', site_id)
+    OR (onboarding_id IS NOT NULL AND check_date IS NULL AND public.can_at_site('check_records', site_id))
+    OR (deletion_due_date IS NOT NULL AND public.can_at_site('manage_retention', site_id))
+  );
+
+-- Onboarding managers create the pending record for a new starter
+DROP POLICY IF EXISTS "auth_insert_records" ON rtw_records;
+CREATE POLICY "auth_insert_records"
+  ON rtw_records FOR INSERT TO authenticated
+  WITH CHECK (
+    created_by = auth.uid()
+    AND (public.can_at_site('check_records', site_id)
+      OR (onboarding_id IS NOT NULL AND public.can_at_site('manage_onboarding', site_id)))
+  );
+
+-- The edit lock and amendment triggers (Sections 18 and 19) decide what can
+-- change once a record is locked
+DROP POLICY IF EXISTS "auth_update_records" ON rtw_records;
+CREATE POLICY "auth_update_records"
+  ON rtw_records FOR UPDATE TO authenticated
+  USING (
+    created_by = auth.uid()
+    OR public.can_at_site('amend_records', site_id)
+    OR (public.can_at_site('check_records', site_id)
+      AND (public.has_capability('view_all_records') OR (onboarding_id IS NOT NULL AND check_date IS NULL)))
+  )
+  WITH CHECK (
+    public.in_site(site_id)
+    AND (created_by = auth.uid()
+      OR public.has_capability('amend_records')
+      OR public.has_capability('check_records'))
+  );
+
+DROP POLICY IF EXISTS "manager_delete_records" ON rtw_records;
+CREATE POLICY "manager_delete_records"
+  ON rtw_records FOR DELETE TO authenticated
+  USING (
+    public.can_at_site('delete_records', site_id)
+    OR (deletion_due_date <= current_date AND public.can_at_site('manage_retention', site_id))
+  );
+
+-- RLS — what follows a record: scans, people and revisions
+DROP POLICY IF EXISTS "auth_upload_scans" ON storage.objects;
+CREATE POLICY "auth_upload_scans"
+  ON storage.objects FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'document-scans'
+    AND public.can_see_record((split_part(name, '/', 1))::uuid)
+    AND (public.owns_scan(name) OR public.has_capability('check_records') OR public.has_capability('amend_records'))
+  );
+
+DROP POLICY IF EXISTS "auth_read_scans" ON storage.objects;
+CREATE POLICY "auth_read_scans"
+  ON storage.objects FOR SELECT TO authenticated
+  USING (
+    bucket_id = 'document-scans'
+    AND public.can_see_record((split_part(name, '/', 1))::uuid)
+  );
+
+DROP POLICY IF EXISTS "auth_delete_scans" ON storage.objects;
+CREATE POLICY "auth_delete_scans"
+  ON storage.objects FOR DELETE TO authenticated
+  USING (
+    bucket_id = 'document-scans'
+    AND public.can_see_record((split_part(name, '/', 1))::uuid)
+    AND (public.has_capability('delete_records') OR public.has_capability('manage_retention'))
+  );
+
+DROP POLICY IF EXISTS "auth_select_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_select_document_scans"
+  ON rtw_document_scans FOR SELECT TO authenticated
+  USING (public.can_see_record(record_id));
+
+DROP POLICY IF EXISTS "auth_insert_document_scans" ON rtw_document_scans;
+CREATE POLICY "auth_insert_document_scans"
+  ON rtw_document_scans FOR INSERT TO authenticated
+  WITH CHECK (
+    split_part(storage_path, '/', 1) = record_id::text
+    AND public.can_see_record(record_id)
+    AND (public.owns_scan(storage_path) OR public.has_capability('check_records') OR public.has_capability('amend_records'))
+  );
+
+DROP POLICY IF EXISTS "auth_select_people" ON rtw_people;
+CREATE POLICY "auth_select_people"
+  ON rtw_people FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.rtw_records WHERE person_id = rtw_people.id));
+
+DROP POLICY IF EXISTS "auth_select_revisions" ON rtw_record_revisions;
+CREATE POLICY "auth_select_revisions"
+  ON rtw_record_revisions FOR SELECT TO authenticated
+  USING (public.can_see_record(record_id));
+
+-- RLS — reference data
+DROP POLICY IF EXISTS "manager_insert_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_insert_idsp_providers"
+  ON idsp_providers FOR INSERT TO authenticated
+  WITH CHECK (public.has_capability('manage_checklists'));
+
+DROP POLICY IF EXISTS "manager_update_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_update_idsp_providers"
+  ON idsp_providers FOR UPDATE TO authenticated
+  USING (public.has_capability('manage_checklists'))
+  WITH CHECK (public.has_capability('manage_checklists'));
+
+DROP POLICY IF EXISTS "manager_delete_idsp_providers" ON idsp_providers;
+CREATE POLICY "manager_delete_idsp_providers"
+  ON idsp_providers FOR DELETE TO authenticated
+  USING (public.has_capability('manage_checklists'));
+
+DROP POLICY IF EXISTS "manager_insert_checklist_versions" ON checklist_versions;
+CREATE POLICY "manager_insert_checklist_versions"
+  ON checklist_versions FOR INSERT TO authenticated
+  WITH CHECK (public.has_capability('manage_checklists'));
+
+-- RLS — onboarding. Checkers read and complete the onboarding record of the
+-- check they carry out.
+DROP POLICY IF EXISTS "managers_select_onboarding" ON onboarding_records;
+CREATE POLICY "managers_select_onboarding" ON onboarding_records
+  FOR SELECT TO authenticated
+  USING (public.can_at_site('manage_onboarding', site_id) OR public.can_at_site('check_records', site_id));
+DROP POLICY IF EXISTS "managers_insert_onboarding" ON onboarding_records;
+CREATE POLICY "managers_insert_onboarding" ON onboarding_records
+  FOR INSERT TO authenticated WITH CHECK (public.can_at_site('manage_onboarding', site_id));
+DROP POLICY IF EXISTS "managers_update_onboarding" ON onboarding_records;
+CREATE POLICY "managers_update_onboarding" ON onboarding_records
+  FOR UPDATE TO authenticated
+  USING (public.can_at_site('manage_onboarding', site_id) OR public.can_at_site('check_records', site_id))
+  WITH CHECK (public.can_at_site('manage_onboarding', site_id) OR public.can_at_site('check_records', site_id));
+DROP POLICY IF EXISTS "managers_delete_onboarding" ON onboarding_records;
+CREATE POLICY "managers_delete_onboarding" ON onboarding_records
+  FOR DELETE TO authenticated USING (public.can_at_site('manage_onboarding', site_id));
+
+DROP POLICY IF EXISTS "managers_upload_onboarding_scans" ON storage.objects;
+CREATE POLICY "managers_upload_onboarding_scans" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'onboarding-scans' AND public.has_capability('manage_onboarding'));
+
+-- RLS — deletion log, notifications and settings
+DROP POLICY IF EXISTS "managers_read_deleted" ON deleted_records;
+CREATE POLICY "managers_read_deleted"
+  ON deleted_records FOR SELECT TO authenticated
+  USING (public.can_at_site('manage_retention', site_id));
+
+DROP POLICY IF EXISTS "managers_insert_deleted" ON deleted_records;
+CREATE POLICY "managers_insert_deleted"
+  ON deleted_records FOR INSERT TO authenticated
+  WITH CHECK (public.can_at_site('delete_records', site_id) OR public.can_at_site('manage_retention', site_id));
+
+-- Notifications without a site come from the other apps. Referrals are
+-- raised by the database (Section 36).
+DROP POLICY IF EXISTS "managers_read_notifications" ON notifications;
+CREATE POLICY "managers_read_notifications"
+  ON notifications FOR SELECT TO authenticated
+  USING (
+    (site_id IS NULL AND public.has_capability('review_referrals'))
+    OR public.can_at_site('review_referrals', site_id)
+  );
+
+DROP POLICY IF EXISTS "managers_update_notifications" ON notifications;
+CREATE POLICY "managers_update_notifications"
+  ON notifications FOR UPDATE TO authenticated
+  USING (
+    (site_id IS NULL AND public.has_capability('review_referrals'))
+    OR public.can_at_site('review_referrals', site_id)
+  );
+
+DROP POLICY IF EXISTS "managers_insert_notifications" ON notifications;
+CREATE POLICY "managers_insert_notifications"
+  ON notifications FOR INSERT TO authenticated
+  WITH CHECK (
+    (site_id IS NULL AND public.has_capability('review_referrals'))
+    OR public.can_at_site('review_referrals', site_id)
+  );
+
+DROP POLICY IF EXISTS "manager_update_organisation_settings" ON organisation_settings;
+CREATE POLICY "manager_update_organisation_settings"
+  ON organisation_settings FOR UPDATE TO authenticated
+  USING (public.can_at_site('manage_settings', site_id))
+  WITH CHECK (public.can_at_site('manage_settings', site_id));
+
+-- RLS — people and their activity. Auditors see the audit entries for the
+-- users and records at their sites, and the users themselves.
+DROP POLICY IF EXISTS "managers_read_all_profiles" ON profiles;
+CREATE POLICY "managers_read_all_profiles"
+  ON profiles FOR SELECT TO authenticated
+  USING (
+    public.is_group_manager()
+    OR EXISTS (
+      SELECT 1 FROM public.profile_sites ps
+      WHERE ps.user_id = profiles.id
+        AND (public.can_at_site('manage_users', ps.site_id) OR public.can_at_site('view_audit_log', ps.site_id))
+    )
+  );
+
+DROP POLICY IF EXISTS "managers_read_audit" ON audit_log;
+CREATE POLICY "managers_read_audit"
+  ON audit_log FOR SELECT TO authenticated
+  USING (
+    public.is_group_manager()
+    OR (public.has_capability('view_audit_log') AND (
+      public.can_see_record(record_id)
+      OR EXISTS (
+        SELECT 1 FROM public.onboarding_records o
+        WHERE o.id = audit_log.record_id AND public.in_site(o.site_id)
+      )
+      OR EXISTS (
+        SELECT 1 FROM public.profile_sites ps
+        WHERE ps.user_id = audit_log.user_id AND public.in_site(ps.site_id)
+      )
+    ))
+  );
+
+-- ===========================================================================
+-- Section 36: Referral notifications
+-- ===========================================================================
+
+-- A check referred to a manager (status 'escalated', Section 31) notifies the
+-- managers of its site. Raised by the database rather than the app, as those
+-- carrying out checks cannot create notifications (security: C6).
+CREATE OR REPLACE FUNCTION public.notify_rtw_referral()
+RETURNS TRIGGER AS $$
+DECLARE
+  questions TEXT[];
+  question_list TEXT;
+BEGIN
+  IF NEW.status = 'escalated' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'escalated') THEN
+    -- Numbers of the questions answered No that refer the check
+    -- (ESCALATING_QUESTIONS in js/utils/verification-rules.js)
+    SELECT array_agg(substr(k, 2) ORDER BY k) INTO questions
+    FROM unnest(ARRAY['q1', 'q3', 'q5']) AS k
+    WHERE NEW.verification_answers->>k = 'No';
+    question_list := CASE
+      WHEN array_length(questions, 1) = 1 THEN 'question ' || questions[1]
+      ELSE 'questions ' || array_to_string(questions[1:array_length(questions, 1) - 1], ', ')
+        || ' and ' || questions[array_length(questions, 1)]
+    END;
+
+    INSERT INTO notifications (source_app, severity, title, message, action_url, record_id, site_id)
+    VALUES (
+      'rtw-checker', 'urgent',
+      'Referred to manager: ' || COALESCE(NEW.person_name, 'Unknown'),
+      'The right to work check for ' || COALESCE(NEW.person_name, 'Unknown') || ' could not establish a statutory excuse'
+        || COALESCE(' (No answer to ' || question_list || ')', '') || '. A manager should review it.',
+      'https://rtw.immersivecore.network/#/record/' || NEW.id,
+      NEW.id, NEW.site_id
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS rtw_records_notify_referral ON rtw_records;
+CREATE TRIGGER rtw_records_notify_referral
+  AFTER INSERT OR UPDATE ON rtw_records
+  FOR EACH ROW EXECUTE FUNCTION public.notify_rtw_referral();
+
+-- ===========================================================================
+-- Section 37: Latest check per person (rtw_latest_records)
+-- ===========================================================================
+
+-- Groups a person's checks: by person_id, falling back to name + DOB for
+-- unlinked records (personKey() in js/services/people-service.js). Declared
+-- immutable so rtw_records can be indexed on it; to_char() with a fixed
+-- pattern does not depend on DateStyle.
+CREATE OR REPLACE FUNCTION public.rtw_person_key(person_id UUID, person_name TEXT, date_of_birth DATE)
+RETURNS TEXT AS $$
+  SELECT COALESCE(person_id::text, lower(trim(COALESCE(person_name, ''))) || '|' || COALESCE(to_char(date_of_birth, 'YYYY-MM-DD'), ''));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_rtw_records_person_key ON rtw_records(public.rtw_person_key(person_id, person_name, date_of_birth));
+
+-- One row per person: their newest check, with the number of checks they
+-- have. Grouping and ordering match latestChecksByPerson() in
+-- js/services/people-service.js; checks not yet carried out count as the
+-- newest. security_invoker applies the caller's rtw_records RLS, so checkers
+-- see the latest of the checks they created. r.* is expanded when the view is
+-- created, so this section stays at the end of the file, after every column
+-- added to rtw_records.
+DROP VIEW IF EXISTS rtw_latest_records CASCADE;
+CREATE VIEW rtw_latest_records WITH (security_invoker = true) AS
+SELECT DISTINCT ON (person_key) *
+FROM (
+  SELECT
+    r.*,
+    public.rtw_person_key(r.person_id, r.person_name, r.date_of_birth) AS person_key,
+    count(*) OVER (PARTITION BY public.rtw_person_key(r.person_id, r.person_name, r.date_of_birth)) AS check_count
+  FROM rtw_records r
+) checks
+ORDER BY person_key, COALESCE(check_date, '9999-12-31'::date) DESC, created_at DESC NULLS LAST;
+
+GRANT SELECT ON rtw_latest_records TO authenticated;
+
+-- rtw_latest_records filtered for the dashboard. Filters on the view are
+-- applied after every person's latest check has been picked, so they cannot
+-- use the rtw_records indexes (Section 30). This finds the people with a
+-- matching check first, picks the latest check of those people only, then
+-- applies the filters to it. Null arguments do not filter. search matches
+-- part of the name or checker name, or a share code however it was entered.
+CREATE OR REPLACE FUNCTION public.search_rtw_latest_records(
+  search TEXT DEFAULT NULL,
+  statuses TEXT[] DEFAULT NULL,
+  type TEXT DEFAULT NULL,
+  method TEXT DEFAULT NULL,
+  site UUID DEFAULT NULL
+)
+RETURNS SETOF rtw_latest_records AS $$
+  SELECT l.*
+  FROM public.rtw_latest_records l
+  WHERE (
+      num_nonnulls(search, statuses, type, method, site) = 0
+      OR l.person_key = ANY (ARRAY(
+        SELECT public.rtw_person_key(r.person_id, r.person_name, r.date_of_birth)
+        FROM public.rtw_records r
+        WHERE (search IS NULL
+            OR r.person_name ILIKE '%' || search || '%'
+            OR r.checker_name ILIKE '%' || search || '%'
+            OR upper(regexp_replace(r.share_code, '[\s-]', '', 'g')) = upper(regexp_replace(search, '[\s-]', '', 'g')))
+          AND (statuses IS NULL OR r.status = ANY (statuses))
+          AND (type IS NULL OR r.check_type = type)
+          AND (method IS NULL OR r.check_method = method)
+          AND (site IS NULL OR r.site_id = site)
+      ))
+    )
+    AND (search IS NULL
+      OR l.person_name ILIKE '%' || search || '%'
+      OR l.checker_name ILIKE '%' || search || '%'
+      OR upper(regexp_replace(l.share_code, '[\s-]', '', 'g')) = upper(regexp_replace(search, '[\s-]', '', 'g')))
+    AND (statuses IS NULL OR l.status = ANY (statuses))
+    AND (type IS NULL OR l.check_type = type)
+    AND (method IS NULL OR l.check_method = method)
+    AND (site IS NULL OR l.site_id = site);
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.search_rtw_latest_records(TEXT, TEXT[], TEXT, TEXT, UUID) TO authenticated;
@@ -0,0 +1,216 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+// Subscribable iCal feed of follow-up, expiry and deletion dates.
+//
+// Calendar apps cannot send a session, so the caller is identified by the
+// secret token in ?token= (see calendar_feed_tokens). Deploy with
+//   supabase functions deploy calendar-feed --no-verify-jwt
+// Roles that can view all records get the records of their sites (every site
+// for roles that can add sites; see role_capabilities), and everyone else the
+// records they created, as the rtw_records RLS policies give them in the app.
+//
+// The events match js/utils/calendar-events.js; keep the two in step.
+
+const APP_URL = "https://rtw.immersivecore.network";
+
+const EVENT_LABELS: Record<string, string> = {
+  follow_up: "Follow-up check due",
+  expiry: "Permission expires",
+  deletion: "Record deletion due",
+};
+
+type RtwRecord = {
+  id: string;
+  person_id: string | null;
+  person_name: string | null;
+  date_of_birth: string | null;
+  check_date: string | null;
+  created_at: string | null;
+  follow_up_date: string | null;
+  expiry_date: string | null;
+  deletion_due_date: string | null;
+  employment_end_date: string | null;
+};
+
+type CalendarEvent = { uid: string; date: string; kind: string; title: string; recordId: string };
+
+function personKey(record: RtwRecord): string {
+  if (record.person_id) return record.person_id;
+  return (record.person_name || "").trim().toLowerCase() + "|" + (record.date_of_birth || "");
+}
+
+function checkSortKey(record: RtwRecord): string {
+  return (record.check_date || "9999-12-31") + "|" + (record.created_at || "");
+}
+
+function latestChecksByPerson(records: RtwRecord[]): RtwRecord[] {
+  const latest = new Map<string, RtwRecord>();
+  for (const record of records) {
+    const key = personKey(record);
+    const current = latest.get(key);
+    if (!current || checkSortKey(record) > checkSortKey(current)) latest.set(key, record);
+  }
+  return Array.from(latest.values());
+}
+
+function buildEvents(records: RtwRecord[]): CalendarEvent[] {
+  const events: CalendarEvent[] = [];
+  const add = (record: RtwRecord, kind: string, date: string) => events.push({
+    uid: `${record.id}-${kind}@rtw.immersivecore.network`,
+    date,
+    kind,
+    title: `${EVENT_LABELS[kind]}: ${record.person_name || "Unknown"}`,
+    recordId: record.id,
+  });
+
+  for (const record of latestChecksByPerson(records)) {
+    if (record.employment_end_date) continue;
+    if (record.follow_up_date) add(record, "follow_up", record.follow_up_date);
+    if (record.expiry_date) add(record, "expiry", record.expiry_date);
+  }
+  for (const record of records) {
+    if (record.deletion_due_date) add(record, "deletion", record.deletion_due_date);
+  }
+  return events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function icsText(str: string): string {
+  return str.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function foldLine(line: string): string {
+  const parts: string[] = [];
+  let rest = line;
+  while (rest.length > 74) {
+    parts.push(rest.slice(0, 74));
+    rest = " " + rest.slice(74);
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+}
+
+function nextDay(date: string): string {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function buildICalendar(events: CalendarEvent[]): string {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ImmersiveCore//RTW Checker//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Right to work dates",
+  ];
+  for (const event of events) {
+    const url = `${APP_URL}/#/record/${event.recordId}`;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${event.date.replace(/-/g, "")}`,
+      `DTEND;VALUE=DATE:${nextDay(event.date).replace(/-/g, "")}`,
+      `SUMMARY:${icsText(event.title)}`,
+      `DESCRIPTION:${icsText(`${event.title}\nOpen the record: ${url}`)}`,
+      `URL:${url}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function textResponse(message: string, status: number) {
+  return new Response(message, { status, headers: { "Content-Type": "text/plain" } });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method !== "GET") {
+    return textResponse("Method not allowed", 405);
+  }
+
+  try {
+    const token = new URL(req.url).searchParams.get("token");
+    if (!token) {
+      return textResponse("Missing token", 401);
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const adminClient = createClient(supabaseUrl, serviceRoleKey);
+
+    const { data: feed, error: tokenError } = await adminClient
+      .from("calendar_feed_tokens")
+      .select("user_id")
+      .eq("token", token)
+      .maybeSingle();
+
+    if (tokenError || !feed) {
+      return textResponse("Invalid or reset calendar link", 401);
+    }
+
+    const { data: profile, error: profileError } = await adminClient
+      .from("profiles")
+      .select("role")
+      .eq("id", feed.user_id)
+      .single();
+
+    if (profileError || !profile) {
+      return textResponse("Account not found", 403);
+    }
+
+    const { data: capabilityRows, error: capabilityError } = await adminClient
+      .from("role_capabilities")
+      .select("capability")
+      .eq("role", profile.role)
+      .in("capability", ["view_all_records", "manage_sites"]);
+
+    if (capabilityError) {
+      return textResponse("Failed to load role: " + capabilityError.message, 500);
+    }
+    const capabilities = new Set((capabilityRows || []).map((row: { capability: string }) => row.capability));
+
+    let query = adminClient
+      .from("rtw_records")
+      .select("id, person_id, person_name, date_of_birth, check_date, created_at, follow_up_date, expiry_date, deletion_due_date, employment_end_date");
+
+    // Those who can add sites work at every site (in_site, Section 34), so
+    // viewing all records gives them every record
+    const worksAtEverySite = capabilities.has("manage_sites");
+    if (!capabilities.has("view_all_records")) {
+      query = query.eq("created_by", feed.user_id);
+    } else if (!worksAtEverySite) {
+      const { data: memberships, error: sitesError } = await adminClient
+        .from("profile_sites")
+        .select("site_id")
+        .eq("user_id", feed.user_id);
+      if (sitesError) {
+        return textResponse("Failed to load sites: " + sitesError.message, 500);
+      }
+      const siteIds = (memberships || []).map((m: { site_id: string }) => m.site_id);
+      query = siteIds.length
+        ? query.or(`created_by.eq.${feed.user_id},site_id.in.(${siteIds.join(",")})`)
+        : query.eq("created_by", feed.user_id);
+    }
+
+    const { data: records, error: recordsError } = await query;
+    if (recordsError) {
+      return textResponse("Failed to load records: " + recordsError.message, 500);
+    }
+
+    return new Response(buildICalendar(buildEvents(records || [])), {
+      status: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="rtw-dates.ics"',
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (err) {
+    return textResponse("Unexpected error: " + (err as Error).message, 500);
+  }
+});
@@ -16,6 +16,18 @@ function getCorsHeaders(req: Request) {
   };
 }
 
+type AdminClient = ReturnType<typeof createClient>;
+
+// What a role can do (role_capabilities, Section 35 of supabase-auth-setup.sql)
+async function capabilitiesOf(client: AdminClient, role: string): Promise<Set<string>> {
+  const { data, error } = await client
+    .from("role_capabilities")
+    .select("capability")
+    .eq("role", role);
+  if (error) throw new Error(error.message);
+  return new Set((data || []).map((row: { capability: string }) => row.capability));
+}
+
 Deno.serve(async (req: Request) => {
   const corsHeaders = getCorsHeaders(req);
 
@@ -56,15 +68,16 @@ Deno.serve(async (req: Request) => {
       .eq("id", caller.id)
       .single();
 
-    if (profileError || profile?.role !== "manager") {
-      return new Response(JSON.stringify({ error: "Only managers can create users" }), {
+    const callerCapabilities = profile ? await capabilitiesOf(adminClient, profile.role) : new Set<string>();
+    if (profileError || !callerCapabilities.has("manage_users")) {
+      return new Response(JSON.stringify({ error: "Your role cannot create users" }), {
         status: 403,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
 
     // 3. Parse the request body
-    const { email, full_name, role, password } = await req.json();
+    const { email, full_name, role, password, site_ids } = await req.json();
 
     if (!email || !full_name) {
       return new Response(JSON.stringify({ error: "Email and full_name are required" }), {
@@ -73,20 +86,65 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    if (role && !["manager", "staff"].includes(role)) {
-      return new Response(JSON.stringify({ error: "Role must be 'manager' or 'staff'" }), {
+    const newRole = role || "checker";
+    const { data: roleRow } = await adminClient
+      .from("roles")
+      .select("role")
+      .eq("role", newRole)
+      .maybeSingle();
+    if (!roleRow) {
+      return new Response(JSON.stringify({ error: `Unknown role '${newRole}'` }), {
         status: 400,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
 
+    // No one can give a role more than their own
+    const roleCapabilities = await capabilitiesOf(adminClient, newRole);
+    if (![...roleCapabilities].every((cap) => callerCapabilities.has(cap))) {
+      return new Response(JSON.stringify({ error: "You cannot give a role that can do more than yours" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Every user works at one or more sites; only those who can add sites
+    // work at every site (in_site, Section 34), so everyone else can only add
+    // users to their own
+    if (!Array.isArray(site_ids) || site_ids.length === 0) {
+      return new Response(JSON.stringify({ error: "site_ids must list at least one site" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!callerCapabilities.has("manage_sites")) {
+      const { data: callerSites, error: sitesError } = await adminClient
+        .from("profile_sites")
+        .select("site_id")
+        .eq("user_id", caller.id);
+      if (sitesError) {
+        return new Response(JSON.stringify({ error: sitesError.message }), {
+          status: 500,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const own = new Set((callerSites || []).map((s: { site_id: string }) => s.site_id));
+      if (!site_ids.every((id: string) => own.has(id))) {
+        return new Response(JSON.stringify({ error: "You can only add users to your own sites" }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
     // 4. Create the user with the admin client
     const createOptions: Record<string, unknown> = {
       email,
       email_confirm: true,
       user_metadata: {
         full_name,
-        role: role || "staff",
+        role: newRole,
       },
     };
 
@@ -103,6 +161,32 @@ Deno.serve(async (req: Request) => {
       });
     }
 
+    // 5. Give the user their role (the profile trigger always starts them as checker)
+    if (newRole !== "checker") {
+      const { error: roleError } = await adminClient
+        .from("profiles")
+        .update({ role: newRole, updated_at: new Date().toISOString() })
+        .eq("id", newUser.user.id);
+      if (roleError) {
+        return new Response(JSON.stringify({ error: "User created, but setting their role failed: " + roleError.message }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // 6. Add the user to their sites
+    const { error: sitesInsertError } = await adminClient
+      .from("profile_sites")
+      .insert(site_ids.map((site_id: string) => ({ user_id: newUser.user.id, site_id })));
+
+    if (sitesInsertError) {
+      return new Response(JSON.stringify({ error: "User created, but adding them to their sites failed: " + sitesInsertError.message }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
     return new Response(JSON.stringify({ user: newUser.user }), {
       status: 201,
       headers: { ...corsHeaders, "Content-Type": "application/json" },
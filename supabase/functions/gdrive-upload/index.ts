@@ -1,3 +1,5 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
@@ -165,6 +167,25 @@ async function uploadFile(
   return { id: data.id, webViewLink: data.webViewLink };
 }
 
+/**
+ * The Drive folder of a site (see the sites table), looked up as the caller so
+ * RLS only returns sites they work at. Null when the site has no folder of
+ * its own.
+ */
+async function getSiteRootFolderId(authHeader: string, siteId: string): Promise<string | null> {
+  const client = createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_ANON_KEY")!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { data, error } = await client
+    .from("sites")
+    .select("gdrive_root_folder_id")
+    .eq("id", siteId)
+    .maybeSingle();
+  if (error) throw new Error(`Site lookup error: ${error.message}`);
+  if (!data) throw new Error("Site not found");
+  return data.gdrive_root_folder_id;
+}
+
 // ---- Main handler ----
 
 Deno.serve(async (req: Request) => {
@@ -231,6 +252,7 @@ Deno.serve(async (req: Request) => {
       file_base64,
       mime_type,
       subfolder,
+      site_id,
       source_app,
       old_file_id,
     } = body;
@@ -248,8 +270,9 @@ Deno.serve(async (req: Request) => {
       await deleteItem(token, old_file_id);
     }
 
-    // Load root folder ID from env
-    const rootFolderId = Deno.env.get("GOOGLE_DRIVE_ROOT_FOLDER_ID");
+    // Root folder: the site's own, else the default from env
+    const siteFolderId = site_id ? await getSiteRootFolderId(authHeader, site_id) : null;
+    const rootFolderId = siteFolderId || Deno.env.get("GOOGLE_DRIVE_ROOT_FOLDER_ID");
     if (!rootFolderId) {
       return new Response(
         JSON.stringify({ error: "Google Drive root folder not configured" }),
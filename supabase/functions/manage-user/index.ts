@@ -16,6 +16,23 @@ function getCorsHeaders(req: Request) {
   };
 }
 
+type AdminClient = ReturnType<typeof createClient>;
+
+// What a role can do (role_capabilities, Section 35 of supabase-auth-setup.sql)
+async function capabilitiesOf(client: AdminClient, role: string): Promise<Set<string>> {
+  const { data, error } = await client
+    .from("role_capabilities")
+    .select("capability")
+    .eq("role", role);
+  if (error) throw new Error(error.message);
+  return new Set((data || []).map((row: { capability: string }) => row.capability));
+}
+
+// Whether every capability of the role is one the caller has
+function isWithin(roleCapabilities: Set<string>, callerCapabilities: Set<string>): boolean {
+  return [...roleCapabilities].every((cap) => callerCapabilities.has(cap));
+}
+
 Deno.serve(async (req: Request) => {
   const corsHeaders = getCorsHeaders(req);
 
@@ -54,14 +71,17 @@ Deno.serve(async (req: Request) => {
       .eq("id", caller.id)
       .single();
 
-    if (profileError || callerProfile?.role !== "manager") {
-      return new Response(JSON.stringify({ error: "Only managers can manage users" }), {
+    const callerCapabilities = callerProfile ? await capabilitiesOf(adminClient, callerProfile.role) : new Set<string>();
+    if (profileError || !callerCapabilities.has("manage_users")) {
+      return new Response(JSON.stringify({ error: "Your role cannot manage users" }), {
         status: 403,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
 
-    const { action, user_id, role } = await req.json();
+    const { action, user_id, role, site_ids } = await req.json();
+    // Those who can add sites work at every site (in_site, Section 34)
+    const worksAtEverySite = callerCapabilities.has("manage_sites");
 
     if (!user_id) {
       return new Response(JSON.stringify({ error: "user_id is required" }), {
@@ -70,7 +90,7 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Prevent managers from modifying themselves
+    // Prevent users from modifying themselves
     if (user_id === caller.id) {
       return new Response(JSON.stringify({ error: "You cannot modify your own account" }), {
         status: 400,
@@ -78,14 +98,66 @@ Deno.serve(async (req: Request) => {
       });
     }
 
+    const siteIdsOf = async (userId: string): Promise<string[]> => {
+      const { data, error } = await adminClient
+        .from("profile_sites")
+        .select("site_id")
+        .eq("user_id", userId);
+      if (error) throw new Error(error.message);
+      return (data || []).map((s: { site_id: string }) => s.site_id);
+    };
+
+    const { data: target } = await adminClient
+      .from("profiles")
+      .select("role")
+      .eq("id", user_id)
+      .maybeSingle();
+
+    if (!target) {
+      return new Response(JSON.stringify({ error: "User not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // No one can manage a user whose role can do more than theirs
+    if (!isWithin(await capabilitiesOf(adminClient, target.role), callerCapabilities)) {
+      return new Response(JSON.stringify({ error: "You cannot manage a user whose role can do more than yours" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Everyone else can only manage users who work only at their sites
+    const callerSites = worksAtEverySite ? [] : await siteIdsOf(caller.id);
+    if (!worksAtEverySite) {
+      const targetSites = await siteIdsOf(user_id);
+      if (targetSites.length === 0 || !targetSites.every((id) => callerSites.includes(id))) {
+        return new Response(JSON.stringify({ error: "You can only manage users at your own sites" }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
     if (action === "update_role") {
-      if (!role || !["manager", "staff"].includes(role)) {
-        return new Response(JSON.stringify({ error: "Role must be 'manager' or 'staff'" }), {
+      const { data: roleRow } = role
+        ? await adminClient.from("roles").select("role").eq("role", role).maybeSingle()
+        : { data: null };
+      if (!roleRow) {
+        return new Response(JSON.stringify({ error: `Unknown role '${role || ""}'` }), {
           status: 400,
           headers: { ...corsHeaders, "Content-Type": "application/json" },
         });
       }
 
+      if (!isWithin(await capabilitiesOf(adminClient, role), callerCapabilities)) {
+        return new Response(JSON.stringify({ error: "You cannot give a role that can do more than yours" }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
       // Update profile role
       const { error: updateError } = await adminClient
         .from("profiles")
@@ -110,11 +182,50 @@ Deno.serve(async (req: Request) => {
       });
     }
 
+    if (action === "update_sites") {
+      if (!Array.isArray(site_ids) || site_ids.length === 0) {
+        return new Response(JSON.stringify({ error: "site_ids must list at least one site" }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      if (!worksAtEverySite && !site_ids.every((id: string) => callerSites.includes(id))) {
+        return new Response(JSON.stringify({ error: "You can only add users to your own sites" }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      const { error: upsertError } = await adminClient
+        .from("profile_sites")
+        .upsert(site_ids.map((site_id: string) => ({ user_id, site_id })), { ignoreDuplicates: true });
+
+      const { error: removeError } = upsertError ? { error: null } : await adminClient
+        .from("profile_sites")
+        .delete()
+        .eq("user_id", user_id)
+        .not("site_id", "in", `(${site_ids.join(",")})`);
+
+      if (upsertError || removeError) {
+        return new Response(JSON.stringify({ error: (upsertError || removeError)!.message }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true, message: "Sites updated" }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
     if (action === "delete") {
       // Nullify FK references in tables that reference auth.users(id)
       // so the cascade from auth.users deletion doesn't fail on constraints
       await adminClient.from("audit_log").update({ user_id: null }).eq("user_id", user_id);
       await adminClient.from("rtw_records").update({ created_by: null }).eq("created_by", user_id);
+      await adminClient.from("rtw_records").update({ amended_by: null }).eq("amended_by", user_id);
       await adminClient.from("deleted_records").update({ deleted_by: null }).eq("deleted_by", user_id);
       await adminClient.from("onboarding_records").update({ created_by: null }).eq("created_by", user_id);
       await adminClient.from("training_sessions").update({ trainer_id: null }).eq("trainer_id", user_id);
@@ -139,7 +250,7 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    return new Response(JSON.stringify({ error: "Invalid action. Use 'update_role' or 'delete'" }), {
+    return new Response(JSON.stringify({ error: "Invalid action. Use 'update_role', 'update_sites' or 'delete'" }), {
       status: 400,
       headers: { ...corsHeaders, "Content-Type": "application/json" },
     });
@@ -0,0 +1,29 @@
+// Runs the shared status fixtures (status-fixtures.json) through
+// calculateStatus(). status-fixtures.sql runs the same fixtures through
+// compute_rtw_status() in the database, so passing both shows the browser and
+// database rules agree. A fixture's settings, if any, stand for its site's
+// settings; otherwise the default warning windows apply.
+//
+// Run from the repo root:
+//   node tests/status-fixtures.js
+
+import { readFileSync } from 'node:fs';
+import { calculateStatus } from '../js/services/status-service.js';
+import { DEFAULT_SETTINGS } from '../js/services/settings-service.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./status-fixtures.json', import.meta.url), 'utf8'));
+
+let failed = 0;
+for (const fixture of fixtures) {
+  const actual = calculateStatus(fixture.record, { ...DEFAULT_SETTINGS, ...fixture.settings }, fixture.as_of);
+  if (actual !== fixture.expected) {
+    failed++;
+    console.error(`FAIL ${fixture.name}: expected ${fixture.expected}, got ${actual}`);
+  }
+}
+
+if (failed > 0) {
+  console.error(`${failed} of ${fixtures.length} status fixtures failed`);
+  process.exit(1);
+}
+console.log(`All ${fixtures.length} status fixtures pass`);
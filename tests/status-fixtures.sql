@@ -0,0 +1,64 @@
+-- Runs the shared status fixtures (status-fixtures.json) through
+-- compute_rtw_status(). status-fixtures.js runs the same fixtures through
+-- calculateStatus() in the browser code, so passing both shows the two rule
+-- sets agree. A fixture with settings gets a site of its own with those
+-- settings; the others have no site, so the default warning windows apply.
+-- Everything runs in a transaction that is rolled back, so nothing is written
+-- to the database.
+--
+-- Run from the repo root with psql, against a database with the schema:
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f tests/status-fixtures.sql
+
+\set fixtures `cat tests/status-fixtures.json`
+
+BEGIN;
+
+CREATE TEMP TABLE status_fixtures AS
+SELECT f, CASE WHEN f ? 'settings' THEN gen_random_uuid() END AS site_id
+FROM jsonb_array_elements(:'fixtures'::jsonb) AS f;
+
+-- New sites get default settings (Section 34), which the fixture's settings
+-- then override
+INSERT INTO sites (id, name)
+SELECT site_id, 'Status fixture ' || site_id
+FROM status_fixtures
+WHERE site_id IS NOT NULL;
+
+UPDATE organisation_settings s
+SET (follow_up_warning_days, expiry_warning_days, urgent_warning_days) = (
+  SELECT p.follow_up_warning_days, p.expiry_warning_days, p.urgent_warning_days
+  FROM jsonb_populate_record(s, x.f->'settings') AS p
+)
+FROM status_fixtures x
+WHERE s.site_id = x.site_id;
+
+CREATE TEMP TABLE status_fixture_results AS
+SELECT
+  f->>'name' AS fixture,
+  f->>'expected' AS expected,
+  public.compute_rtw_status(
+    jsonb_populate_record(NULL::rtw_records, f->'record' || jsonb_build_object('site_id', site_id)),
+    (f->>'as_of')::date
+  ) AS actual
+FROM status_fixtures;
+
+-- Lists the failures, if any
+SELECT fixture, expected, actual
+FROM status_fixture_results
+WHERE actual IS DISTINCT FROM expected;
+
+DO $$
+DECLARE
+  failed INTEGER;
+  total INTEGER;
+BEGIN
+  SELECT count(*) FILTER (WHERE actual IS DISTINCT FROM expected), count(*)
+  INTO failed, total
+  FROM status_fixture_results;
+  IF failed > 0 THEN
+    RAISE EXCEPTION '% of % status fixtures failed', failed, total;
+  END IF;
+  RAISE NOTICE 'All % status fixtures pass', total;
+END $$;
+
+ROLLBACK;